@@ -95,11 +95,19 @@ async function getMapsExample() {
 
 async function getTradersExample() {
   try {
-    const traders = await arcRaiders.getTraders();
-    console.log('Traders:', traders.data);
+    const traders = await arcRaiders.getTraderList();
+    console.log('Traders:', traders.map(trader => trader.name));
 
-    const trader = await arcRaiders.getTraderById('trader-123');
+    const trader = await arcRaiders.getTraderById(traders[0].id);
     console.log('Trader:', trader);
+
+    const economy = await arcRaiders.getTraderEconomy();
+    const cheapest = economy.findCheapestSeller('Battery');
+    if (cheapest) {
+      console.log(`Cheapest Battery: ${cheapest.trader.name} for ${cheapest.price}`);
+    }
+    console.log('Best sell values:', economy.getBestSellValues().slice(0, 5));
+    console.log('Prices by rarity:', economy.getPricesByRarity());
   } catch (error) {
     console.error('Error fetching traders:', error);
   }
@@ -107,11 +115,14 @@ async function getTradersExample() {
 
 async function searchExample() {
   try {
-    const results = await arcRaiders.search('sniper', {
-      page: 1,
-      pageSize: 10,
+    // Typos are fine: "snipr" still finds sniper rifles
+    const { results } = await arcRaiders.search('snipr', {
+      kinds: ['weapon', 'trader-item'],
+      limit: 10,
+    });
+    results.forEach(result => {
+      console.log(`[${result.kind}] ${result.name} (${result.field}: ${result.highlighted})`);
     });
-    console.log('Search Results:', results);
   } catch (error) {
     console.error('Error searching:', error);
   }
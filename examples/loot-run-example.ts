@@ -15,7 +15,6 @@ async function lootRunExample() {
     // Example 1: Generate a safe, extraction-aware loot run
     console.log('1. Generating extraction-aware loot run for "dam" map...\n');
     const damLootRun = await client.generateLootRunForMap('dam', {
-      startAtSpawn: true,
       endAtExtraction: true,
       maxCaches: 10,
       maxTimeBeforeExtraction: 240, // 4 minutes
@@ -32,7 +31,6 @@ async function lootRunExample() {
     // Example 2: Generate loot runs for all maps
     console.log('\n2. Generating loot runs for all available maps...\n');
     const allLootRuns = await client.generateLootRunsForAllMaps({
-      startAtSpawn: true,
       endAtExtraction: true,
       maxCaches: 15,
     });
@@ -45,7 +43,6 @@ async function lootRunExample() {
     // Example 3: Custom path with specific options
     console.log('\n3. Generating custom loot run for "spaceport"...\n');
     const customRun = await client.generateLootRunForMap('spaceport', {
-      startAtSpawn: false, // Don't require spawn point
       endAtExtraction: false, // Don't require extraction point
       maxCaches: 5, // Only visit 5 caches
       algorithm: 'nearest-neighbor',
@@ -85,7 +82,6 @@ async function compareAlgorithmsExample() {
       const path = await client.generateLootRunForMap(mapName, {
         algorithm,
         maxCaches: 10,
-        startAtSpawn: true,
         endAtExtraction: true,
       });
 
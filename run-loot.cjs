@@ -20,17 +20,17 @@ const GRID_COLUMN_LABELS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
 const scriptDir = __dirname;
 
 // Default spawn coordinates (from your earlier run)
-const DEFAULT_SPAWN = {
-  dam: { x: 1000, y: 3000 },
-  spaceport: { x: 1000, y: 3000 },
-  'buried-city': { x: 1000, y: 3000 },
-  'blue-gate': { x: 1000, y: 3000 },
-};
+const DEFAULT_SPAWN = { x: 1000, y: 3000 };
+const DEFAULT_BOUNDS = { minX: 0, maxX: 6000, minY: 0, maxY: 4500 };
+
+// Known maps with display names, aliases, image file and bounds
+const mapRegistry = createArcRaidersClient().getMapRegistry();
 
 async function main() {
   const args = process.argv.slice(2);
   
   if (args.length < 1) {
+    const availableMaps = mapRegistry.list().map(map => `${map.id} (${map.name})`).join(', ');
     console.log(`
 ╔═══════════════════════════════════════════════════════════╗
 ║           ARC RAIDERS LOOT RUN GENERATOR                  ║
@@ -39,7 +39,7 @@ async function main() {
 Usage: node run-loot.js <map-name> [location]
 
 Arguments:
-  map-name    Map to generate path for (dam, spaceport, buried-city, blue-gate)
+  map-name    Map to generate path for: ID, name or alias (e.g. dam, "the dam")
   location    Your spawn location - can be:
               - Coordinates: "x y" or "x y z" (e.g., "3594.76 2919.88")
               - Landmark name: "water treatment", "dam", etc. (searches map locations)
@@ -57,7 +57,7 @@ Examples:
   node run-loot.js dam "water treatment"
   node run-loot.js dam "dam"
 
-Available maps: dam, spaceport, buried-city, blue-gate
+Available maps: ${availableMaps}
 
 💡 TIP: You can enter a landmark name instead of coordinates!
        A map overlay HTML file will be automatically generated!
@@ -65,7 +65,9 @@ Available maps: dam, spaceport, buried-city, blue-gate
     process.exit(1);
   }
 
-  const mapName = args[0];
+  // Resolve "the dam", "Dam Battlegrounds", ... to the map ID; unknown names are passed through
+  const mapInfo = mapRegistry.resolve(args[0]);
+  const mapName = mapInfo ? mapInfo.id : args[0];
   let x, y, z;
   let useCoordinates = false;
 
@@ -278,9 +280,8 @@ Available maps: dam, spaceport, buried-city, blue-gate
       console.log(`📍 Using first spawn point: ${firstSpawn.name || 'player_spawn'} at (${x.toFixed(1)}, ${y.toFixed(1)}${z !== undefined ? `, ${z.toFixed(1)}` : ''})`);
     } else {
       // Fallback to default spawn coordinates
-      const defaultSpawn = DEFAULT_SPAWN[mapName] || DEFAULT_SPAWN.dam;
-      x = defaultSpawn.x;
-      y = defaultSpawn.y;
+      x = DEFAULT_SPAWN.x;
+      y = DEFAULT_SPAWN.y;
       useCoordinates = true;
       console.log(`📍 Using saved spawn coordinates: (${x}, ${y})`);
     }
@@ -314,17 +315,14 @@ Available maps: dam, spaceport, buried-city, blue-gate
     if (startCoords) {
       console.log(`\n📋 Passing coordinates to pathfinding:`);
       console.log(`   startAtCoordinates: { x: ${startCoords.x}, y: ${startCoords.y}${startCoords.z !== undefined ? `, z: ${startCoords.z}` : ''} }`);
-      console.log(`   startAtSpawn: false`);
     } else {
       console.log(`\n📋 Using spawn point (no custom coordinates)`);
-      console.log(`   startAtSpawn: true`);
     }
     
     const options = {
-      startAtSpawn: !useCoordinates, // Use spawn point if no coordinates
       startAtCoordinates: startCoords,
       endAtExtraction: true,
-      maxCaches: 8, // Spawn + 8 loot locations + extraction = 10 total waypoints (extraction is always #10)
+      maxCaches: 8, // Loot stops between infill and exfil (fewer if the time budget runs out)
       avoidDangerousAreas: true,
       algorithm: 'extraction-aware',
       maxTimeBeforeExtraction: 300, // 5 minutes
@@ -381,7 +379,8 @@ Available maps: dam, spaceport, buried-city, blue-gate
 }
 
 function getMapImageInfo(mapName) {
-  const imageFilename = `map-${mapName}.png`;
+  const mapInfo = mapRegistry.resolve(mapName);
+  const imageFilename = (mapInfo && mapInfo.image && mapInfo.image.file) || `map-${mapName}.png`;
   const imagePath = path.join(scriptDir, imageFilename);
   const fallbackWidth = 1200;
   const fallbackHeight = 900;
@@ -592,13 +591,6 @@ function getFallbackIcon(type, subcategory) {
 
 function generateMapOverlay(lootRun, mapName, spawnPoints = [], mapData = null) {
   try {
-    const FALLBACK_BOUNDS = {
-      dam: { minX: 0, maxX: 6000, minY: 0, maxY: 4500 },
-      spaceport: { minX: 0, maxX: 6000, minY: 0, maxY: 4500 },
-      'buried-city': { minX: 0, maxX: 6000, minY: 0, maxY: 4500 },
-      'blue-gate': { minX: 0, maxX: 6000, minY: 0, maxY: 4500 },
-    };
-
     const mapImageInfo = getMapImageInfo(mapName);
 
     const derivedCoordinates = [];
@@ -619,7 +611,8 @@ function generateMapOverlay(lootRun, mapName, spawnPoints = [], mapData = null)
     }
 
     let bounds;
-    const fallback = FALLBACK_BOUNDS[mapName] || FALLBACK_BOUNDS.dam;
+    const mapInfo = mapRegistry.resolve(mapName);
+    const fallback = (mapInfo && mapInfo.bounds) || DEFAULT_BOUNDS;
     
     if (derivedCoordinates.length >= 2) {
       const xs = derivedCoordinates.map(c => c.x);
@@ -919,8 +912,18 @@ function generateMapOverlay(lootRun, mapName, spawnPoints = [], mapData = null)
       return pathData;
     }
 
-    // Generate the curved path data before the template string
-    const curvedPathData = generateCurvedPath(lootRun.waypoints, coordToPixel);
+    // Walkable routes (navigation mesh) are drawn as-is: smoothing would cut through walls
+    function generatePolylinePath(points, coordToPixelFn) {
+      return points
+        .map(coordToPixelFn)
+        .map((point, index) => `${index === 0 ? 'M' : 'L'} ${point.x} ${point.y}`)
+        .join(' ');
+    }
+
+    // Generate the path data before the template string
+    const curvedPathData = lootRun.polyline
+      ? generatePolylinePath(lootRun.polyline, coordToPixel)
+      : generateCurvedPath(lootRun.waypoints, coordToPixel);
 
     // Precompute pixel positions for all waypoints
     const pixelWaypoints = lootRun.waypoints.map((wp, index) => ({
@@ -1229,7 +1232,7 @@ function generateMapOverlay(lootRun, mapName, spawnPoints = [], mapData = null)
                      alt="Map" 
                      style="width: 100%; height: auto; display: block; border: 2px solid #3a3a3a; border-radius: 4px;"
                      onload="calibrateOverlay(); console.log('Map image loaded:', this.naturalWidth, 'x', this.naturalHeight);"
-                     onerror="console.error('Failed to load map image. Make sure map-dam.png is in the same folder as this HTML file. Path:', this.src)" />
+                     onerror="console.error('Failed to load map image. Make sure map-${mapName}.png is in the same folder as this HTML file. Path:', this.src)" />
                 
                 <!-- Overlay SVG for path -->
                 <svg class="path-overlay"
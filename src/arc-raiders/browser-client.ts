@@ -1,4 +1,5 @@
 import { ArcRaidersClient, ArcRaidersClientConfig } from './client';
+import { createHttpError, SchemaError } from '../errors';
 import type { ArcRaidersFilter } from './types';
 import type { ArcRaidersItem, Weapon, Armor, Quest, ArcMission, ArcRaidersApiResponse } from './types';
 
@@ -62,8 +63,12 @@ export class BrowserArcRaidersClient extends ArcRaidersClient {
     const response = await this.page.goto(url.toString(), { waitUntil: 'networkidle' });
     
     if (!response || !response.ok()) {
-      const status = response?.status() || 'Unknown';
-      throw new Error(`API Request failed: ${status}`);
+      throw createHttpError(
+        response?.status() || 0,
+        response?.statusText() || 'Unknown',
+        response ? await response.text().catch(() => undefined) : undefined,
+        response?.headers() || {}
+      );
     }
 
     await this.page.waitForTimeout(1000);
@@ -87,7 +92,7 @@ export class BrowserArcRaidersClient extends ArcRaidersClient {
       if (bodyText) {
         return JSON.parse(bodyText);
       }
-      throw new Error('Could not parse response as JSON');
+      throw new SchemaError('Could not parse response as JSON', '', bodyText);
     }
   }
 
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_CLASSIFICATION_RULES,
+  classifyMapRecord,
+  mergeClassificationRules,
+  type ClassifiableRecord,
+} from './classification';
+
+const cases: Array<[ClassifiableRecord, string]> = [
+  // Spawns and extractions, wherever the API files them
+  [{ category: 'misc', subcategory: 'player_spawn' }, 'spawn'],
+  [{ category: 'locations', subcategory: 'extraction' }, 'extraction'],
+  [{ category: 'locations', subcategory: 'extraction_elevator' }, 'extraction'],
+  [{ category: 'locations', subcategory: 'hatch' }, 'extraction:hatch'],
+  [{ category: 'locations', subcategory: 'helipad' }, 'fallback'],
+  [{ category: 'locations', instanceName: 'Emergency Exit' }, 'fallback'],
+
+  // Containers stay loot whatever their names mention
+  [{ category: 'containers', subcategory: 'ammo_crate' }, 'cache:containers'],
+  [{ category: 'containers', subcategory: 'depot_crate' }, 'cache:containers'],
+  [{ category: 'containers', subcategory: 'locked_locker' }, 'cache:containers'],
+  [{ category: 'containers', instanceName: 'Crate by the Stairs' }, 'cache:containers'],
+  [{ category: 'containers', instanceName: 'Elevator Shaft Toolbox' }, 'cache:containers'],
+  [{ category: 'Containers', subcategory: 'breachable_container' }, 'cache:containers'],
+
+  // Rooms, stations and floor connectors outside containers
+  [{ category: 'locations', subcategory: 'locked_room' }, 'locked-room'],
+  [{ category: 'locations', subcategory: 'security_breach' }, 'locked-room'],
+  [{ category: 'locations', subcategory: 'supply_station' }, 'supply-station'],
+  [{ category: 'locations', subcategory: 'field_depot' }, 'supply-station'],
+  [{ category: 'locations', instanceName: 'North Stairwell' }, 'floor-connector'],
+  [{ category: 'locations', instanceName: 'Cargo Lift' }, 'floor-connector'],
+  [{ category: 'locations', instanceName: 'Service Elevator' }, 'floor-connector'],
+  [{ category: 'locations', instanceName: 'Airlift Memorial' }, 'fallback'],
+  [{ category: 'locations', instanceName: 'Rampart' }, 'fallback'],
+
+  [{ category: 'objectives', subcategory: 'esr-analyzer' }, 'objective'],
+  [{ category: 'vendors', subcategory: 'celeste' }, 'vendor'],
+
+  // ARCs by category, prefix or name
+  [{ category: 'arc', subcategory: 'anything' }, 'arc-nest'],
+  [{ category: 'enemies', subcategory: 'arc_courier' }, 'arc-nest'],
+  [{ category: 'enemies', subcategory: 'arc_probe' }, 'arc-nest'],
+  [{ category: 'enemies', subcategory: 'baron_husk' }, 'arc-nest'],
+  [{ category: 'enemies', subcategory: 'tick' }, 'arc-nest'],
+  [{ category: 'enemies', subcategory: 'pop' }, 'arc-nest'],
+  [{ category: 'enemies', subcategory: 'Queen' }, 'arc-nest'],
+  [{ category: 'enemies', subcategory: 'bees' }, 'arc-nest'],
+  [{ category: 'misc', subcategory: 'ticket_booth' }, 'fallback'],
+  [{ category: 'misc', subcategory: 'pop_up_tent' }, 'fallback'],
+  [{ category: 'misc', instanceName: 'Queen Bed' }, 'fallback'],
+  [{ category: 'misc', instanceName: 'Courier Package' }, 'fallback'],
+  [{ category: 'misc', instanceName: 'Soil Probe' }, 'fallback'],
+  [{ category: 'misc', subcategory: 'bees_nest' }, 'fallback'],
+
+  [{ category: 'nature', subcategory: 'agave' }, 'resource'],
+  [{ category: 'nature', subcategory: 'great-mullein' }, 'resource'],
+  [{}, 'fallback'],
+];
+
+describe('classifyMapRecord', () => {
+  for (const [record, rule] of cases) {
+    it(`classifies ${JSON.stringify(record)} by ${rule}`, () => {
+      assert.equal(classifyMapRecord(record).rule, rule);
+    });
+  }
+
+  it('reports the type of the matching rule', () => {
+    assert.deepEqual(classifyMapRecord({ category: 'containers' }), { type: 'cache', rule: 'cache:containers' });
+    assert.deepEqual(classifyMapRecord({ category: 'misc' }), { type: 'other', rule: 'fallback' });
+  });
+});
+
+describe('mergeClassificationRules', () => {
+  it('replaces defaults in place and runs new rules first', () => {
+    const rules = mergeClassificationRules([
+      { id: 'vendor', type: 'objective', category: /^vendors?$/i },
+      { id: 'cache:wrecks', type: 'cache', subcategory: 'car' },
+    ]);
+
+    assert.equal(rules.length, DEFAULT_CLASSIFICATION_RULES.length + 1);
+    assert.equal(rules[0].id, 'cache:wrecks');
+    assert.deepEqual(classifyMapRecord({ category: 'vendors' }, rules), { type: 'objective', rule: 'vendor' });
+    assert.deepEqual(classifyMapRecord({ category: 'misc', subcategory: 'car' }, rules), { type: 'cache', rule: 'cache:wrecks' });
+  });
+});
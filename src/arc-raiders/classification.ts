@@ -0,0 +1,190 @@
+import type { POIType } from './types';
+
+/**
+ * A string matches case-insensitively anywhere in the field; use a RegExp for
+ * anything stricter. An array matches when any of its patterns does.
+ */
+export type RulePattern = string | RegExp | Array<string | RegExp>;
+
+/**
+ * One row of the map-data classification table. Every field that is set must
+ * match (category AND subcategory AND ...); `any` matches against category,
+ * subcategory or instanceName. Rules are tried in order and the first match wins.
+ */
+export interface ClassificationRule {
+  id: string; // Reported on each point as `rule`, e.g. 'extraction:hatch'
+  type: POIType;
+  category?: RulePattern;
+  subcategory?: RulePattern;
+  instanceName?: RulePattern;
+  any?: RulePattern;
+  description?: string;
+}
+
+/**
+ * The fields of a raw game-map-data record the rules look at
+ */
+export interface ClassifiableRecord {
+  category?: string | null;
+  subcategory?: string | null;
+  instanceName?: string | null;
+}
+
+export interface Classification {
+  type: POIType;
+  rule: string; // ID of the matching rule, or 'fallback' when none matched
+}
+
+const ARC_ENEMIES = [
+  'husk', 'tick', 'wasp', 'hornet', 'sentinel', 'bastion', 'bombardier', 'rocketeer',
+  'rollbot', 'turret', 'fireball', 'snitch', 'matriarch', 'harvester', 'bison', 'leaper',
+];
+
+// ARC names that are also everyday words ("pop_up_tent", "courier_package", "bees_nest")
+const AMBIGUOUS_ARC_ENEMIES = ['pop', 'queen', 'probe', 'courier', 'bees'];
+
+// Whole words only, so "tick" doesn't match "ticket"; the ambiguous names only as the whole field
+const ARC_ENEMY_PATTERN = new RegExp(
+  `(^|[^a-z])(${ARC_ENEMIES.join('|')})([^a-z]|$)|^(${AMBIGUOUS_ARC_ENEMIES.join('|')})$`,
+  'i'
+);
+
+const RESOURCES = [
+  'agave', 'apricot', 'mushroom', 'moss', 'lemons', 'olive', 'prickly', 'roots',
+  'mullein', 'fertilizer',
+];
+
+/**
+ * Built-in rules. Spawns and extractions come first because the API files some
+ * of them under unrelated categories; helipads, landings and generic "exit"
+ * markers are deliberately not extractions. Containers come next, so a crate
+ * whose name mentions a depot, stairs or a lock is still loot.
+ */
+export const DEFAULT_CLASSIFICATION_RULES: ClassificationRule[] = [
+  {
+    id: 'spawn',
+    type: 'spawn',
+    any: 'spawn',
+    description: 'Player spawn points',
+  },
+  {
+    id: 'extraction',
+    type: 'extraction',
+    any: ['extraction', 'extract', 'exfil', 'departure', 'evac'],
+    description: 'Extraction points',
+  },
+  {
+    id: 'extraction:hatch',
+    type: 'extraction',
+    any: 'hatch',
+    description: 'Raider hatches (need a hatch key)',
+  },
+  {
+    id: 'cache:containers',
+    type: 'cache',
+    category: /^containers$/i,
+    description: 'Lootable containers',
+  },
+  {
+    id: 'locked-room',
+    type: 'locked-room',
+    any: ['locked', 'security_breach', 'security breach'],
+    description: 'Rooms that need a key or breaching',
+  },
+  {
+    id: 'supply-station',
+    type: 'supply-station',
+    any: ['supply_station', 'supply station', 'field_depot', 'depot'],
+    description: 'Supply stations and field depots',
+  },
+  {
+    id: 'floor-connector',
+    type: 'floor-connector',
+    // Whole words for lift and ramp, so "airlift" and "rampart" don't count
+    any: [/stair/i, /ladder/i, /elevator/i, /(^|[^a-z])(lifts?|ramps?)([^a-z]|$)/i],
+    description: 'Stairwells, lifts and ramps between floors',
+  },
+  {
+    id: 'objective',
+    type: 'objective',
+    category: /^objectives?$/i,
+    description: 'Quest objectives and interactables',
+  },
+  {
+    id: 'vendor',
+    type: 'vendor',
+    category: /^vendors?$/i,
+  },
+  {
+    id: 'arc-nest',
+    type: 'arc-nest',
+    any: [/^arcs?$/i, /\barc[_-]/i, ARC_ENEMY_PATTERN],
+    description: 'ARC spawn areas',
+  },
+  {
+    id: 'resource',
+    type: 'resource',
+    subcategory: RESOURCES,
+    description: 'Harvestable plants and resources',
+  },
+];
+
+function matchesPattern(value: string | null | undefined, pattern: RulePattern): boolean {
+  if (!value) {
+    return false;
+  }
+  const patterns = Array.isArray(pattern) ? pattern : [pattern];
+  const lower = value.toLowerCase();
+  return patterns.some(p => (typeof p === 'string' ? lower.includes(p.toLowerCase()) : p.test(value)));
+}
+
+export function matchesRule(record: ClassifiableRecord, rule: ClassificationRule): boolean {
+  if (rule.category !== undefined && !matchesPattern(record.category, rule.category)) return false;
+  if (rule.subcategory !== undefined && !matchesPattern(record.subcategory, rule.subcategory)) return false;
+  if (rule.instanceName !== undefined && !matchesPattern(record.instanceName, rule.instanceName)) return false;
+  if (rule.any !== undefined &&
+      !matchesPattern(record.category, rule.any) &&
+      !matchesPattern(record.subcategory, rule.any) &&
+      !matchesPattern(record.instanceName, rule.any)) {
+    return false;
+  }
+  // A rule without any pattern would match everything; treat it as a mistake
+  return rule.category !== undefined || rule.subcategory !== undefined ||
+    rule.instanceName !== undefined || rule.any !== undefined;
+}
+
+/**
+ * Classify one raw map record with the first matching rule
+ */
+export function classifyMapRecord(
+  record: ClassifiableRecord,
+  rules: ClassificationRule[] = DEFAULT_CLASSIFICATION_RULES
+): Classification {
+  for (const rule of rules) {
+    if (matchesRule(record, rule)) {
+      return { type: rule.type, rule: rule.id };
+    }
+  }
+  return { type: 'other', rule: 'fallback' };
+}
+
+/**
+ * Combine user rules with the defaults. A user rule with the same id as a default
+ * replaces it in place; new rules run before the defaults.
+ */
+export function mergeClassificationRules(
+  custom: ClassificationRule[],
+  defaults: ClassificationRule[] = DEFAULT_CLASSIFICATION_RULES
+): ClassificationRule[] {
+  const byId = new Map(custom.map(rule => [rule.id, rule]));
+  const replaced = defaults.map(rule => byId.get(rule.id) || rule);
+  const added = custom.filter(rule => !defaults.some(d => d.id === rule.id));
+  return [...added, ...replaced];
+}
+
+/**
+ * Stable text form of a rule table, e.g. to key cached map data by the rules used
+ */
+export function describeRules(rules: ClassificationRule[]): string {
+  return JSON.stringify(rules, (_key, value) => (value instanceof RegExp ? value.toString() : value));
+}
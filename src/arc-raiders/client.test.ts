@@ -0,0 +1,383 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ArcRaidersClient, type ArcRaidersClientConfig } from './client';
+import { SNAPSHOT_VERSION, type DataSnapshot } from '../snapshot/snapshot';
+import type { MapDataRecord, PointOfInterest } from './types';
+import type { Transport, TransportRequest, TransportResponse } from '../transport';
+
+type Handler = (request: TransportRequest) => TransportResponse | Promise<TransportResponse>;
+
+// Answers by URL path (without the API base), counting the requests per path
+class FakeApi implements Transport {
+  readonly requests: TransportRequest[] = [];
+
+  constructor(private readonly routes: Record<string, Handler>) {}
+
+  async send(request: TransportRequest): Promise<TransportResponse> {
+    this.requests.push(request);
+    const path = new URL(request.url).pathname.replace('/api/arc-raiders', '');
+    const handler = this.routes[path];
+    return handler ? handler(request) : json(404, { error: 'not found' });
+  }
+
+  count(path: string): number {
+    return this.requests.filter(request => new URL(request.url).pathname.endsWith(path)).length;
+  }
+}
+
+function json(status: number, data: unknown, headers: Record<string, string> = {}): TransportResponse {
+  return { status, statusText: String(status), headers: { 'content-type': 'application/json', ...headers }, data };
+}
+
+function onlineClient(transport: Transport, config: ArcRaidersClientConfig = {}): ArcRaidersClient {
+  return new ArcRaidersClient({ transport, usePersistentCache: false, retry: false, ...config });
+}
+
+function delay(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function record(id: string, category: string, subcategory: string): MapDataRecord {
+  return { id, lat: 100, lng: 200, zlayers: 0, mapID: 'dam', category, subcategory };
+}
+
+// Points as `arc-raiders sync` wrote them, typed by whatever rules ran back then
+function point(raw: MapDataRecord, type: PointOfInterest['type']): PointOfInterest {
+  return { id: raw.id, name: raw.subcategory, type, coordinates: { x: raw.lng, y: raw.lat, z: 0 }, raw };
+}
+
+function dataset(): DataSnapshot {
+  return {
+    version: SNAPSHOT_VERSION,
+    createdAt: '2025-01-01T00:00:00.000Z',
+    items: [],
+    weapons: [],
+    armor: [],
+    quests: [],
+    arcs: [],
+    traders: {},
+    maps: [
+      {
+        id: 'dam',
+        name: 'Dam Battlegrounds',
+        waypoints: [],
+        pois: [
+          point(record('spawn-1', 'misc', 'player_spawn'), 'other'),
+          point(record('crate-1', 'containers', 'ammo_crate'), 'other'),
+        ],
+      },
+      {
+        id: 'spaceport',
+        name: 'Spaceport',
+        waypoints: [],
+        pois: [{ id: 'old-1', name: 'Old Crate', type: 'cache', coordinates: { x: 0, y: 0 } }],
+      },
+    ],
+  };
+}
+
+function offlineClient(config: ArcRaidersClientConfig = {}): ArcRaidersClient {
+  return new ArcRaidersClient({ offlineDataset: dataset(), usePersistentCache: false, ...config });
+}
+
+describe('ArcRaidersClient offline maps', () => {
+  it('classifies raw records with the current rules', async () => {
+    const map = await offlineClient().getMapData('dam');
+    assert.equal(map.name, 'Dam Battlegrounds');
+    assert.deepEqual(map.waypoints?.map(wp => [wp.id, wp.type]), [['spawn-1', 'spawn']]);
+    assert.deepEqual(map.pois?.map(poi => [poi.id, poi.type, poi.rule]), [['crate-1', 'cache', 'cache:containers']]);
+  });
+
+  it('applies the classificationRules option', async () => {
+    const client = offlineClient({
+      classificationRules: [{ id: 'ammo-as-supplies', type: 'supply-station', subcategory: 'ammo_crate' }],
+    });
+    const maps = await client.getMaps();
+    const crate = maps.find(map => map.id === 'dam')?.pois?.find(poi => poi.id === 'crate-1');
+    assert.equal(crate?.type, 'supply-station');
+    assert.equal(crate?.rule, 'ammo-as-supplies');
+  });
+
+  it('serves maps saved without raw records as written', async () => {
+    const map = await offlineClient().getMapData('spaceport');
+    assert.deepEqual(map, dataset().maps[1]);
+  });
+});
+
+describe('ArcRaidersClient request dedupe', () => {
+  it('shares one request between concurrent callers', async () => {
+    const api = new FakeApi({
+      '/items/rusty-gear': async () => {
+        await delay(10);
+        return json(200, { id: 'rusty-gear', name: 'Rusty Gear' });
+      },
+    });
+    const client = onlineClient(api, { cacheEnabled: false });
+    const results = await Promise.all([1, 2, 3].map(() => client.getItemById('rusty-gear')));
+    assert.equal(api.count('/items/rusty-gear'), 1);
+    results.forEach(item => assert.equal(item.name, 'Rusty Gear'));
+  });
+
+  it('does not memoize failures', async () => {
+    let calls = 0;
+    const api = new FakeApi({
+      '/quests/q1': () => ++calls === 1 ? json(500, { error: 'boom' }) : json(200, { id: 'q1', name: 'Quest' }),
+    });
+    const client = onlineClient(api);
+    await assert.rejects(Promise.all([client.getQuestById('q1'), client.getQuestById('q1')]), { status: 500 });
+    assert.equal(api.count('/quests/q1'), 1);
+    assert.equal((await client.getQuestById('q1')).name, 'Quest');
+    assert.equal(api.count('/quests/q1'), 2);
+  });
+
+  it('keeps different keys apart', async () => {
+    const api = new FakeApi({
+      '/items/a': () => json(200, { id: 'a', name: 'A' }),
+      '/items/b': () => json(200, { id: 'b', name: 'B' }),
+    });
+    const client = onlineClient(api, { cacheEnabled: false });
+    const [a, b] = await Promise.all([client.getItemById('a'), client.getItemById('b')]);
+    assert.deepEqual([a.name, b.name], ['A', 'B']);
+    assert.equal(api.requests.length, 2);
+  });
+});
+
+describe('ArcRaidersClient conditional requests', () => {
+  it('revalidates an expired entry with If-None-Match and keeps it on 304', async () => {
+    const api = new FakeApi({
+      '/items/rusty-gear': request => request.headers['If-None-Match'] === '"v1"'
+        ? json(304, null)
+        : json(200, { id: 'rusty-gear', name: 'Rusty Gear' }, { etag: '"v1"' }),
+    });
+    const client = onlineClient(api, { cacheTTL: 30 });
+    assert.equal((await client.getItemById('rusty-gear')).name, 'Rusty Gear');
+
+    await delay(40);
+    assert.equal((await client.getItemById('rusty-gear')).name, 'Rusty Gear');
+    assert.equal(api.requests[1].headers['If-None-Match'], '"v1"');
+
+    // The 304 restarted the TTL
+    await client.getItemById('rusty-gear');
+    assert.equal(api.requests.length, 2);
+  });
+
+  it('sends If-Modified-Since for Last-Modified and replaces the entry on 200', async () => {
+    let version = 1;
+    const api = new FakeApi({
+      '/traders': () => json(200, { success: true, data: { Celeste: [{ id: `v${version}`, name: 'Gear' }] } }, {
+        'last-modified': 'Wed, 01 Jan 2025 00:00:00 GMT',
+      }),
+    });
+    const client = onlineClient(api, { cacheTTL: 30 });
+    await client.getTraders();
+    version = 2;
+    await delay(40);
+    const traders = await client.getTraders();
+    assert.equal(api.requests[1].headers['If-Modified-Since'], 'Wed, 01 Jan 2025 00:00:00 GMT');
+    assert.equal(traders.Celeste[0].id, 'v2');
+  });
+
+  it('revalidates every page of a paginated list with its own ETag', async () => {
+    const pages = [
+      { data: [{ id: 'a', name: 'A' }], pagination: { hasNextPage: true } },
+      { data: [{ id: 'b', name: 'B' }], pagination: { hasNextPage: false } },
+    ];
+    const api = new FakeApi({
+      '/items': request => {
+        const page = Number(new URL(request.url).searchParams.get('page'));
+        const etag = `"page-${page}"`;
+        return request.headers['If-None-Match'] === etag ? json(304, null) : json(200, pages[page - 1], { etag });
+      },
+    });
+    const client = onlineClient(api, { cacheTTL: 30 });
+    assert.deepEqual((await client.getItems()).map(item => item.id), ['a', 'b']);
+
+    await delay(40);
+    assert.deepEqual((await client.getItems()).map(item => item.id), ['a', 'b']);
+    assert.deepEqual(api.requests.slice(2).map(request => request.headers['If-None-Match']), ['"page-1"', '"page-2"']);
+  });
+
+  it('treats a 304 to an unconditional request as an error', async () => {
+    const api = new FakeApi({ '/items/odd': () => json(304, null) });
+    await assert.rejects(onlineClient(api).getItemById('odd'), { status: 304 });
+  });
+});
+
+describe('ArcRaidersClient stale-while-revalidate', () => {
+  function versionedApi(): { api: FakeApi; next: (status?: number) => void } {
+    let version = 1;
+    let status = 200;
+    const api = new FakeApi({
+      '/items/rusty-gear': async () => {
+        await delay(10);
+        return json(status, { id: 'rusty-gear', name: `Rusty Gear v${version}` });
+      },
+    });
+    return { api, next: (nextStatus = 200) => { version++; status = nextStatus; } };
+  }
+
+  it('serves the stale entry at once and refreshes it in the background', async () => {
+    const { api, next } = versionedApi();
+    const client = onlineClient(api, { cacheTTL: 20, staleWhileRevalidate: true });
+    await client.getItemById('rusty-gear');
+    next();
+    await delay(30);
+
+    const refreshed = new Promise(resolve => client.onRevalidate(resolve));
+    const stale = await Promise.all([client.getItemById('rusty-gear'), client.getItemById('rusty-gear')]);
+    assert.deepEqual(stale.map(item => item.name), ['Rusty Gear v1', 'Rusty Gear v1']);
+
+    const event = await refreshed as { cacheKey: string; data: { name: string } };
+    assert.equal(event.data.name, 'Rusty Gear v2');
+    assert.equal(api.count('/items/rusty-gear'), 2);
+    assert.equal((await client.getItemById('rusty-gear')).name, 'Rusty Gear v2');
+
+    const stats = await client.getCacheStats();
+    assert.equal(stats.staleHits, 2);
+  });
+
+  it('keeps the stale entry when the refresh fails', async () => {
+    const { api, next } = versionedApi();
+    const client = onlineClient(api, { cacheTTL: 20, staleWhileRevalidate: true });
+    await client.getItemById('rusty-gear');
+    next(500);
+    await delay(30);
+
+    const failed = new Promise(resolve => client.onRevalidate(resolve));
+    assert.equal((await client.getItemById('rusty-gear')).name, 'Rusty Gear v1');
+    const event = await failed as { error?: unknown };
+    assert.equal((event.error as { status?: number }).status, 500);
+    assert.equal((await client.getItemById('rusty-gear')).name, 'Rusty Gear v1');
+  });
+
+  it('fetches in the foreground once an entry is past maxStale', async () => {
+    const { api, next } = versionedApi();
+    const client = onlineClient(api, { cacheTTL: 20, staleWhileRevalidate: { maxStale: 20 } });
+    await client.getItemById('rusty-gear');
+    next();
+    await delay(60);
+    assert.equal((await client.getItemById('rusty-gear')).name, 'Rusty Gear v2');
+  });
+
+  it('stops notifying removed listeners', async () => {
+    const { api, next } = versionedApi();
+    const client = onlineClient(api, { cacheTTL: 20, staleWhileRevalidate: true });
+    let calls = 0;
+    const unsubscribe = client.onRevalidate(() => calls++);
+    unsubscribe();
+    const refreshed = new Promise(resolve => client.onRevalidate(resolve));
+
+    await client.getItemById('rusty-gear');
+    next();
+    await delay(30);
+    await client.getItemById('rusty-gear');
+    await refreshed;
+    assert.equal(calls, 0);
+  });
+});
+
+describe('ArcRaidersClient cache namespaces', () => {
+  function api(): FakeApi {
+    return new FakeApi({
+      '/items/a': () => json(200, { id: 'a', name: 'A' }),
+      '/quests': () => json(200, { data: [{ id: 'q1', name: 'Quest' }], pagination: { hasNextPage: false } }),
+    });
+  }
+
+  it('expires each namespace by its cacheTTLs entry', async () => {
+    const fake = api();
+    const client = onlineClient(fake, { cacheTTL: 60000, cacheTTLs: { items: 10 } });
+    await client.getItemById('a');
+    await client.getQuests();
+    await delay(20);
+    await client.getItemById('a');
+    await client.getQuests();
+    assert.equal(fake.count('/items/a'), 2);
+    assert.equal(fake.count('/quests'), 1);
+  });
+
+  it('invalidates one namespace and reports hits per namespace', async () => {
+    const fake = api();
+    const client = onlineClient(fake);
+    await client.getItemById('a');
+    await client.getQuests();
+    await client.getQuests();
+
+    assert.equal(await client.invalidateCache('items'), 1);
+    await client.getItemById('a');
+    const stats = await client.getCacheStats();
+    assert.deepEqual(
+      [stats.namespaces.items.misses, stats.namespaces.quests.hits, stats.namespaces.quests.entries],
+      [2, 1, 1]
+    );
+    assert.equal(stats.hitRate, 1 / 4);
+  });
+
+  it('evicts the least recently used entries beyond cacheLimits', async () => {
+    const fake = api();
+    const client = onlineClient(fake, { cacheLimits: { maxEntries: 1 } });
+    await client.getItemById('a');
+    await client.getQuests();
+    await client.getItemById('a');
+    const stats = await client.getCacheStats();
+    assert.equal(fake.count('/items/a'), 2);
+    assert.equal(stats.entries, 1);
+    assert.equal(stats.evictions, 2);
+  });
+});
+
+describe('ArcRaidersClient validation', () => {
+  const api = () => new FakeApi({
+    '/items': () => json(200, { data: [{ id: 'a', name: 'A' }, { id: 'b' }], pagination: { hasNextPage: false } }),
+  });
+
+  it('is off by default', async () => {
+    assert.equal((await onlineClient(api()).getItems()).length, 2);
+  });
+
+  it('throws in strict mode and drops bad records in coerce mode', async () => {
+    const originalWarn = console.warn;
+    console.warn = () => undefined;
+    try {
+      await assert.rejects(onlineClient(api(), { validation: 'strict' }).getItems(), { name: 'SchemaError', path: 'data[1].name' });
+      const items = await onlineClient(api(), { validation: 'coerce' }).getItems();
+      assert.deepEqual(items.map(item => item.id), ['a']);
+    } finally {
+      console.warn = originalWarn;
+    }
+  });
+});
+
+describe('ArcRaidersClient map names', () => {
+  it('resolves aliases and display names to map IDs', async () => {
+    const client = offlineClient();
+    for (const name of ['the dam', 'Dam Battlegrounds', 'DAM']) {
+      assert.equal((await client.getMapData(name)).id, 'dam', name);
+    }
+    await assert.rejects(client.getMapData('stella montis'), { name: 'NotFoundError', message: /"stella-montis"/ });
+  });
+
+  it('registers extra maps from the maps option', async () => {
+    const client = offlineClient({ maps: [{ id: 'spaceport', aliases: ['launch site'] }] });
+    assert.equal((await client.getMapData('launch site')).id, 'spaceport');
+    assert.deepEqual((await client.discoverMaps()).map(map => map.id), ['dam', 'spaceport']);
+  });
+});
+
+describe('ArcRaidersClient map layers', () => {
+  it('sets each point layer from zlayers and lists the floors in use', async () => {
+    const snapshot = dataset();
+    snapshot.maps[0].pois = [
+      point({ ...record('crate-1', 'containers', 'ammo_crate'), zlayers: -1 }, 'cache'),
+      point({ ...record('crate-2', 'containers', 'ammo_crate'), zlayers: 2147483647 }, 'cache'),
+      point(record('spawn-1', 'misc', 'player_spawn'), 'spawn'),
+    ];
+    const client = new ArcRaidersClient({ offlineDataset: snapshot, usePersistentCache: false });
+    const map = await client.getMapData('dam');
+    assert.deepEqual(map.pois?.map(poi => [poi.id, poi.layer, poi.coordinates?.z]), [['crate-1', -1, -1], ['crate-2', undefined, undefined]]);
+    assert.deepEqual(map.layers, [
+      { level: -1, name: 'Level -1', pointCount: 1 },
+      { level: 0, name: 'Ground level', pointCount: 1 },
+    ]);
+  });
+});
@@ -1,6 +1,34 @@
-import { ApiClient, createApiClient } from '../client';
-import { Cache } from '../cache';
+import { createHash } from 'crypto';
+import { ApiClient, createApiClient, getCacheValidators } from '../client';
+import { Cache, type CacheLimits } from '../cache';
 import { PersistentCache } from '../persistent-cache';
+import { StoreCache, type CacheStore } from '../store-cache';
+import type { RetryPolicy, RequestConfig, CacheValidators } from '../types';
+import type { RateLimitConfig } from '../rate-limiter';
+import { OfflineTransport, type Transport } from '../transport';
+import { NotFoundError, SchemaError } from '../errors';
+import { MapRegistry, KNOWN_MAPS, type MapDefinition, type MapInfo } from './maps';
+import {
+  DEFAULT_CLASSIFICATION_RULES,
+  classifyMapRecord,
+  describeRules,
+  mergeClassificationRules,
+  type ClassificationRule,
+} from './classification';
+import {
+  checkSchema,
+  paginatedSchema,
+  itemSchema,
+  weaponSchema,
+  armorSchema,
+  questSchema,
+  arcSchema,
+  tradersResponseSchema,
+  mapDataResponseSchema,
+  type SchemaNode,
+  type SchemaValidationOptions,
+  type ValidationMode,
+} from './schema';
 import type {
   ArcRaidersItem,
   Weapon,
@@ -15,7 +43,10 @@ import type {
   PointOfInterest,
   Waypoint,
   Coordinates,
+  MapDataRecord,
 } from './types';
+import { toLayer, buildMapLayers } from './map-data';
+import { TraderEconomy, normalizeTraders } from './traders';
 import {
   generateLootRun,
   generateLootRunsForAllMaps,
@@ -23,6 +54,45 @@ import {
   type LootRunPath,
   type LootRunOptions,
 } from '../pathfinding/loot-run';
+import { LootValueModel, buildItemValues, type LootValueOptions } from '../pathfinding/loot-value';
+import { NavigationGrid, loadNavigationMesh } from '../pathfinding/navigation';
+import { SNAPSHOT_VERSION, saveSnapshot, type DataSnapshot } from '../snapshot/snapshot';
+import { loadDataset, getDatasetInfo, filterDataset, type DatasetInfo } from '../snapshot/dataset';
+import {
+  SearchIndex,
+  groupSearchResults,
+  type SearchOptions,
+  type SearchResponse,
+  type SearchSource,
+} from '../search/search-index';
+
+// Bump when buildMapData's output changes shape, so maps cached by older builds are rebuilt
+const MAP_DATA_FORMAT = 2;
+
+export type CacheNamespace = 'items' | 'quests' | 'arcs' | 'maps' | 'traders';
+
+// Cache keys start with the endpoint, so each namespace is a key prefix
+const CACHE_NAMESPACE_PREFIXES: Record<CacheNamespace, string> = {
+  items: '/items',
+  quests: '/quests',
+  arcs: '/arcs',
+  maps: '/game-map-data',
+  traders: '/traders',
+};
+
+interface NamespaceCounters {
+  hits: number;
+  staleHits: number;
+  misses: number;
+}
+
+export interface CacheStats extends NamespaceCounters {
+  hitRate: number; // (hits + staleHits) / lookups, 0 when nothing was looked up yet
+  entries: number;
+  bytes?: number; // Approximate size, not reported by custom cache stores
+  evictions: number;
+  namespaces: Record<CacheNamespace | 'other', NamespaceCounters & { entries: number }>;
+}
 
 export interface ArcRaidersClientConfig {
   baseURL?: string;
@@ -32,16 +102,70 @@ export interface ArcRaidersClientConfig {
   cacheTTL?: number;
   usePersistentCache?: boolean; // Use file-based persistent cache (default: true)
   cacheFilePath?: string; // Custom cache file path
+  cacheStore?: CacheStore; // Custom storage backend (SQLite, IndexedDB, Redis, ...); overrides usePersistentCache
+  cacheLimits?: CacheLimits; // LRU limits, e.g. { maxEntries: 500, maxBytes: 50 * 1024 * 1024 }
+  cacheTTLs?: Partial<Record<CacheNamespace, number>>; // Per-namespace TTLs overriding cacheTTL
+  retry?: Partial<RetryPolicy> | false; // Retry policy for failed requests (default: 3 attempts with backoff)
+  rateLimit?: RateLimitConfig; // Client-side token bucket, e.g. { requestsPerSecond: 5, burst: 10 }
+  maxConcurrency?: number; // Max requests in flight at once (default: 4)
+  transport?: Transport; // Custom transport, e.g. a FixtureTransport for offline tests
+  // Serve expired entries immediately and refresh them in the background (default: false)
+  staleWhileRevalidate?: boolean | { maxStale?: number };
+  // Opt-in runtime validation of every response against its declared schema (default: off)
+  validation?: ValidationMode | SchemaValidationOptions;
+  // Serve everything from a dataset written by `arc-raiders sync` (file, directory or
+  // an already loaded snapshot). No request reaches the network in offline mode.
+  offlineDataset?: string | DataSnapshot;
+  maps?: MapDefinition[]; // Extra maps, or overrides for known ones (display name, aliases, image, bounds, navigation)
+  discoverMaps?: boolean; // Also ask the API which maps exist; downloads the whole map-data table (default: false)
+  // Extra map classification rules (same id replaces a default rule, new ids run first),
+  // or a function that builds the whole table from the defaults
+  classificationRules?: ClassificationRule[] | ((defaults: ClassificationRule[]) => ClassificationRule[]);
+}
+
+export interface RevalidateEvent {
+  cacheKey: string;
+  data?: unknown; // Fresh data that replaced the stale entry
+  error?: unknown; // Set when the background refresh failed (the stale entry is kept)
+}
+
+export type RevalidateListener = (event: RevalidateEvent) => void;
+
+export interface ClientSearchOptions extends SearchOptions, Omit<ArcRaidersFilter, 'page' | 'pageSize' | 'search'> {
+  includeMaps?: boolean; // Index map POI names too (default: true; fetches every map once)
 }
 
 export class ArcRaidersClient {
   private readonly client: ApiClient;
-  private readonly cache: Cache | PersistentCache;
+  private readonly cache: Cache | PersistentCache | StoreCache;
   protected readonly baseURL = 'https://metaforge.app/api/arc-raiders';
+  protected readonly mapDataURL = 'https://metaforge.app/api/game-map-data';
   private readonly defaultTimeout = 10000;
+  private readonly defaultMaxConcurrency = 4;
   private readonly cacheEnabled: boolean;
+  private readonly inFlight = new Map<string, Promise<unknown>>();
+  private readonly revalidateListeners: RevalidateListener[] = [];
+  private readonly cacheTTLs: Partial<Record<CacheNamespace, number>>;
+  private readonly validation?: SchemaValidationOptions;
+  private readonly dataset?: DataSnapshot;
+  private readonly datasetSource?: string;
+  private datasetMaps?: MapData[];
+  private searchIndex?: { sources: unknown[]; index: SearchIndex };
+  private readonly mapRegistry: MapRegistry;
+  private readonly discoverMapsEnabled: boolean;
+  private mapDiscovery?: Promise<void>;
+  private readonly navigationGrids = new Map<string, NavigationGrid>();
+  private readonly classificationRules: ClassificationRule[];
+  private readonly rulesFingerprint: string;
+  private cacheCounters: Record<CacheNamespace | 'other', NamespaceCounters> = ArcRaidersClient.emptyCounters();
 
   constructor(config?: ArcRaidersClientConfig) {
+    if (config?.offlineDataset) {
+      const offline = config.offlineDataset;
+      this.dataset = typeof offline === 'string' ? loadDataset(offline) : offline;
+      this.datasetSource = typeof offline === 'string' ? offline : 'memory';
+    }
+
     this.client = createApiClient({
       baseURL: config?.baseURL || this.baseURL,
       defaultHeaders: {
@@ -49,8 +173,13 @@ export class ArcRaidersClient {
         ...(config?.apiKey && { 'Authorization': `Bearer ${config.apiKey}` }),
       },
       timeout: config?.timeout || this.defaultTimeout,
+      retry: config?.retry,
+      rateLimit: config?.rateLimit,
+      maxConcurrency: config?.maxConcurrency ?? this.defaultMaxConcurrency,
+      transport: this.dataset ? new OfflineTransport() : config?.transport,
     });
-    this.cacheEnabled = config?.cacheEnabled !== false;
+    // The dataset already lives in memory; caching it again would only cost disk writes
+    this.cacheEnabled = config?.cacheEnabled !== false && !this.dataset;
     // Default to 7 days (168 hours) - very aggressive caching to minimize API calls
     // Map data rarely changes, so we can cache it for a long time
     // Set to 0 for no expiration (cache forever until manually cleared)
@@ -58,12 +187,38 @@ export class ArcRaidersClient {
       ? config.cacheTTL 
       : 7 * 24 * 60 * 60 * 1000; // 7 days default
     
-    // Use persistent cache by default (saves to disk, persists across runs)
+    // Stale entries are served for up to a day past their TTL unless configured otherwise
+    const swr = config?.staleWhileRevalidate;
+    let maxStale = 0;
+    if (swr) {
+      maxStale = typeof swr === 'object' && swr.maxStale !== undefined
+        ? swr.maxStale
+        : 24 * 60 * 60 * 1000;
+    }
+    
+    // A custom store wins; otherwise use persistent cache by default (saves to disk, persists across runs)
     const usePersistentCache = config?.usePersistentCache !== false;
-    if (usePersistentCache) {
-      this.cache = new PersistentCache(cacheTTL, config?.cacheFilePath);
+    if (config?.cacheStore) {
+      this.cache = new StoreCache(config.cacheStore, cacheTTL, { maxStale });
+    } else if (usePersistentCache) {
+      this.cache = new PersistentCache(cacheTTL, config?.cacheFilePath, { ...config?.cacheLimits, maxStale });
     } else {
-      this.cache = new Cache(cacheTTL);
+      this.cache = new Cache(cacheTTL, { ...config?.cacheLimits, maxStale });
+    }
+    this.cacheTTLs = config?.cacheTTLs || {};
+    this.mapRegistry = new MapRegistry(KNOWN_MAPS);
+    (config?.maps || []).forEach(map => this.mapRegistry.register(map));
+    this.discoverMapsEnabled = config?.discoverMaps === true;
+    const rules = config?.classificationRules;
+    this.classificationRules = typeof rules === 'function'
+      ? rules([...DEFAULT_CLASSIFICATION_RULES])
+      : mergeClassificationRules(rules || []);
+    // Cached maps were classified with some rule table; key them by it so edits take effect
+    this.rulesFingerprint = createHash('sha1').update(describeRules(this.classificationRules)).digest('hex').slice(0, 8);
+    if (config?.validation) {
+      this.validation = typeof config.validation === 'string'
+        ? { mode: config.validation }
+        : config.validation;
     }
   }
 
@@ -72,8 +227,297 @@ export class ArcRaidersClient {
     return `${endpoint}:${paramString}`;
   }
 
-  clearCache(): void {
-    this.cache.clear();
+  /**
+   * Share one in-flight request between concurrent callers asking for the same key.
+   * The entry is dropped once the request settles, so errors are not memoized.
+   */
+  private dedupe<T>(cacheKey: string, fetcher: () => Promise<T>): Promise<T> {
+    const pending = this.inFlight.get(cacheKey);
+    if (pending) {
+      return pending as Promise<T>;
+    }
+
+    const request = fetcher().finally(() => {
+      this.inFlight.delete(cacheKey);
+    });
+    this.inFlight.set(cacheKey, request);
+    return request;
+  }
+
+  /**
+   * Serve from cache when possible. A stale hit (stale-while-revalidate) is returned
+   * immediately while a background refresh runs; listeners hear when it lands.
+   */
+  private async withCache<T>(cacheKey: string, fetcher: () => Promise<T>): Promise<T> {
+    if (this.cacheEnabled) {
+      const counters = this.cacheCounters[this.getCacheNamespace(cacheKey)];
+      const hit = await this.cache.lookup<T>(cacheKey);
+      if (hit) {
+        if (hit.stale) {
+          counters.staleHits++;
+          this.revalidate(cacheKey, fetcher);
+        } else {
+          counters.hits++;
+        }
+        return hit.data;
+      }
+      counters.misses++;
+    }
+
+    return this.dedupe(cacheKey, fetcher);
+  }
+
+  private static emptyCounters(): Record<CacheNamespace | 'other', NamespaceCounters> {
+    const namespaces: Array<CacheNamespace | 'other'> = ['items', 'quests', 'arcs', 'maps', 'traders', 'other'];
+    const counters = {} as Record<CacheNamespace | 'other', NamespaceCounters>;
+    namespaces.forEach(namespace => {
+      counters[namespace] = { hits: 0, staleHits: 0, misses: 0 };
+    });
+    return counters;
+  }
+
+  private getCacheNamespace(cacheKey: string): CacheNamespace | 'other' {
+    for (const [namespace, prefix] of Object.entries(CACHE_NAMESPACE_PREFIXES)) {
+      if (cacheKey.startsWith(prefix)) {
+        return namespace as CacheNamespace;
+      }
+    }
+    return 'other';
+  }
+
+  /**
+   * TTL for a cache key's namespace, or undefined to use the cache default
+   */
+  private getCacheTTL(cacheKey: string): number | undefined {
+    const namespace = this.getCacheNamespace(cacheKey);
+    return namespace === 'other' ? undefined : this.cacheTTLs[namespace];
+  }
+
+  private revalidate<T>(cacheKey: string, fetcher: () => Promise<T>): void {
+    // Concurrent stale hits join the same refresh through the in-flight map
+    if (this.inFlight.has(cacheKey)) {
+      return;
+    }
+
+    this.dedupe(cacheKey, fetcher).then(
+      data => this.emitRevalidate({ cacheKey, data }),
+      error => this.emitRevalidate({ cacheKey, error })
+    );
+  }
+
+  private emitRevalidate(event: RevalidateEvent): void {
+    for (const listener of this.revalidateListeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn('Revalidate listener threw:', error);
+      }
+    }
+  }
+
+  /**
+   * Listen for background refreshes triggered by stale-while-revalidate
+   * @returns A function that removes the listener
+   */
+  onRevalidate(listener: RevalidateListener): () => void {
+    this.revalidateListeners.push(listener);
+    return () => {
+      const index = this.revalidateListeners.indexOf(listener);
+      if (index !== -1) {
+        this.revalidateListeners.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Whether the client serves from an offline dataset instead of the API
+   */
+  isOffline(): boolean {
+    return this.dataset !== undefined;
+  }
+
+  /**
+   * Where the offline dataset came from and how old it is, or null when online
+   */
+  getDatasetInfo(): DatasetInfo | null {
+    return this.dataset ? getDatasetInfo(this.dataset, this.datasetSource || 'memory') : null;
+  }
+
+  private findInDataset<T extends { id: string }>(list: T[], id: string, kind: string): T {
+    const found = list.find(entity => entity.id === id);
+    if (!found) {
+      throw new NotFoundError(`${kind} "${id}" is not in the offline dataset`);
+    }
+    return found;
+  }
+
+  /**
+   * The dataset's maps, reclassified from each point's raw record with this client's
+   * rules. Maps saved without raw records are served as they were written.
+   */
+  private getDatasetMaps(dataset: DataSnapshot): MapData[] {
+    if (!this.datasetMaps) {
+      this.datasetMaps = dataset.maps.map(map => {
+        const records = [...(map.waypoints || []), ...(map.pois || [])].map(point => point.raw);
+        if (records.length === 0 || !records.every((record): record is MapDataRecord => record !== undefined)) {
+          return map;
+        }
+        return { ...map, ...this.buildMapData(map.id, records), name: map.name };
+      });
+    }
+    return this.datasetMaps;
+  }
+
+  /**
+   * Check a payload against its declared schema when validation is enabled
+   */
+  private validate<T>(data: unknown, node: SchemaNode, source: string): T {
+    return this.validation ? checkSchema<T>(data, node, source, this.validation) : data as T;
+  }
+
+  /**
+   * GET a single resource, revalidating an expired cache entry with a conditional
+   * request. A 304 just restarts the entry's TTL instead of downloading again.
+   */
+  private async fetchConditional<R, T>(
+    cacheKey: string,
+    endpoint: string,
+    config: Omit<RequestConfig, 'method' | 'body' | 'validators'>,
+    transform: (data: R) => T
+  ): Promise<T> {
+    const stale = this.cacheEnabled ? await this.cache.peek<T>(cacheKey) : null;
+    const response = await this.client.get<R>(endpoint, {
+      ...config,
+      validators: stale?.validators?.[0],
+    });
+
+    if (response.status === 304 && stale) {
+      await this.cache.touch(cacheKey);
+      return stale.data;
+    }
+
+    const data = transform(response.data);
+    if (this.cacheEnabled) {
+      const validators = getCacheValidators(response.headers);
+      await this.cache.set(cacheKey, data, this.getCacheTTL(cacheKey), validators ? [validators] : undefined);
+    }
+
+    return data;
+  }
+
+  /**
+   * Fetch every page of a paginated endpoint. Each page is revalidated with its own
+   * ETag/Last-Modified; pages answered with 304 are taken from the expired entry.
+   */
+  private async fetchAllPages<T>(
+    endpoint: string,
+    cacheKey: string,
+    recordSchema: SchemaNode,
+    filter?: Omit<ArcRaidersFilter, 'page' | 'pageSize'>
+  ): Promise<T[]> {
+    const pageSize = 50;
+    const stale = this.cacheEnabled ? await this.cache.peek<T[]>(cacheKey) : null;
+    const staleValidators = stale?.validators || [];
+
+    const allResults: T[] = [];
+    const validators: CacheValidators[] = [];
+    let notModifiedPages = 0;
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      const params = this.buildQueryParams({ ...filter, page, pageSize });
+      const pageValidators = stale ? staleValidators[page - 1] : undefined;
+      const response = await this.client.get<ArcRaidersApiResponse<T[]>>(endpoint, {
+        params,
+        validators: pageValidators,
+      });
+
+      if (response.status === 304 && stale && pageValidators) {
+        allResults.push(...stale.data.slice((page - 1) * pageSize, page * pageSize));
+        validators.push(pageValidators);
+        notModifiedPages++;
+        hasMore = page < staleValidators.length;
+      } else {
+        const body = this.validate<ArcRaidersApiResponse<T[]>>(
+          response.data,
+          paginatedSchema(recordSchema),
+          `${endpoint} (page ${page})`
+        );
+        if (!body || !Array.isArray(body.data)) {
+          throw new SchemaError(
+            `Expected a paginated list from ${endpoint} (page ${page})`,
+            'data',
+            response.data,
+            response.status
+          );
+        }
+        allResults.push(...body.data);
+        validators.push(getCacheValidators(response.headers) || {});
+        hasMore = body.pagination?.hasNextPage || false;
+      }
+      page++;
+    }
+
+    if (this.cacheEnabled) {
+      if (stale && notModifiedPages === validators.length && notModifiedPages === staleValidators.length) {
+        await this.cache.touch(cacheKey);
+        return stale.data;
+      }
+      const hasValidators = validators.some(v => v.etag || v.lastModified);
+      await this.cache.set(cacheKey, allResults, this.getCacheTTL(cacheKey), hasValidators ? validators : undefined);
+    }
+
+    return allResults;
+  }
+
+  async clearCache(): Promise<void> {
+    await this.cache.clear();
+  }
+
+  /**
+   * Drop cached entries for one namespace (e.g. 'items') or any endpoint prefix
+   * (e.g. '/items/'), leaving everything else, such as map data, in place
+   * @returns Number of removed entries
+   */
+  async invalidateCache(target: CacheNamespace | string): Promise<number> {
+    const prefix = CACHE_NAMESPACE_PREFIXES[target as CacheNamespace] || target;
+    return this.cache.deleteByPrefix(prefix);
+  }
+
+  /**
+   * Hit/miss counters since the client was created (or since resetCacheStats),
+   * plus current cache size, overall and per namespace
+   */
+  async getCacheStats(): Promise<CacheStats> {
+    const sizeStats = await this.cache.getStats();
+    const keys = await this.cache.keys();
+
+    const namespaces = {} as CacheStats['namespaces'];
+    const totals: NamespaceCounters = { hits: 0, staleHits: 0, misses: 0 };
+    for (const [namespace, counters] of Object.entries(this.cacheCounters)) {
+      namespaces[namespace as CacheNamespace | 'other'] = { ...counters, entries: 0 };
+      totals.hits += counters.hits;
+      totals.staleHits += counters.staleHits;
+      totals.misses += counters.misses;
+    }
+    keys.forEach(key => {
+      namespaces[this.getCacheNamespace(key)].entries++;
+    });
+
+    const lookups = totals.hits + totals.staleHits + totals.misses;
+    return {
+      ...totals,
+      hitRate: lookups > 0 ? (totals.hits + totals.staleHits) / lookups : 0,
+      entries: sizeStats.entries,
+      ...(sizeStats.bytes !== undefined && { bytes: sizeStats.bytes }),
+      evictions: sizeStats.evictions,
+      namespaces,
+    };
+  }
+
+  resetCacheStats(): void {
+    this.cacheCounters = ArcRaidersClient.emptyCounters();
   }
 
   protected buildQueryParams(filter?: ArcRaidersFilter): Record<string, string | number> {
@@ -127,89 +571,46 @@ export class ArcRaidersClient {
   }
 
   async getItems(filter?: Omit<ArcRaidersFilter, 'page' | 'pageSize'>): Promise<ArcRaidersItem[]> {
-    const cacheKey = this.getCacheKey('/items', filter);
-    
-    if (this.cacheEnabled) {
-      const cached = this.cache.get<ArcRaidersItem[]>(cacheKey);
-      if (cached) {
-        return cached;
-      }
+    if (this.dataset) {
+      return filterDataset(this.dataset.items, filter);
     }
 
-    const allItems: ArcRaidersItem[] = [];
-    let page = 1;
-    let hasMore = true;
-
-    while (hasMore) {
-      const params = this.buildQueryParams({ ...filter, page, pageSize: 50 });
-      const response = await this.client.get<ArcRaidersApiResponse<ArcRaidersItem[]>>(
-        '/items',
-        { params }
-      );
-      
-      allItems.push(...response.data.data);
-      hasMore = response.data.pagination?.hasNextPage || false;
-      page++;
-    }
-
-    if (this.cacheEnabled) {
-      this.cache.set(cacheKey, allItems);
-    }
+    const cacheKey = this.getCacheKey('/items', filter);
 
-    return allItems;
+    return this.withCache<ArcRaidersItem[]>(cacheKey, () =>
+      this.fetchAllPages<ArcRaidersItem>('/items', cacheKey, itemSchema, filter)
+    );
   }
 
   async getItemById(id: string): Promise<ArcRaidersItem> {
-    const cacheKey = this.getCacheKey(`/items/${id}`);
-    
-    if (this.cacheEnabled) {
-      const cached = this.cache.get<ArcRaidersItem>(cacheKey);
-      if (cached) {
-        return cached;
-      }
+    if (this.dataset) {
+      return this.findInDataset(
+        [...this.dataset.items, ...this.dataset.weapons, ...this.dataset.armor],
+        id,
+        'Item'
+      );
     }
 
-    const response = await this.client.get<ArcRaidersItem>(`/items/${id}`);
-    
-    if (this.cacheEnabled) {
-      this.cache.set(cacheKey, response.data);
-    }
+    const cacheKey = this.getCacheKey(`/items/${id}`);
 
-    return response.data;
+    return this.withCache<ArcRaidersItem>(cacheKey, () =>
+      this.fetchConditional<unknown, ArcRaidersItem>(cacheKey, `/items/${id}`, {}, data =>
+        this.validate<ArcRaidersItem>(data, itemSchema, `/items/${id}`)
+      )
+    );
   }
 
   async getWeapons(filter?: Omit<ArcRaidersFilter, 'page' | 'pageSize'>): Promise<Weapon[]> {
-    const filterWithType = { ...filter, type: 'weapon' as const };
-    const cacheKey = this.getCacheKey('/items', { ...filterWithType, type: 'weapon' });
-    
-    if (this.cacheEnabled) {
-      const cached = this.cache.get<Weapon[]>(cacheKey);
-      if (cached) {
-        return cached;
-      }
-    }
-
-    const allWeapons: Weapon[] = [];
-    let page = 1;
-    let hasMore = true;
-
-    while (hasMore) {
-      const params = this.buildQueryParams({ ...filterWithType, page, pageSize: 50 });
-      const response = await this.client.get<ArcRaidersApiResponse<Weapon[]>>(
-        '/items',
-        { params }
-      );
-      
-      allWeapons.push(...response.data.data);
-      hasMore = response.data.pagination?.hasNextPage || false;
-      page++;
+    if (this.dataset) {
+      return filterDataset(this.dataset.weapons, filter);
     }
 
-    if (this.cacheEnabled) {
-      this.cache.set(cacheKey, allWeapons);
-    }
+    const filterWithType = { ...filter, type: 'weapon' as const };
+    const cacheKey = this.getCacheKey('/items', { ...filterWithType, type: 'weapon' });
 
-    return allWeapons;
+    return this.withCache<Weapon[]>(cacheKey, () =>
+      this.fetchAllPages<Weapon>('/items', cacheKey, weaponSchema, filterWithType)
+    );
   }
 
   async getWeaponById(id: string): Promise<Weapon> {
@@ -218,37 +619,16 @@ export class ArcRaidersClient {
   }
 
   async getArmor(filter?: Omit<ArcRaidersFilter, 'page' | 'pageSize'>): Promise<Armor[]> {
-    const filterWithType = { ...filter, type: 'armor' as const };
-    const cacheKey = this.getCacheKey('/items', { ...filterWithType, type: 'armor' });
-    
-    if (this.cacheEnabled) {
-      const cached = this.cache.get<Armor[]>(cacheKey);
-      if (cached) {
-        return cached;
-      }
-    }
-
-    const allArmor: Armor[] = [];
-    let page = 1;
-    let hasMore = true;
-
-    while (hasMore) {
-      const params = this.buildQueryParams({ ...filterWithType, page, pageSize: 50 });
-      const response = await this.client.get<ArcRaidersApiResponse<Armor[]>>(
-        '/items',
-        { params }
-      );
-      
-      allArmor.push(...response.data.data);
-      hasMore = response.data.pagination?.hasNextPage || false;
-      page++;
+    if (this.dataset) {
+      return filterDataset(this.dataset.armor, filter);
     }
 
-    if (this.cacheEnabled) {
-      this.cache.set(cacheKey, allArmor);
-    }
+    const filterWithType = { ...filter, type: 'armor' as const };
+    const cacheKey = this.getCacheKey('/items', { ...filterWithType, type: 'armor' });
 
-    return allArmor;
+    return this.withCache<Armor[]>(cacheKey, () =>
+      this.fetchAllPages<Armor>('/items', cacheKey, armorSchema, filterWithType)
+    );
   }
 
   async getArmorById(id: string): Promise<Armor> {
@@ -257,235 +637,122 @@ export class ArcRaidersClient {
   }
 
   async getQuests(filter?: Omit<ArcRaidersFilter, 'page' | 'pageSize'>): Promise<Quest[]> {
-    const cacheKey = this.getCacheKey('/quests', filter);
-    
-    if (this.cacheEnabled) {
-      const cached = this.cache.get<Quest[]>(cacheKey);
-      if (cached) {
-        return cached;
-      }
+    if (this.dataset) {
+      return filterDataset(this.dataset.quests, filter);
     }
 
-    const allQuests: Quest[] = [];
-    let page = 1;
-    let hasMore = true;
+    const cacheKey = this.getCacheKey('/quests', filter);
 
-    while (hasMore) {
-      const params = this.buildQueryParams({ ...filter, page, pageSize: 50 });
-      const response = await this.client.get<ArcRaidersApiResponse<Quest[]>>(
-        '/quests',
-        { params }
-      );
-      
-      allQuests.push(...response.data.data);
-      hasMore = response.data.pagination?.hasNextPage || false;
-      page++;
-    }
+    return this.withCache<Quest[]>(cacheKey, () =>
+      this.fetchAllPages<Quest>('/quests', cacheKey, questSchema, filter)
+    );
+  }
 
-    if (this.cacheEnabled) {
-      this.cache.set(cacheKey, allQuests);
+  async getQuestById(id: string): Promise<Quest> {
+    if (this.dataset) {
+      return this.findInDataset(this.dataset.quests, id, 'Quest');
     }
 
-    return allQuests;
-  }
+    const cacheKey = this.getCacheKey(`/quests/${id}`);
 
-  async getQuestById(id: string): Promise<Quest> {
-    const response = await this.client.get<Quest>(`/quests/${id}`);
-    return response.data;
+    return this.dedupe(cacheKey, async () => {
+      const response = await this.client.get<Quest>(`/quests/${id}`);
+      return this.validate<Quest>(response.data, questSchema, `/quests/${id}`);
+    });
   }
 
   async getARCs(filter?: Omit<ArcRaidersFilter, 'page' | 'pageSize'>): Promise<ArcMission[]> {
-    const cacheKey = this.getCacheKey('/arcs', filter);
-    
-    if (this.cacheEnabled) {
-      const cached = this.cache.get<ArcMission[]>(cacheKey);
-      if (cached) {
-        // Cache hit - no API call needed
-        return cached;
-      }
+    if (this.dataset) {
+      return filterDataset(this.dataset.arcs, filter);
     }
-    
-    // Cache miss - API call required
 
-    const allARCs: ArcMission[] = [];
-    let page = 1;
-    let hasMore = true;
+    const cacheKey = this.getCacheKey('/arcs', filter);
 
-    while (hasMore) {
-      const params = this.buildQueryParams({ ...filter, page, pageSize: 50 });
-      const response = await this.client.get<ArcRaidersApiResponse<ArcMission[]>>(
-        '/arcs',
-        { params }
-      );
-      
-      allARCs.push(...response.data.data);
-      hasMore = response.data.pagination?.hasNextPage || false;
-      page++;
-    }
+    return this.withCache<ArcMission[]>(cacheKey, () =>
+      this.fetchAllPages<ArcMission>('/arcs', cacheKey, arcSchema, filter)
+    );
+  }
 
-    if (this.cacheEnabled) {
-      this.cache.set(cacheKey, allARCs);
+  async getARCById(id: string): Promise<ArcMission> {
+    if (this.dataset) {
+      return this.findInDataset(this.dataset.arcs, id, 'ARC');
     }
 
-    return allARCs;
-  }
+    const cacheKey = this.getCacheKey(`/arcs/${id}`);
 
-  async getARCById(id: string): Promise<ArcMission> {
-    const response = await this.client.get<ArcMission>(`/arcs/${id}`);
-    return response.data;
+    return this.dedupe(cacheKey, async () => {
+      const response = await this.client.get<ArcMission>(`/arcs/${id}`);
+      return this.validate<ArcMission>(response.data, arcSchema, `/arcs/${id}`);
+    });
   }
 
   async getMapData(mapName: string): Promise<MapData> {
-    const normalizedMapName = mapName.toLowerCase().replace(/\s+/g, '-');
-    const cacheKey = this.getCacheKey('/game-map-data', { tableID: 'arc_map_data', mapID: normalizedMapName });
-    
-    // Check cache first
-    if (this.cacheEnabled) {
-      const cached = this.cache.get<MapData>(cacheKey);
-      if (cached) {
-        return cached;
-      }
+    // Accepts IDs, display names and aliases ("the dam" -> dam)
+    const normalizedMapName = this.mapRegistry.resolveId(mapName);
+    if (this.dataset) {
+      return this.findInDataset(this.getDatasetMaps(this.dataset), normalizedMapName, 'Map');
     }
-    
-    const mapClient = createApiClient({
-      baseURL: 'https://metaforge.app/api',
-      defaultHeaders: {
-        'Content-Type': 'application/json',
-      },
-      timeout: this.client['defaultTimeout'] || this.defaultTimeout,
+
+    const cacheKey = this.getCacheKey('/game-map-data', {
+      tableID: 'arc_map_data',
+      mapID: normalizedMapName,
+      rules: this.rulesFingerprint,
+      format: MAP_DATA_FORMAT,
     });
-    
+
+    // Map data lives outside the arc-raiders base path; requesting it through the shared
+    // client keeps it under the same retry, rate limit and concurrency settings
     // API requires both tableID and mapID parameters
     // Response format: { allData: Array<{lat, lng, category, subcategory, ...}> }
-    const response = await mapClient.get<{ allData: Array<{
-      id: string;
-      lat: number;
-      lng: number;
-      zlayers?: number;
-      mapID: string;
-      category: string;
-      subcategory: string;
-      instanceName?: string | null;
-    }> }>('/game-map-data', {
-      params: { 
-        tableID: 'arc_map_data',
-        mapID: normalizedMapName 
-      },
-    });
-    
-    // Transform API response to MapData format
-    const apiData = response.data.allData || [];
-    
-    // Map categories to POI types
-    const categoryToPOIType: Record<string, 'cache' | 'spawn' | 'extraction' | 'objective' | 'vendor' | 'other'> = {
-      'containers': 'cache',
-      'spawn': 'spawn',
-      'extraction': 'extraction',
-      'objective': 'objective',
-      'vendor': 'vendor',
-    };
-    
-    // Convert API data to POIs and waypoints
+    return this.withCache<MapData>(cacheKey, () =>
+      this.fetchConditional<unknown, MapData>(
+        cacheKey,
+        this.mapDataURL,
+        {
+          params: { 
+            tableID: 'arc_map_data',
+            mapID: normalizedMapName 
+          },
+        },
+        raw => {
+          const response = this.validate<{ allData: MapDataRecord[] }>(raw, mapDataResponseSchema, `/game-map-data (${normalizedMapName})`);
+          if (!response || !Array.isArray(response.allData)) {
+            throw new SchemaError(`Expected an allData array for map "${normalizedMapName}"`, 'allData', response);
+          }
+          return this.buildMapData(normalizedMapName, response.allData);
+        }
+      )
+    );
+  }
+
+  /**
+   * Transform raw game-map-data records into MapData (POIs, spawns and extractions).
+   * Each record is typed by the first matching classification rule, and the rule's
+   * id is kept on the point so surprising classifications can be traced. The raw
+   * record stays on each point as `raw`.
+   */
+  private buildMapData(normalizedMapName: string, apiData: MapDataRecord[]): MapData {
     const pois: PointOfInterest[] = [];
     const waypoints: Waypoint[] = [];
-    
+  
     apiData.forEach(item => {
-      let poiType = categoryToPOIType[item.category] || 'other';
+      const { type, rule } = classifyMapRecord(item, this.classificationRules);
+      const name = item.instanceName || item.subcategory || item.category;
+      const layer = toLayer(item.zlayers); // 2147483647 means "every floor"
       const coords: Coordinates = {
         x: item.lng, // API uses lng for x
         y: item.lat, // API uses lat for y
-        z: item.zlayers !== undefined && item.zlayers !== 2147483647 ? item.zlayers : undefined,
+        z: layer,
       };
-      
-      // Check if this is a player spawn (can be in instanceName or subcategory)
-      const instanceName = (item.instanceName || '').toLowerCase();
-      const subcategory = (item.subcategory || '').toLowerCase();
-      const isPlayerSpawn = instanceName.includes('spawn') || 
-                           subcategory.includes('spawn') ||
-                           item.category === 'spawn';
-      
-      // Check if this is an extraction point or hatch (can be in instanceName, subcategory, or category)
-      const isExtraction = instanceName.includes('extraction') ||
-                          instanceName.includes('extract') ||
-                          instanceName.includes('exfil') ||
-                          instanceName.includes('hatch') ||
-                          instanceName.includes('departure') ||
-                          instanceName.includes('evac') ||
-                          instanceName.includes('evacuation') ||
-                          subcategory.includes('extraction') ||
-                          subcategory.includes('extract') ||
-                          subcategory.includes('exfil') ||
-                          subcategory.includes('hatch') ||
-                          subcategory.includes('departure') ||
-                          subcategory.includes('evac') ||
-                          item.category === 'extraction' ||
-                          item.category === 'hatch' ||
-                          item.category === 'departure' ||
-                          item.category?.toLowerCase().includes('extraction') ||
-                          item.category?.toLowerCase().includes('hatch') ||
-                          item.category?.toLowerCase().includes('departure');
-      
-      if (isPlayerSpawn) {
-        poiType = 'spawn';
-      } else if (isExtraction) {
-        poiType = 'extraction';
-      }
-      
-      if (poiType === 'spawn' || poiType === 'extraction') {
-        waypoints.push({
-          id: item.id,
-          name: item.instanceName || item.subcategory || item.category,
-          coordinates: coords,
-          type: poiType,
-        });
-      } else {
-        pois.push({
-          id: item.id,
-          name: item.instanceName || item.subcategory || item.category,
-          type: poiType,
-          coordinates: coords,
-        });
-      }
-    });
-    
-    // Scan POIs for extraction points and hatches that weren't caught in initial categorization
-    // These might be stored as type 'other' with hatch/extraction in the name
-    const extractionPOIs: Waypoint[] = [];
-    const remainingPOIs: PointOfInterest[] = [];
+      const raw = { ...item };
     
-    pois.forEach(poi => {
-      const poiName = (poi.name || '').toLowerCase();
-      const isHatchOrExtraction = poiName.includes('hatch') ||
-                                  poiName.includes('extraction') ||
-                                  poiName.includes('extract') ||
-                                  poiName.includes('exfil') ||
-                                  poiName.includes('departure') ||
-                                  poiName.includes('evac') ||
-                                  poiName.includes('evacuation') ||
-                                  poiName.includes('exit') ||
-                                  poiName.includes('escape') ||
-                                  poiName.includes('helipad') ||
-                                  poiName.includes('landing') ||
-                                  poiName.includes('pickup');
-      
-      if (isHatchOrExtraction && poi.coordinates) {
-        // Convert to extraction waypoint
-        extractionPOIs.push({
-          id: poi.id,
-          name: poi.name || 'extraction',
-          coordinates: poi.coordinates,
-          type: 'extraction',
-        });
+      if (type === 'spawn' || type === 'extraction') {
+        waypoints.push({ id: item.id, name, coordinates: coords, type, rule, layer, raw });
       } else {
-        remainingPOIs.push(poi);
+        pois.push({ id: item.id, name, type, coordinates: coords, rule, layer, raw });
       }
     });
-    
-    // Add extraction POIs to waypoints
-    if (extractionPOIs.length > 0) {
-      waypoints.push(...extractionPOIs);
-    }
-    
+  
     // Name spawn points based on nearby landmarks
     const namedWaypoints = waypoints.map(wp => {
       if (wp.type === 'spawn' && wp.coordinates) {
@@ -493,21 +760,21 @@ export class ArcRaidersClient {
         const spawnCoords = wp.coordinates;
         let nearestLandmark: { name: string; distance: number } | null = null;
         const searchRadius = 200; // Search within 200 units for nearby landmarks
-        
+      
         // Search in POIs for nearby landmarks
         // Import calculateDistance logic inline (Euclidean distance in 2D)
-        for (const poi of remainingPOIs) {
+        for (const poi of pois) {
           if (poi.coordinates && poi.name && poi.type !== 'cache') {
             const dx = poi.coordinates.x - spawnCoords.x;
             const dy = poi.coordinates.y - spawnCoords.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
-            
+          
             if (distance <= searchRadius && (!nearestLandmark || distance < nearestLandmark.distance)) {
               nearestLandmark = { name: poi.name, distance };
             }
           }
         }
-        
+      
         // If we found a nearby landmark, use it to name the spawn
         if (nearestLandmark && nearestLandmark.distance < 150) {
           const baseName = wp.name || 'player_spawn';
@@ -519,67 +786,206 @@ export class ArcRaidersClient {
       }
       return wp;
     });
-    
+  
     const mapData: MapData = {
       id: normalizedMapName,
-      name: normalizedMapName,
+      name: this.mapRegistry.resolve(normalizedMapName)?.name || normalizedMapName,
       waypoints: namedWaypoints,
-      pois: remainingPOIs,
+      pois,
+      layers: buildMapLayers([...namedWaypoints, ...pois]),
     };
     
-    // Cache the result
-    if (this.cacheEnabled) {
-      this.cache.set(cacheKey, mapData);
-    }
-    
     return mapData;
   }
 
-  async getMaps(): Promise<MapData[]> {
-    const mapNames = ['dam', 'spaceport', 'buried-city', 'blue-gate'];
-    const mapData = await Promise.all(
-      mapNames.map(map => this.getMapData(map).catch(() => null))
+  /**
+   * The classification rule table getMapData uses, in match order
+   */
+  getClassificationRules(): ClassificationRule[] {
+    return [...this.classificationRules];
+  }
+
+  /**
+   * The map registry: known maps plus any discovered so far. Call discoverMaps()
+   * first to include maps added after this release.
+   */
+  getMapRegistry(): MapRegistry {
+    return this.mapRegistry;
+  }
+
+  /**
+   * Discover available maps from the offline dataset, or from the API when the client
+   * was created with discoverMaps, and merge them into the registry. API discovery runs
+   * once per client; when it fails the known maps are used.
+   */
+  async discoverMaps(): Promise<MapInfo[]> {
+    if (this.dataset) {
+      const ids = new Set(this.dataset.maps.map(map => this.mapRegistry.register({ id: map.id }, 'dataset').id));
+      return this.mapRegistry.list().filter(map => ids.has(map.id));
+    }
+
+    if (this.discoverMapsEnabled) {
+      if (!this.mapDiscovery) {
+        this.mapDiscovery = this.fetchMapIds().then(
+          ids => ids.forEach(id => this.mapRegistry.register({ id }, 'api')),
+          error => console.warn('Map discovery failed, using the known maps:', error)
+        );
+      }
+      await this.mapDiscovery;
+    }
+
+    return this.mapRegistry.list();
+  }
+
+  /**
+   * Distinct map IDs found in the unfiltered game-map-data table. There is no endpoint
+   * that only lists maps, so this downloads every map's points: opt-in only.
+   */
+  private async fetchMapIds(): Promise<string[]> {
+    const cacheKey = this.getCacheKey('/game-map-data', { tableID: 'arc_map_data' });
+
+    return this.withCache<string[]>(cacheKey, () =>
+      this.fetchConditional<unknown, string[]>(
+        cacheKey,
+        this.mapDataURL,
+        { params: { tableID: 'arc_map_data' } },
+        raw => {
+          const records = (raw as { allData?: Array<{ mapID?: unknown }> } | null)?.allData;
+          if (!Array.isArray(records)) {
+            throw new SchemaError('Expected an allData array when listing maps', 'allData', raw);
+          }
+          const ids = records
+            .map(record => record.mapID)
+            .filter((id): id is string => typeof id === 'string' && id.length > 0);
+          return Array.from(new Set(ids));
+        }
+      )
     );
-    return mapData.filter((map): map is MapData => map !== null);
   }
 
-  async getTraders(): Promise<Record<string, TraderItem[]>> {
-    const cacheKey = this.getCacheKey('/traders');
-    
-    if (this.cacheEnabled) {
-      const cached = this.cache.get<Record<string, TraderItem[]>>(cacheKey);
-      if (cached) {
-        return cached;
+  async getMaps(): Promise<MapData[]> {
+    if (this.dataset) {
+      return this.getDatasetMaps(this.dataset);
+    }
+
+    const mapNames = (await this.discoverMaps()).map(map => map.id);
+    const results = await Promise.allSettled(mapNames.map(map => this.getMapData(map)));
+
+    // Maps the API doesn't know are skipped; any other failure is surfaced
+    const maps: MapData[] = [];
+    for (const result of results) {
+      if (result.status === 'fulfilled') {
+        maps.push(result.value);
+      } else if (!(result.reason instanceof NotFoundError)) {
+        throw result.reason;
       }
     }
+    return maps;
+  }
 
-    const response = await this.client.get<{ success: boolean; data: Record<string, TraderItem[]> }>('/traders');
-    const data = response.data.data || {};
-    
-    if (this.cacheEnabled) {
-      this.cache.set(cacheKey, data);
+  async getTraders(): Promise<Record<string, TraderItem[]>> {
+    if (this.dataset) {
+      return this.dataset.traders;
     }
 
-    return data;
+    const cacheKey = this.getCacheKey('/traders');
+
+    return this.withCache<Record<string, TraderItem[]>>(cacheKey, () =>
+      this.fetchConditional<unknown, Record<string, TraderItem[]>>(
+        cacheKey,
+        '/traders',
+        {},
+        raw => {
+          const response = this.validate<{ success: boolean; data: Record<string, TraderItem[]> }>(raw, tradersResponseSchema, '/traders');
+          const valid = typeof response === 'object' && response !== null &&
+            (response.data === undefined || typeof response.data === 'object');
+          if (!valid) {
+            throw new SchemaError('Expected a trader inventory object from /traders', 'data', response);
+          }
+          return response.data || {};
+        }
+      )
+    );
   }
 
+  /**
+   * Trader inventories as Trader objects, sorted by name
+   */
+  async getTraderList(): Promise<Trader[]> {
+    return normalizeTraders(await this.getTraders());
+  }
+
+  /**
+   * Look up a trader by ID or name ("celeste", "Celeste"). There is no per-trader
+   * endpoint, so this reads the (cached) /traders response.
+   */
   async getTraderById(id: string): Promise<Trader> {
-    const response = await this.client.get<Trader>(`/traders/${id}`);
-    return response.data;
-  }
-
-  async search(query: string, filter?: Omit<ArcRaidersFilter, 'page' | 'pageSize'>): Promise<{
-    items?: ArcRaidersItem[];
-    quests?: Quest[];
-    arcs?: ArcMission[];
-    traders?: Trader[];
-  }> {
-    const searchFilter = { ...filter, search: query };
-    const items = await this.getItems(searchFilter);
-    
-    return {
-      items,
-    };
+    const trader = (await this.getTraderEconomy()).getTrader(id);
+    if (!trader) {
+      throw new NotFoundError(`Trader "${id}" not found`);
+    }
+    return trader;
+  }
+
+  /**
+   * Price lookups across every trader: who sells an item cheapest, who pays the
+   * most for it, and prices per rarity tier
+   */
+  async getTraderEconomy(): Promise<TraderEconomy> {
+    return new TraderEconomy(await this.getTraders());
+  }
+
+  /**
+   * Build (or reuse) a search index over items, weapons, armor, quests, ARCs,
+   * trader inventories and map POIs. Collections that fail to load are left out.
+   */
+  async getSearchIndex(includeMaps = true): Promise<SearchIndex> {
+    const settled = await Promise.allSettled([
+      this.getItems(),
+      this.getWeapons(),
+      this.getArmor(),
+      this.getQuests(),
+      this.getARCs(),
+      this.getTraders(),
+      includeMaps ? this.getMaps() : Promise.resolve([]),
+    ]);
+
+    const failed = settled.filter((result): result is PromiseRejectedResult => result.status === 'rejected');
+    if (failed.length === settled.length) {
+      throw failed[0].reason;
+    }
+    failed.forEach(result => console.warn('Search index is missing a collection:', result.reason));
+
+    const sources = settled.map(result => (result.status === 'fulfilled' ? result.value : undefined));
+    // Cached collections come back as the same objects; only rebuild when one changed
+    if (this.searchIndex && this.searchIndex.sources.every((source, i) => source === sources[i])) {
+      return this.searchIndex.index;
+    }
+
+    const [items, weapons, armor, quests, arcs, traders, maps] = sources;
+    const index = new SearchIndex({
+      items, weapons, armor, quests, arcs, traders, maps,
+    } as SearchSource);
+    this.searchIndex = { sources, index };
+    return index;
+  }
+
+  /**
+   * Fuzzy, typo-tolerant search across every entity type, ranked by relevance
+   * @param query - Free text, e.g. "anvl" or "rusted gear"
+   * @param options - Result kinds, limit, and rarity/type/difficulty filters
+   */
+  async search(query: string, options: ClientSearchOptions = {}): Promise<SearchResponse> {
+    const { rarity, type, difficulty, includeMaps, limit = 20, ...searchOptions } = options;
+    const index = await this.getSearchIndex(includeMaps !== false);
+
+    let results = index.search(query, { ...searchOptions, limit: Infinity });
+    if (rarity !== undefined || type !== undefined || difficulty !== undefined) {
+      const allowed = new Set(filterDataset(results.map(result => result.entity), { rarity, type, difficulty }));
+      results = results.filter(result => allowed.has(result.entity));
+    }
+
+    return groupSearchResults(results.slice(0, limit));
   }
 
   async getAllItems(filter?: Omit<ArcRaidersFilter, 'page' | 'pageSize'>): Promise<ArcRaidersItem[]> {
@@ -602,9 +1008,54 @@ export class ArcRaidersClient {
     return this.getARCs(filter);
   }
 
+  /**
+   * Capture every collection (items, weapons, armor, quests, ARCs, traders, maps)
+   * so it can be compared against a later patch with diffSnapshots(). Cached responses
+   * are dropped first, so the snapshot holds what the API returns now.
+   * @param label - Optional tag stored with the snapshot, e.g. a patch number
+   */
+  async createSnapshot(label?: string): Promise<DataSnapshot> {
+    if (this.cacheEnabled) {
+      await Promise.all(Object.keys(CACHE_NAMESPACE_PREFIXES).map(namespace => this.invalidateCache(namespace)));
+    }
+
+    const [items, weapons, armor, quests, arcs, traders, maps] = await Promise.all([
+      this.getItems(),
+      this.getWeapons(),
+      this.getArmor(),
+      this.getQuests(),
+      this.getARCs(),
+      this.getTraders(),
+      this.getMaps(),
+    ]);
+
+    return {
+      version: SNAPSHOT_VERSION,
+      createdAt: new Date().toISOString(),
+      ...(label && { label }),
+      classificationRules: this.rulesFingerprint,
+      items,
+      weapons,
+      armor,
+      quests,
+      arcs,
+      traders,
+      maps,
+    };
+  }
+
+  /**
+   * Create a snapshot and write it to disk as JSON
+   */
+  async saveSnapshot(filePath: string, label?: string): Promise<DataSnapshot> {
+    const snapshot = await this.createSnapshot(label);
+    saveSnapshot(snapshot, filePath);
+    return snapshot;
+  }
+
   /**
    * Generate a loot run path for a specific map
-   * @param mapName - Name of the map (e.g., 'dam', 'spaceport', 'buried-city', 'blue-gate')
+   * @param mapName - Map ID, display name or alias (e.g. 'dam', 'the dam', 'Buried City')
    * @param options - Options for path generation
    * @returns A loot run path with optimized waypoints, or null if no path can be generated
    */
@@ -619,12 +1070,12 @@ export class ArcRaidersClient {
     try {
       arcs = await this.getARCs();
       // Filter ARCs that might be on this map (by location name matching)
+      const info = this.mapRegistry.resolve(mapData.id);
+      const mapNames = [mapData.id, mapData.name, ...(info?.aliases || [])].map(name => name.toLowerCase());
       arcs = arcs.filter(arc => {
         const arcLocation = arc.location?.toLowerCase() || '';
-        const mapNameLower = mapName.toLowerCase();
-        return arcLocation.includes(mapNameLower) || 
-               mapNameLower.includes(arcLocation) ||
-               arcLocation === ''; // Include ARCs with no location as they might be anywhere
+        return arcLocation === '' || // Include ARCs with no location as they might be anywhere
+               mapNames.some(name => arcLocation.includes(name) || name.includes(arcLocation));
       });
     } catch (error) {
       // If ARC fetching fails, continue without them
@@ -632,9 +1083,79 @@ export class ArcRaidersClient {
     }
     
     // Create enhanced options with ARCs
-    const enhancedOptions = { ...options };
+    const enhancedOptions = await this.withLootValues(options);
+
+    if (!options.navigation) {
+      enhancedOptions.navigation = this.getNavigationGrid(mapData.id);
+    }
+
+    let quests: Quest[] = [];
+    if (options.questIds && options.questIds.length > 0) {
+      try {
+        quests = await this.getActiveQuests(options.questIds);
+      } catch (error) {
+        console.warn('Could not fetch quests:', error);
+      }
+    }
     
-    return generateLootRun(mapData, enhancedOptions, arcs);
+    return generateLootRun(mapData, enhancedOptions, arcs, quests);
+  }
+
+  /**
+   * Navigation grid of a map with a `navigation` mesh in the registry, built once per map
+   * @param mapName - Map ID, display name or alias
+   * @returns The grid, or undefined when the map has no navigation mesh
+   */
+  getNavigationGrid(mapName: string): NavigationGrid | undefined {
+    const info = this.mapRegistry.resolve(mapName);
+    if (!info?.navigation) {
+      return undefined;
+    }
+    let grid = this.navigationGrids.get(info.id);
+    if (!grid) {
+      grid = typeof info.navigation === 'string'
+        ? loadNavigationMesh(info.navigation)
+        : new NavigationGrid(info.navigation);
+      this.navigationGrids.set(info.id, grid);
+    }
+    return grid;
+  }
+
+  /**
+   * The quests with the given IDs, warning about IDs that don't exist
+   */
+  private async getActiveQuests(questIds: string[]): Promise<Quest[]> {
+    const quests = (await this.getQuests()).filter(quest => questIds.includes(quest.id));
+    const missing = questIds.filter(id => !quests.some(quest => quest.id === id));
+    if (missing.length > 0) {
+      console.warn(`Unknown quest IDs ignored: ${missing.join(', ')}`);
+    }
+    return quests;
+  }
+
+  /**
+   * The options plus a loot value model when they need item prices: value optimization,
+   * minRarity and targetValue. Without one every cache counts the same.
+   */
+  private async withLootValues(options: LootRunOptions): Promise<LootRunOptions> {
+    const needsValues = options.optimizeFor === 'value-per-minute' || options.minRarity || options.targetValue !== undefined;
+    if (!needsValues || options.lootValues) {
+      return { ...options };
+    }
+    try {
+      return { ...options, lootValues: await this.createLootValueModel({ minRarity: options.minRarity }) };
+    } catch (error) {
+      console.warn('Could not load trader prices for loot values:', error);
+      return { ...options };
+    }
+  }
+
+  /**
+   * Item values from trader prices, for expected loot value per container and
+   * value-per-minute loot runs (LootRunOptions.lootValues)
+   */
+  async createLootValueModel(options: LootValueOptions = {}): Promise<LootValueModel> {
+    return new LootValueModel(buildItemValues(await this.getTraders()), options);
   }
 
   /**
@@ -645,10 +1166,15 @@ export class ArcRaidersClient {
   async generateLootRunsForAllMaps(
     options: LootRunOptions = {}
   ): Promise<LootRunPath[]> {
+    const questIds = options.questIds || [];
+    // One value model for every map
+    const enhancedOptions = await this.withLootValues(options);
     return generateLootRunsForAllMaps(
       () => this.getMaps(), 
-      options,
-      options.avoidDangerousAreas ? () => this.getARCs() : undefined
+      enhancedOptions,
+      options.avoidDangerousAreas ? () => this.getARCs() : undefined,
+      questIds.length > 0 ? () => this.getActiveQuests(questIds) : undefined,
+      options.navigation ? undefined : mapId => this.getNavigationGrid(mapId)
     );
   }
 
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ALL_LAYERS,
+  buildMapLayers,
+  getLayerName,
+  getPOIsByCategory,
+  getPOIsByLayer,
+  getPOIsBySubcategory,
+  getPOIsByType,
+  getPointsOnLayer,
+  isOnLayer,
+  toLayer,
+} from './map-data';
+import type { MapData, MapDataRecord, PointOfInterest } from './types';
+
+function poi(id: string, type: PointOfInterest['type'], layer: number | undefined, category?: string, subcategory?: string): PointOfInterest {
+  const raw: MapDataRecord | undefined = category
+    ? { id, lat: 0, lng: 0, mapID: 'dam', category, subcategory: subcategory || '', zlayers: layer ?? ALL_LAYERS }
+    : undefined;
+  return { id, name: id, type, coordinates: { x: 0, y: 0 }, ...(layer !== undefined && { layer }), ...(raw && { raw }) };
+}
+
+const map: MapData = {
+  id: 'dam',
+  name: 'Dam',
+  waypoints: [
+    { id: 'spawn', name: 'Spawn', type: 'spawn', coordinates: { x: 0, y: 0 }, layer: 0 },
+    { id: 'hatch', name: 'Hatch', type: 'extraction', coordinates: { x: 0, y: 0 }, layer: -1 },
+  ],
+  pois: [
+    poi('crate-1', 'cache', 0, 'containers', 'ammo_crate'),
+    poi('crate-2', 'cache', -1, 'containers', 'ammo_crate'),
+    poi('locker', 'cache', 1, 'containers', 'locker'),
+    poi('stairs', 'floor-connector', undefined, 'locations', 'stairs'),
+    poi('agave', 'resource', 0, 'nature', 'agave'),
+    poi('legacy', 'cache', undefined),
+  ],
+};
+
+const ids = (groups: Record<string, Array<{ id: string }>>) =>
+  Object.fromEntries(Object.entries(groups).map(([key, points]) => [key, points.map(point => point.id)]));
+
+describe('map layers', () => {
+  it('reads zlayers, treating ALL_LAYERS as every floor', () => {
+    assert.equal(toLayer(-1), -1);
+    assert.equal(toLayer(0), 0);
+    assert.equal(toLayer(ALL_LAYERS), undefined);
+    assert.equal(toLayer(undefined), undefined);
+    assert.equal(getLayerName(0), 'Ground level');
+    assert.equal(getLayerName(-2), 'Level -2');
+  });
+
+  it('lists the floors in use, lowest first, counting points per floor', () => {
+    assert.deepEqual(buildMapLayers([...map.waypoints!, ...map.pois!]), [
+      { level: -1, name: 'Level -1', pointCount: 2 },
+      { level: 0, name: 'Ground level', pointCount: 3 },
+      { level: 1, name: 'Level 1', pointCount: 1 },
+    ]);
+    assert.deepEqual(buildMapLayers(map.pois!.filter(point => point.layer === undefined)), []);
+  });
+
+  it('shows points without a layer on every floor', () => {
+    assert.equal(isOnLayer(map.pois![3], -1), true);
+    assert.equal(isOnLayer(map.pois![0], -1), false);
+    const basement = getPointsOnLayer(map, -1);
+    assert.deepEqual(basement.waypoints.map(wp => wp.id), ['hatch']);
+    assert.deepEqual(basement.pois.map(point => point.id), ['crate-2', 'stairs', 'legacy']);
+  });
+});
+
+describe('POI grouping', () => {
+  it('groups by layer with points on every floor under "all"', () => {
+    assert.deepEqual(ids(getPOIsByLayer(map)), {
+      '0': ['crate-1', 'agave'],
+      '-1': ['crate-2'],
+      '1': ['locker'],
+      all: ['stairs', 'legacy'],
+    });
+  });
+
+  it('groups by raw category, falling back to the type', () => {
+    assert.deepEqual(ids(getPOIsByCategory(map)), {
+      containers: ['crate-1', 'crate-2', 'locker'],
+      locations: ['stairs'],
+      nature: ['agave'],
+      cache: ['legacy'],
+    });
+  });
+
+  it('groups by subcategory, optionally within one category', () => {
+    assert.deepEqual(ids(getPOIsBySubcategory(map, 'Containers')), {
+      ammo_crate: ['crate-1', 'crate-2'],
+      locker: ['locker'],
+    });
+    assert.deepEqual(Object.keys(getPOIsBySubcategory(map)), ['ammo_crate', 'locker', 'stairs', 'agave', 'legacy']);
+  });
+
+  it('groups by classified type', () => {
+    assert.deepEqual(ids(getPOIsByType(map)), {
+      cache: ['crate-1', 'crate-2', 'locker', 'legacy'],
+      'floor-connector': ['stairs'],
+      resource: ['agave'],
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import type { MapData, MapLayer, PointOfInterest, Waypoint } from './types';
+
+/**
+ * zlayers value the API uses for points that aren't tied to one floor
+ */
+export const ALL_LAYERS = 2147483647;
+
+type MapPoint = Waypoint | PointOfInterest;
+
+/**
+ * Floor a raw zlayers value refers to; undefined for ALL_LAYERS or a missing value
+ */
+export function toLayer(zlayers: number | undefined): number | undefined {
+  return zlayers !== undefined && zlayers !== ALL_LAYERS ? zlayers : undefined;
+}
+
+export function getLayerName(level: number): string {
+  return level === 0 ? 'Ground level' : `Level ${level}`;
+}
+
+/**
+ * Distinct floors used by the given points, lowest first
+ */
+export function buildMapLayers(points: MapPoint[]): MapLayer[] {
+  const counts = new Map<number, number>();
+  for (const point of points) {
+    if (point.layer !== undefined) {
+      counts.set(point.layer, (counts.get(point.layer) || 0) + 1);
+    }
+  }
+  return Array.from(counts.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([level, pointCount]) => ({ level, name: getLayerName(level), pointCount }));
+}
+
+/**
+ * Whether a point shows on the given floor. Points without a layer are on every floor.
+ */
+export function isOnLayer(point: MapPoint, level: number): boolean {
+  return point.layer === undefined || point.layer === level;
+}
+
+function groupBy<T>(list: T[], keyOf: (entry: T) => string): Record<string, T[]> {
+  const groups: Record<string, T[]> = {};
+  for (const entry of list) {
+    const key = keyOf(entry);
+    if (!groups[key]) {
+      groups[key] = [];
+    }
+    groups[key].push(entry);
+  }
+  return groups;
+}
+
+/**
+ * POIs grouped by the API's category (e.g. "containers"). Maps loaded from datasets
+ * synced before raw fields were kept fall back to the POI type.
+ */
+export function getPOIsByCategory(mapData: MapData): Record<string, PointOfInterest[]> {
+  return groupBy(mapData.pois || [], poi => poi.raw?.category || poi.type);
+}
+
+/**
+ * POIs grouped by subcategory (container subtype, plant, ...), optionally within one category
+ */
+export function getPOIsBySubcategory(mapData: MapData, category?: string): Record<string, PointOfInterest[]> {
+  const pois = category
+    ? (mapData.pois || []).filter(poi => poi.raw?.category?.toLowerCase() === category.toLowerCase())
+    : mapData.pois || [];
+  return groupBy(pois, poi => poi.raw?.subcategory || poi.name);
+}
+
+/**
+ * POIs grouped by classified type ('cache', 'arc-nest', ...)
+ */
+export function getPOIsByType(mapData: MapData): Record<string, PointOfInterest[]> {
+  return groupBy(mapData.pois || [], poi => poi.type);
+}
+
+/**
+ * POIs grouped by floor level; points on every floor are listed under "all"
+ */
+export function getPOIsByLayer(mapData: MapData): Record<string, PointOfInterest[]> {
+  return groupBy(mapData.pois || [], poi => (poi.layer === undefined ? 'all' : String(poi.layer)));
+}
+
+/**
+ * Spawns, extractions and POIs visible on one floor, including points on every floor
+ */
+export function getPointsOnLayer(mapData: MapData, level: number): { waypoints: Waypoint[]; pois: PointOfInterest[] } {
+  return {
+    waypoints: (mapData.waypoints || []).filter(wp => isOnLayer(wp, level)),
+    pois: (mapData.pois || []).filter(poi => isOnLayer(poi, level)),
+  };
+}
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MapRegistry, computeMapBounds, normalizeMapName } from './maps';
+
+describe('MapRegistry', () => {
+  it('resolves IDs, display names and aliases in any case', () => {
+    const registry = new MapRegistry();
+    const names: Array<[string, string]> = [
+      ['dam', 'dam'],
+      ['DAM', 'dam'],
+      ['the dam', 'dam'],
+      ['Dam Battlegrounds', 'dam'],
+      ['battlegrounds', 'dam'],
+      ['  Space Port ', 'spaceport'],
+      ['Acerra Spaceport', 'spaceport'],
+      ['buried_city', 'buried-city'],
+      ['The Buried City', 'buried-city'],
+      ['bluegate', 'blue-gate'],
+      ['The Blue Gate', 'blue-gate'],
+    ];
+    for (const [name, id] of names) {
+      assert.equal(registry.resolve(name)?.id, id, name);
+    }
+  });
+
+  it('passes unknown names through normalized', () => {
+    const registry = new MapRegistry();
+    assert.equal(registry.resolve('Stella Montis'), undefined);
+    assert.equal(registry.has('Stella Montis'), false);
+    assert.equal(registry.resolveId('Stella Montis'), 'stella-montis');
+  });
+
+  it('merges registrations into known maps', () => {
+    const registry = new MapRegistry();
+    const info = registry.register({ id: 'Dam', aliases: ['The Reservoir', 'the dam'], image: { file: 'dam-hd.png', width: 4096 } });
+    assert.equal(info.name, 'Dam Battlegrounds');
+    assert.deepEqual(info.aliases, ['the dam', 'dam battlegrounds', 'battlegrounds', 'the reservoir']);
+    assert.deepEqual(info.image, { file: 'dam-hd.png', width: 4096 });
+    assert.equal(info.source, 'custom');
+    assert.equal(registry.resolveId('the reservoir'), 'dam');
+  });
+
+  it('keeps the source of known maps on discovery and names new ones from their ID', () => {
+    const registry = new MapRegistry();
+    assert.equal(registry.register({ id: 'spaceport' }, 'api').source, 'builtin');
+
+    const discovered = registry.register({ id: 'stella-montis' }, 'dataset');
+    assert.equal(discovered.name, 'Stella Montis');
+    assert.equal(discovered.source, 'dataset');
+    assert.deepEqual(discovered.image, { file: 'map-stella-montis.png' });
+    assert.ok(registry.ids().includes('stella-montis'));
+    assert.equal(registry.resolveId('Stella Montis'), 'stella-montis');
+  });
+
+  it('starts from the given definitions', () => {
+    const registry = new MapRegistry([{ id: 'test', aliases: ['Proving Grounds'] }]);
+    assert.deepEqual(registry.list().map(map => [map.id, map.name, map.source]), [['test', 'Test', 'builtin']]);
+    assert.equal(registry.resolveId('proving grounds'), 'test');
+    assert.equal(registry.resolve('dam'), undefined);
+  });
+});
+
+describe('map helpers', () => {
+  it('normalizes names like map IDs', () => {
+    assert.equal(normalizeMapName('  Buried_City '), 'buried-city');
+    assert.equal(normalizeMapName('The  Blue Gate'), 'the-blue-gate');
+  });
+
+  it('computes bounds over every point, or null with fewer than two', () => {
+    assert.deepEqual(computeMapBounds({
+      id: 'dam',
+      name: 'Dam',
+      waypoints: [{ id: 's', name: 'Spawn', type: 'spawn', coordinates: { x: -10, y: 5 } }],
+      pois: [
+        { id: 'a', name: 'A', type: 'cache', coordinates: { x: 40, y: -20 } },
+        { id: 'b', name: 'B', type: 'cache' },
+      ],
+    }), { minX: -10, maxX: 40, minY: -20, maxY: 5 });
+    assert.equal(computeMapBounds({ id: 'dam', name: 'Dam', waypoints: [], pois: [] }), null);
+  });
+});
@@ -0,0 +1,172 @@
+import type { Coordinates, MapData } from './types';
+import type { NavigationMeshDefinition } from '../pathfinding/navigation';
+
+export interface MapBounds {
+  minX: number;
+  maxX: number;
+  minY: number;
+  maxY: number;
+}
+
+export interface MapImage {
+  file: string; // Local file name the overlay generator looks for, e.g. map-dam.png
+  url?: string;
+  width?: number; // Pixels, when known
+  height?: number;
+}
+
+export interface MapInfo {
+  id: string; // ID used by the game-map-data endpoint
+  name: string; // Display name
+  aliases: string[]; // Other names users type, e.g. "the dam"
+  image?: MapImage;
+  bounds?: MapBounds; // Fallback coordinate bounds when the map data has too few points
+  navigation?: string | NavigationMeshDefinition; // Walkable areas (JSON file or inline) for obstacle-aware loot runs
+  source: 'builtin' | 'api' | 'dataset' | 'custom';
+}
+
+export type MapDefinition = Partial<Omit<MapInfo, 'id'>> & { id: string };
+
+const DEFAULT_BOUNDS: MapBounds = { minX: 0, maxX: 6000, minY: 0, maxY: 4500 };
+
+/**
+ * Maps known at release time. Discovery adds whatever else the API or a dataset has.
+ */
+export const KNOWN_MAPS: MapDefinition[] = [
+  {
+    id: 'dam',
+    name: 'Dam Battlegrounds',
+    aliases: ['the dam', 'dam battlegrounds', 'battlegrounds'],
+    bounds: DEFAULT_BOUNDS,
+  },
+  {
+    id: 'spaceport',
+    name: 'Spaceport',
+    aliases: ['the spaceport', 'space port', 'acerra spaceport'],
+    bounds: DEFAULT_BOUNDS,
+  },
+  {
+    id: 'buried-city',
+    name: 'Buried City',
+    aliases: ['the buried city', 'buried'],
+    bounds: DEFAULT_BOUNDS,
+  },
+  {
+    id: 'blue-gate',
+    name: 'The Blue Gate',
+    aliases: ['blue gate', 'bluegate'],
+    bounds: DEFAULT_BOUNDS,
+  },
+];
+
+/**
+ * Lower-case, trim and hyphenate a map name the way map IDs are written
+ */
+export function normalizeMapName(name: string): string {
+  return name.trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+function titleCase(id: string): string {
+  return id
+    .split('-')
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Coordinate bounds covering every spawn, extraction and POI of a map
+ */
+export function computeMapBounds(mapData: MapData): MapBounds | null {
+  const points: Coordinates[] = [
+    ...(mapData.waypoints || []).map(wp => wp.coordinates),
+    ...(mapData.pois || []).map(poi => poi.coordinates),
+  ].filter((c): c is Coordinates => !!c);
+
+  if (points.length < 2) {
+    return null;
+  }
+
+  const xs = points.map(c => c.x);
+  const ys = points.map(c => c.y);
+  return {
+    minX: Math.min(...xs),
+    maxX: Math.max(...xs),
+    minY: Math.min(...ys),
+    maxY: Math.max(...ys),
+  };
+}
+
+/**
+ * Known maps with display names, aliases, image metadata and bounds. Anything that
+ * takes a map name (getMapData, the CLI, the overlay generator) resolves it here.
+ */
+export class MapRegistry {
+  private readonly maps = new Map<string, MapInfo>();
+
+  constructor(definitions: MapDefinition[] = KNOWN_MAPS) {
+    definitions.forEach(definition => this.register(definition, 'builtin'));
+  }
+
+  /**
+   * Add a map or merge new details into a known one
+   */
+  register(definition: MapDefinition, source: MapInfo['source'] = 'custom'): MapInfo {
+    const id = normalizeMapName(definition.id);
+    const existing = this.maps.get(id);
+
+    const info: MapInfo = {
+      id,
+      name: definition.name || existing?.name || titleCase(id),
+      aliases: Array.from(new Set([...(existing?.aliases || []), ...(definition.aliases || [])].map(a => a.toLowerCase()))),
+      image: { file: `map-${id}.png`, ...existing?.image, ...definition.image },
+      bounds: definition.bounds || existing?.bounds,
+      navigation: definition.navigation || existing?.navigation,
+      // Discovering a map we already know doesn't change where it came from
+      source: existing && source !== 'custom' ? existing.source : source,
+    };
+    this.maps.set(id, info);
+    return info;
+  }
+
+  /**
+   * Find a map by ID, display name or alias ("the dam", "Dam Battlegrounds", "DAM")
+   */
+  resolve(name: string): MapInfo | undefined {
+    const normalized = normalizeMapName(name);
+    const withoutArticle = normalized.replace(/^the-/, '');
+
+    const direct = this.maps.get(normalized) || this.maps.get(withoutArticle);
+    if (direct) {
+      return direct;
+    }
+
+    for (const info of this.maps.values()) {
+      const names = [info.name, ...info.aliases].map(normalizeMapName);
+      if (names.includes(normalized) || names.includes(withoutArticle)) {
+        return info;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Map ID for a user-supplied name; unknown names are normalized and passed through
+   * so maps released after this build still work
+   */
+  resolveId(name: string): string {
+    return this.resolve(name)?.id || normalizeMapName(name);
+  }
+
+  has(name: string): boolean {
+    return this.resolve(name) !== undefined;
+  }
+
+  list(): MapInfo[] {
+    return Array.from(this.maps.values());
+  }
+
+  ids(): string[] {
+    return Array.from(this.maps.keys());
+  }
+}
@@ -0,0 +1,118 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkSchema,
+  formatSchemaReport,
+  itemSchema,
+  paginatedSchema,
+  validateSchema,
+  type SchemaReport,
+} from './schema';
+import { SchemaError } from '../errors';
+
+const pagination = { page: 1, limit: 50, total: 3, totalPages: 1, hasNextPage: false, hasPrevPage: false };
+
+// A page of /items after an upstream change: a numeric id, a shouting rarity, `name`
+// renamed to `title` on one record, and `type` gone from every record
+const driftedPage = {
+  data: [
+    { id: 'a', name: 'Gear', rarity: 'rare' },
+    { id: 12, name: 'Wire', rarity: 'RARE' },
+    { id: 'c', title: 'Battery', rarity: 'Common' },
+  ],
+  pagination,
+};
+
+const pageSchema = paginatedSchema(itemSchema);
+
+function issuesOf(report: SchemaReport): string[] {
+  return report.issues.map(issue => `${issue.path} ${issue.kind} ${issue.severity}`);
+}
+
+let warnings: unknown[][] = [];
+const originalWarn = console.warn;
+
+beforeEach(() => {
+  warnings = [];
+  console.warn = (...args: unknown[]) => warnings.push(args);
+});
+
+afterEach(() => {
+  console.warn = originalWarn;
+});
+
+describe('validateSchema', () => {
+  it('reports drift by path without changing the payload', () => {
+    const { data, report } = validateSchema(driftedPage, pageSchema, { mode: 'warn', source: '/items' });
+    assert.equal(data, driftedPage);
+    assert.equal(report.valid, false);
+    assert.deepEqual(issuesOf(report), [
+      'data[1].id type error',
+      'data[1].rarity enum error',
+      'data[2].name missing error',
+      'data[*].description absent warning',
+      'data[*].type absent warning',
+      'data[*].icon absent warning',
+    ]);
+  });
+
+  it('reports undeclared fields only when asked', () => {
+    const { report } = validateSchema(driftedPage, pageSchema, { mode: 'warn', reportUnknown: true });
+    assert.ok(issuesOf(report).includes('data[2].title unknown warning'));
+  });
+
+  it('coerces what it can and drops records that stay invalid', () => {
+    const { data, report } = validateSchema<typeof driftedPage>(driftedPage, pageSchema, { mode: 'coerce' });
+    assert.deepEqual(data.data, [
+      { id: 'a', name: 'Gear', rarity: 'rare' },
+      { id: '12', name: 'Wire', rarity: 'rare' },
+    ]);
+    assert.equal(report.valid, true);
+    assert.ok(issuesOf(report).includes('data[1].id coerced warning'));
+    assert.ok(issuesOf(report).includes('data[2] dropped warning'));
+    assert.equal(driftedPage.data[1].id, 12, 'the input was modified');
+  });
+});
+
+describe('checkSchema', () => {
+  it('throws a SchemaError with the issues in strict mode', () => {
+    assert.throws(() => checkSchema(driftedPage, pageSchema, '/items', { mode: 'strict' }), (error: unknown) => {
+      assert.ok(error instanceof SchemaError);
+      assert.equal(error.path, 'data[1].id');
+      assert.ok(error.issues.length > 0);
+      assert.match(error.message, /Schema drift in \/items/);
+      return true;
+    });
+  });
+
+  it('passes warnings through in strict mode', () => {
+    const page = { data: [{ id: 'a', name: 'Gear' }], pagination };
+    assert.equal(checkSchema(page, pageSchema, '/items', { mode: 'strict' }), page);
+    assert.equal(warnings.length, 1);
+  });
+
+  it('logs and returns the payload in warn mode, calling onReport', () => {
+    const reports: SchemaReport[] = [];
+    const data = checkSchema(driftedPage, pageSchema, '/items', { mode: 'warn', onReport: report => reports.push(report) });
+    assert.equal(data, driftedPage);
+    assert.equal(reports.length, 1);
+    assert.equal(reports[0].source, '/items');
+    assert.equal(warnings.length, 1);
+  });
+
+  it('stays silent for valid payloads', () => {
+    const page = { data: [{ id: 'a', name: 'Gear', description: 'd', rarity: 'Rare', type: 't', icon: 'i' }], pagination };
+    checkSchema(page, pageSchema, '/items', { mode: 'strict', onReport: () => assert.fail('reported') });
+    assert.equal(warnings.length, 0);
+  });
+});
+
+describe('formatSchemaReport', () => {
+  it('groups issues that differ only by index', () => {
+    const page = { data: [{ id: 1, name: 'A' }, { id: 2, name: 'B' }, { id: 'c', name: 'C' }] };
+    const { report } = validateSchema(page, pageSchema, { mode: 'warn', source: '/items' });
+    const text = formatSchemaReport(report);
+    assert.match(text, /data\[\*\]\.id \[type\] expected string, got number \(2×\)/);
+    assert.equal(formatSchemaReport(report, 1).split('\n').pop(), `  … and ${text.split('\n').length - 2} more`);
+  });
+});
@@ -0,0 +1,522 @@
+import { SchemaError } from '../errors';
+
+/**
+ * Runtime schemas for MetaForge payloads. The interfaces in ./types only exist at
+ * compile time, so a renamed or retyped upstream field otherwise shows up as a
+ * silent `undefined` much later.
+ */
+
+export type SchemaNode =
+  | StringSchema
+  | NumberSchema
+  | BooleanSchema
+  | ObjectSchema
+  | ArraySchema
+  | RecordSchema
+  | AnySchema;
+
+interface BaseSchema {
+  optional?: boolean;
+  nullable?: boolean;
+}
+
+export interface StringSchema extends BaseSchema {
+  kind: 'string';
+  enum?: readonly string[];
+}
+
+export interface NumberSchema extends BaseSchema {
+  kind: 'number';
+}
+
+export interface BooleanSchema extends BaseSchema {
+  kind: 'boolean';
+}
+
+export interface ObjectSchema extends BaseSchema {
+  kind: 'object';
+  properties: Record<string, SchemaNode>;
+}
+
+export interface ArraySchema extends BaseSchema {
+  kind: 'array';
+  items: SchemaNode;
+  minItems?: number;
+}
+
+export interface RecordSchema extends BaseSchema {
+  kind: 'record';
+  values: SchemaNode;
+}
+
+export interface AnySchema extends BaseSchema {
+  kind: 'any';
+}
+
+/**
+ * Schema builders, e.g. schema.object({ id: schema.string(), damage: schema.optional(schema.number()) })
+ */
+export const schema = {
+  string: (values?: readonly string[]): StringSchema => ({ kind: 'string', enum: values }),
+  number: (): NumberSchema => ({ kind: 'number' }),
+  boolean: (): BooleanSchema => ({ kind: 'boolean' }),
+  object: (properties: Record<string, SchemaNode>): ObjectSchema => ({ kind: 'object', properties }),
+  array: (items: SchemaNode, minItems?: number): ArraySchema => ({ kind: 'array', items, minItems }),
+  record: (values: SchemaNode): RecordSchema => ({ kind: 'record', values }),
+  any: (): AnySchema => ({ kind: 'any' }),
+  optional: <S extends SchemaNode>(node: S): S => ({ ...node, optional: true }),
+  nullable: <S extends SchemaNode>(node: S): S => ({ ...node, nullable: true }),
+  extend: (base: ObjectSchema, properties: Record<string, SchemaNode>): ObjectSchema => ({
+    ...base,
+    properties: { ...base.properties, ...properties },
+  }),
+};
+
+/**
+ * strict: throw a SchemaError on any mismatch
+ * warn: log the drift report and return the payload untouched
+ * coerce: fix what can be fixed ("12" -> 12, null -> undefined, ...), drop list
+ *         records that are still invalid, and log what was changed
+ */
+export type ValidationMode = 'strict' | 'warn' | 'coerce';
+
+export interface SchemaValidationOptions {
+  mode: ValidationMode;
+  reportUnknown?: boolean; // Also report fields the schema doesn't declare (default: false)
+  onReport?: (report: SchemaReport) => void; // Called for every payload that had issues
+}
+
+export type SchemaIssueKind =
+  | 'missing' // Required field not present
+  | 'type' // Wrong type
+  | 'enum' // Value outside the allowed set
+  | 'min-items' // Array shorter than expected
+  | 'absent' // Optional field missing from every record of a list
+  | 'unknown' // Field not declared by the schema (reportUnknown only)
+  | 'coerced' // Fixed in coerce mode
+  | 'dropped'; // Invalid list record removed in coerce mode
+
+export interface SchemaIssue {
+  path: string; // e.g. data[3].damage
+  kind: SchemaIssueKind;
+  severity: 'error' | 'warning';
+  expected?: string;
+  received?: string;
+  message: string;
+}
+
+export interface SchemaReport {
+  source: string; // Endpoint the payload came from
+  mode: ValidationMode;
+  valid: boolean; // False when errors remain after validation (and coercion)
+  issues: SchemaIssue[];
+}
+
+interface ValidationContext {
+  mode: ValidationMode;
+  reportUnknown: boolean;
+  issues: SchemaIssue[];
+}
+
+function describe(value: unknown): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'string') {
+    return `string "${value.length > 30 ? value.slice(0, 30) + '…' : value}"`;
+  }
+  return typeof value;
+}
+
+function expectedType(node: SchemaNode): string {
+  if (node.kind === 'string' && node.enum) {
+    return node.enum.map(v => `"${v}"`).join(' | ');
+  }
+  return node.nullable ? `${node.kind} | null` : node.kind;
+}
+
+function addIssue(ctx: ValidationContext, issue: Omit<SchemaIssue, 'message'> & { message?: string }): void {
+  const message = issue.message ||
+    `expected ${issue.expected}${issue.received !== undefined ? `, got ${issue.received}` : ''}`;
+  ctx.issues.push({ ...issue, message });
+}
+
+/**
+ * Try to turn a value into the schema's primitive type. Returns undefined when it can't.
+ */
+function coercePrimitive(value: unknown, node: SchemaNode): { value: unknown } | undefined {
+  switch (node.kind) {
+    case 'number':
+      if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return { value: Number(value) };
+      }
+      if (typeof value === 'boolean') {
+        return { value: value ? 1 : 0 };
+      }
+      return undefined;
+    case 'string':
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        return { value: String(value) };
+      }
+      return undefined;
+    case 'boolean':
+      if (value === 'true' || value === 1 || value === '1') return { value: true };
+      if (value === 'false' || value === 0 || value === '0') return { value: false };
+      return undefined;
+    default:
+      return undefined;
+  }
+}
+
+function validateNode(value: unknown, node: SchemaNode, path: string, ctx: ValidationContext): unknown {
+  if (value === undefined) {
+    if (!node.optional) {
+      addIssue(ctx, { path, kind: 'missing', severity: 'error', expected: expectedType(node), message: 'required field is missing' });
+    }
+    return value;
+  }
+
+  if (value === null) {
+    if (node.nullable || node.kind === 'any') {
+      return value;
+    }
+    if (node.optional && ctx.mode === 'coerce') {
+      addIssue(ctx, { path, kind: 'coerced', severity: 'warning', expected: expectedType(node), received: 'null', message: 'null replaced with undefined' });
+      return undefined;
+    }
+    addIssue(ctx, { path, kind: 'type', severity: 'error', expected: expectedType(node), received: 'null' });
+    return value;
+  }
+
+  switch (node.kind) {
+    case 'any':
+      return value;
+
+    case 'string':
+    case 'number':
+    case 'boolean': {
+      let current: unknown = value;
+      if (typeof current !== node.kind) {
+        const coerced = ctx.mode === 'coerce' ? coercePrimitive(current, node) : undefined;
+        if (!coerced) {
+          addIssue(ctx, { path, kind: 'type', severity: 'error', expected: expectedType(node), received: describe(current) });
+          return value;
+        }
+        addIssue(ctx, {
+          path,
+          kind: 'coerced',
+          severity: 'warning',
+          expected: node.kind,
+          received: describe(current),
+          message: `${describe(current)} coerced to ${node.kind}`,
+        });
+        current = coerced.value;
+      }
+      if (node.kind === 'string' && node.enum && !node.enum.includes(current as string)) {
+        const match = ctx.mode === 'coerce'
+          ? node.enum.find(v => v.toLowerCase() === String(current).toLowerCase())
+          : undefined;
+        if (match) {
+          addIssue(ctx, { path, kind: 'coerced', severity: 'warning', expected: expectedType(node), received: describe(current), message: `"${current}" normalized to "${match}"` });
+          return match;
+        }
+        addIssue(ctx, { path, kind: 'enum', severity: 'error', expected: expectedType(node), received: describe(current) });
+      }
+      return current;
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        addIssue(ctx, { path, kind: 'type', severity: 'error', expected: 'object', received: describe(value) });
+        return value;
+      }
+      const input = value as Record<string, unknown>;
+      const output: Record<string, unknown> = ctx.mode === 'coerce' ? { ...input } : input;
+      for (const [key, child] of Object.entries(node.properties)) {
+        const result = validateNode(input[key], child, path ? `${path}.${key}` : key, ctx);
+        if (ctx.mode === 'coerce') {
+          if (result === undefined) {
+            delete output[key];
+          } else {
+            output[key] = result;
+          }
+        }
+      }
+      if (ctx.reportUnknown) {
+        for (const key of Object.keys(input)) {
+          if (!(key in node.properties)) {
+            addIssue(ctx, { path: path ? `${path}.${key}` : key, kind: 'unknown', severity: 'warning', received: describe(input[key]), message: 'field not declared by the schema' });
+          }
+        }
+      }
+      return output;
+    }
+
+    case 'record': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        addIssue(ctx, { path, kind: 'type', severity: 'error', expected: 'object', received: describe(value) });
+        return value;
+      }
+      const input = value as Record<string, unknown>;
+      const output: Record<string, unknown> = ctx.mode === 'coerce' ? {} : input;
+      for (const [key, child] of Object.entries(input)) {
+        const result = validateNode(child, node.values, path ? `${path}.${key}` : key, ctx);
+        if (ctx.mode === 'coerce') {
+          output[key] = result;
+        }
+      }
+      return output;
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        addIssue(ctx, { path, kind: 'type', severity: 'error', expected: 'array', received: describe(value) });
+        return value;
+      }
+      const output: unknown[] = [];
+      value.forEach((element, index) => {
+        const before = ctx.issues.length;
+        const result = validateNode(element, node.items, `${path}[${index}]`, ctx);
+        const failed = ctx.issues.slice(before).some(issue => issue.severity === 'error');
+        if (ctx.mode === 'coerce' && failed) {
+          // Keep the errors in the report but mark them as handled
+          ctx.issues.slice(before).forEach(issue => {
+            if (issue.severity === 'error') issue.severity = 'warning';
+          });
+          addIssue(ctx, { path: `${path}[${index}]`, kind: 'dropped', severity: 'warning', message: 'invalid record removed' });
+          return;
+        }
+        output.push(result);
+      });
+
+      if (node.minItems !== undefined && output.length < node.minItems) {
+        addIssue(ctx, {
+          path,
+          kind: 'min-items',
+          severity: 'error',
+          expected: `at least ${node.minItems} item(s)`,
+          received: `${output.length}`,
+        });
+      }
+
+      // A field no record carries usually means it was renamed upstream
+      if (node.items.kind === 'object' && value.length > 0) {
+        for (const [key, child] of Object.entries(node.items.properties)) {
+          if (child.optional && value.every(element =>
+            element === null || typeof element !== 'object' || (element as Record<string, unknown>)[key] === undefined
+          )) {
+            addIssue(ctx, {
+              path: `${path}[*].${key}`,
+              kind: 'absent',
+              severity: 'warning',
+              expected: expectedType(child),
+              message: `missing from all ${value.length} record(s)`,
+            });
+          }
+        }
+      }
+      return ctx.mode === 'coerce' ? output : value;
+    }
+  }
+}
+
+/**
+ * Validate a payload against a schema without throwing
+ * @returns The (possibly coerced) payload and a path-level report
+ */
+export function validateSchema<T>(
+  data: unknown,
+  node: SchemaNode,
+  options: Omit<SchemaValidationOptions, 'onReport'> & { source?: string }
+): { data: T; report: SchemaReport } {
+  const ctx: ValidationContext = {
+    mode: options.mode,
+    reportUnknown: options.reportUnknown || false,
+    issues: [],
+  };
+  const result = validateNode(data, node, '', ctx);
+
+  return {
+    data: result as T,
+    report: {
+      source: options.source || '',
+      mode: options.mode,
+      valid: !ctx.issues.some(issue => issue.severity === 'error'),
+      issues: ctx.issues,
+    },
+  };
+}
+
+/**
+ * Group issues that only differ by array index (data[0].damage, data[1].damage, ...)
+ * into one line per path
+ */
+export function formatSchemaReport(report: SchemaReport, maxLines = 20): string {
+  const groups = new Map<string, { issue: SchemaIssue; count: number }>();
+  for (const issue of report.issues) {
+    const key = `${issue.path.replace(/\[\d+\]/g, '[*]')}|${issue.kind}|${issue.message}`;
+    const group = groups.get(key);
+    if (group) {
+      group.count++;
+    } else {
+      groups.set(key, { issue, count: 1 });
+    }
+  }
+
+  const lines = [`Schema drift in ${report.source || 'response'} (${report.issues.length} issue(s), mode: ${report.mode})`];
+  const entries = Array.from(groups.entries());
+  entries.slice(0, maxLines).forEach(([key, { issue, count }]) => {
+    const path = key.split('|')[0] || '(root)';
+    lines.push(`  ${issue.severity === 'error' ? '✖' : '⚠'} ${path} [${issue.kind}] ${issue.message}${count > 1 ? ` (${count}×)` : ''}`);
+  });
+  if (entries.length > maxLines) {
+    lines.push(`  … and ${entries.length - maxLines} more`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Validate a payload according to the configured mode: throw (strict), log (warn)
+ * or fix and log (coerce)
+ */
+export function checkSchema<T>(data: unknown, node: SchemaNode, source: string, options: SchemaValidationOptions): T {
+  const { data: result, report } = validateSchema<T>(data, node, { ...options, source });
+
+  if (report.issues.length === 0) {
+    return result;
+  }
+
+  options.onReport?.(report);
+
+  if (options.mode === 'strict' && !report.valid) {
+    const first = report.issues.find(issue => issue.severity === 'error')!;
+    const error = new SchemaError(formatSchemaReport(report), first.path, data);
+    error.issues = report.issues;
+    throw error;
+  }
+
+  console.warn(formatSchemaReport(report));
+  return result;
+}
+
+// Declared shapes of the MetaForge endpoints, mirroring ./types
+
+const rarity = schema.optional(schema.string([
+  'common', 'uncommon', 'rare', 'epic', 'legendary',
+  'Common', 'Uncommon', 'Rare', 'Epic', 'Legendary',
+]));
+
+export const itemSchema = schema.object({
+  id: schema.string(),
+  name: schema.string(),
+  description: schema.optional(schema.string()),
+  rarity,
+  type: schema.optional(schema.string()),
+  icon: schema.optional(schema.string()),
+});
+
+export const weaponSchema = schema.extend(itemSchema, {
+  damage: schema.optional(schema.number()),
+  fireRate: schema.optional(schema.number()),
+  range: schema.optional(schema.number()),
+  weaponType: schema.optional(schema.string()),
+});
+
+export const armorSchema = schema.extend(itemSchema, {
+  armorValue: schema.optional(schema.number()),
+  slot: schema.optional(schema.string()),
+});
+
+export const questSchema = schema.object({
+  id: schema.string(),
+  name: schema.string(),
+  description: schema.optional(schema.string()),
+  objectives: schema.optional(schema.array(schema.object({
+    id: schema.string(),
+    description: schema.string(),
+    type: schema.string(),
+    target: schema.optional(schema.string()),
+    count: schema.optional(schema.number()),
+  }))),
+  rewards: schema.optional(schema.array(schema.object({
+    itemId: schema.optional(schema.string()),
+    itemName: schema.optional(schema.string()),
+    quantity: schema.optional(schema.number()),
+    experience: schema.optional(schema.number()),
+    currency: schema.optional(schema.number()),
+  }))),
+  location: schema.optional(schema.string()),
+  difficulty: schema.optional(schema.string()),
+  icon: schema.optional(schema.string()),
+});
+
+export const arcSchema = schema.object({
+  id: schema.string(),
+  name: schema.string(),
+  description: schema.optional(schema.string()),
+  type: schema.optional(schema.string()),
+  loot: schema.optional(schema.array(schema.object({
+    itemId: schema.optional(schema.string()),
+    itemName: schema.optional(schema.string()),
+    dropChance: schema.optional(schema.number()),
+    rarity,
+  }))),
+  location: schema.optional(schema.string()),
+  difficulty: schema.optional(schema.string()),
+  icon: schema.optional(schema.string()),
+});
+
+export const traderItemSchema = schema.object({
+  id: schema.string(),
+  icon: schema.optional(schema.string()),
+  name: schema.string(),
+  value: schema.optional(schema.number()),
+  rarity,
+  item_type: schema.optional(schema.string()),
+  description: schema.optional(schema.string()),
+  trader_price: schema.optional(schema.nullable(schema.number())),
+});
+
+export const traderSchema = schema.object({
+  id: schema.string(),
+  name: schema.string(),
+  location: schema.optional(schema.string()),
+  inventory: schema.optional(schema.array(traderItemSchema)),
+  icon: schema.optional(schema.string()),
+});
+
+export const tradersResponseSchema = schema.object({
+  success: schema.optional(schema.boolean()),
+  data: schema.optional(schema.record(schema.array(traderItemSchema))),
+});
+
+export const mapDataRecordSchema = schema.object({
+  id: schema.string(),
+  lat: schema.number(),
+  lng: schema.number(),
+  zlayers: schema.optional(schema.number()),
+  mapID: schema.string(),
+  category: schema.string(),
+  subcategory: schema.string(),
+  instanceName: schema.optional(schema.nullable(schema.string())),
+});
+
+export const mapDataResponseSchema = schema.object({
+  allData: schema.array(mapDataRecordSchema, 1),
+});
+
+/**
+ * Wrap a record schema in the paginated { data: T[], pagination } envelope
+ */
+export function paginatedSchema(items: SchemaNode): ObjectSchema {
+  return schema.object({
+    data: schema.array(items),
+    pagination: schema.optional(schema.object({
+      page: schema.number(),
+      limit: schema.number(),
+      total: schema.number(),
+      totalPages: schema.number(),
+      hasNextPage: schema.boolean(),
+      hasPrevPage: schema.boolean(),
+    })),
+  });
+}
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TraderEconomy } from './traders';
+
+const economy = new TraderEconomy({
+  Celeste: [
+    { id: 'battery', name: 'Battery', trader_price: 300, value: 90 },
+    { id: 'battery-pack', name: 'Battery Pack', trader_price: 900, value: 250 },
+  ],
+  Lance: [
+    { id: 'battery-pack', name: 'Battery Pack', trader_price: 700, value: 200 },
+  ],
+  Shani: [
+    { id: 'battery', name: 'Battery', trader_price: null, value: 120 },
+    { id: 'battery-pack', name: 'Battery Pack', trader_price: null, value: 260 },
+    { id: 'car-battery', name: 'Car Battery', trader_price: 150 },
+  ],
+});
+
+describe('TraderEconomy offers', () => {
+  it('matches an exact name before falling back to name fragments', () => {
+    assert.deepEqual(economy.findOffers('battery').map(offer => offer.item.id), ['battery', 'battery']);
+    assert.equal(economy.findOffers('batt').length, 6);
+    assert.equal(economy.findCheapestSeller('Battery')?.trader.name, 'Celeste');
+    assert.equal(economy.findBestBuyer('battery-pack')?.trader.name, 'Shani');
+  });
+
+  it('groups fragment matches by item before comparing traders', () => {
+    const items = economy.findOffersByItem('batt');
+    assert.deepEqual(items.map(item => [item.name, item.offers.length]), [
+      ['Battery', 2],
+      ['Battery Pack', 3],
+      ['Car Battery', 1],
+    ]);
+    assert.deepEqual(items.map(item => [item.cheapest?.trader.name, item.cheapest?.price]), [
+      ['Celeste', 300],
+      ['Lance', 700],
+      ['Shani', 150],
+    ]);
+    assert.deepEqual(items.map(item => [item.bestBuyer?.trader.name, item.bestBuyer?.value]), [
+      ['Shani', 120],
+      ['Shani', 260],
+      [undefined, undefined],
+    ]);
+  });
+
+  it('returns no groups when nothing matches', () => {
+    assert.deepEqual(economy.findOffersByItem('plasma'), []);
+  });
+});
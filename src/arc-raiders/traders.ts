@@ -0,0 +1,217 @@
+import { calculateStats, type Stats } from '../analytics/stats';
+import type { ItemRarity, Trader, TraderItem } from './types';
+
+/**
+ * Rarity tiers from lowest to highest
+ */
+export const RARITY_TIERS = ['Common', 'Uncommon', 'Rare', 'Epic', 'Legendary'] as const;
+
+export type RarityTier = typeof RARITY_TIERS[number];
+
+/**
+ * Capitalized rarity tier, or undefined for missing or unknown rarities
+ */
+export function normalizeRarity(rarity: ItemRarity | string | undefined): RarityTier | undefined {
+  if (!rarity) {
+    return undefined;
+  }
+  const tier = rarity.charAt(0).toUpperCase() + rarity.slice(1).toLowerCase();
+  return (RARITY_TIERS as readonly string[]).includes(tier) ? tier as RarityTier : undefined;
+}
+
+/**
+ * Trader ID for a trader name as keyed by /traders ("Celeste" -> "celeste")
+ */
+export function toTraderId(name: string): string {
+  return name.trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Turn the raw /traders response (trader name -> inventory) into Trader objects
+ */
+export function normalizeTraders(raw: Record<string, TraderItem[]>): Trader[] {
+  return Object.keys(raw)
+    .sort()
+    .map(name => ({ id: toTraderId(name), name, inventory: raw[name] || [] }));
+}
+
+export interface TraderOffer {
+  trader: Trader;
+  item: TraderItem;
+  price: number | null; // What the trader charges, null when the trader doesn't sell it
+  value?: number; // What the item is worth when sold to the trader
+}
+
+export interface ItemOffers {
+  id: string;
+  name: string;
+  offers: TraderOffer[]; // Every trader listing of this one item
+  cheapest?: TraderOffer; // Trader selling it for the least
+  bestBuyer?: TraderOffer; // Trader paying the most for it
+}
+
+export interface ItemSellValue {
+  id: string;
+  name: string;
+  rarity?: RarityTier;
+  value: number; // Best value across traders
+  traders: string[]; // Every trader paying that value
+}
+
+export interface RarityPriceStats {
+  rarity: RarityTier | 'Unknown';
+  price?: Stats; // Trader prices of items in this tier
+  value?: Stats; // Sell values of items in this tier
+}
+
+function matchesItem(item: TraderItem, query: string): boolean {
+  const wanted = query.trim().toLowerCase();
+  return item.id.toLowerCase() === wanted || item.name.toLowerCase() === wanted;
+}
+
+function cheapestOffer(offers: TraderOffer[]): TraderOffer | undefined {
+  return offers
+    .filter(offer => offer.price !== null)
+    .sort((a, b) => (a.price as number) - (b.price as number))[0];
+}
+
+function bestBuyerOffer(offers: TraderOffer[]): TraderOffer | undefined {
+  return offers
+    .filter(offer => typeof offer.value === 'number')
+    .sort((a, b) => (b.value as number) - (a.value as number))[0];
+}
+
+/**
+ * Normalized trader inventories with price lookups across traders
+ */
+export class TraderEconomy {
+  readonly traders: Trader[];
+
+  constructor(traders: Trader[] | Record<string, TraderItem[]>) {
+    this.traders = Array.isArray(traders) ? traders : normalizeTraders(traders);
+  }
+
+  /**
+   * Find a trader by ID or name, case-insensitively
+   */
+  getTrader(idOrName: string): Trader | undefined {
+    const wanted = toTraderId(idOrName);
+    return this.traders.find(trader => trader.id === wanted || toTraderId(trader.name) === wanted);
+  }
+
+  /**
+   * Every trader listing of an item, matched by ID or exact name. When nothing matches
+   * exactly, items whose name contains the query are used instead ("battery" finds
+   * "Battery Pack").
+   */
+  findOffers(itemQuery: string): TraderOffer[] {
+    const listings = this.traders.flatMap(trader =>
+      (trader.inventory || []).map(item => ({ trader, item }))
+    );
+
+    let matches = listings.filter(({ item }) => matchesItem(item, itemQuery));
+    if (matches.length === 0) {
+      const wanted = itemQuery.trim().toLowerCase();
+      matches = listings.filter(({ item }) => item.name.toLowerCase().includes(wanted));
+    }
+
+    return matches.map(({ trader, item }) => ({
+      trader,
+      item,
+      price: typeof item.trader_price === 'number' ? item.trader_price : null,
+      value: item.value,
+    }));
+  }
+
+  /**
+   * The trader selling an item for the least, or undefined when nobody sells it
+   */
+  findCheapestSeller(itemQuery: string): TraderOffer | undefined {
+    return cheapestOffer(this.findOffers(itemQuery));
+  }
+
+  /**
+   * The trader paying the most for an item, or undefined when no listing has a value
+   */
+  findBestBuyer(itemQuery: string): TraderOffer | undefined {
+    return bestBuyerOffer(this.findOffers(itemQuery));
+  }
+
+  /**
+   * findOffers() grouped by item ID, sorted by item name, with the cheapest seller and
+   * best buyer of each item. Use this when a name query can match several items.
+   */
+  findOffersByItem(itemQuery: string): ItemOffers[] {
+    const groups = new Map<string, TraderOffer[]>();
+    for (const offer of this.findOffers(itemQuery)) {
+      groups.set(offer.item.id, [...(groups.get(offer.item.id) || []), offer]);
+    }
+
+    return Array.from(groups.entries())
+      .map(([id, offers]) => ({
+        id,
+        name: offers[0].item.name,
+        offers,
+        cheapest: cheapestOffer(offers),
+        bestBuyer: bestBuyerOffer(offers),
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Best sell-to-trader value for every item any trader lists, highest value first
+   */
+  getBestSellValues(): ItemSellValue[] {
+    const best = new Map<string, ItemSellValue>();
+
+    for (const trader of this.traders) {
+      for (const item of trader.inventory || []) {
+        if (typeof item.value !== 'number') {
+          continue;
+        }
+        const current = best.get(item.id);
+        if (!current || item.value > current.value) {
+          best.set(item.id, {
+            id: item.id,
+            name: item.name,
+            rarity: normalizeRarity(item.rarity),
+            value: item.value,
+            traders: [trader.name],
+          });
+        } else if (item.value === current.value && !current.traders.includes(trader.name)) {
+          current.traders.push(trader.name);
+        }
+      }
+    }
+
+    return Array.from(best.values()).sort((a, b) => b.value - a.value || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Price and value statistics per rarity tier, lowest tier first. Items without a
+   * known rarity are reported as 'Unknown' at the end.
+   */
+  getPricesByRarity(): RarityPriceStats[] {
+    const prices = new Map<string, number[]>();
+    const values = new Map<string, number[]>();
+    const push = (map: Map<string, number[]>, key: string, n: number) => {
+      map.set(key, [...(map.get(key) || []), n]);
+    };
+
+    for (const trader of this.traders) {
+      for (const item of trader.inventory || []) {
+        const tier = normalizeRarity(item.rarity) || 'Unknown';
+        if (typeof item.trader_price === 'number') push(prices, tier, item.trader_price);
+        if (typeof item.value === 'number') push(values, tier, item.value);
+      }
+    }
+
+    return [...RARITY_TIERS, 'Unknown' as const]
+      .filter(tier => prices.has(tier) || values.has(tier))
+      .map(tier => ({
+        rarity: tier,
+        price: prices.has(tier) ? calculateStats(prices.get(tier) as number[]) : undefined,
+        value: values.has(tier) ? calculateStats(values.get(tier) as number[]) : undefined,
+      }));
+  }
+}
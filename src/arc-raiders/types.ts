@@ -87,6 +87,9 @@ export interface Waypoint {
   name: string;
   coordinates?: Coordinates;
   type?: WaypointType;
+  rule?: string; // Classification rule that matched the raw record
+  layer?: number; // Floor the point is on; unset when it shows on every layer
+  raw?: MapDataRecord; // Record as returned by the game-map-data endpoint
 }
 
 export type WaypointType = 'spawn' | 'extraction' | 'objective' | 'vendor' | 'other';
@@ -103,6 +106,29 @@ export interface MapData {
   coordinates?: Coordinates[];
   waypoints?: Waypoint[];
   pois?: PointOfInterest[];
+  layers?: MapLayer[]; // Floors that have points of their own, lowest first
+}
+
+/**
+ * Raw record returned by the game-map-data endpoint. `zlayers` is the floor the point
+ * is on, or 2147483647 (ALL_LAYERS) for points that show on every floor.
+ */
+export interface MapDataRecord {
+  id: string;
+  lat: number;
+  lng: number;
+  zlayers?: number;
+  mapID: string;
+  category: string;
+  subcategory: string;
+  instanceName?: string | null;
+  [field: string]: unknown; // Fields added upstream are kept as-is
+}
+
+export interface MapLayer {
+  level: number; // zlayers value; 0 is ground level, negative is underground
+  name: string; // e.g. "Ground level", "Level -1"
+  pointCount: number; // Spawns, extractions and POIs on this floor only
 }
 
 export interface PointOfInterest {
@@ -110,9 +136,23 @@ export interface PointOfInterest {
   name: string;
   type: POIType;
   coordinates?: Coordinates;
-}
-
-export type POIType = 'spawn' | 'extraction' | 'objective' | 'vendor' | 'cache' | 'other';
+  rule?: string; // Classification rule that matched the raw record
+  layer?: number; // Floor the point is on; unset when it shows on every layer
+  raw?: MapDataRecord; // Record as returned by the game-map-data endpoint
+}
+
+export type POIType =
+  | 'spawn'
+  | 'extraction'
+  | 'objective'
+  | 'vendor'
+  | 'cache'
+  | 'locked-room'
+  | 'supply-station'
+  | 'arc-nest'
+  | 'resource'
+  | 'floor-connector'
+  | 'other';
 
 export interface Trader {
   id: string;
@@ -0,0 +1,214 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import type { CacheEntry } from '../cache';
+import type { CacheStore } from '../store-cache';
+import { MemoryCacheStore } from './memory';
+import { KeyValueCacheStore, type AsyncKeyValueClient } from './key-value';
+import { SqliteCacheStore, type SqliteDatabase } from './sqlite';
+import { IndexedDBCacheStore } from './indexeddb';
+
+// Redis glob semantics: *, ?, [...] and backslash escapes
+function globToRegExp(pattern: string): RegExp {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      source += `\\${pattern[++i]}`;
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i);
+      source += pattern.slice(i, end + 1);
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+class FakeRedis implements AsyncKeyValueClient {
+  data = new Map<string, string>();
+  keysCalls = 0;
+
+  async get(key: string) {
+    return this.data.get(key) ?? null;
+  }
+
+  async set(key: string, value: string) {
+    this.data.set(key, value);
+  }
+
+  async del(key: string) {
+    this.data.delete(key);
+  }
+
+  async keys(pattern: string) {
+    this.keysCalls++;
+    const regex = globToRegExp(pattern);
+    return [...this.data.keys()].filter(key => regex.test(key));
+  }
+}
+
+// Pages of two keys, like SCAN with a small COUNT
+class FakeScanningRedis extends FakeRedis {
+  scanCalls = 0;
+
+  async scan(cursor: string, pattern: string) {
+    this.scanCalls++;
+    const regex = globToRegExp(pattern);
+    const all = [...this.data.keys()];
+    const start = Number(cursor);
+    const end = start + 2;
+    return {
+      cursor: end >= all.length ? '0' : String(end),
+      keys: all.slice(start, end).filter(key => regex.test(key)),
+    };
+  }
+}
+
+// Just the statements SqliteCacheStore prepares, over a Map
+class FakeSqlite implements SqliteDatabase {
+  tables = new Map<string, Map<string, string>>();
+
+  exec(sql: string) {
+    const table = /CREATE TABLE IF NOT EXISTS (\w+)/.exec(sql)![1];
+    if (!this.tables.has(table)) this.tables.set(table, new Map());
+  }
+
+  prepare(sql: string) {
+    const rows = this.tables.get(/(?:FROM|INTO) (\w+)/.exec(sql)![1])!;
+    return {
+      run: (...params: unknown[]) => {
+        if (sql.startsWith('INSERT')) rows.set(params[0] as string, params[1] as string);
+        else if (sql.includes('WHERE')) rows.delete(params[0] as string);
+        else rows.clear();
+      },
+      get: (key: unknown) => (rows.has(key as string) ? { value: rows.get(key as string) } : undefined),
+      all: () => [...rows.keys()].map(key => ({ key })),
+    };
+  }
+}
+
+// Just the IndexedDB calls IndexedDBCacheStore makes, answering asynchronously like the real one
+function createFakeIndexedDB() {
+  const databases = new Map<string, Map<string, Map<unknown, unknown>>>();
+  const request = (run: () => unknown) => {
+    const req: any = {};
+    setImmediate(() => {
+      req.result = run();
+      req.onsuccess?.();
+    });
+    return req;
+  };
+  return {
+    open(name: string) {
+      const req: any = {};
+      setImmediate(() => {
+        const isNew = !databases.has(name);
+        const stores = databases.get(name) ?? new Map();
+        databases.set(name, stores);
+        req.result = {
+          objectStoreNames: { contains: (store: string) => stores.has(store) },
+          createObjectStore: (store: string) => stores.set(store, new Map()),
+          transaction: (store: string) => ({
+            objectStore: () => {
+              const entries = stores.get(store)!;
+              return {
+                get: (key: unknown) => request(() => entries.get(key)),
+                put: (value: unknown, key: unknown) => request(() => entries.set(key, value)),
+                delete: (key: unknown) => request(() => entries.delete(key)),
+                clear: () => request(() => entries.clear()),
+                getAllKeys: () => request(() => [...entries.keys()]),
+              };
+            },
+          }),
+        };
+        if (isNew) req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    },
+  };
+}
+
+function entry(data: unknown): CacheEntry<unknown> {
+  return { data, timestamp: 1700000000000, ttl: 60000, validators: [{ etag: '"v1"' }] };
+}
+
+const stores: Array<[string, () => CacheStore]> = [
+  ['MemoryCacheStore', () => new MemoryCacheStore()],
+  ['KeyValueCacheStore (KEYS)', () => new KeyValueCacheStore(new FakeRedis())],
+  ['KeyValueCacheStore (SCAN)', () => new KeyValueCacheStore(new FakeScanningRedis())],
+  ['SqliteCacheStore', () => new SqliteCacheStore({ database: new FakeSqlite() })],
+  ['IndexedDBCacheStore', () => new IndexedDBCacheStore({ indexedDB: createFakeIndexedDB() })],
+];
+
+for (const [name, createStore] of stores) {
+  describe(name, () => {
+    it('stores, lists and deletes entries', async () => {
+      const store = createStore();
+      await store.set('/items', entry(['a']));
+      await store.set('/quests?page=1', entry(['b']));
+
+      assert.deepEqual(await store.get('/items'), entry(['a']));
+      assert.equal(await store.get('/missing'), undefined);
+      assert.deepEqual((await store.keys()).sort(), ['/items', '/quests?page=1']);
+
+      await store.delete('/items');
+      assert.equal(await store.get('/items'), undefined);
+      assert.deepEqual(await store.keys(), ['/quests?page=1']);
+    });
+
+    it('overwrites entries and clears everything', async () => {
+      const store = createStore();
+      for (let i = 0; i < 5; i++) {
+        await store.set(`/items/${i}`, entry(i));
+      }
+      await store.set('/items/0', entry('again'));
+
+      assert.deepEqual(await store.get('/items/0'), entry('again'));
+      await store.clear();
+      assert.deepEqual(await store.keys(), []);
+    });
+  });
+}
+
+describe('KeyValueCacheStore', () => {
+  it('lists and clears through SCAN, never KEYS, when the client can scan', async () => {
+    const client = new FakeScanningRedis();
+    const store = new KeyValueCacheStore(client);
+    for (let i = 0; i < 5; i++) {
+      await store.set(`/items/${i}`, entry(i));
+    }
+    await client.set('other-app:session', 'keep');
+
+    assert.equal((await store.keys()).length, 5);
+    await store.clear();
+
+    assert.equal(client.keysCalls, 0);
+    assert.ok(client.scanCalls >= 6, `${client.scanCalls} SCAN calls`);
+    assert.deepEqual([...client.data.keys()], ['other-app:session']);
+  });
+
+  it('treats glob characters in the prefix literally', async () => {
+    for (const client of [new FakeRedis(), new FakeScanningRedis()]) {
+      const store = new KeyValueCacheStore(client, { prefix: 'cache[v2]*?:' });
+      await store.set('/items', entry(1));
+      await client.set('cachev:/items', 'not ours');
+      await client.set('cache2xy:/items', 'not ours');
+
+      assert.deepEqual(await store.keys(), ['/items']);
+      await store.clear();
+      assert.deepEqual([...client.data.keys()].sort(), ['cache2xy:/items', 'cachev:/items']);
+    }
+  });
+});
+
+describe('SqliteCacheStore', () => {
+  it('rejects table names that would need quoting', () => {
+    assert.throws(() => new SqliteCacheStore({ database: new FakeSqlite(), table: 'cache; DROP TABLE x' }), /Invalid SQLite table name/);
+  });
+});
@@ -0,0 +1,79 @@
+import type { CacheEntry } from '../cache';
+import type { CacheStore } from '../store-cache';
+
+export interface IndexedDBCacheStoreOptions {
+  databaseName?: string; // Default: arc-raiders-cache
+  storeName?: string; // Default: entries
+  indexedDB?: any; // IDBFactory to use (default: globalThis.indexedDB)
+}
+
+function promisify<T>(request: any): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result as T);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Browser CacheStore backed by IndexedDB, so the cache survives reloads
+ * where the JSON file cache can't be used
+ */
+export class IndexedDBCacheStore implements CacheStore {
+  private readonly databaseName: string;
+  private readonly storeName: string;
+  private readonly factory: any;
+  private db: Promise<any> | null = null;
+
+  constructor(options: IndexedDBCacheStoreOptions = {}) {
+    this.databaseName = options.databaseName || 'arc-raiders-cache';
+    this.storeName = options.storeName || 'entries';
+    this.factory = options.indexedDB || (globalThis as any).indexedDB;
+    if (!this.factory) {
+      throw new Error('IndexedDB is not available in this environment');
+    }
+  }
+
+  async get(key: string): Promise<CacheEntry<unknown> | undefined> {
+    const store = await this.objectStore('readonly');
+    return promisify<CacheEntry<unknown> | undefined>(store.get(key));
+  }
+
+  async set(key: string, entry: CacheEntry<unknown>): Promise<void> {
+    const store = await this.objectStore('readwrite');
+    await promisify(store.put(entry, key));
+  }
+
+  async delete(key: string): Promise<void> {
+    const store = await this.objectStore('readwrite');
+    await promisify(store.delete(key));
+  }
+
+  async clear(): Promise<void> {
+    const store = await this.objectStore('readwrite');
+    await promisify(store.clear());
+  }
+
+  async keys(): Promise<string[]> {
+    const store = await this.objectStore('readonly');
+    return promisify<string[]>(store.getAllKeys());
+  }
+
+  private open(): Promise<any> {
+    if (!this.db) {
+      const request = this.factory.open(this.databaseName, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName);
+        }
+      };
+      this.db = promisify(request);
+    }
+    return this.db;
+  }
+
+  private async objectStore(mode: 'readonly' | 'readwrite'): Promise<any> {
+    const db = await this.open();
+    return db.transaction(this.storeName, mode).objectStore(this.storeName);
+  }
+}
@@ -0,0 +1,91 @@
+import type { CacheEntry } from '../cache';
+import type { CacheStore } from '../store-cache';
+
+/**
+ * Minimal async string key-value client. node-redis, ioredis and most
+ * Redis stand-ins (e.g. a local KeyDB/Valkey or an in-memory mock) satisfy it.
+ * Give it a `scan` on a shared Redis: KEYS walks the whole keyspace in one go and
+ * blocks the server meanwhile. With ioredis, for example:
+ *   scan: async (cursor, pattern) => {
+ *     const [next, keys] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+ *     return { cursor: next, keys };
+ *   }
+ */
+export interface AsyncKeyValueClient {
+  get(key: string): Promise<string | null | undefined>;
+  set(key: string, value: string): Promise<unknown>;
+  del(key: string): Promise<unknown>;
+  keys(pattern: string): Promise<string[]>; // Only used without scan
+  scan?(cursor: string, pattern: string): Promise<{ cursor: string; keys: string[] }>; // One SCAN page; cursor '0' starts and ends
+}
+
+export interface KeyValueCacheStoreOptions {
+  prefix?: string; // Namespace for all keys (default: 'arc-raiders:cache:')
+}
+
+/**
+ * CacheStore on top of a generic async key-value client. Entries are stored
+ * as JSON under a prefix so the cache can share a database with other data.
+ */
+export class KeyValueCacheStore implements CacheStore {
+  private readonly client: AsyncKeyValueClient;
+  private readonly prefix: string;
+
+  constructor(client: AsyncKeyValueClient, options: KeyValueCacheStoreOptions = {}) {
+    this.client = client;
+    this.prefix = options.prefix ?? 'arc-raiders:cache:';
+  }
+
+  async get(key: string): Promise<CacheEntry<unknown> | undefined> {
+    const value = await this.client.get(this.prefix + key);
+    return value ? JSON.parse(value) : undefined;
+  }
+
+  async set(key: string, entry: CacheEntry<unknown>): Promise<void> {
+    await this.client.set(this.prefix + key, JSON.stringify(entry));
+  }
+
+  async delete(key: string): Promise<void> {
+    await this.client.del(this.prefix + key);
+  }
+
+  async clear(): Promise<void> {
+    // Collected first: not every stand-in keeps its cursor valid while keys are deleted
+    for (const key of await this.prefixedKeys()) {
+      await this.client.del(key);
+    }
+  }
+
+  async keys(): Promise<string[]> {
+    const keys = await this.prefixedKeys();
+    return keys.map(key => key.slice(this.prefix.length));
+  }
+
+  /**
+   * Full keys under the prefix, a SCAN page at a time, or through KEYS when the
+   * client has no scan
+   */
+  private async prefixedKeys(): Promise<string[]> {
+    const pattern = `${escapeGlob(this.prefix)}*`;
+    if (!this.client.scan) {
+      return this.client.keys(pattern);
+    }
+    // SCAN may return a key more than once
+    const keys = new Set<string>();
+    let cursor = '0';
+    do {
+      const page = await this.client.scan(cursor, pattern);
+      cursor = String(page.cursor);
+      page.keys.forEach(key => keys.add(key));
+    } while (cursor !== '0');
+    return [...keys];
+  }
+}
+
+/**
+ * Escape the characters Redis glob patterns treat specially, so a prefix like
+ * 'cache[v2]:' matches only itself
+ */
+function escapeGlob(text: string): string {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,29 @@
+import type { CacheEntry } from '../cache';
+import type { CacheStore } from '../store-cache';
+
+/**
+ * In-process CacheStore, mainly useful for tests and as a reference implementation
+ */
+export class MemoryCacheStore implements CacheStore {
+  private entries = new Map<string, CacheEntry<unknown>>();
+
+  async get(key: string): Promise<CacheEntry<unknown> | undefined> {
+    return this.entries.get(key);
+  }
+
+  async set(key: string, entry: CacheEntry<unknown>): Promise<void> {
+    this.entries.set(key, entry);
+  }
+
+  async delete(key: string): Promise<void> {
+    this.entries.delete(key);
+  }
+
+  async clear(): Promise<void> {
+    this.entries.clear();
+  }
+
+  async keys(): Promise<string[]> {
+    return Array.from(this.entries.keys());
+  }
+}
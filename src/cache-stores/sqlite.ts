@@ -0,0 +1,83 @@
+import type { CacheEntry } from '../cache';
+import type { CacheStore } from '../store-cache';
+
+interface SqliteStatement {
+  run(...params: unknown[]): unknown;
+  get(...params: unknown[]): unknown;
+  all(...params: unknown[]): unknown[];
+}
+
+/**
+ * Synchronous SQLite handle. Both better-sqlite3's Database and
+ * node:sqlite's DatabaseSync match this shape.
+ */
+export interface SqliteDatabase {
+  prepare(sql: string): SqliteStatement;
+  exec(sql: string): unknown;
+}
+
+export interface SqliteCacheStoreOptions {
+  database?: SqliteDatabase; // Existing database handle
+  filename?: string; // Opened with better-sqlite3 when no database is given
+  table?: string; // Table name (default: arc_raiders_cache)
+}
+
+/**
+ * Node CacheStore backed by a SQLite table. Safe to share between processes,
+ * since SQLite handles locking.
+ */
+export class SqliteCacheStore implements CacheStore {
+  private readonly db: SqliteDatabase;
+  private readonly table: string;
+
+  constructor(options: SqliteCacheStoreOptions) {
+    this.table = options.table || 'arc_raiders_cache';
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(this.table)) {
+      throw new Error(`Invalid SQLite table name: ${this.table}`);
+    }
+
+    if (options.database) {
+      this.db = options.database;
+    } else if (options.filename) {
+      let Database: new (filename: string) => SqliteDatabase;
+      try {
+        Database = require('better-sqlite3');
+      } catch (error) {
+        throw new Error('better-sqlite3 is required for SqliteCacheStore. Install it with: npm install better-sqlite3');
+      }
+      this.db = new Database(options.filename);
+    } else {
+      throw new Error('SqliteCacheStore needs either a database handle or a filename');
+    }
+
+    this.db.exec(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (key TEXT PRIMARY KEY, value TEXT NOT NULL)`
+    );
+  }
+
+  async get(key: string): Promise<CacheEntry<unknown> | undefined> {
+    const row = this.db.prepare(`SELECT value FROM ${this.table} WHERE key = ?`).get(key) as
+      | { value: string }
+      | undefined;
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  async set(key: string, entry: CacheEntry<unknown>): Promise<void> {
+    this.db
+      .prepare(`INSERT OR REPLACE INTO ${this.table} (key, value) VALUES (?, ?)`)
+      .run(key, JSON.stringify(entry));
+  }
+
+  async delete(key: string): Promise<void> {
+    this.db.prepare(`DELETE FROM ${this.table} WHERE key = ?`).run(key);
+  }
+
+  async clear(): Promise<void> {
+    this.db.prepare(`DELETE FROM ${this.table}`).run();
+  }
+
+  async keys(): Promise<string[]> {
+    const rows = this.db.prepare(`SELECT key FROM ${this.table}`).all() as Array<{ key: string }>;
+    return rows.map(row => row.key);
+  }
+}
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Cache, LruMap } from './cache';
+
+function delay(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('LruMap', () => {
+  const entry = (data: unknown) => ({ data, timestamp: Date.now(), ttl: 0 });
+
+  it('evicts the least recently used entry beyond maxEntries', () => {
+    const lru = new LruMap({ maxEntries: 2 });
+    lru.set('a', entry(1));
+    lru.set('b', entry(2));
+    lru.get('a');
+    assert.deepEqual(lru.set('c', entry(3)), ['b']);
+    assert.deepEqual(lru.keys(), ['a', 'c']);
+    assert.equal(lru.stats.evictions, 1);
+  });
+
+  it('does not count peek as a use', () => {
+    const lru = new LruMap({ maxEntries: 2 });
+    lru.set('a', entry(1));
+    lru.set('b', entry(2));
+    lru.peek('a');
+    assert.deepEqual(lru.set('c', entry(3)), ['a']);
+  });
+
+  it('evicts by size beyond maxBytes, but never the entry being written', () => {
+    const size = JSON.stringify(entry('x'.repeat(100))).length;
+    const lru = new LruMap({ maxBytes: size * 2 + 10 });
+    lru.set('a', entry('x'.repeat(100)));
+    lru.set('b', entry('x'.repeat(100)));
+    assert.deepEqual(lru.set('c', entry('x'.repeat(100))), ['a']);
+    assert.ok(lru.stats.bytes! <= size * 2 + 10);
+
+    assert.deepEqual(lru.set('huge', entry('x'.repeat(1000))), ['b', 'c']);
+    assert.deepEqual(lru.keys(), ['huge']);
+  });
+
+  it('tracks bytes through overwrites and deletes', () => {
+    const lru = new LruMap();
+    lru.set('a', entry('x'.repeat(100)));
+    const bytes = lru.stats.bytes!;
+    lru.set('a', entry('x'.repeat(100)));
+    assert.equal(lru.stats.bytes, bytes);
+    lru.delete('a');
+    assert.equal(lru.stats.bytes, 0);
+  });
+});
+
+describe('Cache', () => {
+  it('applies LRU limits and reports evictions', () => {
+    const cache = new Cache(0, { maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    assert.equal(cache.get('b'), null);
+    assert.deepEqual(cache.getStats(), { entries: 2, bytes: cache.getStats().bytes, evictions: 1 });
+  });
+
+  it('expires entries by their own TTL over the default', async () => {
+    const cache = new Cache(1000);
+    cache.set('short', 1, 10);
+    cache.set('default', 2);
+    await delay(20);
+    assert.equal(cache.get('short'), null);
+    assert.equal(cache.get('default'), 2);
+  });
+
+  it('deletes by prefix', () => {
+    const cache = new Cache();
+    cache.set('/items:{}', 1);
+    cache.set('/items/a:', 2);
+    cache.set('/quests:{}', 3);
+    assert.equal(cache.deleteByPrefix('/items'), 2);
+    assert.deepEqual(cache.keys(), ['/quests:{}']);
+  });
+});
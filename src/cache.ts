@@ -1,15 +1,178 @@
-interface CacheEntry<T> {
+import type { CacheValidators } from './types';
+
+export interface CacheEntry<T> {
   data: T;
   timestamp: number;
-  ttl: number;
+  ttl: number; // 0 means the entry never expires
+  validators?: CacheValidators[]; // ETag/Last-Modified per request that produced the entry (one per page)
+}
+
+export interface CacheLimits {
+  maxEntries?: number; // Evict least recently used entries beyond this count (default: unlimited)
+  maxBytes?: number; // Evict least recently used entries beyond this JSON size (default: unlimited)
+}
+
+export interface CacheOptions extends CacheLimits {
+  maxStale?: number; // How long (ms) past its TTL an entry may still be served stale (default: 0)
+}
+
+export interface CacheSizeStats {
+  entries: number;
+  bytes?: number; // Approximate JSON size; not known for every store
+  evictions: number; // Entries dropped to stay within maxEntries/maxBytes
+}
+
+export interface CacheLookup<T> {
+  data: T;
+  stale: boolean; // True when the entry is past its TTL but within maxStale
+}
+
+export function isExpired(entry: CacheEntry<unknown>, now: number = Date.now()): boolean {
+  return entry.ttl > 0 && now - entry.timestamp > entry.ttl;
+}
+
+/**
+ * Expired entries that carry validators are kept around so the client can
+ * revalidate them with a conditional request instead of downloading again
+ */
+export function canRevalidate(entry: CacheEntry<unknown>): boolean {
+  return !!entry.validators && entry.validators.length > 0;
+}
+
+export function isWithinMaxStale(entry: CacheEntry<unknown>, maxStale: number, now: number = Date.now()): boolean {
+  return maxStale > 0 && now - entry.timestamp - entry.ttl <= maxStale;
+}
+
+/**
+ * Whether an expired entry is of no further use and can be dropped
+ */
+export function isDisposable(entry: CacheEntry<unknown>, maxStale: number, now: number = Date.now()): boolean {
+  return isExpired(entry, now) && !canRevalidate(entry) && !isWithinMaxStale(entry, maxStale, now);
+}
+
+function estimateSize(entry: CacheEntry<unknown>): number {
+  try {
+    return JSON.stringify(entry).length;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Map of cache entries kept in least-recently-used order, with optional
+ * entry count and byte limits. The oldest entries are evicted first; the
+ * entry being written is never evicted by its own write.
+ */
+export class LruMap {
+  private entries = new Map<string, CacheEntry<unknown>>();
+  private sizes = new Map<string, number>();
+  private totalBytes = 0;
+  private evictionCount = 0;
+  private readonly limits: CacheLimits;
+
+  constructor(limits: CacheLimits = {}) {
+    this.limits = limits;
+  }
+
+  /**
+   * Get an entry and mark it as most recently used
+   */
+  get(key: string): CacheEntry<unknown> | undefined {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Get an entry without changing its recency
+   */
+  peek(key: string): CacheEntry<unknown> | undefined {
+    return this.entries.get(key);
+  }
+
+  /**
+   * Store an entry as most recently used
+   * @returns Keys evicted to make room for it
+   */
+  set(key: string, entry: CacheEntry<unknown>): string[] {
+    this.delete(key);
+    const size = estimateSize(entry);
+    this.entries.set(key, entry);
+    this.sizes.set(key, size);
+    this.totalBytes += size;
+    return this.evict(key);
+  }
+
+  delete(key: string): boolean {
+    if (!this.entries.has(key)) {
+      return false;
+    }
+    this.totalBytes -= this.sizes.get(key) || 0;
+    this.sizes.delete(key);
+    return this.entries.delete(key);
+  }
+
+  clear(): void {
+    this.entries.clear();
+    this.sizes.clear();
+    this.totalBytes = 0;
+  }
+
+  keys(): string[] {
+    return Array.from(this.entries.keys());
+  }
+
+  all(): Array<[string, CacheEntry<unknown>]> {
+    return Array.from(this.entries.entries());
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  get stats(): CacheSizeStats {
+    return { entries: this.entries.size, bytes: this.totalBytes, evictions: this.evictionCount };
+  }
+
+  private evict(protectedKey: string): string[] {
+    const { maxEntries, maxBytes } = this.limits;
+    const evicted: string[] = [];
+
+    while (
+      (maxEntries !== undefined && this.entries.size > maxEntries) ||
+      (maxBytes !== undefined && this.totalBytes > maxBytes)
+    ) {
+      let oldest: string | undefined;
+      for (const key of this.entries.keys()) {
+        if (key !== protectedKey) {
+          oldest = key;
+          break;
+        }
+      }
+      if (oldest === undefined) {
+        break;
+      }
+      this.delete(oldest);
+      this.evictionCount++;
+      evicted.push(oldest);
+    }
+
+    return evicted;
+  }
 }
 
 export class Cache {
-  private cache = new Map<string, CacheEntry<unknown>>();
+  private cache: LruMap;
   private defaultTTL: number;
+  private maxStale: number;
 
-  constructor(defaultTTL: number = 5 * 60 * 1000) {
+  constructor(defaultTTL: number = 5 * 60 * 1000, options: CacheOptions = {}) {
     this.defaultTTL = defaultTTL;
+    this.maxStale = options.maxStale || 0;
+    this.cache = new LruMap(options);
   }
 
   get<T>(key: string): T | null {
@@ -18,23 +181,72 @@ export class Cache {
       return null;
     }
 
-    const now = Date.now();
-    if (now - entry.timestamp > entry.ttl) {
-      this.cache.delete(key);
+    if (isExpired(entry)) {
+      if (isDisposable(entry, this.maxStale)) {
+        this.cache.delete(key);
+      }
       return null;
     }
 
     return entry.data as T;
   }
 
-  set<T>(key: string, data: T, ttl?: number): void {
+  /**
+   * Like get, but also returns expired entries that are still within maxStale
+   * (flagged as stale) so callers can serve them while refreshing
+   */
+  lookup<T>(key: string): CacheLookup<T> | null {
+    const entry = this.cache.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (!isExpired(entry)) {
+      return { data: entry.data as T, stale: false };
+    }
+
+    if (isWithinMaxStale(entry, this.maxStale)) {
+      return { data: entry.data as T, stale: true };
+    }
+
+    if (isDisposable(entry, this.maxStale)) {
+      this.cache.delete(key);
+    }
+    return null;
+  }
+
+  /**
+   * Get an entry without checking expiry (used for conditional revalidation)
+   */
+  peek<T>(key: string): CacheEntry<T> | null {
+    return (this.cache.peek(key) as CacheEntry<T> | undefined) || null;
+  }
+
+  set<T>(key: string, data: T, ttl?: number, validators?: CacheValidators[]): void {
     this.cache.set(key, {
       data,
       timestamp: Date.now(),
-      ttl: ttl || this.defaultTTL,
+      ttl: ttl ?? this.defaultTTL,
+      ...(validators && validators.length > 0 && { validators }),
     });
   }
 
+  /**
+   * Restart an entry's TTL, e.g. after the server answered 304 Not Modified
+   */
+  touch(key: string, ttl?: number): boolean {
+    const entry = this.cache.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    entry.timestamp = Date.now();
+    if (ttl !== undefined) {
+      entry.ttl = ttl;
+    }
+    return true;
+  }
+
   delete(key: string): void {
     this.cache.delete(key);
   }
@@ -43,15 +255,34 @@ export class Cache {
     this.cache.clear();
   }
 
+  /**
+   * Remove every entry whose key starts with the prefix (e.g. '/items')
+   * @returns Number of removed entries
+   */
+  deleteByPrefix(prefix: string): number {
+    const keys = this.cache.keys().filter(key => key.startsWith(prefix));
+    keys.forEach(key => this.cache.delete(key));
+    return keys.length;
+  }
+
+  keys(): string[] {
+    return this.cache.keys();
+  }
+
+  getStats(): CacheSizeStats {
+    return this.cache.stats;
+  }
+
   has(key: string): boolean {
     const entry = this.cache.get(key);
     if (!entry) {
       return false;
     }
 
-    const now = Date.now();
-    if (now - entry.timestamp > entry.ttl) {
-      this.cache.delete(key);
+    if (isExpired(entry)) {
+      if (isDisposable(entry, this.maxStale)) {
+        this.cache.delete(key);
+      }
       return false;
     }
 
@@ -62,4 +293,3 @@ export class Cache {
     return this.cache.size;
   }
 }
-
@@ -1,12 +1,61 @@
 #!/usr/bin/env node
 
+import * as fs from 'fs';
+import * as path from 'path';
 import { createArcRaidersClient } from '../arc-raiders/client';
 import { exportToJSON, exportToJSONString } from '../export/json';
 import { exportToCSV, exportToCSVString } from '../export/csv';
 import { getWeaponStats, getRarityDistribution, findBestWeapon } from '../analytics/stats';
+import { loadSnapshot } from '../snapshot/snapshot';
+import { writeDataset } from '../snapshot/dataset';
+import { diffSnapshots, formatSnapshotDiffMarkdown } from '../snapshot/diff';
 import type { LootRunOptions } from '../pathfinding/loot-run';
+import { loadNavigationMesh } from '../pathfinding/navigation';
+import type { SearchEntityKind } from '../search/search-index';
+import {
+  NetworkError,
+  TimeoutError,
+  RateLimitError,
+  NotFoundError,
+  SchemaError,
+  UpstreamBlockedError,
+} from '../errors';
+
+// --offline <path> (or ARC_RAIDERS_DATASET) serves every command from a synced dataset
+const offlineIndex = process.argv.indexOf('--offline');
+const offlineDataset = offlineIndex !== -1 ? process.argv[offlineIndex + 1] : process.env.ARC_RAIDERS_DATASET;
+const client = createArcRaidersClient(offlineDataset ? { offlineDataset } : undefined);
+
+function describeError(error: unknown): string {
+  if (error instanceof UpstreamBlockedError) {
+    return 'MetaForge answered with a Cloudflare challenge page. Try again later or use the browser client (createBrowserClient).';
+  }
+  if (error instanceof RateLimitError) {
+    const wait = error.retryAfter !== undefined ? ` Retry in ${Math.ceil(error.retryAfter / 1000)}s.` : '';
+    return `Rate limited by MetaForge.${wait}`;
+  }
+  if (error instanceof NotFoundError) {
+    return 'Not found. Check the name or ID and try again.';
+  }
+  if (error instanceof TimeoutError) {
+    return `${error.message}. MetaForge may be slow right now; try again later.`;
+  }
+  if (error instanceof NetworkError) {
+    return `Could not reach MetaForge: ${error.message}`;
+  }
+  if (error instanceof SchemaError) {
+    return `Unexpected response format from MetaForge${error.path ? ` at "${error.path}"` : ''}: ${error.message}`;
+  }
+  return error instanceof Error ? error.message : 'Unknown error';
+}
 
-const client = createArcRaidersClient();
+function saveText(filePath: string, text: string): void {
+  const dir = path.dirname(filePath);
+  if (dir && !fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(filePath, text, 'utf-8');
+}
 
 async function main() {
   const args = process.argv.slice(2);
@@ -24,21 +73,38 @@ Commands:
   weapons        List all weapons
   quests         List all quests
   arcs           List all ARCs
-  traders        List all traders
+  traders        List all traders (--item <name> compares prices across traders)
+  maps           List available maps and their aliases (--discover asks the API for new ones)
+  search <query> Fuzzy search items, quests, ARCs, traders and map POIs
   export <type>  Export data (json|csv)
   stats          Show statistics
+  snapshot       Save a snapshot of all game data
+  sync           Download an offline dataset (use with --offline <path>)
+  diff <a> [b]   Compare two snapshots (b defaults to live data)
   help           Show this help message
 
 Examples:
   arc-raiders items
   arc-raiders weapons --rarity legendary
+  arc-raiders search "rustd gear" --limit 5
+  arc-raiders traders --item "battery"
   arc-raiders export json --output data.json
   arc-raiders stats
+  arc-raiders snapshot --label 1.2.0 --output snapshots/1.2.0.json
+  arc-raiders diff snapshots/1.1.0.json snapshots/1.2.0.json --format markdown
+  arc-raiders sync --output arc-raiders-data
+  arc-raiders loot-run dam --offline arc-raiders-data
     `);
     process.exit(0);
   }
 
   try {
+    const dataset = client.getDatasetInfo();
+    if (dataset) {
+      // stderr, so JSON output can still be piped
+      console.error(`Offline: using dataset from ${dataset.createdAt} (${dataset.ageText} old) at ${dataset.source}`);
+    }
+
     switch (command) {
       case 'items': {
         const items = await client.getItems();
@@ -67,8 +133,92 @@ Examples:
       }
 
       case 'traders': {
-        const traders = await client.getTraders();
-        console.log(JSON.stringify(traders, null, 2));
+        const itemIndex = args.indexOf('--item');
+        if (itemIndex === -1) {
+          const traders = await client.getTraders();
+          console.log(JSON.stringify(traders, null, 2));
+          break;
+        }
+
+        const itemName = args[itemIndex + 1];
+        if (!itemName) {
+          console.error('Error: Item name required');
+          console.log('\nUsage: arc-raiders traders --item <name> [--json]');
+          process.exit(1);
+        }
+
+        const economy = await client.getTraderEconomy();
+        const items = economy.findOffersByItem(itemName);
+        if (args.includes('--json')) {
+          console.log(JSON.stringify(items.flatMap(({ offers }) => offers).map(({ trader, item, price, value }) => ({
+            trader: trader.name, id: item.id, item: item.name, rarity: item.rarity, price, value,
+          })), null, 2));
+          break;
+        }
+        if (items.length === 0) {
+          console.log(`No trader lists "${itemName}"`);
+          break;
+        }
+
+        // A name fragment can match several items; only compare traders on the same one
+        items.forEach(({ offers, cheapest, bestBuyer }, index) => {
+          if (index > 0) console.log('');
+          offers
+            .sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity))
+            .forEach(({ trader, item, price, value }) => {
+              const priceText = price !== null ? `sells for ${price}` : 'not for sale';
+              const valueText = value !== undefined ? `, buys for ${value}` : '';
+              console.log(`${item.name.padEnd(28)} ${trader.name.padEnd(16)} ${priceText}${valueText}`);
+            });
+          if (cheapest) console.log(`Cheapest: ${cheapest.item.name} from ${cheapest.trader.name} for ${cheapest.price}`);
+          if (bestBuyer) console.log(`Best sell: ${bestBuyer.item.name} to ${bestBuyer.trader.name} for ${bestBuyer.value}`);
+        });
+        break;
+      }
+
+      case 'maps': {
+        // Discovery downloads the whole map-data table, so only when asked for
+        const maps = args.includes('--discover') && !offlineDataset
+          ? await createArcRaidersClient({ discoverMaps: true }).discoverMaps()
+          : await client.discoverMaps();
+        if (args.includes('--json')) {
+          console.log(JSON.stringify(maps, null, 2));
+          break;
+        }
+        maps.forEach(map => {
+          const aliases = map.aliases.length > 0 ? `  (also: ${map.aliases.join(', ')})` : '';
+          console.log(`${map.id.padEnd(16)} ${map.name}${aliases}`);
+        });
+        break;
+      }
+
+      case 'search': {
+        const query = args.slice(1).filter((arg, i, list) => !arg.startsWith('--') && !(list[i - 1] || '').startsWith('--')).join(' ');
+        if (!query) {
+          console.error('Error: Search query required');
+          console.log('\nUsage: arc-raiders search <query> [--kind item,weapon,armor,quest,arc,trader-item,poi] [--limit n] [--json]');
+          process.exit(1);
+        }
+
+        const kindIndex = args.indexOf('--kind');
+        const kinds = kindIndex !== -1 ? args[kindIndex + 1].split(',') as SearchEntityKind[] : undefined;
+        const limitIndex = args.indexOf('--limit');
+        const limit = limitIndex !== -1 ? parseInt(args[limitIndex + 1]) : undefined;
+
+        const { results } = await client.search(query, { kinds, limit });
+        if (args.includes('--json')) {
+          console.log(JSON.stringify(results.map(({ entity, ...result }) => result), null, 2));
+          break;
+        }
+        if (results.length === 0) {
+          console.log(`No results for "${query}"`);
+          break;
+        }
+        results.forEach(result => {
+          const context = result.context ? ` @ ${result.context}` : '';
+          const match = result.field === 'name' ? result.highlighted : `${result.field}: ${result.highlighted}`;
+          console.log(`${result.score.toFixed(2)}  [${result.kind}] ${result.name}${context}  —  ${match}`);
+        });
         break;
       }
 
@@ -77,7 +227,8 @@ Examples:
         if (!mapName) {
           console.error('Error: Map name required');
           console.log('\nUsage: arc-raiders loot-run <map-name> [options]');
-          console.log('\nAvailable maps: dam, spaceport, buried-city, blue-gate');
+          const maps = await client.discoverMaps();
+          console.log(`\nAvailable maps: ${maps.map(map => map.id).join(', ')}`);
           console.log('\nOptions:');
           console.log('  --max-caches <number>     Maximum caches to visit (default: 15)');
           console.log('  --max-time <seconds>       Max time before heading to extraction (default: 300)');
@@ -85,11 +236,22 @@ Examples:
           console.log('  --avoid-dangerous          Avoid dangerous areas (objectives, ARCs, buildings)');
           console.log('  --use-raider-key          Prefer raider key extraction points');
           console.log('  --danger-radius <n>        Radius to check for danger (default: 50)');
+          console.log('  --optimize <caches|value|quests>  Maximize caches, loot value per minute or quest objectives');
+          console.log('  --quests <id,id,...>       Active quest IDs to route through (implies --optimize quests)');
+          console.log('  --min-rarity <rarity>      Skip caches unlikely to hold anything this rare');
+          console.log('  --target-value <value>     Head for extraction once the expected loot is worth this much');
+          console.log('  --algorithm <name>         extraction-aware (default), nearest-neighbor, exact or annealing');
+          console.log('  --seed <number>            Seed for --algorithm annealing, to repeat a route');
+          console.log('  --navigation <file>        Walkable-area JSON; routes go around walls, cliffs and water');
           console.log('  --spawn-x <number>         Your spawn X coordinate (optional)');
           console.log('  --spawn-y <number>        Your spawn Y coordinate (optional)');
           console.log('  --spawn-z <number>         Your spawn Z coordinate (optional)');
+          console.log('  --spawn-layer <level>      Floor you spawn on, e.g. -1 (optional)');
           console.log('\nExample:');
           console.log('  arc-raiders loot-run dam --max-caches 10 --max-time 240');
+          console.log('  arc-raiders loot-run dam --optimize value --min-rarity rare');
+          console.log('  arc-raiders loot-run dam --algorithm exact --max-caches 8');
+          console.log('  arc-raiders loot-run dam --quests q-snap-and-salvage,q-a-bad-feeling');
           console.log('  arc-raiders loot-run dam --spawn-x 100.5 --spawn-y 200.3 --spawn-z 15.2');
           process.exit(1);
         }
@@ -112,6 +274,29 @@ Examples:
         const dangerRadiusIndex = args.indexOf('--danger-radius');
         const dangerRadius = dangerRadiusIndex !== -1 ? parseInt(args[dangerRadiusIndex + 1]) : undefined;
 
+        const questsIndex = args.indexOf('--quests');
+        const questIds = questsIndex !== -1 ? args[questsIndex + 1]?.split(',').filter(Boolean) : undefined;
+
+        const optimizeIndex = args.indexOf('--optimize');
+        const optimizeArg = optimizeIndex !== -1 ? args[optimizeIndex + 1] : questIds ? 'quests' : undefined;
+        const optimizeFor = optimizeArg === 'value' ? 'value-per-minute' : optimizeArg === 'quests' ? 'quests' : undefined;
+        const minRarityIndex = args.indexOf('--min-rarity');
+        const minRarity = minRarityIndex !== -1
+          ? args[minRarityIndex + 1]?.toLowerCase() as LootRunOptions['minRarity']
+          : undefined;
+
+        const targetValueIndex = args.indexOf('--target-value');
+        const targetValue = targetValueIndex !== -1 ? parseFloat(args[targetValueIndex + 1]) : undefined;
+
+        const algorithmIndex = args.indexOf('--algorithm');
+        const algorithm = algorithmIndex !== -1
+          ? args[algorithmIndex + 1] as LootRunOptions['algorithm']
+          : 'extraction-aware';
+        const seedIndex = args.indexOf('--seed');
+        const seed = seedIndex !== -1 ? parseInt(args[seedIndex + 1]) : undefined;
+        const navigationIndex = args.indexOf('--navigation');
+        const navigation = navigationIndex !== -1 ? loadNavigationMesh(args[navigationIndex + 1]) : undefined;
+
         // Parse spawn coordinates if provided
         const spawnXIndex = args.indexOf('--spawn-x');
         const spawnYIndex = args.indexOf('--spawn-y');
@@ -120,6 +305,8 @@ Examples:
         const spawnX = spawnXIndex !== -1 ? parseFloat(args[spawnXIndex + 1]) : undefined;
         const spawnY = spawnYIndex !== -1 ? parseFloat(args[spawnYIndex + 1]) : undefined;
         const spawnZ = spawnZIndex !== -1 ? parseFloat(args[spawnZIndex + 1]) : undefined;
+        const spawnLayerIndex = args.indexOf('--spawn-layer');
+        const startLayer = spawnLayerIndex !== -1 ? parseInt(args[spawnLayerIndex + 1]) : undefined;
 
         const startAtCoordinates = (spawnX !== undefined && spawnY !== undefined) ? {
           x: spawnX,
@@ -128,16 +315,22 @@ Examples:
         } : undefined;
 
         const options: LootRunOptions = {
-          startAtSpawn: !startAtCoordinates, // Only use spawn points if coordinates not provided
           startAtCoordinates,
+          startLayer,
           endAtExtraction: true,
           useRaiderKey,
           maxCaches,
           maxTimeBeforeExtraction: maxTime,
+          targetValue,
           extractionProximity,
           avoidDangerousAreas: avoidDangerous,
           dangerRadius,
-          algorithm: 'extraction-aware',
+          algorithm,
+          seed,
+          navigation,
+          optimizeFor,
+          minRarity,
+          questIds,
         };
 
         try {
@@ -151,7 +344,7 @@ Examples:
 
           console.log(client.formatLootRunPath(lootRun));
         } catch (error) {
-          console.error('Error generating loot run:', error instanceof Error ? error.message : 'Unknown error');
+          console.error('Error generating loot run:', describeError(error));
           process.exit(1);
         }
         break;
@@ -212,6 +405,70 @@ Examples:
         break;
       }
 
+      case 'snapshot': {
+        const outputIndex = args.indexOf('--output');
+        const labelIndex = args.indexOf('--label');
+        const label = labelIndex !== -1 ? args[labelIndex + 1] : undefined;
+        const output = outputIndex !== -1
+          ? args[outputIndex + 1]
+          : `arc-raiders-snapshot-${new Date().toISOString().slice(0, 10)}.json`;
+
+        const snapshot = await client.saveSnapshot(output, label);
+        console.log(`Saved snapshot to ${output}`);
+        console.log(`  ${snapshot.items.length} items, ${snapshot.quests.length} quests, ${snapshot.arcs.length} ARCs, ` +
+          `${Object.keys(snapshot.traders).length} traders, ${snapshot.maps.length} maps`);
+        break;
+      }
+
+      case 'sync': {
+        const outputIndex = args.indexOf('--output');
+        const output = outputIndex !== -1 ? args[outputIndex + 1] : 'arc-raiders-data';
+        const labelIndex = args.indexOf('--label');
+        const label = labelIndex !== -1 ? args[labelIndex + 1] : undefined;
+
+        // Straight from the API: neither cached responses nor another offline dataset
+        const snapshot = await createArcRaidersClient({ cacheEnabled: false }).createSnapshot(label);
+        writeDataset(snapshot, output);
+        console.log(`Synced offline dataset to ${output}`);
+        console.log(`  ${snapshot.items.length} items, ${snapshot.quests.length} quests, ${snapshot.arcs.length} ARCs, ` +
+          `${Object.keys(snapshot.traders).length} traders, ${snapshot.maps.length} maps`);
+        console.log(`\nUse it with: arc-raiders <command> --offline ${output}`);
+        break;
+      }
+
+      case 'diff': {
+        const positional = args.slice(1).filter((arg, i, list) => !arg.startsWith('--') && !(list[i - 1] || '').startsWith('--'));
+        const [fromPath, toPath] = positional;
+        if (!fromPath) {
+          console.error('Error: Snapshot file required');
+          console.log('\nUsage: arc-raiders diff <old-snapshot> [new-snapshot] [--format json|markdown] [--output file]');
+          console.log('\nWithout a second snapshot, the old one is compared against live data.');
+          process.exit(1);
+        }
+
+        const formatIndex = args.indexOf('--format');
+        const format = formatIndex !== -1 ? args[formatIndex + 1] : 'markdown';
+        if (!['json', 'markdown', 'md'].includes(format)) {
+          console.error('Invalid format. Use "json" or "markdown"');
+          process.exit(1);
+        }
+        const outputIndex = args.indexOf('--output');
+        const output = outputIndex !== -1 ? args[outputIndex + 1] : undefined;
+
+        const before = loadSnapshot(fromPath);
+        const after = toPath ? loadSnapshot(toPath) : await client.createSnapshot('live');
+        const diff = diffSnapshots(before, after, { classificationRules: client.getClassificationRules() });
+        const text = format === 'json' ? exportToJSONString(diff) : formatSnapshotDiffMarkdown(diff);
+
+        if (output) {
+          saveText(output, text);
+          console.log(`Wrote diff to ${output}`);
+        } else {
+          console.log(text);
+        }
+        break;
+      }
+
       case 'help':
       default: {
         console.log(`
@@ -225,25 +482,36 @@ Commands:
   weapons        List all weapons
   quests         List all quests
   arcs           List all ARCs
-  traders        List all traders
+  traders        List all traders (--item <name> compares prices across traders)
+  maps           List available maps and their aliases (--discover asks the API for new ones)
+  search <query> Fuzzy search items, quests, ARCs, traders and map POIs
   loot-run       Generate optimized loot run path for a map
   export <type>  Export data (json|csv)
   stats          Show statistics
+  snapshot       Save a snapshot of all game data
+  sync           Download an offline dataset (use with --offline <path>)
+  diff <a> [b]   Compare two snapshots (b defaults to live data)
   help           Show this help message
 
 Examples:
   arc-raiders items
   arc-raiders weapons --rarity legendary
+  arc-raiders search "rustd gear" --limit 5
+  arc-raiders traders --item "battery"
   arc-raiders loot-run dam
   arc-raiders loot-run spaceport --max-caches 10
   arc-raiders export json --output data.json
   arc-raiders stats
+  arc-raiders snapshot --label 1.2.0 --output snapshots/1.2.0.json
+  arc-raiders diff snapshots/1.1.0.json snapshots/1.2.0.json --format markdown
+  arc-raiders sync --output arc-raiders-data
+  arc-raiders loot-run dam --offline arc-raiders-data
         `);
         break;
       }
     }
   } catch (error) {
-    console.error('Error:', error instanceof Error ? error.message : 'Unknown error');
+    console.error('Error:', describeError(error));
     process.exit(1);
   }
 }
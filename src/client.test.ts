@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiClient, type ApiClientConfig } from './client';
+import { NetworkError, NotFoundError, TimeoutError, UpstreamBlockedError } from './errors';
+import { OfflineTransport, type Transport, type TransportResponse } from './transport';
+import { ApiError } from './types';
+
+type Reply = TransportResponse | Error;
+
+// Answers with the queued replies in order, repeating the last one, and notes when each call came in
+class ScriptedTransport implements Transport {
+  readonly calls: number[] = [];
+
+  constructor(private readonly replies: Reply[]) {}
+
+  async send(): Promise<TransportResponse> {
+    this.calls.push(Date.now());
+    const reply = this.replies[Math.min(this.calls.length - 1, this.replies.length - 1)];
+    if (reply instanceof Error) {
+      throw reply;
+    }
+    return reply;
+  }
+
+  gaps(): number[] {
+    return this.calls.slice(1).map((time, index) => time - this.calls[index]);
+  }
+}
+
+function reply(status: number, headers: Record<string, string> = {}, data: unknown = { ok: status < 300 }): TransportResponse {
+  return { status, statusText: String(status), headers, data };
+}
+
+function createClient(transport: Transport, config: ApiClientConfig = {}): ApiClient {
+  return new ApiClient({
+    baseURL: 'https://api.test',
+    transport,
+    ...config,
+    retry: config.retry === false ? false : { baseDelay: 1, jitter: 0, ...config.retry },
+  });
+}
+
+describe('ApiClient retries', () => {
+  it('retries retryable statuses and network errors until one succeeds', async () => {
+    const transport = new ScriptedTransport([reply(503), new TypeError('fetch failed'), reply(200)]);
+    const response = await createClient(transport).get('/items');
+    assert.equal(response.status, 200);
+    assert.equal(transport.calls.length, 3);
+  });
+
+  it('gives up after maxAttempts with the last error', async () => {
+    const transport = new ScriptedTransport([reply(500)]);
+    await assert.rejects(createClient(transport, { retry: { maxAttempts: 4 } }).get('/items'), { status: 500, attempt: 4 });
+    assert.equal(transport.calls.length, 4);
+  });
+
+  it('backs off exponentially up to maxDelay', async () => {
+    const transport = new ScriptedTransport([reply(502)]);
+    const client = createClient(transport, { retry: { maxAttempts: 4, baseDelay: 40, maxDelay: 100 } });
+    await assert.rejects(client.get('/items'));
+    const [first, second, third] = transport.gaps();
+    assert.ok(first >= 39 && first < 79, `first retry after ${first}ms`);
+    assert.ok(second >= 79 && second < 159, `second retry after ${second}ms`);
+    assert.ok(third >= 99 && third < 159, `third retry after ${third}ms`);
+  });
+
+  it('waits for Retry-After, capped at maxDelay', async () => {
+    const transport = new ScriptedTransport([reply(429, { 'retry-after': '3600' }), reply(200)]);
+    const client = createClient(transport, { retry: { baseDelay: 1, maxDelay: 60 } });
+    await client.get('/items');
+    const [gap] = transport.gaps();
+    assert.ok(gap >= 59 && gap < 1000, `retried after ${gap}ms`);
+  });
+
+  it('ignores Retry-After when respectRetryAfter is false', async () => {
+    const transport = new ScriptedTransport([reply(429, { 'retry-after': '3600' }), reply(200)]);
+    const client = createClient(transport, { retry: { maxDelay: 60000, respectRetryAfter: false } });
+    await client.get('/items');
+    assert.ok(transport.gaps()[0] < 1000);
+  });
+
+  it('does not retry statuses outside retryOn, unsafe methods or disabled policies', async () => {
+    for (const [transport, run] of [
+      [new ScriptedTransport([reply(400)]), (client: ApiClient) => client.get('/items')],
+      [new ScriptedTransport([reply(503)]), (client: ApiClient) => client.post('/items', {})],
+      [new ScriptedTransport([reply(503)]), (client: ApiClient) => client.get('/items', { retry: false })],
+    ] as const) {
+      await assert.rejects(run(createClient(transport)));
+      assert.equal(transport.calls.length, 1);
+    }
+  });
+
+  it('does not retry Cloudflare challenges, aborts or offline misses', async () => {
+    const challenge = new ScriptedTransport([reply(503, { server: 'cloudflare' }, '<title>Just a moment...</title>')]);
+    await assert.rejects(createClient(challenge).get('/items'), UpstreamBlockedError);
+    assert.equal(challenge.calls.length, 1);
+
+    const controller = new AbortController();
+    const aborted = new ScriptedTransport([new TypeError('fetch failed')]);
+    const pending = createClient(aborted, { retry: { baseDelay: 5000 } }).get('/items', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+    await assert.rejects(pending, (error: unknown) => error instanceof ApiError && error.statusText === 'Aborted');
+    assert.equal(aborted.calls.length, 1);
+
+    await assert.rejects(createClient(new OfflineTransport()).get('/items'), (error: unknown) =>
+      error instanceof ApiError && !(error instanceof NetworkError) && error.willRetry === false);
+  });
+
+  it('runs error interceptors on every failed attempt', async () => {
+    const transport = new ScriptedTransport([reply(500)]);
+    const client = createClient(transport);
+    const seen: Array<[number | undefined, boolean | undefined]> = [];
+    client.useErrorInterceptor(error => {
+      seen.push([error.attempt, error.willRetry]);
+      return error;
+    });
+    await assert.rejects(client.get('/items'));
+    assert.deepEqual(seen, [[1, true], [2, true], [3, false]]);
+  });
+
+  it('throws the error returned by the last interceptor', async () => {
+    const client = createClient(new ScriptedTransport([reply(404)]));
+    client.useErrorInterceptor(error => new ApiError(`wrapped: ${error.message}`, error.status, error.statusText));
+    await assert.rejects(client.get('/items'), { message: 'wrapped: API Request failed: 404' });
+  });
+});
+
+describe('ApiClient errors', () => {
+  it('raises TimeoutError when the transport outlives the timeout', async () => {
+    const hanging: Transport = {
+      send: request => new Promise((_, reject) => {
+        request.signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }),
+    };
+    await assert.rejects(createClient(hanging, { retry: false, timeout: 20 }).get('/items'), TimeoutError);
+  });
+
+  it('wraps transport failures in NetworkError and statuses in their domain errors', async () => {
+    await assert.rejects(createClient(new ScriptedTransport([new TypeError('fetch failed')]), { retry: false }).get('/items'),
+      (error: unknown) => error instanceof NetworkError && error.message === 'fetch failed');
+    await assert.rejects(createClient(new ScriptedTransport([reply(404)])).get('/items'), NotFoundError);
+  });
+});
@@ -1,11 +1,88 @@
 import type {
+  HttpMethod,
   RequestConfig,
   ApiResponse,
   RequestInterceptor,
   ResponseInterceptor,
   ErrorInterceptor,
+  RetryPolicy,
+  CacheValidators,
 } from './types';
 import { ApiError } from './types';
+import { RateLimiter, ConcurrencyLimiter, type RateLimitConfig } from './rate-limiter';
+import { FetchTransport, type Transport } from './transport';
+import {
+  NetworkError,
+  TimeoutError,
+  UpstreamBlockedError,
+  createHttpError,
+  parseRetryAfter,
+} from './errors';
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  jitter: 0.5,
+  retryOn: [408, 429, 500, 502, 503, 504],
+  retryMethods: ['GET', 'PUT', 'DELETE'],
+  respectRetryAfter: true,
+};
+
+export interface ApiClientConfig {
+  baseURL?: string;
+  defaultHeaders?: Record<string, string>;
+  timeout?: number;
+  retry?: Partial<RetryPolicy> | false; // Set to false to disable retries entirely
+  rateLimit?: RateLimitConfig; // Token bucket throttle applied to every attempt
+  maxConcurrency?: number; // Max requests in flight at once (default: unlimited)
+  transport?: Transport; // How requests are sent (default: global fetch)
+}
+
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new ApiError('Request aborted', 0, 'Aborted'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(new ApiError('Request aborted', 0, 'Aborted'));
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Read ETag/Last-Modified from response headers, if the server sent any
+ */
+export function getCacheValidators(headers: Record<string, string>): CacheValidators | undefined {
+  const etag = headers['etag'];
+  const lastModified = headers['last-modified'];
+  if (!etag && !lastModified) {
+    return undefined;
+  }
+  return {
+    ...(etag && { etag }),
+    ...(lastModified && { lastModified }),
+  };
+}
+
+function getConditionalHeaders(validators?: CacheValidators): Record<string, string> {
+  const headers: Record<string, string> = {};
+  if (validators?.etag) {
+    headers['If-None-Match'] = validators.etag;
+  }
+  if (validators?.lastModified) {
+    headers['If-Modified-Since'] = validators.lastModified;
+  }
+  return headers;
+}
 
 export class ApiClient {
   private baseURL: string;
@@ -14,15 +91,19 @@ export class ApiClient {
   private responseInterceptors: ResponseInterceptor[] = [];
   private errorInterceptors: ErrorInterceptor[] = [];
   private defaultTimeout: number;
+  private retryPolicy: RetryPolicy | null;
+  private rateLimiter: RateLimiter | null;
+  private concurrencyLimiter: ConcurrencyLimiter | null;
+  private transport: Transport;
 
-  constructor(config: {
-    baseURL?: string;
-    defaultHeaders?: Record<string, string>;
-    timeout?: number;
-  } = {}) {
+  constructor(config: ApiClientConfig = {}) {
     this.baseURL = config.baseURL || '';
     this.defaultHeaders = config.defaultHeaders || {};
     this.defaultTimeout = config.timeout || 30000;
+    this.retryPolicy = config.retry === false ? null : { ...DEFAULT_RETRY_POLICY, ...config.retry };
+    this.rateLimiter = config.rateLimit ? new RateLimiter(config.rateLimit) : null;
+    this.concurrencyLimiter = config.maxConcurrency ? new ConcurrencyLimiter(config.maxConcurrency) : null;
+    this.transport = config.transport || new FetchTransport();
   }
 
   useRequestInterceptor(interceptor: RequestInterceptor): void {
@@ -40,10 +121,13 @@ export class ApiClient {
   async request<T>(endpoint: string, config: RequestConfig = {}): Promise<ApiResponse<T>> {
     let requestConfig: RequestConfig = {
       method: config.method || 'GET',
-      headers: { ...this.defaultHeaders, ...config.headers },
+      headers: { ...this.defaultHeaders, ...getConditionalHeaders(config.validators), ...config.headers },
       params: config.params,
       body: config.body,
       timeout: config.timeout || this.defaultTimeout,
+      retry: config.retry,
+      signal: config.signal,
+      validators: config.validators,
     };
 
     for (const interceptor of this.requestInterceptors) {
@@ -51,57 +135,38 @@ export class ApiClient {
     }
 
     const url = this.buildURL(endpoint, requestConfig.params);
+    const retryPolicy = this.resolveRetryPolicy(requestConfig);
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), requestConfig.timeout);
-
-    try {
-      const response = await fetch(url, {
-        method: requestConfig.method,
-        headers: requestConfig.headers,
-        body: requestConfig.body ? JSON.stringify(requestConfig.body) : undefined,
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeoutId);
-
-      const responseHeaders: Record<string, string> = {};
-      response.headers.forEach((value, key) => {
-        responseHeaders[key] = value;
-      });
-
-      let data: T;
-      const contentType = response.headers.get('content-type');
-      
-      if (contentType?.includes('application/json')) {
-        data = await response.json() as T;
-      } else if (contentType?.includes('text/')) {
-        data = (await response.text()) as unknown as T;
-      } else {
-        data = (await response.blob()) as unknown as T;
-      }
-
-      const apiResponse: ApiResponse<T> = {
-        data,
-        status: response.status,
-        statusText: response.statusText,
-        headers: responseHeaders,
-      };
+    for (let attempt = 1; ; attempt++) {
+      let apiResponse: ApiResponse<T>;
+      try {
+        apiResponse = await this.schedule(() => this.send<T>(url, requestConfig), requestConfig.signal);
+      } catch (error) {
+        let apiError: ApiError;
+        if (error instanceof ApiError) {
+          apiError = error;
+        } else if (requestConfig.signal?.aborted) {
+          apiError = new ApiError('Request aborted', 0, 'Aborted');
+        } else {
+          apiError = new NetworkError(error instanceof Error ? error.message : 'Unknown error occurred');
+        }
 
-      if (!response.ok) {
-        const error = new ApiError(
-          `API Request failed: ${response.statusText}`,
-          response.status,
-          response.statusText,
-          data,
-          response
-        );
+        const retryDelay = this.getRetryDelay(apiError, attempt, requestConfig.method || 'GET', retryPolicy);
+        apiError.attempt = attempt;
+        apiError.willRetry = retryDelay !== null;
 
-        let processedError = error;
+        // Error interceptors see every failed attempt, not only the final one
+        let processedError = apiError;
         for (const interceptor of this.errorInterceptors) {
           processedError = await interceptor(processedError);
         }
-        throw processedError;
+
+        if (retryDelay === null) {
+          throw processedError;
+        }
+
+        await sleep(retryDelay, requestConfig.signal);
+        continue;
       }
 
       let processedResponse = apiResponse;
@@ -110,26 +175,118 @@ export class ApiClient {
       }
 
       return processedResponse;
+    }
+  }
+
+  /**
+   * Wait for a rate limit token, then a concurrency slot, then run the task. Taking the
+   * token first keeps requests that are only waiting on the rate limit from holding slots.
+   */
+  private async schedule<R>(task: () => Promise<R>, signal?: AbortSignal): Promise<R> {
+    if (this.rateLimiter) {
+      await this.rateLimiter.acquire(signal);
+    }
+    const release = this.concurrencyLimiter ? await this.concurrencyLimiter.acquire(signal) : null;
+    try {
+      return await task();
+    } finally {
+      release?.();
+    }
+  }
+
+  private async send<T>(url: string, requestConfig: RequestConfig): Promise<ApiResponse<T>> {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, requestConfig.timeout);
+    const onAbort = () => controller.abort();
+    requestConfig.signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const response = await this.transport.send({
+        url,
+        method: requestConfig.method || 'GET',
+        headers: requestConfig.headers || {},
+        body: requestConfig.body ? JSON.stringify(requestConfig.body) : undefined,
+        signal: controller.signal,
+      });
+
+      const notModified = response.status === 304 && !!requestConfig.validators;
+      if ((response.status < 200 || response.status >= 300) && !notModified) {
+        throw createHttpError(
+          response.status,
+          response.statusText,
+          response.data,
+          response.headers,
+          response.raw
+        );
+      }
+
+      return {
+        data: response.data as T,
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      };
     } catch (error) {
+      if (timedOut && !(error instanceof ApiError)) {
+        throw new TimeoutError(requestConfig.timeout);
+      }
+      throw error;
+    } finally {
       clearTimeout(timeoutId);
+      requestConfig.signal?.removeEventListener('abort', onAbort);
+    }
+  }
 
-      if (error instanceof ApiError) {
-        throw error;
-      }
+  private resolveRetryPolicy(requestConfig: RequestConfig): RetryPolicy | null {
+    if (requestConfig.retry === false || this.retryPolicy === null) {
+      // A per-request policy can still opt in when the client has retries disabled
+      return requestConfig.retry ? { ...DEFAULT_RETRY_POLICY, ...requestConfig.retry } : null;
+    }
+    return { ...this.retryPolicy, ...requestConfig.retry };
+  }
 
-      const apiError = new ApiError(
-        error instanceof Error ? error.message : 'Unknown error occurred',
-        0,
-        'Network Error'
-      );
+  /**
+   * Decide whether a failed attempt should be retried.
+   * Returns the delay in ms before the next attempt, or null to give up.
+   */
+  private getRetryDelay(
+    error: ApiError,
+    attempt: number,
+    method: HttpMethod,
+    policy: RetryPolicy | null
+  ): number | null {
+    if (!policy || attempt >= policy.maxAttempts) {
+      return null;
+    }
 
-      let processedError = apiError;
-      for (const interceptor of this.errorInterceptors) {
-        processedError = await interceptor(processedError);
-      }
+    if (!policy.retryMethods.includes(method)) {
+      return null;
+    }
+
+    // status 0 means no response was received; only genuine network failures and
+    // timeouts are worth retrying (not aborts or missing fixtures). A Cloudflare
+    // challenge won't go away by asking again.
+    const retryable = error.status === 0
+      ? error instanceof NetworkError
+      : policy.retryOn.includes(error.status) && !(error instanceof UpstreamBlockedError);
+    if (!retryable) {
+      return null;
+    }
 
-      throw processedError;
+    if (policy.respectRetryAfter) {
+      const retryAfter = parseRetryAfter(error.headers['retry-after']);
+      if (retryAfter !== null) {
+        return Math.min(retryAfter, policy.maxDelay);
+      }
     }
+
+    const exponential = Math.min(policy.baseDelay * 2 ** (attempt - 1), policy.maxDelay);
+    const jitter = Math.min(Math.max(policy.jitter, 0), 1);
+    return Math.round(exponential * (1 - jitter * Math.random()));
   }
 
   async get<T>(endpoint: string, config?: Omit<RequestConfig, 'method' | 'body'>): Promise<ApiResponse<T>> {
@@ -178,10 +335,6 @@ export class ApiClient {
   }
 }
 
-export function createApiClient(config?: {
-  baseURL?: string;
-  defaultHeaders?: Record<string, string>;
-  timeout?: number;
-}): ApiClient {
+export function createApiClient(config?: ApiClientConfig): ApiClient {
   return new ApiClient(config);
 }
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  NetworkError,
+  TimeoutError,
+  RateLimitError,
+  NotFoundError,
+  SchemaError,
+  UpstreamBlockedError,
+  createHttpError,
+  getErrorKind,
+  parseRetryAfter,
+} from './errors';
+import { ApiError } from './types';
+
+const CHALLENGE_PAGE = '<!DOCTYPE html><html><head><title>Just a moment...</title></head></html>';
+
+describe('createHttpError', () => {
+  it('maps statuses to domain errors', () => {
+    const rateLimited = createHttpError(429, 'Too Many Requests', null, { 'retry-after': '2' });
+    assert.ok(rateLimited instanceof RateLimitError);
+    assert.equal((rateLimited as RateLimitError).retryAfter, 2000);
+    assert.ok(createHttpError(404, 'Not Found', null) instanceof NotFoundError);
+
+    const server = createHttpError(500, 'Internal Server Error', { error: 'boom' }, { 'x-request-id': 'abc' });
+    assert.equal(server.constructor, ApiError);
+    assert.equal(server.status, 500);
+    assert.deepEqual(server.data, { error: 'boom' });
+    assert.equal(server.headers['x-request-id'], 'abc');
+    assert.equal(server.message, 'API Request failed: Internal Server Error');
+  });
+
+  it('detects Cloudflare challenge pages', () => {
+    const cases: Array<[number, Record<string, string>, unknown]> = [
+      [403, { server: 'cloudflare' }, CHALLENGE_PAGE],
+      [503, { 'cf-ray': '8a1b2c3d4e5f-AMS' }, '<div id="challenge-platform"></div>'],
+      [403, { server: 'cloudflare' }, 'Attention Required! | Cloudflare'],
+      [200, { 'cf-mitigated': 'challenge' }, ''],
+      [429, { 'cf-mitigated': 'challenge' }, ''],
+    ];
+    for (const [status, headers, body] of cases) {
+      const error = createHttpError(status, '', body, headers);
+      assert.ok(error instanceof UpstreamBlockedError, `${status} ${JSON.stringify(headers)}`);
+      assert.equal(error.status, status);
+    }
+  });
+
+  it('does not mistake other errors for challenges', () => {
+    const cases: Array<[number, Record<string, string>, unknown]> = [
+      [403, { server: 'nginx' }, CHALLENGE_PAGE], // Not from Cloudflare
+      [403, { server: 'cloudflare' }, '{"error":"forbidden"}'], // No challenge markup
+      [500, { server: 'cloudflare' }, CHALLENGE_PAGE], // Challenges are 403 or 503
+      [503, { server: 'cloudflare' }, { message: 'Just a moment' }], // JSON body
+    ];
+    for (const [status, headers, body] of cases) {
+      assert.ok(!(createHttpError(status, '', body, headers) instanceof UpstreamBlockedError), `${status} ${JSON.stringify(body)}`);
+    }
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter('0'), 0);
+    const inAMinute = new Date(Date.now() + 60000).toUTCString();
+    const ms = parseRetryAfter(inAMinute)!;
+    assert.ok(ms > 58000 && ms <= 60000, `${ms}ms`);
+    assert.equal(parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+  });
+
+  it('ignores missing and malformed values', () => {
+    assert.equal(parseRetryAfter(undefined), null);
+    assert.equal(parseRetryAfter(''), null);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+});
+
+describe('getErrorKind', () => {
+  it('names every error class', () => {
+    const cases: Array<[unknown, string]> = [
+      [new TimeoutError(1000), 'timeout'],
+      [new NetworkError('reset'), 'network'],
+      [createHttpError(429, '', null), 'rate-limit'],
+      [createHttpError(404, '', null), 'not-found'],
+      [new SchemaError('bad', 'data'), 'schema'],
+      [createHttpError(403, '', CHALLENGE_PAGE, { server: 'cloudflare' }), 'upstream-blocked'],
+      [new ApiError('Request aborted', 0, 'Aborted'), 'aborted'],
+      [createHttpError(500, '', null), 'http'],
+      [new Error('plain'), 'unknown'],
+      ['string', 'unknown'],
+    ];
+    for (const [error, kind] of cases) {
+      assert.equal(getErrorKind(error), kind);
+    }
+  });
+
+  it('keeps timeouts network errors', () => {
+    const error = new TimeoutError(250);
+    assert.ok(error instanceof NetworkError);
+    assert.equal(error.status, 0);
+    assert.equal(error.message, 'Request timed out after 250ms');
+  });
+});
@@ -0,0 +1,166 @@
+import { ApiError } from './types';
+import type { SchemaIssue } from './arc-raiders/schema';
+
+/**
+ * The request never got a response (DNS failure, connection reset, offline, ...)
+ */
+export class NetworkError extends ApiError {
+  constructor(message: string, statusText: string = 'Network Error') {
+    super(message, 0, statusText);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * No response arrived within the configured timeout
+ */
+export class TimeoutError extends NetworkError {
+  constructor(public timeout?: number) {
+    super(timeout ? `Request timed out after ${timeout}ms` : 'Request timed out', 'Timeout');
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * HTTP 429. retryAfter is the server's Retry-After in milliseconds, when sent.
+ */
+export class RateLimitError extends ApiError {
+  public retryAfter?: number;
+
+  constructor(message: string, statusText: string, data?: unknown, response?: Response, retryAfter?: number) {
+    super(message, 429, statusText, data, response);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * HTTP 404, e.g. an unknown item ID or map name
+ */
+export class NotFoundError extends ApiError {
+  constructor(message: string, statusText: string = 'Not Found', data?: unknown, response?: Response) {
+    super(message, 404, statusText, data, response);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The response arrived but its payload doesn't have the expected shape
+ */
+export class SchemaError extends ApiError {
+  public issues: SchemaIssue[] = []; // Path-level drift report when raised by schema validation
+
+  constructor(
+    message: string,
+    public path: string = '',
+    data?: unknown,
+    status: number = 200
+  ) {
+    super(message, status, 'Schema Mismatch', data);
+    this.name = 'SchemaError';
+  }
+}
+
+/**
+ * The API answered with a bot-protection page (Cloudflare challenge) instead of
+ * data. Retrying won't help; the browser client can get through.
+ */
+export class UpstreamBlockedError extends ApiError {
+  constructor(message: string, status: number, statusText: string, data?: unknown, response?: Response) {
+    super(message, status, statusText, data, response);
+    this.name = 'UpstreamBlockedError';
+  }
+}
+
+export type ApiErrorKind =
+  | 'network'
+  | 'timeout'
+  | 'rate-limit'
+  | 'not-found'
+  | 'schema'
+  | 'upstream-blocked'
+  | 'aborted'
+  | 'http'
+  | 'unknown';
+
+/**
+ * Classify any thrown value, e.g. to pick a message in a UI or CLI
+ */
+export function getErrorKind(error: unknown): ApiErrorKind {
+  if (error instanceof TimeoutError) return 'timeout';
+  if (error instanceof NetworkError) return 'network';
+  if (error instanceof RateLimitError) return 'rate-limit';
+  if (error instanceof NotFoundError) return 'not-found';
+  if (error instanceof SchemaError) return 'schema';
+  if (error instanceof UpstreamBlockedError) return 'upstream-blocked';
+  if (error instanceof ApiError) {
+    return error.statusText === 'Aborted' ? 'aborted' : 'http';
+  }
+  return 'unknown';
+}
+
+function isChallengePage(status: number, headers: Record<string, string>, data: unknown): boolean {
+  if (headers['cf-mitigated'] === 'challenge') {
+    return true;
+  }
+  if (status !== 403 && status !== 503) {
+    return false;
+  }
+  const fromCloudflare = (headers['server'] || '').toLowerCase().includes('cloudflare') || !!headers['cf-ray'];
+  const body = typeof data === 'string' ? data : '';
+  return fromCloudflare && /just a moment|cf-challenge|challenge-platform|attention required/i.test(body);
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds
+ */
+export function parseRetryAfter(value: string | null | undefined): number | null {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Map a non-2xx HTTP response to the matching domain error
+ */
+export function createHttpError(
+  status: number,
+  statusText: string,
+  data: unknown,
+  headers: Record<string, string> = {},
+  response?: Response
+): ApiError {
+  const message = `API Request failed: ${statusText || status}`;
+  let error: ApiError;
+
+  if (isChallengePage(status, headers, data)) {
+    error = new UpstreamBlockedError(
+      'API request was blocked by a Cloudflare challenge page',
+      status,
+      statusText,
+      data,
+      response
+    );
+  } else if (status === 429) {
+    error = new RateLimitError(message, statusText, data, response, parseRetryAfter(headers['retry-after']) ?? undefined);
+  } else if (status === 404) {
+    error = new NotFoundError(message, statusText, data, response);
+  } else {
+    error = new ApiError(message, status, statusText, data, response);
+  }
+
+  error.headers = headers;
+  return error;
+}
@@ -1,15 +1,32 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { ArcRaidersClient, createArcRaidersClient, type ArcRaidersClientConfig } from '../arc-raiders/client';
 import type { ArcRaidersFilter } from '../arc-raiders/types';
 import type { ArcRaidersItem, Weapon, Armor, Quest, ArcMission } from '../arc-raiders/types';
+import { getErrorKind } from '../errors';
+import type { SearchResponse } from '../search/search-index';
+import type { ClientSearchOptions } from '../arc-raiders/client';
 
 interface UseArcRaidersOptions {
   config?: ArcRaidersClientConfig;
+  client?: ArcRaidersClient; // Reuse an existing client instead of creating one
   autoFetch?: boolean;
 }
 
+// Hooks without their own config share one client, so concurrent hooks
+// share its cache and in-flight requests instead of each hitting the API
+let sharedClient: ArcRaidersClient | null = null;
+
+function getSharedClient(): ArcRaidersClient {
+  if (!sharedClient) {
+    sharedClient = createArcRaidersClient();
+  }
+  return sharedClient;
+}
+
 export function useArcRaiders(options: UseArcRaidersOptions = {}) {
-  const [client] = useState<ArcRaidersClient>(() => createArcRaidersClient(options.config));
+  const [client] = useState<ArcRaidersClient>(
+    () => options.client || (options.config ? createArcRaidersClient(options.config) : getSharedClient())
+  );
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<Error | null>(null);
 
@@ -17,14 +34,19 @@ export function useArcRaiders(options: UseArcRaidersOptions = {}) {
     setError(null);
   }, []);
 
-  const clearCache = useCallback(() => {
-    client.clearCache();
+  const clearCache = useCallback(async () => {
+    try {
+      await client.clearCache();
+    } catch (err) {
+      setError(err instanceof Error ? err : new Error('Unknown error'));
+    }
   }, [client]);
 
   return {
     client,
     loading,
     error,
+    errorKind: error ? getErrorKind(error) : null,
     clearError,
     clearCache,
   };
@@ -59,6 +81,7 @@ export function useItems(filter?: ArcRaidersFilter, options: UseArcRaidersOption
     items,
     loading,
     error,
+    errorKind: error ? getErrorKind(error) : null,
     refetch: fetchItems,
   };
 }
@@ -92,6 +115,7 @@ export function useWeapons(filter?: ArcRaidersFilter, options: UseArcRaidersOpti
     weapons,
     loading,
     error,
+    errorKind: error ? getErrorKind(error) : null,
     refetch: fetchWeapons,
   };
 }
@@ -125,6 +149,7 @@ export function useQuests(filter?: ArcRaidersFilter, options: UseArcRaidersOptio
     quests,
     loading,
     error,
+    errorKind: error ? getErrorKind(error) : null,
     refetch: fetchQuests,
   };
 }
@@ -158,7 +183,61 @@ export function useARCs(filter?: ArcRaidersFilter, options: UseArcRaidersOptions
     arcs,
     loading,
     error,
+    errorKind: error ? getErrorKind(error) : null,
     refetch: fetchARCs,
   };
 }
 
+export function useSearch(query: string, searchOptions?: ClientSearchOptions, options: UseArcRaidersOptions = {}) {
+  const { client } = useArcRaiders(options);
+  const [response, setResponse] = useState<SearchResponse | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<Error | null>(null);
+
+  // Inline option objects are new on every render; only search again when their contents change
+  const optionsKey = JSON.stringify(searchOptions ?? {});
+  const stableOptions = useMemo(() => searchOptions, [optionsKey]);
+
+  // Searches can finish out of order while the user types; only the latest one may set state
+  const latestSearch = useRef(0);
+
+  const runSearch = useCallback(async () => {
+    const searchId = ++latestSearch.current;
+    if (!query.trim()) {
+      setResponse(null);
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await client.search(query, stableOptions);
+      if (searchId === latestSearch.current) {
+        setResponse(result);
+      }
+    } catch (err) {
+      if (searchId === latestSearch.current) {
+        setError(err instanceof Error ? err : new Error('Unknown error'));
+      }
+    } finally {
+      if (searchId === latestSearch.current) {
+        setLoading(false);
+      }
+    }
+  }, [client, query, stableOptions]);
+
+  useEffect(() => {
+    if (options.autoFetch !== false) {
+      runSearch();
+    }
+  }, [runSearch, options.autoFetch]);
+
+  return {
+    results: response?.results || [],
+    response,
+    loading,
+    error,
+    errorKind: error ? getErrorKind(error) : null,
+    refetch: runSearch,
+  };
+}
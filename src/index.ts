@@ -1,5 +1,109 @@
 export { ArcRaidersClient, createArcRaidersClient } from './arc-raiders/client';
-export type { ArcRaidersClientConfig } from './arc-raiders/client';
+export type {
+  ArcRaidersClientConfig,
+  RevalidateEvent,
+  RevalidateListener,
+  CacheNamespace,
+  CacheStats,
+  ClientSearchOptions,
+} from './arc-raiders/client';
+export { MapRegistry, KNOWN_MAPS, normalizeMapName, computeMapBounds } from './arc-raiders/maps';
+export type { MapInfo, MapDefinition, MapBounds, MapImage } from './arc-raiders/maps';
+export {
+  ALL_LAYERS,
+  toLayer,
+  getLayerName,
+  buildMapLayers,
+  isOnLayer,
+  getPOIsByCategory,
+  getPOIsBySubcategory,
+  getPOIsByType,
+  getPOIsByLayer,
+  getPointsOnLayer,
+} from './arc-raiders/map-data';
+export {
+  TraderEconomy,
+  RARITY_TIERS,
+  normalizeRarity,
+  normalizeTraders,
+  toTraderId,
+} from './arc-raiders/traders';
+export type { TraderOffer, ItemOffers, ItemSellValue, RarityPriceStats, RarityTier } from './arc-raiders/traders';
+export {
+  DEFAULT_CLASSIFICATION_RULES,
+  classifyMapRecord,
+  matchesRule,
+  mergeClassificationRules,
+  describeRules,
+} from './arc-raiders/classification';
+export type {
+  ClassificationRule,
+  ClassifiableRecord,
+  Classification,
+  RulePattern,
+} from './arc-raiders/classification';
+export { DEFAULT_RETRY_POLICY, getCacheValidators } from './client';
+export { ApiError } from './types';
+export {
+  NetworkError,
+  TimeoutError,
+  RateLimitError,
+  NotFoundError,
+  SchemaError,
+  UpstreamBlockedError,
+  createHttpError,
+  getErrorKind,
+} from './errors';
+export type { ApiErrorKind } from './errors';
+export {
+  schema,
+  validateSchema,
+  checkSchema,
+  formatSchemaReport,
+  paginatedSchema,
+  itemSchema,
+  weaponSchema,
+  armorSchema,
+  questSchema,
+  arcSchema,
+  traderSchema,
+  traderItemSchema,
+  tradersResponseSchema,
+  mapDataRecordSchema,
+  mapDataResponseSchema,
+} from './arc-raiders/schema';
+export type {
+  SchemaNode,
+  ValidationMode,
+  SchemaValidationOptions,
+  SchemaIssue,
+  SchemaIssueKind,
+  SchemaReport,
+} from './arc-raiders/schema';
+export type { RetryPolicy, CacheValidators } from './types';
+export { RateLimiter, ConcurrencyLimiter } from './rate-limiter';
+export type { RateLimitConfig } from './rate-limiter';
+export { StoreCache } from './store-cache';
+export type { CacheStore } from './store-cache';
+export { Cache, LruMap } from './cache';
+export type { CacheEntry, CacheOptions, CacheLimits, CacheSizeStats } from './cache';
+export { PersistentCache } from './persistent-cache';
+export type { PersistentCacheOptions } from './persistent-cache';
+export { MemoryCacheStore } from './cache-stores/memory';
+export { SqliteCacheStore } from './cache-stores/sqlite';
+export type { SqliteDatabase, SqliteCacheStoreOptions } from './cache-stores/sqlite';
+export { IndexedDBCacheStore } from './cache-stores/indexeddb';
+export type { IndexedDBCacheStoreOptions } from './cache-stores/indexeddb';
+export { KeyValueCacheStore } from './cache-stores/key-value';
+export type { AsyncKeyValueClient, KeyValueCacheStoreOptions } from './cache-stores/key-value';
+export { FetchTransport, FixtureTransport, OfflineTransport } from './transport';
+export type {
+  Transport,
+  TransportRequest,
+  TransportResponse,
+  FixtureMode,
+  FixtureTransportOptions,
+} from './transport';
 
 export type {
   ArcRaidersItem,
@@ -10,6 +114,8 @@ export type {
   ArcMission,
   Location,
   MapData,
+  MapDataRecord,
+  MapLayer,
   Trader,
   TraderItem,
   ArcLoot,
@@ -40,6 +146,7 @@ export {
   useWeapons,
   useQuests,
   useARCs,
+  useSearch,
 } from './hooks/useArcRaiders';
 
 export {
@@ -74,5 +181,67 @@ export {
 export type {
   LootRunPath,
   PathWaypoint,
+  QuestRouteSummary,
+  LootRunSolverSummary,
   LootRunOptions,
-} from './pathfinding/loot-run';
\ No newline at end of file
+} from './pathfinding/loot-run';
+export { optimizeRoute, buildLegCosts } from './pathfinding/route-optimizer';
+export type {
+  RoutePoint,
+  LegCostOptions,
+  RouteOptimizerOptions,
+  RouteOptimizationStats,
+  RouteOptimizationResult,
+} from './pathfinding/route-optimizer';
+export { solveExact, solveAnnealing, createRandom, MAX_EXACT_CACHES } from './pathfinding/solvers';
+export type { SolverProblem, SolverOptions, SolverResult } from './pathfinding/solvers';
+export { NavigationGrid, loadNavigationMesh } from './pathfinding/navigation';
+export type { NavigationMeshDefinition, NavigationRoute } from './pathfinding/navigation';
+export { FloorRouter, detectFloorConnectors, describeFloorChange, DEFAULT_FLOOR_CHANGE_TIME } from './pathfinding/floors';
+export type {
+  FloorConnector,
+  FloorConnectorKind,
+  FloorChange,
+  FloorRoute,
+  FloorPoint,
+  FloorRouterOptions,
+} from './pathfinding/floors';
+export {
+  LootValueModel,
+  buildItemValues,
+  DEFAULT_CONTAINER_PROFILES,
+  DEFAULT_CONTAINER_PROFILE,
+  DEFAULT_RARITY_WEIGHTS,
+} from './pathfinding/loot-value';
+export type {
+  ItemValue,
+  ContainerProfile,
+  ContainerValueEstimate,
+  LootValueOptions,
+} from './pathfinding/loot-value';
+
+export { SNAPSHOT_VERSION, saveSnapshot, loadSnapshot } from './snapshot/snapshot';
+export type { DataSnapshot } from './snapshot/snapshot';
+export { loadDataset, writeDataset } from './snapshot/dataset';
+export type { DatasetInfo } from './snapshot/dataset';
+export { SearchIndex, highlightMatches, groupSearchResults } from './search/search-index';
+export type {
+  SearchEntityKind,
+  SearchSource,
+  SearchOptions,
+  SearchResult,
+  SearchResponse,
+} from './search/search-index';
+export { diffSnapshots, formatSnapshotDiffMarkdown } from './snapshot/diff';
+export type {
+  SnapshotDiff,
+  SnapshotDiffOptions,
+  CollectionDiff,
+  EntitySummary,
+  EntityChange,
+  FieldChange,
+  RarityChange,
+  TraderDiff,
+  TraderPriceChange,
+  MapDiff,
+} from './snapshot/diff';
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FLOOR_CHANGE_TIME, FloorRouter, describeFloorChange, detectFloorConnectors, type FloorConnector } from './floors';
+import type { MapData } from '../arc-raiders/types';
+
+// A stairwell between the basement and ground level, and a lift to every floor far off
+const stairs: FloorConnector = { id: 'stairs-b', name: 'Stairwell B', kind: 'stairs', coordinates: { x: 100, y: 0 }, levels: [-1, 0] };
+const lift: FloorConnector = { id: 'lift', name: 'Service Lift', kind: 'lift', coordinates: { x: 0, y: 300 }, levels: [-1, 0, 1] };
+
+const at = (x: number, y: number, layer?: number) => ({ coordinates: { x, y }, ...(layer !== undefined && { layer }) });
+
+describe('describeFloorChange', () => {
+  it('says which way and to which floor', () => {
+    assert.equal(describeFloorChange(0, -1), 'Go down to level -1');
+    assert.equal(describeFloorChange(-1, 0), 'Go up to ground level');
+    assert.equal(describeFloorChange(0, 2), 'Go up to level 2');
+  });
+});
+
+describe('detectFloorConnectors', () => {
+  const map: MapData = {
+    id: 'dam',
+    name: 'Dam',
+    waypoints: [{ id: 'spawn', name: 'Spawn', type: 'spawn', coordinates: { x: 0, y: 0 }, layer: 0 }],
+    pois: [
+      { id: 'stairs-top', name: 'Stairwell B', type: 'floor-connector', coordinates: { x: 100, y: 0 }, layer: 0 },
+      { id: 'stairs-bottom', name: 'Stairwell B', type: 'floor-connector', coordinates: { x: 105, y: 5 }, layer: -1 },
+      { id: 'lift', name: 'Service Lift', type: 'floor-connector', coordinates: { x: 0, y: 300 } },
+      { id: 'ramp', name: 'Loading Ramp', type: 'floor-connector', coordinates: { x: 500, y: 500 }, layer: 1 },
+      { id: 'crate', name: 'Crate', type: 'cache', coordinates: { x: 100, y: 100 }, layer: -1 },
+    ],
+  };
+
+  it('merges markers at one spot into a connector reaching their floors', () => {
+    const connectors = detectFloorConnectors(map);
+    assert.deepEqual(connectors.map(c => [c.id, c.kind, c.levels]), [
+      ['stairs-top', 'stairs', [-1, 0]],
+      ['lift', 'lift', [-1, 0, 1]], // On every floor
+      ['ramp', 'ramp', [0, 1]], // Only on level 1, so to the floor next to it
+    ]);
+  });
+});
+
+describe('FloorRouter', () => {
+  const router = new FloorRouter([stairs, lift]);
+
+  it('goes down to level -1 through the nearest stairwell', () => {
+    const route = router.route(at(0, 0, 0), at(100, 100, -1));
+    assert.ok(route);
+    assert.deepEqual(route.points, [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }]);
+    assert.equal(route.distance, 200);
+    assert.equal(route.floorChangeTime, DEFAULT_FLOOR_CHANGE_TIME.stairs);
+    assert.equal(route.changes.length, 1);
+    assert.equal(route.changes[0].connector, stairs);
+    assert.deepEqual([route.changes[0].fromLevel, route.changes[0].toLevel], [0, -1]);
+    assert.equal(route.changes[0].instruction, 'Go down to level -1 via the stairs at Stairwell B');
+  });
+
+  it('rides a connector over several floors at its time per floor', () => {
+    const route = router.route(at(0, 0, -1), at(0, 400, 1));
+    assert.ok(route);
+    assert.equal(route.changes[0].instruction, 'Go up to level 1 via the lift at Service Lift');
+    assert.equal(route.floorChangeTime, 2 * DEFAULT_FLOOR_CHANGE_TIME.lift);
+
+    const slowStairs = new FloorRouter([{ ...stairs, timePerLevel: 30 }]);
+    assert.equal(slowStairs.route(at(0, 0, 0), at(100, 100, -1))?.floorChangeTime, 30);
+  });
+
+  it('walks straight on one floor and for points on every floor', () => {
+    assert.deepEqual(router.route(at(0, 0, 0), at(30, 40, 0)), {
+      points: [{ x: 0, y: 0 }, { x: 30, y: 40 }],
+      distance: 50,
+      floorChangeTime: 0,
+      changes: [],
+    });
+    assert.equal(router.route(at(0, 0), at(30, 40, -1))?.changes.length, 0);
+  });
+
+  it('returns null between floors no connector links', () => {
+    const stairsOnly = new FloorRouter([stairs]);
+    assert.equal(stairsOnly.route(at(0, 0, 0), at(30, 40, 2)), null);
+    assert.equal(stairsOnly.cost(at(0, 0, 0), at(30, 40, 2)), 50);
+  });
+
+  it('costs floor changes as distance at walking speed, the same pair by pair and as a matrix', () => {
+    assert.equal(router.cost(at(0, 0, 0), at(100, 100, -1)), 200 + DEFAULT_FLOOR_CHANGE_TIME.stairs * 5);
+
+    const points = [at(0, 0, 0), at(100, 100, -1), at(0, 400, 1), at(50, 50)];
+    const matrix = router.costMatrix(points);
+    points.forEach((a, i) => points.forEach((b, j) => {
+      assert.ok(Math.abs(matrix[i][j] - router.cost(a, b)) < 1e-9, `${i} -> ${j}`);
+    }));
+  });
+});
@@ -0,0 +1,299 @@
+import type { Coordinates, MapData } from '../arc-raiders/types';
+import { buildMapLayers, getLayerName } from '../arc-raiders/map-data';
+import type { NavigationGrid } from './navigation';
+
+export type FloorConnectorKind = 'stairs' | 'lift' | 'ramp';
+
+/**
+ * A stairwell, lift or ramp: the only places a route may change floors
+ */
+export interface FloorConnector {
+  id: string;
+  name: string;
+  kind: FloorConnectorKind;
+  coordinates: Coordinates; // Only x and y are used
+  levels: number[]; // Floors it reaches
+  timePerLevel?: number; // Seconds to go one floor up or down (default: DEFAULT_FLOOR_CHANGE_TIME)
+}
+
+/**
+ * Seconds per floor; lifts include a typical wait
+ */
+export const DEFAULT_FLOOR_CHANGE_TIME: Record<FloorConnectorKind, number> = {
+  stairs: 8,
+  ramp: 6,
+  lift: 20,
+};
+
+export interface FloorChange {
+  connector: FloorConnector;
+  fromLevel: number;
+  toLevel: number;
+  time: number; // Seconds
+  instruction: string; // e.g. "Go down to level -1 via the stairs at Stairwell B"
+}
+
+export interface FloorRoute {
+  points: Coordinates[]; // Walked points, through each connector used
+  distance: number; // Walking distance, without the floor changes
+  floorChangeTime: number; // Seconds on stairs, ramps and lifts
+  changes: FloorChange[];
+}
+
+/**
+ * A point on a floor; points without a layer are on every floor
+ */
+export interface FloorPoint {
+  coordinates: Coordinates;
+  layer?: number;
+}
+
+export interface FloorRouterOptions {
+  speed?: number; // Units per second, to weigh floor changes against walking (default: 5)
+  navigation?: NavigationGrid; // Walk around obstacles instead of in straight lines
+}
+
+interface ConnectorStop {
+  connector: FloorConnector;
+  level: number;
+}
+
+// Connector POIs this close together on different floors are one stairwell
+const CONNECTOR_MERGE_RADIUS = 15;
+
+/**
+ * "Go down to level -1", "Go up to ground level"
+ */
+export function describeFloorChange(fromLevel: number, toLevel: number): string {
+  return `Go ${toLevel < fromLevel ? 'down' : 'up'} to ${getLayerName(toLevel).toLowerCase()}`;
+}
+
+function connectorKind(text: string): FloorConnectorKind {
+  if (/lift|elevator/i.test(text)) return 'lift';
+  if (/ramp/i.test(text)) return 'ramp';
+  return 'stairs';
+}
+
+/**
+ * Connectors from a map's 'floor-connector' POIs. Markers at the same spot on
+ * several floors become one connector; one that shows on every floor reaches all
+ * of them; a marker on a single floor is assumed to reach the floors next to it.
+ */
+export function detectFloorConnectors(mapData: MapData): FloorConnector[] {
+  const levels = (mapData.layers || buildMapLayers([...(mapData.waypoints || []), ...(mapData.pois || [])]))
+    .map(layer => layer.level);
+  const markers = (mapData.pois || []).filter(poi => poi.type === 'floor-connector' && poi.coordinates);
+
+  const groups: Array<typeof markers> = [];
+  for (const marker of markers) {
+    const group = groups.find(g => Math.hypot(
+      g[0].coordinates!.x - marker.coordinates!.x,
+      g[0].coordinates!.y - marker.coordinates!.y
+    ) <= CONNECTOR_MERGE_RADIUS);
+    if (group) {
+      group.push(marker);
+    } else {
+      groups.push([marker]);
+    }
+  }
+
+  return groups.map(group => {
+    const first = group[0];
+    let reached: number[];
+    if (group.some(marker => marker.layer === undefined)) {
+      reached = levels;
+    } else {
+      reached = Array.from(new Set(group.map(marker => marker.layer!)));
+      if (reached.length === 1) {
+        const level = reached[0];
+        const below = levels.filter(l => l < level).pop();
+        const above = levels.find(l => l > level);
+        reached = [below, level, above].filter((l): l is number => l !== undefined);
+      }
+    }
+    return {
+      id: first.id,
+      name: first.name,
+      kind: connectorKind(`${first.raw?.subcategory || ''} ${first.name}`),
+      coordinates: { x: first.coordinates!.x, y: first.coordinates!.y },
+      levels: [...reached].sort((a, b) => a - b),
+    };
+  });
+}
+
+/**
+ * Routes between points on different floors through stairwells, lifts and ramps.
+ * Costs are in seconds while routing: walking at `speed` plus time on connectors.
+ */
+export class FloorRouter {
+  readonly connectors: FloorConnector[];
+  private readonly speed: number;
+  private readonly navigation?: NavigationGrid;
+  private readonly stops: ConnectorStop[];
+  private readonly stopCosts: number[][]; // Cheapest time from stop to stop
+  private readonly nextStop: number[][]; // First stop after the start on that cheapest way
+
+  constructor(connectors: FloorConnector[], options: FloorRouterOptions = {}) {
+    this.connectors = connectors;
+    this.speed = options.speed ?? 5;
+    this.navigation = options.navigation;
+    this.stops = connectors.flatMap(connector => connector.levels.map(level => ({ connector, level })));
+
+    // Floyd-Warshall over connector stops: walk between stops on a floor, ride between a connector's floors
+    const count = this.stops.length;
+    this.stopCosts = this.stops.map((a, i) => this.stops.map((b, j) => {
+      if (i === j) return 0;
+      if (a.connector === b.connector) return this.rideTime(a.connector, a.level, b.level);
+      if (a.level === b.level) return this.walk(a.connector.coordinates, b.connector.coordinates) / this.speed;
+      return Infinity;
+    }));
+    this.nextStop = this.stops.map((_, i) => this.stops.map((__, j) => j));
+    for (let k = 0; k < count; k++) {
+      for (let i = 0; i < count; i++) {
+        for (let j = 0; j < count; j++) {
+          const through = this.stopCosts[i][k] + this.stopCosts[k][j];
+          if (through < this.stopCosts[i][j]) {
+            this.stopCosts[i][j] = through;
+            this.nextStop[i][j] = this.nextStop[i][k];
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Walking route between two points, changing floors where needed. Null when the
+   * points are on floors no known connector links.
+   */
+  route(from: FloorPoint, to: FloorPoint): FloorRoute | null {
+    if (from.layer === undefined || to.layer === undefined || from.layer === to.layer) {
+      const points = this.walkPath(from.coordinates, to.coordinates);
+      return { points, distance: this.walk(from.coordinates, to.coordinates), floorChangeTime: 0, changes: [] };
+    }
+
+    const best = this.bestStops(from, to, this.stopIndices(from.layer), this.stopIndices(to.layer));
+    if (!best) {
+      return null;
+    }
+
+    const path = [best.start];
+    while (path[path.length - 1] !== best.end) {
+      path.push(this.nextStop[path[path.length - 1]][best.end]);
+    }
+
+    const points: Coordinates[] = [from.coordinates];
+    const changes: FloorChange[] = [];
+    let distance = 0;
+    let position = from.coordinates;
+    for (let i = 0; i < path.length; i++) {
+      const stop = this.stops[path[i]];
+      const previous = i > 0 ? this.stops[path[i - 1]] : null;
+      if (previous && previous.connector === stop.connector) {
+        const time = this.rideTime(stop.connector, previous.level, stop.level);
+        changes.push({
+          connector: stop.connector,
+          fromLevel: previous.level,
+          toLevel: stop.level,
+          time,
+          instruction: `${describeFloorChange(previous.level, stop.level)} via the ${stop.connector.kind} at ${stop.connector.name}`,
+        });
+        continue;
+      }
+      distance += this.walk(position, stop.connector.coordinates);
+      points.push(...this.walkPath(position, stop.connector.coordinates).slice(1));
+      position = stop.connector.coordinates;
+    }
+    distance += this.walk(position, to.coordinates);
+    points.push(...this.walkPath(position, to.coordinates).slice(1));
+
+    return {
+      points,
+      distance,
+      floorChangeTime: changes.reduce((sum, change) => sum + change.time, 0),
+      changes,
+    };
+  }
+
+  /**
+   * Cost of going from one point to another as a distance: walking plus floor
+   * changes at walking speed, or the straight line when no connector links the floors
+   */
+  cost(from: FloorPoint, to: FloorPoint): number {
+    const route = this.route(from, to);
+    return route ? route.distance + route.floorChangeTime * this.speed : this.walk(from.coordinates, to.coordinates);
+  }
+
+  /**
+   * cost() between every pair of points, without routing each pair separately
+   */
+  costMatrix(points: FloorPoint[]): number[][] {
+    const flat = points.map(point => ({ x: point.coordinates.x, y: point.coordinates.y }));
+    const walking = this.navigation
+      ? this.navigation.distanceMatrix(flat)
+      : flat.map(a => flat.map(b => Math.hypot(a.x - b.x, a.y - b.y)));
+
+    // Seconds from each point to each connector stop on its floor
+    const toStops = points.map(point => this.stops.map(stop =>
+      point.layer === undefined || stop.level === point.layer
+        ? this.walk(point.coordinates, stop.connector.coordinates) / this.speed
+        : Infinity
+    ));
+
+    return points.map((a, i) => points.map((b, j) => {
+      if (a.layer === undefined || b.layer === undefined || a.layer === b.layer) {
+        return walking[i][j];
+      }
+      let best = Infinity;
+      for (let s = 0; s < this.stops.length; s++) {
+        if (toStops[i][s] === Infinity) continue;
+        for (let t = 0; t < this.stops.length; t++) {
+          best = Math.min(best, toStops[i][s] + this.stopCosts[s][t] + toStops[j][t]);
+        }
+      }
+      return best === Infinity ? walking[i][j] : best * this.speed;
+    }));
+  }
+
+  private bestStops(
+    from: FloorPoint,
+    to: FloorPoint,
+    starts: number[],
+    ends: number[]
+  ): { start: number; end: number } | null {
+    let best: { start: number; end: number; cost: number } | null = null;
+    for (const start of starts) {
+      const toStart = this.walk(from.coordinates, this.stops[start].connector.coordinates) / this.speed;
+      for (const end of ends) {
+        const cost = toStart + this.stopCosts[start][end] +
+          this.walk(this.stops[end].connector.coordinates, to.coordinates) / this.speed;
+        if (cost < Infinity && (!best || cost < best.cost)) {
+          best = { start, end, cost };
+        }
+      }
+    }
+    return best;
+  }
+
+  private stopIndices(level: number): number[] {
+    return this.stops.map((stop, index) => (stop.level === level ? index : -1)).filter(index => index !== -1);
+  }
+
+  private rideTime(connector: FloorConnector, fromLevel: number, toLevel: number): number {
+    const perLevel = connector.timePerLevel ?? DEFAULT_FLOOR_CHANGE_TIME[connector.kind];
+    const floors = connector.levels.filter(level =>
+      level > Math.min(fromLevel, toLevel) && level <= Math.max(fromLevel, toLevel)
+    ).length;
+    return perLevel * floors;
+  }
+
+  // Floors are stacked, so walking ignores z (which holds the layer)
+  private walk(a: Coordinates, b: Coordinates): number {
+    return this.navigation
+      ? this.navigation.distance({ x: a.x, y: a.y }, { x: b.x, y: b.y })
+      : Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  private walkPath(a: Coordinates, b: Coordinates): Coordinates[] {
+    return this.navigation?.findPath({ x: a.x, y: a.y }, { x: b.x, y: b.y })?.points || [a, b];
+  }
+}
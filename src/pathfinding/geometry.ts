@@ -0,0 +1,68 @@
+import type { Coordinates } from '../arc-raiders/types';
+
+/**
+ * Calculate Euclidean distance between two 3D coordinates
+ */
+export function calculateDistance(coord1: Coordinates, coord2: Coordinates): number {
+  const dx = coord1.x - coord2.x;
+  const dy = coord1.y - coord2.y;
+  const dz = (coord1.z || 0) - (coord2.z || 0);
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Distance from a point to a line segment (2D)
+ */
+export function distancePointToSegment(point: Coordinates, start: Coordinates, end: Coordinates): number {
+  const ax = start.x;
+  const ay = start.y;
+  const bx = end.x;
+  const by = end.y;
+  const px = point.x;
+  const py = point.y;
+
+  const abx = bx - ax;
+  const aby = by - ay;
+  const abLengthSquared = abx * abx + aby * aby;
+
+  if (abLengthSquared === 0) {
+    return Math.sqrt((px - ax) * (px - ax) + (py - ay) * (py - ay));
+  }
+
+  let t = ((px - ax) * abx + (py - ay) * aby) / abLengthSquared;
+  t = Math.max(0, Math.min(1, t));
+
+  const closestX = ax + t * abx;
+  const closestY = ay + t * aby;
+
+  return Math.sqrt((px - closestX) * (px - closestX) + (py - closestY) * (py - closestY));
+}
+
+/**
+ * Check if a path segment passes near any restricted zones
+ */
+export function segmentPassesNearZones(
+  start: Coordinates | null,
+  end: Coordinates | null,
+  zones: Coordinates[],
+  radius: number
+): boolean {
+  if (!start || !end || zones.length === 0) return false;
+  return zones.some(zone => distancePointToSegment(zone, start, end) <= radius);
+}
+
+/**
+ * Whether a point lies inside a polygon (2D, even-odd rule)
+ */
+export function pointInPolygon(point: Coordinates, polygon: Coordinates[]): boolean {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
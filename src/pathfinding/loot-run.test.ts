@@ -0,0 +1,321 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import type { MapData, Quest } from '../arc-raiders/types';
+import { generateLootRun, type LootRunOptions, type LootRunPath, type PathWaypoint } from './loot-run';
+import { LootValueModel } from './loot-value';
+import { calculateDistance } from './geometry';
+import { MAX_EXACT_CACHES } from './solvers';
+import { NavigationGrid } from './navigation';
+
+const ALGORITHMS: Array<NonNullable<LootRunOptions['algorithm']>> = [
+  'nearest-neighbor',
+  'greedy',
+  'extraction-aware',
+  'exact',
+  'annealing',
+];
+
+const SPEED = 5;
+const LOOT_TIME = 30;
+
+// Spawn in a corner, extractions on two edges, caches on a 4x4 grid in between
+function createMap(withSpawn = true): MapData {
+  const caches = Array.from({ length: 16 }, (_, index) => ({
+    id: `cache-${index}`,
+    name: `Cache ${index}`,
+    type: 'cache' as const,
+    coordinates: { x: 100 + (index % 4) * 150, y: 100 + Math.floor(index / 4) * 150 },
+  }));
+  return {
+    id: 'test-map',
+    name: 'Test Map',
+    waypoints: [
+      ...(withSpawn ? [{ id: 'spawn-1', name: 'North Spawn', type: 'spawn' as const, coordinates: { x: 0, y: 0 } }] : []),
+      { id: 'exit-east', name: 'East Exit', type: 'extraction', coordinates: { x: 800, y: 400 } },
+      { id: 'exit-south', name: 'South Exit', type: 'extraction', coordinates: { x: 400, y: 800 } },
+    ],
+    pois: caches,
+  };
+}
+
+function generate(algorithm: LootRunOptions['algorithm'], options: LootRunOptions = {}): LootRunPath {
+  const path = generateLootRun(createMap(), { algorithm, solverTimeBudget: 2000, ...options });
+  assert.ok(path, `${algorithm} returned no route`);
+  return path;
+}
+
+function isExit(wp: PathWaypoint): boolean {
+  return wp.type === 'extraction' || wp.type === 'raider-key';
+}
+
+function cacheCount(path: LootRunPath): number {
+  return path.waypoints.filter(wp => wp.type === 'cache').length;
+}
+
+// Walking (straight-line unless given a navigation grid) plus looting and waiting, from
+// the start to the last waypoint
+function routeTime(waypoints: PathWaypoint[], navigation?: NavigationGrid): number {
+  const distance = navigation ? navigation.distance.bind(navigation) : calculateDistance;
+  return waypoints.reduce((time, wp, index) => {
+    const walk = index > 0 ? distance(waypoints[index - 1].coordinates, wp.coordinates) / SPEED : 0;
+    return time + walk + (wp.waitTime || 0) + (wp.type === 'cache' ? LOOT_TIME : 0);
+  }, 0);
+}
+
+function assertStartAndExfil(path: LootRunPath, endAtExtraction = true): void {
+  const { waypoints } = path;
+  assert.equal(waypoints[0].type, 'spawn');
+  assert.equal(waypoints[0].id, 'spawn-1');
+  waypoints.forEach((wp, index) => {
+    assert.equal(wp.order, index);
+    if (index > 0) {
+      assert.notEqual(wp.type, 'spawn', `waypoint #${index + 1} is another start`);
+    }
+    if (index < waypoints.length - 1) {
+      assert.ok(!isExit(wp), `extraction ${wp.name} is waypoint #${index + 1} of ${waypoints.length}`);
+    }
+  });
+  assert.equal(isExit(waypoints[waypoints.length - 1]), endAtExtraction);
+}
+
+for (const algorithm of ALGORITHMS) {
+  describe(`generateLootRun (${algorithm})`, () => {
+    it('starts at the spawn and ends at an extraction', () => {
+      assertStartAndExfil(generate(algorithm));
+    });
+
+    it('starts at startAtCoordinates when given', () => {
+      const path = generate(algorithm, { startAtCoordinates: { x: 700, y: 700 } });
+      assert.equal(path.waypoints[0].id, 'user-spawn');
+      assert.equal(path.waypoints[0].type, 'spawn');
+      assert.ok(isExit(path.waypoints[path.waypoints.length - 1]));
+    });
+
+    it('visits exactly maxCaches caches when nothing else limits the route', () => {
+      for (const maxCaches of [1, 3, 12]) {
+        const path = generate(algorithm, { maxCaches });
+        assertStartAndExfil(path);
+        assert.equal(cacheCount(path), maxCaches);
+      }
+    });
+
+    it('fits the route and the walk out into maxTimeBeforeExtraction', () => {
+      for (const maxTimeBeforeExtraction of [250, 400, 700]) {
+        const path = generate(algorithm, { maxCaches: 12, maxTimeBeforeExtraction });
+        assertStartAndExfil(path);
+        assert.ok(cacheCount(path) > 0, `no caches fit in ${maxTimeBeforeExtraction}s`);
+        assert.ok(cacheCount(path) < 12, `all caches fit in ${maxTimeBeforeExtraction}s`);
+        assert.ok(routeTime(path.waypoints) <= maxTimeBeforeExtraction,
+          `route takes ${Math.round(routeTime(path.waypoints))}s of ${maxTimeBeforeExtraction}s`);
+      }
+    });
+
+    it('heads for extraction once targetValue is reached', () => {
+      // Every cache is worth 2 items x 55% common x 100 = 110
+      const lootValues = new LootValueModel([{ id: 'scrap', name: 'Scrap', rarity: 'Common', value: 100 }]);
+      const path = generate(algorithm, { maxCaches: 12, lootValues, targetValue: 250 });
+      assertStartAndExfil(path);
+      assert.equal(cacheCount(path), 3);
+      assert.ok((path.expectedValue ?? 0) >= 250);
+    });
+
+    it('leaves out the extraction when endAtExtraction is false', () => {
+      const path = generate(algorithm, { maxCaches: 4, endAtExtraction: false });
+      assertStartAndExfil(path, false);
+      assert.equal(cacheCount(path), 4);
+    });
+  });
+}
+
+describe('generateLootRun timing', () => {
+  // A wall between the first column of caches and the rest, open to the south
+  const navigation = new NavigationGrid({
+    cellSize: 10,
+    bounds: { minX: -100, maxX: 900, minY: -100, maxY: 900 },
+    obstacles: [[{ x: 170, y: -100 }, { x: 190, y: -100 }, { x: 190, y: 650 }, { x: 170, y: 650 }]],
+  });
+  const modes: Array<[string, LootRunOptions]> = [
+    ...ALGORITHMS.map((algorithm): [string, LootRunOptions] => [algorithm, { algorithm }]),
+    ['value-per-minute', { optimizeFor: 'value-per-minute' }],
+  ];
+
+  it('reports estimatedTime at playerMovementSpeed', () => {
+    for (const [mode, options] of modes) {
+      const path = generate(options.algorithm, { ...options, maxCaches: 5, playerMovementSpeed: 8 });
+      assert.ok(Math.abs(path.estimatedTime! - path.totalDistance / 8) < 1e-6, mode);
+    }
+  });
+
+  it('times arrivals and fits the budget along walkable paths', () => {
+    for (const [mode, options] of modes) {
+      const path = generate(options.algorithm, { ...options, maxCaches: 12, maxTimeBeforeExtraction: 500, navigation });
+      const exit = path.waypoints[path.waypoints.length - 1];
+      assertStartAndExfil(path);
+      assert.ok(Math.abs(exit.arrivalTime! - routeTime(path.waypoints, navigation)) < 1e-6, mode);
+      assert.ok(exit.arrivalTime! <= 500, `${mode} arrives at ${Math.round(exit.arrivalTime!)}s`);
+      assert.ok(routeTime(path.waypoints) < exit.arrivalTime!, `${mode} never walked around the wall`);
+    }
+  });
+});
+
+describe('generateLootRun (quests)', () => {
+  function questMap(): MapData {
+    const map = createMap();
+    map.pois = [
+      ...map.pois!,
+      { id: 'control-room', name: 'Control Room', type: 'objective', coordinates: { x: 300, y: 50 } },
+      { id: 'wasp-nest', name: 'Wasp Nest', type: 'arc-nest', coordinates: { x: 650, y: 250 } },
+    ];
+    return map;
+  }
+
+  const quests: Quest[] = [
+    {
+      id: 'snap',
+      name: 'Snap and Salvage',
+      objectives: [
+        { id: 'o1', description: 'Search the control room', type: 'interact', target: 'Control Room' },
+        { id: 'o2', description: 'Destroy a Wasp', type: 'kill', target: 'Wasp' },
+        { id: 'o3', description: 'Leave through the east exit', type: 'other', target: 'East Exit' },
+      ],
+    },
+    {
+      id: 'reactor',
+      name: 'Hot Stuff',
+      location: 'Test Map', // Names the map itself, so it locates nothing
+      objectives: [{ id: 'o4', description: 'Vent the reactor', type: 'interact', target: 'Reactor' }],
+    },
+  ];
+
+  function questRun(options: LootRunOptions = {}): LootRunPath {
+    const path = generateLootRun(questMap(), { optimizeFor: 'quests', maxTimeBeforeExtraction: 600, ...options }, [], quests);
+    assert.ok(path);
+    return path;
+  }
+
+  it('routes through every located objective and leaves through the objective exit', () => {
+    const path = questRun();
+    assertStartAndExfil(path);
+    const notes = Object.fromEntries(path.waypoints.filter(wp => wp.questNotes).map(wp => [wp.id, wp.questNotes]));
+    assert.deepEqual(notes, {
+      'control-room': ['Snap and Salvage: Search the control room'],
+      'wasp-nest': ['Snap and Salvage: Destroy a Wasp'],
+      'exit-east': ['Snap and Salvage: Leave through the east exit'],
+    });
+    assert.deepEqual(path.quests, [
+      {
+        questId: 'snap',
+        questName: 'Snap and Salvage',
+        completed: ['Search the control room', 'Destroy a Wasp', 'Leave through the east exit'],
+        remaining: [],
+        unlocated: [],
+      },
+      { questId: 'reactor', questName: 'Hot Stuff', completed: [], remaining: [], unlocated: ['Vent the reactor'] },
+    ]);
+  });
+
+  it('spends the rest of the budget on caches and stays within it', () => {
+    const path = questRun({ objectiveTime: 20 });
+    const objectiveStops = path.waypoints.filter(wp => wp.type === 'objective').length;
+    assert.ok(cacheCount(path) > 0);
+    const total = routeTime(path.waypoints) + objectiveStops * 20;
+    assert.ok(total <= 600, `route takes ${Math.round(total)}s`);
+  });
+
+  it('reports objectives the budget leaves out as remaining', () => {
+    const path = questRun({ maxTimeBeforeExtraction: 250 });
+    assertStartAndExfil(path);
+    const snap = path.quests!.find(quest => quest.questId === 'snap')!;
+    assert.ok(snap.completed.includes('Search the control room'));
+    assert.ok(snap.remaining.includes('Destroy a Wasp'));
+    assert.ok(!path.waypoints.some(wp => wp.id === 'wasp-nest'));
+  });
+
+  it('notes objectives that other modes pass by', () => {
+    const caches: Quest[] = [{
+      id: 'stash',
+      name: 'Stash',
+      objectives: [{ id: 'o5', description: 'Open cache 0', type: 'interact', target: 'Cache 0' }],
+    }];
+    const path = generateLootRun(questMap(), { maxCaches: 3 }, [], caches);
+    assert.ok(path);
+    const cache = path.waypoints.find(wp => wp.id === 'cache-0');
+    assert.deepEqual(cache?.questNotes, ['Stash: Open cache 0']);
+    assert.deepEqual(path.quests?.[0].completed, ['Open cache 0']);
+    assert.deepEqual(path.quests?.[0].remaining, []);
+  });
+});
+
+describe('generateLootRun (exact on a map above MAX_EXACT_CACHES)', () => {
+  it('still solves exactly, over the caches nearest the route', () => {
+    const map = createMap();
+    map.pois = [
+      ...map.pois!,
+      ...Array.from({ length: 4 }, (_, index) => ({
+        id: `far-${index}`,
+        name: `Far Cache ${index}`,
+        type: 'cache' as const,
+        coordinates: { x: 2000 + index * 50, y: 2000 },
+      })),
+    ];
+    const path = generateLootRun(map, { algorithm: 'exact', maxCaches: 5, solverTimeBudget: 2000 });
+    assert.ok(path);
+    assert.equal(path.solver?.algorithm, 'exact');
+    assert.equal(path.solver?.candidates, MAX_EXACT_CACHES);
+    assertStartAndExfil(path);
+    assert.equal(cacheCount(path), 5);
+    assert.ok(path.waypoints.every(wp => !wp.id.startsWith('far-')));
+  });
+});
+
+describe('generateLootRun without a start', () => {
+  it('returns no route instead of starting at a cache', () => {
+    for (const algorithm of ALGORITHMS) {
+      assert.equal(generateLootRun(createMap(false), { algorithm, maxCaches: 3 }), null, algorithm);
+    }
+  });
+});
+
+describe('generateLootRun (floors)', () => {
+  // Spawn and exit on ground level, the only cache down the stairwell in the basement
+  function twoFloorMap(): MapData {
+    return {
+      id: 'test-map',
+      name: 'Test Map',
+      waypoints: [
+        { id: 'spawn-1', name: 'North Spawn', type: 'spawn', coordinates: { x: 0, y: 0 }, layer: 0 },
+        { id: 'exit-south', name: 'South Exit', type: 'extraction', coordinates: { x: 0, y: 200 }, layer: 0 },
+      ],
+      pois: [
+        { id: 'stairs-top', name: 'Stairwell B', type: 'floor-connector', coordinates: { x: 100, y: 0 }, layer: 0 },
+        { id: 'stairs-bottom', name: 'Stairwell B', type: 'floor-connector', coordinates: { x: 100, y: 0 }, layer: -1 },
+        { id: 'cache-0', name: 'Cache 0', type: 'cache', coordinates: { x: 100, y: 100 }, layer: -1 },
+      ],
+    };
+  }
+
+  it('takes the stairs down to level -1 and back up, timing the floor changes', () => {
+    const path = generateLootRun(twoFloorMap(), { maxCaches: 1 });
+    assert.ok(path);
+    assert.deepEqual(path.waypoints.map(wp => wp.id), ['spawn-1', 'cache-0', 'exit-south']);
+
+    const [, cache, exit] = path.waypoints;
+    assert.equal(cache.layer, -1);
+    assert.equal(cache.floorChanges?.[0].instruction, 'Go down to level -1 via the stairs at Stairwell B');
+    assert.match(cache.instruction || '', /^Go down to level -1 via the stairs at Stairwell B\. /);
+    assert.match(exit.instruction || '', /^EXFIL: Go up to ground level via the stairs at Stairwell B\. /);
+
+    assert.equal(path.floorChangeTime, 16);
+    assert.equal(path.totalDistance, 200 + 100 + Math.hypot(100, 200));
+    assert.ok(Math.abs(path.estimatedTime! - (path.totalDistance / SPEED + 16)) < 1e-9);
+  });
+
+  it('notes floor changes no connector covers', () => {
+    const map = twoFloorMap();
+    map.pois = map.pois!.filter(poi => poi.type !== 'floor-connector');
+    const path = generateLootRun(map, { maxCaches: 1 });
+    assert.ok(path);
+    assert.match(path.waypoints[1].instruction || '', /^Go down to level -1 \(no known stairs or lift\)\. /);
+    assert.equal(path.floorChangeTime, undefined);
+  });
+});
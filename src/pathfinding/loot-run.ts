@@ -1,20 +1,56 @@
-import type { MapData, PointOfInterest, Waypoint, Coordinates, ArcMission } from '../arc-raiders/types';
+import type { MapData, PointOfInterest, Waypoint, Coordinates, ArcMission, Quest, QuestObjective } from '../arc-raiders/types';
+import type { LootValueModel } from './loot-value';
+import type { NavigationGrid } from './navigation';
+import { FloorRouter, describeFloorChange, detectFloorConnectors, type FloorChange, type FloorConnector, type FloorPoint } from './floors';
+import { buildMapLayers, getLayerName } from '../arc-raiders/map-data';
+import { calculateDistance, distancePointToSegment, segmentPassesNearZones } from './geometry';
+import { buildLegCosts, optimizeRoute, type RouteOptimizationStats } from './route-optimizer';
+import { solveAnnealing, solveExact } from './solvers';
 
 export interface LootRunPath {
   mapId: string;
   mapName: string;
   waypoints: PathWaypoint[];
-  totalDistance: number;
+  totalDistance: number; // Walking distance; along walkable paths when options.navigation is set
   estimatedTime?: number; // in seconds
+  straightLineDistance?: number; // Waypoint to waypoint as the crow flies, when navigation or floor routing is used
+  polyline?: Coordinates[]; // Walkable path through every waypoint, for drawing the route
+  floorChangeTime?: number; // Seconds on stairs, lifts and ramps, included in estimatedTime
+  expectedValue?: number; // Sum of the caches' expected loot value (needs lootValues)
+  valuePerMinute?: number; // expectedValue over travel plus looting time
+  quests?: QuestRouteSummary[]; // Progress per active quest when quests were given
+  optimization?: RouteOptimizationStats; // What the 2-opt/Or-opt stage changed
+  solver?: LootRunSolverSummary; // Set by the 'exact' and 'annealing' algorithms
+}
+
+export interface LootRunSolverSummary {
+  algorithm: 'exact' | 'annealing'; // What actually ran; 'exact' falls back to annealing above MAX_EXACT_CACHES caches per route
+  optimal: boolean;
+  iterations: number;
+  timedOut: boolean;
+  candidates?: number; // 'exact' on a large map only considered this many caches nearest the route
+}
+
+export interface QuestRouteSummary {
+  questId: string;
+  questName: string;
+  completed: string[]; // Objective descriptions the route covers
+  remaining: string[]; // Located on this map but not on the route (time budget, or not routing for quests)
+  unlocated: string[]; // No matching POI on this map
 }
 
 export interface PathWaypoint {
   id: string;
   name: string;
   coordinates: Coordinates;
-  type: 'spawn' | 'cache' | 'extraction' | 'raider-key' | 'arc' | 'other';
+  type: 'spawn' | 'cache' | 'extraction' | 'raider-key' | 'arc' | 'objective' | 'other';
   order: number;
   instruction?: string; // Human-readable instruction for this step
+  expectedValue?: number; // Expected loot value of a cache (needs lootValues)
+  questNotes?: string[]; // Quest objectives completed here, e.g. "Snap and Salvage: Search the control room"
+  pathFromPrevious?: Coordinates[]; // Walkable path from the previous waypoint, when navigation is used
+  layer?: number; // Floor; unset for points on every floor
+  floorChanges?: FloorChange[]; // Stairs, lifts and ramps taken on the way here
   distanceToExtraction?: number; // Distance to nearest extraction point
   isNearExtraction?: boolean; // Whether this point is near extraction
   dangerLevel?: 'low' | 'medium' | 'high' | 'extreme'; // Danger assessment
@@ -76,15 +112,25 @@ export interface PlayerInterceptionRisk {
 }
 
 export interface LootRunOptions {
+  /** @deprecated Has no effect: every route starts at startAtCoordinates, else the first spawn point */
   startAtSpawn?: boolean;
   startAtCoordinates?: Coordinates; // Your actual spawn/current position
   endAtExtraction?: boolean;
   useRaiderKey?: boolean; // Prefer raider key extraction points
-  maxCaches?: number;
-  minRarity?: 'common' | 'uncommon' | 'rare' | 'epic' | 'legendary';
-  algorithm?: 'nearest-neighbor' | 'greedy' | 'extraction-aware';
+  maxCaches?: number; // Most caches to visit; routes are as long as this, the time budget and targetValue allow
+  minRarity?: 'common' | 'uncommon' | 'rare' | 'epic' | 'legendary'; // Applied through lootValues: caches with nothing this rare are skipped
+  lootValues?: LootValueModel; // Expected loot value per container
+  optimizeFor?: 'caches' | 'value-per-minute' | 'quests'; // What to maximize (default: 'caches')
+  lootTimePerCache?: number; // Seconds spent searching one cache (default: 30)
+  questIds?: string[]; // Active quests; generateLootRunForMap loads them for you
+  objectiveTime?: number; // Seconds spent on one quest objective (default: 45)
+  algorithm?: 'nearest-neighbor' | 'greedy' | 'extraction-aware' | 'exact' | 'annealing';
+  solverTimeBudget?: number; // Milliseconds the 'exact' and 'annealing' solvers may take (default: 500)
+  seed?: number; // Annealing seed; the same seed gives the same route (default: 1)
+  solverIterations?: number; // Annealing moves to try (default: 50000)
   extractionProximity?: number; // Max distance from extraction to loot (default: prioritize near extraction)
   maxTimeBeforeExtraction?: number; // Max seconds to loot before heading to extraction
+  targetValue?: number; // Head for extraction once the caches' expected loot value reaches this (needs lootValues)
   avoidDangerousAreas?: boolean; // Try to avoid objectives/known dangerous POIs
   dangerRadius?: number; // Radius to check for dangerous elements (default: 50 units)
   arcDangerWeight?: number; // How much multiple ARCs increase danger (default: 2.0)
@@ -95,16 +141,12 @@ export interface LootRunOptions {
   spawnAvoidanceRadius?: number; // Distance to keep away from other player spawns
   dangerCorridorRadius?: number; // Width of corridor to treat as dangerous when path crosses hazardous zones
   clusterRadius?: number; // Radius to consider when clustering loot
-}
-
-/**
- * Calculate Euclidean distance between two 3D coordinates
- */
-function calculateDistance(coord1: Coordinates, coord2: Coordinates): number {
-  const dx = coord1.x - coord2.x;
-  const dy = coord1.y - coord2.y;
-  const dz = (coord1.z || 0) - (coord2.z || 0);
-  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  optimizeRoute?: boolean; // Improve the generated order with 2-opt/Or-opt (default: true)
+  routeDangerPenalty?: number; // Extra cost of a leg through a danger zone, as a fraction of its length (default: 0.5)
+  navigation?: NavigationGrid; // Walkable areas of the map; routes go around walls, cliffs and water
+  floorRouting?: boolean; // Change floors only via stairwells, lifts and ramps on multi-floor maps (default: true)
+  floorConnectors?: FloorConnector[]; // Known stairwells, lifts and ramps (default: the map's floor-connector POIs)
+  startLayer?: number; // Floor of startAtCoordinates (default: unknown, i.e. any floor)
 }
 
 /**
@@ -203,47 +245,6 @@ function calculateLootDensityScore(
   return { count, score };
 }
 
-/**
- * Distance from a point to a line segment (2D)
- */
-function distancePointToSegment(point: Coordinates, start: Coordinates, end: Coordinates): number {
-  const ax = start.x;
-  const ay = start.y;
-  const bx = end.x;
-  const by = end.y;
-  const px = point.x;
-  const py = point.y;
-
-  const abx = bx - ax;
-  const aby = by - ay;
-  const abLengthSquared = abx * abx + aby * aby;
-
-  if (abLengthSquared === 0) {
-    return Math.sqrt((px - ax) * (px - ax) + (py - ay) * (py - ay));
-  }
-
-  let t = ((px - ax) * abx + (py - ay) * aby) / abLengthSquared;
-  t = Math.max(0, Math.min(1, t));
-
-  const closestX = ax + t * abx;
-  const closestY = ay + t * aby;
-
-  return Math.sqrt((px - closestX) * (px - closestX) + (py - closestY) * (py - closestY));
-}
-
-/**
- * Check if a path segment passes near any restricted zones
- */
-function segmentPassesNearZones(
-  start: Coordinates | null,
-  end: Coordinates | null,
-  zones: Coordinates[],
-  radius: number
-): boolean {
-  if (!start || !end || zones.length === 0) return false;
-  return zones.some(zone => distancePointToSegment(zone, start, end) <= radius);
-}
-
 /**
  * Determine if a coordinate is too close to enemy spawns
  */
@@ -937,6 +938,60 @@ function matchARCsToMap(
   return matchedARCs;
 }
 
+interface QuestObjectiveMatch {
+  quest: Quest;
+  objective: QuestObjective;
+  locations: Array<PointOfInterest | Waypoint>; // Every point that satisfies the objective
+}
+
+function matchesPlace(point: PointOfInterest | Waypoint, text: string): boolean {
+  const wanted = text.trim().toLowerCase();
+  if (wanted.length < 3) return false;
+  const fields = [point.name, point.raw?.subcategory, point.raw?.instanceName]
+    .filter((field): field is string => !!field)
+    .map(field => field.toLowerCase().replace(/_/g, ' '));
+  return fields.some(field => field.includes(wanted) || (field.length >= 3 && wanted.includes(field)));
+}
+
+/**
+ * Match quest objectives to map POIs/waypoints by target and location name, the way
+ * matchARCsToMap does for ARCs. An objective's target ("Wasp", "Control Room") wins
+ * over its quest's location; a location naming the map itself says nothing.
+ * Spawns never count.
+ */
+function matchQuestsToMap(
+  quests: Quest[],
+  mapPOIs: PointOfInterest[],
+  mapWaypoints: Waypoint[],
+  mapNames: string[]
+): { matched: QuestObjectiveMatch[]; unlocated: Array<{ quest: Quest; objective: QuestObjective }> } {
+  const points = [...mapPOIs, ...mapWaypoints.filter(wp => wp.type !== 'spawn')].filter(point => point.coordinates);
+  const isMapName = (text: string) => mapNames.some(name => text.toLowerCase().includes(name.toLowerCase()));
+  const matched: QuestObjectiveMatch[] = [];
+  const unlocated: Array<{ quest: Quest; objective: QuestObjective }> = [];
+
+  quests.forEach(quest => {
+    const questLocation = quest.location && !isMapName(quest.location) ? quest.location : undefined;
+
+    (quest.objectives || []).forEach(objective => {
+      let locations: Array<PointOfInterest | Waypoint> = [];
+      for (const text of [objective.target, questLocation]) {
+        if (text && locations.length === 0) {
+          locations = points.filter(point => matchesPlace(point, text));
+        }
+      }
+
+      if (locations.length > 0) {
+        matched.push({ quest, objective, locations });
+      } else {
+        unlocated.push({ quest, objective });
+      }
+    });
+  });
+
+  return { matched, unlocated };
+}
+
 /**
  * Find nearest extraction point (including raider key points)
  */
@@ -954,7 +1009,8 @@ function findNearestExtraction(
     if (!ext.coordinates) continue;
     
     // Check if this is a raider key extraction (by name or type)
-    const isRaiderKey = ext.name.toLowerCase().includes('raider') || 
+    const isRaiderKey = ext.rule === 'extraction:hatch' ||
+                        ext.name.toLowerCase().includes('raider') || 
                         ext.name.toLowerCase().includes('key') ||
                         ext.type === 'other'; // Some extraction points might be marked as 'other'
     
@@ -1084,7 +1140,7 @@ function generateExtractionAwarePath(
       arrivalTime: 0,
     });
     currentPoint = options.startAtCoordinates;
-  } else if (options.startAtSpawn && spawnPoints.length > 0) {
+  } else if (spawnPoints.length > 0) {
     // Use first spawn point (or could find nearest to a reference point)
     const spawn = spawnPoints[0];
     
@@ -1105,6 +1161,9 @@ function generateExtractionAwarePath(
       currentPoint = spawn.coordinates;
     }
   }
+  if (!currentPoint) {
+    return path; // Nowhere to start from
+  }
 
   // Prepare cache candidates with extraction distance and danger assessment
   const cacheCandidates = cachePOIs
@@ -1244,7 +1303,9 @@ function generateExtractionAwarePath(
   const maxCaches = options.maxCaches ?? Math.min(15, cacheCandidates.length);
   let cachesVisited = 0;
   let timeSpent = 0;
-  const averageSpeed = 5; // units per second
+  // Seconds to walk between two points, along walkable paths when options.navigation is set
+  const walkTime = (from: Coordinates, to: Coordinates): number =>
+    walkDistance({ coordinates: from }, { coordinates: to }, options) / playerSpeed;
 
   // If starting far from extraction, prioritize getting closer first
   if (currentPoint) {
@@ -1257,7 +1318,7 @@ function generateExtractionAwarePath(
       
       if (nearestToExt && currentPoint) {
         const prevPoint = currentPoint;
-        const travelTimeToFirst = calculateDistance(prevPoint, nearestToExt.coordinates) / averageSpeed;
+        const travelTimeToFirst = walkTime(prevPoint, nearestToExt.coordinates);
         path.push({
           id: nearestToExt.id,
           name: nearestToExt.name,
@@ -1289,7 +1350,7 @@ function generateExtractionAwarePath(
     // Check if we should head to extraction soon
     const maxTime = options.maxTimeBeforeExtraction || 300; // 5 minutes default
     distToExt = currentPoint ? calculateDistance(currentPoint, primaryExtraction) : Infinity;
-    const timeToExt = distToExt / averageSpeed;
+    const timeToExt: number = currentPoint ? walkTime(currentPoint, primaryExtraction) : Infinity;
 
     // IMPROVED TIME MANAGEMENT: Dynamic extraction prioritization
     const remainingTime = maxTime - timeSpent;
@@ -1406,7 +1467,7 @@ function generateExtractionAwarePath(
           
           // Filter out candidates that will be occupied by other players
           if (avoidInterception && predictedPlayerPaths.length > 0 && currentPoint) {
-            const travelTime = calculateDistance(currentPoint, c.coordinates) / averageSpeed;
+            const travelTime = walkTime(currentPoint, c.coordinates);
             const arrivalTime = timeSpent + travelTime;
             const occupation = willLocationBeOccupied(
               c.coordinates,
@@ -1456,7 +1517,7 @@ function generateExtractionAwarePath(
 
     if (!nextTarget) break;
 
-    const travelTime = currentPoint ? calculateDistance(currentPoint, nextTarget.coordinates) / averageSpeed : 0;
+    const travelTime = currentPoint ? walkTime(currentPoint, nextTarget.coordinates) : 0;
     const arrivalTime = timeSpent + travelTime;
     
     // Check if location will be occupied by other players and calculate wait time
@@ -1681,18 +1742,18 @@ function generateExtractionAwarePath(
 
     // IMPROVED TIME MANAGEMENT: Check remaining time before next iteration
     const remainingTimeAfter = maxTime - timeSpent;
-    const timeToExtAfter = distToExt / averageSpeed;
+    const timeToExtAfter = currentPoint ? walkTime(currentPoint, primaryExtraction) : Infinity;
     
     // If we don't have enough time to safely reach extraction, stop now
     // Add buffer: need at least 30 seconds to reach extraction safely
-    // BUT: Only break if we have at least 8 targets, otherwise try to get more
+    // BUT: Only break once we have maxTargets, otherwise try to get more
     if (remainingTimeAfter < timeToExtAfter + 30 && targetsVisited >= maxTargets) {
       break;
     }
   }
   
-  // ENSURE EXACTLY 8 LOOT LOCATIONS: If we didn't get enough, try to find more
-  // (even if they're not ideal, we need 8 total)
+  // Top up to maxTargets with the best remaining safe candidates; generateLootRun cuts
+  // the route again if that overruns the time budget
   while (targetsVisited < maxTargets && currentPoint) {
     const remainingCandidates = allCandidates.filter(c => {
       if (c.type === 'arc') {
@@ -1703,7 +1764,7 @@ function generateExtractionAwarePath(
     
     if (remainingCandidates.length === 0) break; // No more candidates available
     
-    // Find closest remaining candidate (fallback to ensure we get 8)
+    // Find closest remaining candidate
     remainingCandidates.sort((a, b) => {
       const distA = calculateDistance(currentPoint!, a.coordinates);
       const distB = calculateDistance(currentPoint!, b.coordinates);
@@ -1717,7 +1778,7 @@ function generateExtractionAwarePath(
     const fallbackTarget = remainingCandidates[0];
     if (!fallbackTarget) break;
     
-    const travelTime = calculateDistance(currentPoint, fallbackTarget.coordinates) / averageSpeed;
+    const travelTime = walkTime(currentPoint, fallbackTarget.coordinates);
     timeSpent += travelTime;
     
     let instruction = fallbackTarget.type === 'arc' 
@@ -1754,7 +1815,7 @@ function generateExtractionAwarePath(
     distToExt = currentPoint ? calculateDistance(currentPoint, primaryExtraction) : Infinity;
   }
 
-  // End at extraction - ensure extraction is always waypoint #10
+  // End at extraction
   if (options.endAtExtraction && primaryExtraction) {
     const spawnCount = path.filter(wp => wp.type === 'spawn').length;
     const lootCount = path.filter(wp => wp.type === 'cache' || wp.type === 'arc').length;
@@ -1781,29 +1842,12 @@ function generateExtractionAwarePath(
       const extractionType = primaryExtractionIsRaiderKey ? 'raider-key' : 'extraction';
       const extractionName = extraction.name + (primaryExtractionIsRaiderKey ? ' (Raider Key)' : '');
       
-      // Ensure extraction is always waypoint #10 (order 9, index 9)
-      // Path should be: 1 spawn + maxTargets loot = 9 waypoints, then extraction = 10th
-      const targetOrder = 9; // Waypoint #10 (0-indexed is 9)
-      
-      // If path is shorter than 9 waypoints, extraction will still be added but may not be exactly #10
-      // If path is longer, trim to ensure extraction is #10
-      if (path.length > targetOrder) {
-        // Trim to exactly 9 waypoints (1 spawn + 8 loot)
-        const spawnWaypoint = path.find(wp => wp.type === 'spawn');
-        const lootWaypoints = path.filter(wp => wp.type === 'cache' || wp.type === 'arc').slice(0, maxTargets);
-        path.length = 0;
-        if (spawnWaypoint) path.push(spawnWaypoint);
-        path.push(...lootWaypoints);
-        path.forEach((wp, i) => { wp.order = i; });
-      }
-      
-      // Add extraction point as waypoint #10 (order 9)
       path.push({
         id: extraction.id,
         name: extraction.name,
         coordinates: extraction.coordinates,
         type: extractionType,
-        order: targetOrder, // Always waypoint #10
+        order: path.length,
         instruction: `EXFIL: Extract at ${extractionName}`,
         distanceToExtraction: 0,
         isNearExtraction: true,
@@ -1855,47 +1899,22 @@ function generateNearestNeighborPath(
 ): PathWaypoint[] {
   const path: PathWaypoint[] = [];
   const visited = new Set<string>();
+  const primaryExtraction = extractionPoints.find(ep => ep.coordinates)?.coordinates;
 
   // Start at user's actual position or spawn point
-  let currentPoint: Coordinates | null = null;
-  let currentOrder = 0;
-
-  if (options.startAtCoordinates) {
-    // Use user's actual coordinates
-    const primaryExtraction = extractionPoints.find(ep => ep.coordinates)?.coordinates;
-    const distToExt = primaryExtraction ? calculateDistance(options.startAtCoordinates, primaryExtraction) : undefined;
-    
-    path.push({
-      id: 'user-spawn',
-      name: 'Your Position',
-      coordinates: options.startAtCoordinates,
-      type: 'spawn',
-      order: currentOrder++,
-      instruction: `Start from your current position`,
-      distanceToExtraction: distToExt,
-      isNearExtraction: distToExt ? distToExt <= 100 : undefined,
-    });
-    currentPoint = options.startAtCoordinates;
-  } else if (options.startAtSpawn && spawnPoints.length > 0) {
-    const spawn = spawnPoints[0];
-    if (spawn.coordinates) {
-      const primaryExtraction = extractionPoints.find(ep => ep.coordinates)?.coordinates;
-      const distToExt = primaryExtraction ? calculateDistance(spawn.coordinates, primaryExtraction) : undefined;
-      
-      path.push({
-        id: spawn.id,
-        name: spawn.name,
-        coordinates: spawn.coordinates,
-        type: 'spawn',
-        order: currentOrder++,
-        instruction: `Start at spawn point: ${spawn.name}`,
-        distanceToExtraction: distToExt,
-        isNearExtraction: distToExt ? distToExt <= 100 : undefined,
-      });
-      visited.add(spawn.id);
-      currentPoint = spawn.coordinates;
-    }
+  const start = createStartWaypoint(spawnPoints, options);
+  if (!start) {
+    return path;
   }
+  const startDistToExt = primaryExtraction ? calculateDistance(start.coordinates, primaryExtraction) : undefined;
+  path.push({
+    ...start,
+    distanceToExtraction: startDistToExt,
+    isNearExtraction: startDistToExt !== undefined ? startDistToExt <= 100 : undefined,
+  });
+  visited.add(start.id);
+  let currentPoint = start.coordinates;
+  let currentOrder = 1;
 
   // Convert cache POIs to a format we can work with
   const cacheCandidates = cachePOIs
@@ -1907,35 +1926,13 @@ function generateNearestNeighborPath(
       type: 'cache' as const,
     }));
 
-  // Limit number of caches if specified
-  const maxCaches = options.maxCaches || cacheCandidates.length;
-  const cachesToVisit = cacheCandidates.slice(0, maxCaches);
-
-  // If no spawn point, start at first cache
-  if (!currentPoint && cachesToVisit.length > 0) {
-    const firstCache = cachesToVisit[0];
-    const primaryExtraction = extractionPoints.find(ep => ep.coordinates)?.coordinates;
-    const distToExt = primaryExtraction ? calculateDistance(firstCache.coordinates, primaryExtraction) : undefined;
-    
-    path.push({
-      id: firstCache.id,
-      name: firstCache.name,
-      coordinates: firstCache.coordinates,
-      type: 'cache',
-      order: currentOrder++,
-      instruction: `Loot ${firstCache.name}`,
-      distanceToExtraction: distToExt,
-      isNearExtraction: distToExt ? distToExt <= 100 : undefined,
-    });
-    visited.add(firstCache.id);
-    currentPoint = firstCache.coordinates;
-  }
+  // Pick the nearest of all caches until maxCaches are on the route
+  const maxCaches = options.maxCaches ?? cacheCandidates.length;
+  let cacheCount = 0;
 
   // Visit caches using nearest-neighbor
-  const primaryExtraction = extractionPoints.find(ep => ep.coordinates)?.coordinates;
-  
-  while (visited.size < cachesToVisit.length && path.length < maxCaches) {
-    const nearest = findNearest(currentPoint!, cachesToVisit, visited);
+  while (cacheCount < maxCaches) {
+    const nearest = findNearest(currentPoint, cacheCandidates, visited);
     if (!nearest) break;
 
     const distToExt = primaryExtraction ? calculateDistance(nearest.coordinates, primaryExtraction) : undefined;
@@ -1952,6 +1949,7 @@ function generateNearestNeighborPath(
     });
     visited.add(nearest.id);
     currentPoint = nearest.coordinates;
+    cacheCount++;
   }
 
   // End at extraction point if available
@@ -1974,13 +1972,535 @@ function generateNearestNeighborPath(
   return path;
 }
 
+/**
+ * First waypoint of every route: the given coordinates, else the first spawn. Routes
+ * without either have no start, so the generators return nothing.
+ */
+function createStartWaypoint(spawnPoints: Waypoint[], options: LootRunOptions): PathWaypoint | null {
+  if (options.startAtCoordinates) {
+    return {
+      id: 'user-spawn',
+      name: 'Your Position',
+      coordinates: options.startAtCoordinates,
+      type: 'spawn',
+      order: 0,
+      instruction: 'Start from your current position',
+      arrivalTime: 0,
+    };
+  }
+  const spawn = spawnPoints.find(sp => sp.coordinates);
+  if (!spawn) {
+    return null;
+  }
+  return {
+    id: spawn.id,
+    name: spawn.name,
+    coordinates: spawn.coordinates!,
+    type: 'spawn',
+    order: 0,
+    instruction: `Start at spawn point: ${spawn.name}`,
+    arrivalTime: 0,
+  };
+}
+
+/**
+ * Nearest extraction to a point, preferring raider hatches when asked for and falling
+ * back to any extraction when no hatch is known
+ */
+function findExit(
+  point: Coordinates,
+  extractionPoints: Waypoint[],
+  options: LootRunOptions
+): { extraction: Waypoint; distance: number; isRaiderKey: boolean } | null {
+  const nearest = findNearestExtraction(point, extractionPoints, options.useRaiderKey)
+    || findNearestExtraction(point, extractionPoints);
+  const extraction = nearest && extractionPoints.find(ep => ep.coordinates === nearest.point);
+  return nearest && extraction ? { extraction, distance: nearest.distance, isRaiderKey: nearest.isRaiderKey } : null;
+}
+
+/**
+ * Walking distance between two points: through stairwells and lifts when floors are
+ * routed (floor changes counted at walking speed), along walkable paths with
+ * options.navigation, else the straight line
+ */
+function walkDistance(from: FloorPoint, to: FloorPoint, options: LootRunOptions, floors?: FloorRouter): number {
+  if (floors) {
+    return floors.cost(from, to);
+  }
+  return options.navigation
+    ? options.navigation.distance(from.coordinates, to.coordinates)
+    : calculateDistance(from.coordinates, to.coordinates);
+}
+
+function toFloorPoint(point: PointOfInterest | Waypoint): FloorPoint {
+  return { coordinates: point.coordinates!, layer: point.layer };
+}
+
+/**
+ * walkDistance() from a point to its nearest extraction, 0 without one
+ */
+function exitDistance(point: FloorPoint, extractionPoints: Waypoint[], options: LootRunOptions, floors?: FloorRouter): number {
+  const exit = findExit(point.coordinates, extractionPoints, options);
+  if (!exit) {
+    return 0;
+  }
+  return walkDistance(point, { coordinates: exit.extraction.coordinates!, layer: exit.extraction.layer }, options, floors);
+}
+
+/**
+ * Time spent at a waypoint besides walking: waiting, then looting a cache or, on a
+ * quest route, doing its objectives
+ */
+function dwellTime(wp: PathWaypoint, options: LootRunOptions): number {
+  const stopTime = options.optimizeFor === 'quests' && wp.questNotes && !isExitWaypoint(wp)
+    ? options.objectiveTime ?? 45
+    : wp.type === 'cache' ? options.lootTimePerCache ?? 30 : 0;
+  return (wp.waitTime || 0) + stopTime;
+}
+
+/**
+ * Floor the route starts on: startLayer for startAtCoordinates, else the spawn's
+ */
+function getStartLayer(start: PathWaypoint, spawnPoints: Waypoint[], options: LootRunOptions): number | undefined {
+  return start.id === 'user-spawn'
+    ? options.startLayer
+    : spawnPoints.find(sp => sp.id === start.id)?.layer;
+}
+
+function createExitWaypoint(
+  point: Coordinates,
+  extractionPoints: Waypoint[],
+  options: LootRunOptions,
+  timeSpent: number
+): PathWaypoint | null {
+  const exit = findExit(point, extractionPoints, options);
+  if (!exit) {
+    return null;
+  }
+  return {
+    id: exit.extraction.id,
+    name: exit.extraction.name,
+    coordinates: exit.extraction.coordinates!,
+    ...(exit.extraction.layer !== undefined && { layer: exit.extraction.layer }),
+    type: exit.isRaiderKey ? 'raider-key' : 'extraction',
+    order: 0,
+    instruction: `Extract at ${exit.extraction.name}`,
+    distanceToExtraction: 0,
+    isNearExtraction: true,
+    arrivalTime: timeSpent + exit.distance / (options.playerMovementSpeed ?? 5),
+  };
+}
+
+/**
+ * Quest route: repeatedly head for the nearest location that completes an open
+ * objective (everything else done at that spot comes along), while the time budget
+ * still covers the walk to extraction. Leftover time goes to the nearest caches. Ends at
+ * that extraction unless endAtExtraction is false.
+ */
+function generateQuestPath(
+  spawnPoints: Waypoint[],
+  cachePOIs: PointOfInterest[],
+  extractionPoints: Waypoint[],
+  objectives: QuestObjectiveMatch[],
+  options: LootRunOptions,
+  floors?: FloorRouter
+): { path: PathWaypoint[]; completed: Set<QuestObjectiveMatch> } {
+  const path: PathWaypoint[] = [];
+  const completed = new Set<QuestObjectiveMatch>();
+  const speed = options.playerMovementSpeed ?? 5;
+  const objectiveTime = options.objectiveTime ?? 45;
+  const lootTime = options.lootTimePerCache ?? 30;
+  const timeBudget = options.maxTimeBeforeExtraction || 300;
+  const maxCaches = options.maxCaches ?? Infinity;
+  const noteFor = (match: QuestObjectiveMatch) => `${match.quest.name}: ${match.objective.description}`;
+
+  const start = createStartWaypoint(spawnPoints, options);
+  if (!start) {
+    return { path, completed };
+  }
+  path.push(start);
+  let currentPoint = start.coordinates;
+  let currentLayer = getStartLayer(start, spawnPoints, options);
+  let timeSpent = 0;
+
+  const travelTimeTo = (point: PointOfInterest | Waypoint) =>
+    walkDistance({ coordinates: currentPoint, layer: currentLayer }, toFloorPoint(point), options, floors) / speed;
+  const timeToExtraction = (point: PointOfInterest | Waypoint) =>
+    exitDistance(toFloorPoint(point), extractionPoints, options, floors) / speed;
+
+  while (completed.size < objectives.length) {
+    let best: { point: PointOfInterest | Waypoint; travelTime: number } | null = null;
+
+    for (const match of objectives) {
+      if (completed.has(match)) continue;
+      for (const point of match.locations) {
+        const travelTime = travelTimeTo(point);
+        if (timeSpent + travelTime + objectiveTime + timeToExtraction(point) > timeBudget) continue;
+        if (!best || travelTime < best.travelTime) {
+          best = { point, travelTime };
+        }
+      }
+    }
+
+    if (!best) break;
+
+    const here = objectives.filter(match => !completed.has(match) && match.locations.includes(best!.point));
+    here.forEach(match => completed.add(match));
+    const isCache = cachePOIs.some(poi => poi.id === best!.point.id);
+    path.push({
+      id: best.point.id,
+      name: best.point.name,
+      coordinates: best.point.coordinates!,
+      type: isCache ? 'cache' : 'objective',
+      order: path.length,
+      instruction: `Quest objective at ${best.point.name}`,
+      arrivalTime: timeSpent + best.travelTime,
+      questNotes: here.map(noteFor),
+    });
+    timeSpent += best.travelTime + objectiveTime;
+    currentPoint = best.point.coordinates!;
+    currentLayer = best.point.layer ?? currentLayer;
+  }
+
+  // Spend what's left of the budget on the nearest caches
+  const visited = new Set(path.map(wp => wp.id));
+  let caches = path.filter(wp => wp.type === 'cache').length;
+  while (caches < maxCaches) {
+    const next = cachePOIs
+      .filter(poi => poi.coordinates && !visited.has(poi.id))
+      .map(poi => ({ poi, travelTime: travelTimeTo(poi) }))
+      .filter(({ poi, travelTime }) => timeSpent + travelTime + lootTime + timeToExtraction(poi) <= timeBudget)
+      .sort((a, b) => a.travelTime - b.travelTime)[0];
+    if (!next) break;
+
+    path.push({
+      id: next.poi.id,
+      name: next.poi.name,
+      coordinates: next.poi.coordinates!,
+      type: 'cache',
+      order: path.length,
+      instruction: `Loot ${next.poi.name}`,
+      arrivalTime: timeSpent + next.travelTime,
+    });
+    visited.add(next.poi.id);
+    timeSpent += next.travelTime + lootTime;
+    currentPoint = next.poi.coordinates!;
+    currentLayer = next.poi.layer ?? currentLayer;
+    caches++;
+  }
+
+  const exit = options.endAtExtraction !== false
+    && createExitWaypoint(currentPoint, extractionPoints, options, timeSpent);
+  if (exit) {
+    // An objective at the extraction itself is done on the way out
+    const atExit = objectives.filter(match => !completed.has(match) && match.locations.some(point => point.id === exit.id));
+    atExit.forEach(match => completed.add(match));
+    path.push({ ...exit, order: path.length, ...(atExit.length > 0 && { questNotes: atExit.map(noteFor) }) });
+  }
+
+  return { path, completed };
+}
+
+/**
+ * Greedy value-per-minute route: from the current position, repeatedly take the cache
+ * with the best expected value per second of travel and looting, as long as the time
+ * budget still covers the walk to extraction afterwards. Ends at that extraction unless
+ * endAtExtraction is false.
+ */
+function generateValueRatePath(
+  spawnPoints: Waypoint[],
+  cachePOIs: PointOfInterest[],
+  extractionPoints: Waypoint[],
+  options: LootRunOptions,
+  valueOf: (poi: PointOfInterest) => number,
+  floors?: FloorRouter
+): PathWaypoint[] {
+  const path: PathWaypoint[] = [];
+  const speed = options.playerMovementSpeed ?? 5;
+  const lootTime = options.lootTimePerCache ?? 30;
+  const timeBudget = options.maxTimeBeforeExtraction || 300;
+  const maxCaches = options.maxCaches ?? Infinity;
+
+  const start = createStartWaypoint(spawnPoints, options);
+  if (!start) {
+    return path;
+  }
+  path.push(start);
+  let currentPoint = start.coordinates;
+  let currentLayer = getStartLayer(start, spawnPoints, options);
+
+  const timeToExtraction = (poi: PointOfInterest) =>
+    exitDistance(toFloorPoint(poi), extractionPoints, options, floors) / speed;
+
+  const candidates = cachePOIs
+    .filter(poi => poi.coordinates)
+    .map(poi => ({ poi, value: valueOf(poi) }))
+    .filter(candidate => candidate.value > 0);
+  const visited = new Set<string>();
+  let timeSpent = 0;
+  let cachesVisited = 0;
+
+  while (cachesVisited < maxCaches) {
+    let best: { poi: PointOfInterest; value: number; stepTime: number; rate: number } | null = null;
+
+    for (const candidate of candidates) {
+      if (visited.has(candidate.poi.id)) continue;
+      const from = { coordinates: currentPoint, layer: currentLayer };
+      const travelTime = walkDistance(from, toFloorPoint(candidate.poi), options, floors) / speed;
+      const stepTime = travelTime + lootTime;
+      if (timeSpent + stepTime + timeToExtraction(candidate.poi) > timeBudget) continue;
+
+      const rate = candidate.value / stepTime;
+      if (!best || rate > best.rate) {
+        best = { ...candidate, stepTime, rate };
+      }
+    }
+
+    if (!best) break;
+
+    const arrivalTime = timeSpent + best.stepTime - lootTime;
+    path.push({
+      id: best.poi.id,
+      name: best.poi.name,
+      coordinates: best.poi.coordinates!,
+      type: 'cache',
+      order: path.length,
+      instruction: `Loot ${best.poi.name} (expected value ~${Math.round(best.value)})`,
+      expectedValue: best.value,
+      arrivalTime,
+    });
+    visited.add(best.poi.id);
+    timeSpent += best.stepTime;
+    currentPoint = best.poi.coordinates!;
+    currentLayer = best.poi.layer ?? currentLayer;
+    cachesVisited++;
+  }
+
+  const exit = options.endAtExtraction !== false
+    && createExitWaypoint(currentPoint, extractionPoints, options, timeSpent);
+  if (exit) {
+    path.push({ ...exit, order: path.length });
+  }
+
+  return path;
+}
+
+/**
+ * Route through maxCaches caches (default: 7) with the shortest total walk, danger
+ * penalties included, ending at the nearest extraction unless endAtExtraction is false.
+ * 'exact' solves it with Held-Karp over at most MAX_EXACT_CACHES nearby caches and anneals
+ * when the route itself needs more.
+ */
+function generateSolverPath(
+  spawnPoints: Waypoint[],
+  cachePOIs: PointOfInterest[],
+  extractionPoints: Waypoint[],
+  dangerousPOIs: PointOfInterest[],
+  options: LootRunOptions,
+  floors?: FloorRouter
+): { path: PathWaypoint[]; solver: LootRunSolverSummary } | null {
+  const start = createStartWaypoint(spawnPoints, options);
+  if (!start) {
+    return null;
+  }
+  const startLayer = getStartLayer(start, spawnPoints, options);
+
+  const speed = options.playerMovementSpeed ?? 5;
+  const lootTime = options.lootTimePerCache ?? 30;
+  const endAtExtraction = options.endAtExtraction !== false;
+  const caches = cachePOIs.filter(poi => poi.coordinates);
+  const points = [start.coordinates, ...caches.map(poi => poi.coordinates!)];
+  const layers = [startLayer, ...caches.map(poi => poi.layer)];
+  const problem = {
+    costs: buildLegCosts(points, {
+      dangerZones: dangerousPOIs.map(poi => poi.coordinates!),
+      dangerRadius: options.dangerCorridorRadius ?? (options.dangerRadius || 50) * 1.5,
+      dangerPenalty: options.routeDangerPenalty,
+      navigation: options.navigation,
+      floors,
+      layers,
+    }),
+    exitCosts: points.map((point, index) => (endAtExtraction
+      ? exitDistance({ coordinates: point, layer: layers[index] }, extractionPoints, options, floors)
+      : 0)),
+    count: Math.min(options.maxCaches ?? 7, caches.length),
+  };
+  const solverOptions = {
+    timeBudget: options.solverTimeBudget,
+    seed: options.seed,
+    iterations: options.solverIterations,
+  };
+
+  const exact = options.algorithm === 'exact' ? solveExact(problem, solverOptions) : null;
+  const result = exact || solveAnnealing(problem, solverOptions);
+
+  const path: PathWaypoint[] = [start];
+  let timeSpent = 0;
+  let previous = start.coordinates;
+  let previousLayer = startLayer;
+  for (const node of result.order) {
+    const poi = caches[node - 1];
+    const coordinates = poi.coordinates!;
+    const leg = walkDistance({ coordinates: previous, layer: previousLayer }, { coordinates, layer: layers[node] }, options, floors);
+    const arrivalTime = timeSpent + leg / speed;
+    const distanceToExtraction = endAtExtraction ? problem.exitCosts[node] : undefined;
+    path.push({
+      id: poi.id,
+      name: poi.name,
+      coordinates,
+      type: 'cache',
+      order: path.length,
+      instruction: `Loot ${poi.name}`,
+      distanceToExtraction,
+      isNearExtraction: distanceToExtraction !== undefined ? distanceToExtraction <= 100 : undefined,
+      arrivalTime,
+    });
+    timeSpent = arrivalTime + lootTime;
+    previous = coordinates;
+    previousLayer = layers[node] ?? previousLayer;
+  }
+
+  const exit = endAtExtraction && createExitWaypoint(previous, extractionPoints, options, timeSpent);
+  if (exit) {
+    path.push({ ...exit, order: path.length });
+  }
+
+  return {
+    path,
+    solver: {
+      algorithm: exact ? 'exact' : 'annealing',
+      optimal: result.optimal,
+      iterations: result.iterations,
+      timedOut: result.timedOut,
+      ...(result.candidates !== undefined && { candidates: result.candidates }),
+    },
+  };
+}
+
+function isExitWaypoint(wp: PathWaypoint | undefined): boolean {
+  return wp?.type === 'extraction' || wp?.type === 'raider-key';
+}
+
+/**
+ * Seconds from the start to the last waypoint: walking (see walkDistance), looting and waiting
+ */
+function routeTime(waypoints: PathWaypoint[], options: LootRunOptions, floors?: FloorRouter): number {
+  const speed = options.playerMovementSpeed ?? 5;
+  let time = 0;
+  let layer = waypoints[0]?.layer;
+  waypoints.forEach((wp, index) => {
+    if (index > 0) {
+      const from = { coordinates: waypoints[index - 1].coordinates, layer };
+      layer = wp.layer ?? layer;
+      time += walkDistance(from, { coordinates: wp.coordinates, layer }, options, floors) / speed;
+    }
+    time += dwellTime(wp, options);
+  });
+  return time;
+}
+
+/**
+ * The route up to the last stop that still fits maxCaches, the time budget (when set)
+ * and targetValue, without its extraction. Returned as-is, extraction included, when
+ * everything fits.
+ */
+function fitRouteToOptions(
+  waypoints: PathWaypoint[],
+  options: LootRunOptions,
+  cachePOIs: PointOfInterest[],
+  extractionPoints: Waypoint[],
+  floors?: FloorRouter
+): PathWaypoint[] {
+  const speed = options.playerMovementSpeed ?? 5;
+  const stops = isExitWaypoint(waypoints[waypoints.length - 1]) ? waypoints.slice(0, -1) : waypoints;
+  const cachesById = new Map(cachePOIs.map(poi => [poi.id, poi]));
+  const maxCaches = options.maxCaches ?? Infinity;
+  const timeBudget = options.maxTimeBeforeExtraction;
+
+  let caches = 0;
+  let value = 0;
+  let keep = 1; // The start always stays
+  for (let i = 1; i < stops.length; i++) {
+    const wp = stops[i];
+    if (wp.type === 'cache' && ++caches > maxCaches) break;
+    if (timeBudget !== undefined) {
+      const timeToExit = exitDistance(wp, extractionPoints, options, floors) / speed;
+      if (routeTime(stops.slice(0, i + 1), options, floors) + timeToExit > timeBudget) break;
+    }
+    keep = i + 1;
+    const poi = cachesById.get(wp.id);
+    if (poi && options.lootValues) {
+      value += options.lootValues.getExpectedValue(poi);
+    }
+    if (options.targetValue !== undefined && value >= options.targetValue) break;
+  }
+
+  if (keep < stops.length) {
+    return stops.slice(0, keep);
+  }
+  // Every stop fits with the nearest extraction; the generator's may be further away
+  if (timeBudget !== undefined && stops.length < waypoints.length && routeTime(waypoints, options, floors) > timeBudget) {
+    return stops;
+  }
+  return waypoints;
+}
+
+/**
+ * What every loot run guarantees: the start is first, the exfil last (when the route
+ * ends at extraction) and nowhere else, and orders match positions. A violation is a
+ * bug in one of the generators, so fail loudly rather than hand out a broken route.
+ */
+function assertRouteInvariants(waypoints: PathWaypoint[], endAtExtraction: boolean): void {
+  const fail = (reason: string) => {
+    throw new Error(`Loot run invariant violated: ${reason}`);
+  };
+  if (waypoints.length === 0) {
+    return;
+  }
+  if (waypoints[0].type !== 'spawn') {
+    fail(`waypoint #1 is a ${waypoints[0].type}, not the start`);
+  }
+  waypoints.forEach((wp, index) => {
+    if (wp.order !== index) {
+      fail(`waypoint #${index + 1} has order ${wp.order}`);
+    }
+    if (index > 0 && wp.type === 'spawn') {
+      fail(`waypoint #${index + 1} is another start`);
+    }
+    if (isExitWaypoint(wp) && index !== waypoints.length - 1) {
+      fail(`extraction ${wp.name} is waypoint #${index + 1} of ${waypoints.length}`);
+    }
+  });
+  if (endAtExtraction && waypoints.length > 1 && !isExitWaypoint(waypoints[waypoints.length - 1])) {
+    fail('the route does not end at an extraction');
+  }
+}
+
+/**
+ * Redo the interception analysis the extraction-aware generator attaches to the start,
+ * after the route changed
+ */
+function refreshInterceptionRisk(waypoints: PathWaypoint[], spawnPoints: Waypoint[], options: LootRunOptions): void {
+  if (waypoints[0]?.playerInterceptionRisk) {
+    waypoints[0].playerInterceptionRisk = calculatePlayerInterceptionRisk(
+      waypoints,
+      spawnPoints,
+      waypoints[0].coordinates,
+      options.playerMovementSpeed ?? 5,
+      options.roundDuration ?? 1800,
+      options.lateSpawnWindow ?? { min: 960, max: 1200 }
+    );
+  }
+}
+
 /**
  * Generate a loot run path for a given map
  */
 export function generateLootRun(
   mapData: MapData,
   options: LootRunOptions = {},
-  arcs: ArcMission[] = []
+  arcs: ArcMission[] = [],
+  quests: Quest[] = [] // Active quests; their objectives are matched to this map
 ): LootRunPath | null {
   if (!mapData.waypoints && !mapData.pois) {
     return null;
@@ -1996,27 +2516,56 @@ export function generateLootRun(
     wp => wp.type === 'extraction' && wp.coordinates
   );
 
-  // Extract cache POIs (loot locations)
+  // Extract cache POIs (loot locations); with a value model, skip caches that can't hold
+  // anything at or above minRarity
+  const lootValues = options.lootValues;
   const cachePOIs = (mapData.pois || []).filter(
-    poi => poi.type === 'cache' && poi.coordinates
+    poi => poi.type === 'cache' && poi.coordinates && (!lootValues || lootValues.getExpectedValue(poi) > 0)
   );
 
-  if (cachePOIs.length === 0) {
+  if (cachePOIs.length === 0 && options.optimizeFor !== 'quests') {
     return null; // No loot caches found on this map
   }
 
-  // Extract dangerous POIs (objectives, etc. - areas to potentially avoid)
+  const questMatches = quests.length > 0
+    ? matchQuestsToMap(quests, mapData.pois || [], mapData.waypoints || [], [mapData.id, mapData.name])
+    : null;
+  let completedObjectives = new Set<QuestObjectiveMatch>();
+
+  // Extract dangerous POIs (objectives, ARC nests - areas to potentially avoid)
   const dangerousPOIs = (mapData.pois || []).filter(
-    poi => poi.type === 'objective' && poi.coordinates
+    poi => (poi.type === 'objective' || poi.type === 'arc-nest') && poi.coordinates
   );
 
+  // On maps with several floors, legs between floors go through stairwells, lifts and ramps
+  const mapLayers = mapData.layers || buildMapLayers([...(mapData.waypoints || []), ...(mapData.pois || [])]);
+  const floors = options.floorRouting !== false && (mapLayers.length > 1 || options.floorConnectors)
+    ? new FloorRouter(options.floorConnectors || detectFloorConnectors(mapData), {
+      speed: options.playerMovementSpeed,
+      navigation: options.navigation,
+    })
+    : undefined;
+
   // Generate path based on algorithm
   const algorithm = options.algorithm || 'extraction-aware';
   let waypoints: PathWaypoint[] = [];
-
-  // IMPROVED: Try multiple strategies and pick the best one for extraction-aware
-  if (algorithm === 'extraction-aware') {
-    // Generate path with improved logic
+  let solver: LootRunSolverSummary | undefined;
+
+  if (options.optimizeFor === 'quests') {
+    const questRoute = generateQuestPath(spawnPoints, cachePOIs, extractionPoints, questMatches?.matched || [], options, floors);
+    waypoints = questRoute.path;
+    completedObjectives = questRoute.completed;
+  } else if (options.optimizeFor === 'value-per-minute') {
+    // Without a value model every cache is worth the same, i.e. caches per minute
+    const valueOf = (poi: PointOfInterest) => (lootValues ? lootValues.getExpectedValue(poi) : 1);
+    waypoints = generateValueRatePath(spawnPoints, cachePOIs, extractionPoints, options, valueOf, floors);
+  } else if (algorithm === 'exact' || algorithm === 'annealing') {
+    const solved = generateSolverPath(spawnPoints, cachePOIs, extractionPoints, dangerousPOIs, options, floors);
+    if (solved) {
+      waypoints = solved.path;
+      solver = solved.solver;
+    }
+  } else if (algorithm === 'extraction-aware') {
     waypoints = generateExtractionAwarePath(
       spawnPoints, 
       cachePOIs, 
@@ -2026,35 +2575,6 @@ export function generateLootRun(
       options,
       spawnPoints // Pass all spawn points for player avoidance
     );
-    
-    // If we got a path, try to improve it by checking if we can optimize clusters
-    if (waypoints.length > 0 && options.maxCaches && options.maxCaches <= 15) {
-      // For smaller paths, try a cluster-optimized version
-      const clusterOptimizedOptions = { ...options, algorithm: 'extraction-aware' as const };
-      const clusterPath = generateExtractionAwarePath(
-        spawnPoints,
-        cachePOIs,
-        extractionPoints,
-        dangerousPOIs,
-        arcs,
-        clusterOptimizedOptions,
-        spawnPoints
-      );
-      
-      // Compare paths and use the better one (shorter distance, more loot, safer)
-      if (clusterPath.length > 0) {
-        const originalDistance = calculatePathDistance(waypoints);
-        const clusterDistance = calculatePathDistance(clusterPath);
-        const originalLoot = waypoints.filter(wp => wp.type === 'cache' || wp.type === 'arc').length;
-        const clusterLoot = clusterPath.filter(wp => wp.type === 'cache' || wp.type === 'arc').length;
-        
-        // Prefer cluster path if it has similar loot but shorter distance, or more loot
-        if ((clusterLoot >= originalLoot && clusterDistance < originalDistance * 1.1) || 
-            (clusterLoot > originalLoot && clusterDistance < originalDistance * 1.2)) {
-          waypoints = clusterPath;
-        }
-      }
-    }
   } else {
     switch (algorithm) {
       case 'nearest-neighbor':
@@ -2079,10 +2599,67 @@ export function generateLootRun(
     return null;
   }
 
+  const layersById = new Map(
+    [...(mapData.waypoints || []), ...(mapData.pois || [])]
+      .filter(point => point.layer !== undefined)
+      .map(point => [point.id, point.layer!])
+  );
+  waypoints.forEach(wp => {
+    const layer = wp.id === 'user-spawn' ? options.startLayer : layersById.get(wp.id);
+    if (layer !== undefined) {
+      wp.layer = layer;
+    }
+  });
+
+  // Route length comes from the options, not from the generator: cut the route where
+  // maxCaches, the time budget or targetValue says to head out, then walk to the
+  // nearest extraction from there
+  const endAtExtraction = options.endAtExtraction !== false && extractionPoints.length > 0;
+  const fitted = fitRouteToOptions(waypoints, options, cachePOIs, extractionPoints, floors);
+  if (fitted.length !== waypoints.length || !isExitWaypoint(fitted[fitted.length - 1])) {
+    waypoints = fitted;
+    const last = waypoints[waypoints.length - 1];
+    const exit = endAtExtraction && !isExitWaypoint(last)
+      ? createExitWaypoint(last.coordinates, extractionPoints, options, routeTime(waypoints, options, floors))
+      : null;
+    if (exit) {
+      waypoints.push(exit);
+    }
+    refreshInterceptionRisk(waypoints, spawnPoints, options);
+  }
+
+  // Improve the visiting order with local search; infill stays first and exfil last.
+  // A route the exact solver proved optimal has nothing left to gain.
+  let optimization: RouteOptimizationStats | undefined;
+  if (options.optimizeRoute !== false && waypoints.length > 3 && !solver?.optimal) {
+    const playerSpeed = options.playerMovementSpeed ?? 5;
+    const result = optimizeRoute(waypoints, {
+      fixEnd: isExitWaypoint(waypoints[waypoints.length - 1]),
+      dangerZones: dangerousPOIs.map(poi => poi.coordinates!),
+      dangerRadius: options.dangerCorridorRadius ?? (options.dangerRadius || 50) * 1.5,
+      dangerPenalty: options.routeDangerPenalty,
+      speed: playerSpeed,
+      navigation: options.navigation,
+      floors,
+    });
+    waypoints = result.route;
+    optimization = result.stats;
+
+    // The interception analysis depends on the order, so redo it for the new one
+    if (optimization.twoOptMoves + optimization.orOptMoves > 0) {
+      refreshInterceptionRisk(waypoints, spawnPoints, options);
+    }
+  }
+
+  // Check the route as the generators built it, before it gets its INFILL/EXFIL labels
+  waypoints.forEach((wp, index) => {
+    wp.order = index;
+  });
+  assertRouteInvariants(waypoints, endAtExtraction);
+
   // Ensure first waypoint is clearly marked as INFILL/start
   const firstWaypoint = waypoints[0];
   if (firstWaypoint) {
-    firstWaypoint.type = 'spawn';
     if (!firstWaypoint.name?.toLowerCase().includes('infill')) {
       const baseName = firstWaypoint.name && firstWaypoint.name !== 'Your Position'
         ? firstWaypoint.name
@@ -2095,12 +2672,9 @@ export function generateLootRun(
     }
   }
 
-  // Ensure final waypoint is explicitly marked as EXFIL/extraction and is waypoint #10
+  // Ensure final waypoint is explicitly marked as EXFIL/extraction
   const lastWaypoint = waypoints[waypoints.length - 1];
-  if (lastWaypoint) {
-    if (lastWaypoint.type !== 'extraction' && lastWaypoint.type !== 'raider-key') {
-      lastWaypoint.type = 'extraction';
-    }
+  if (lastWaypoint && waypoints.length > 1 && isExitWaypoint(lastWaypoint)) {
     if (!lastWaypoint.name?.toLowerCase().includes('exfil')) {
       const baseName = lastWaypoint.name || 'Extraction';
       lastWaypoint.name = `EXFIL: ${baseName}`;
@@ -2109,43 +2683,134 @@ export function generateLootRun(
       const baseInstruction = lastWaypoint.instruction || 'Extract safely.';
       lastWaypoint.instruction = `EXFIL: ${baseInstruction}`;
     }
-    // Ensure extraction is always waypoint #10 (order 9)
-    lastWaypoint.order = 9;
   }
-  
-  // Re-number all waypoints to ensure correct order (0-indexed, so waypoint #10 is order 9)
-  waypoints.forEach((wp, index) => {
-    wp.order = index;
-  });
-  
-  // Ensure extraction is at index 9 (waypoint #10)
-  if (waypoints.length > 9) {
-    // Move extraction to position 9 if it's not already there
-    const extractionIndex = waypoints.findIndex(wp => wp.type === 'extraction' || wp.type === 'raider-key');
-    if (extractionIndex !== -1 && extractionIndex !== 9) {
-      const extraction = waypoints.splice(extractionIndex, 1)[0];
-      waypoints.splice(9, 0, extraction);
+
+  const speed = options.playerMovementSpeed ?? 5;
+  const straightLineDistance = calculatePathDistance(waypoints);
+  let totalDistance = straightLineDistance;
+  let polyline: Coordinates[] | undefined;
+  let floorChangeTime = 0;
+  // Seconds spent getting to each waypoint from the one before
+  const legTimes = waypoints.map((wp, index) =>
+    index > 0 ? calculateDistance(waypoints[index - 1].coordinates, wp.coordinates) / speed : 0
+  );
+
+  // Follow walkable paths and stairwells: distances grow by the detours, and legs take
+  // longer by the detours plus the time spent changing floors
+  const navigation = options.navigation;
+  if (navigation || floors) {
+    totalDistance = 0;
+    polyline = [waypoints[0].coordinates];
+    // Points on every floor don't move you between floors: you stay on the one you're on
+    let currentLayer = waypoints[0].layer;
+    for (let i = 1; i < waypoints.length; i++) {
+      const previous = waypoints[i - 1];
+      const wp = waypoints[i];
+      const fromLayer = currentLayer;
+      const toLayer = wp.layer ?? currentLayer;
+      currentLayer = toLayer;
+      const straight = calculateDistance(previous.coordinates, wp.coordinates);
+      const floorRoute = floors?.route(
+        { coordinates: previous.coordinates, layer: fromLayer },
+        { coordinates: wp.coordinates, layer: toLayer }
+      );
+      const walk = floorRoute || navigation?.findPath(previous.coordinates, wp.coordinates);
+      const points = walk ? walk.points : [previous.coordinates, wp.coordinates];
+      const distance = walk ? walk.distance : straight;
+      const changeTime = floorRoute ? floorRoute.floorChangeTime : 0;
+
+      if (navigation) {
+        wp.pathFromPrevious = points;
+      }
+      polyline.push(...points.slice(1));
+      totalDistance += distance;
+      floorChangeTime += changeTime;
+      legTimes[i] = distance / speed + changeTime;
+
+      // "Go down to level -1 via the stairs at ...", after any INFILL/EXFIL label
+      const floorSteps = floorRoute
+        ? floorRoute.changes.map(change => change.instruction)
+        : [];
+      if (floorRoute && floorRoute.changes.length > 0) {
+        wp.floorChanges = floorRoute.changes;
+      } else if (floors && fromLayer !== undefined && toLayer !== undefined && fromLayer !== toLayer) {
+        floorSteps.push(`${describeFloorChange(fromLayer, toLayer)} (no known stairs or lift)`);
+      }
+      if (floorSteps.length > 0) {
+        const instruction = wp.instruction || '';
+        const label = /^(INFILL|EXFIL): /.exec(instruction)?.[0] || '';
+        wp.instruction = `${label}${floorSteps.join(', then ')}. ${instruction.slice(label.length)}`.trim();
+      }
     }
   }
   
-  // Re-number again after potential reordering
-  waypoints.forEach((wp, index) => {
-    wp.order = index;
-  });
+  // Generators time their routes in their own ways; report every route the same way,
+  // from the legs actually walked plus looting and waiting at each stop
+  if (waypoints[0].arrivalTime !== undefined) {
+    for (let i = 1; i < waypoints.length; i++) {
+      waypoints[i].arrivalTime = waypoints[i - 1].arrivalTime! + dwellTime(waypoints[i - 1], options) + legTimes[i];
+    }
+  }
 
-  const totalDistance = calculatePathDistance(waypoints);
-  
-  // Estimate time (assuming average movement speed, can be customized)
-  const averageSpeed = 5; // units per second (adjust based on game mechanics)
-  const estimatedTime = totalDistance / averageSpeed;
+  const estimatedTime = totalDistance / speed + floorChangeTime;
 
-  return {
+  const result: LootRunPath = {
     mapId: mapData.id,
     mapName: mapData.name,
     waypoints,
     totalDistance,
     estimatedTime,
+    ...((navigation || floors) && { straightLineDistance, polyline }),
+    ...(floorChangeTime > 0 && { floorChangeTime }),
+    ...(optimization && { optimization }),
+    ...(solver && { solver }),
   };
+
+  if (questMatches) {
+    // Other modes don't route for quests, but note objectives that happen to be on the way
+    waypoints.forEach(wp => {
+      const here = questMatches.matched.filter(match =>
+        !completedObjectives.has(match) && match.locations.some(point => point.id === wp.id)
+      );
+      if (here.length > 0) {
+        here.forEach(match => completedObjectives.add(match));
+        wp.questNotes = [...(wp.questNotes || []), ...here.map(match => `${match.quest.name}: ${match.objective.description}`)];
+      }
+    });
+
+    result.quests = quests.map(quest => ({
+      questId: quest.id,
+      questName: quest.name,
+      completed: questMatches.matched
+        .filter(match => match.quest === quest && completedObjectives.has(match))
+        .map(match => match.objective.description),
+      remaining: questMatches.matched
+        .filter(match => match.quest === quest && !completedObjectives.has(match))
+        .map(match => match.objective.description),
+      unlocated: questMatches.unlocated
+        .filter(entry => entry.quest === quest)
+        .map(entry => entry.objective.description),
+    }));
+  }
+
+  if (lootValues) {
+    const cachesById = new Map(cachePOIs.map(poi => [poi.id, poi]));
+    let expectedValue = 0;
+    let cacheCount = 0;
+    waypoints.forEach(wp => {
+      const poi = cachesById.get(wp.id);
+      if (poi) {
+        wp.expectedValue = lootValues.getExpectedValue(poi);
+        expectedValue += wp.expectedValue;
+        cacheCount++;
+      }
+    });
+    const minutes = (estimatedTime + cacheCount * (options.lootTimePerCache ?? 30)) / 60;
+    result.expectedValue = expectedValue;
+    result.valuePerMinute = minutes > 0 ? expectedValue / minutes : 0;
+  }
+
+  return result;
 }
 
 /**
@@ -2154,7 +2819,9 @@ export function generateLootRun(
 export async function generateLootRunsForAllMaps(
   getMaps: () => Promise<MapData[]>,
   options: LootRunOptions = {},
-  getArcs?: () => Promise<ArcMission[]>
+  getArcs?: () => Promise<ArcMission[]>,
+  getQuests?: () => Promise<Quest[]>, // Active quests, e.g. those in options.questIds
+  getNavigation?: (mapId: string) => NavigationGrid | undefined // Per-map walkable areas, instead of options.navigation
 ): Promise<LootRunPath[]> {
   const maps = await getMaps();
   const paths: LootRunPath[] = [];
@@ -2169,6 +2836,15 @@ export async function generateLootRunsForAllMaps(
     }
   }
 
+  let quests: Quest[] = [];
+  if (getQuests) {
+    try {
+      quests = await getQuests();
+    } catch (error) {
+      // Continue without quest routing if fetch fails
+    }
+  }
+
   for (const map of maps) {
     // Filter ARCs for this specific map
     const mapArcs = arcs.filter(arc => {
@@ -2179,7 +2855,8 @@ export async function generateLootRunsForAllMaps(
              arcLocation === '';
     });
     
-    const path = generateLootRun(map, options, mapArcs);
+    const mapOptions = getNavigation ? { ...options, navigation: getNavigation(map.id) } : options;
+    const path = generateLootRun(map, mapOptions, mapArcs, quests);
     if (path) {
       paths.push(path);
     }
@@ -2197,14 +2874,48 @@ export function formatLootRunPath(path: LootRunPath): string {
   output += `╚═══════════════════════════════════════════════════════════╝\n\n`;
   
   output += `📊 STATS:\n`;
-  output += `   • Total Distance: ${path.totalDistance.toFixed(2)} units\n`;
+  output += `   • Total Distance: ${path.totalDistance.toFixed(2)} units`;
+  output += path.straightLineDistance !== undefined
+    ? ` walking (${path.straightLineDistance.toFixed(2)} straight-line)\n`
+    : `\n`;
   if (path.estimatedTime) {
     const minutes = Math.floor(path.estimatedTime / 60);
     const seconds = Math.round(path.estimatedTime % 60);
     output += `   • Estimated Time: ${minutes}m ${seconds}s\n`;
+    if (path.floorChangeTime) {
+      output += `   • Floor Changes: ${Math.round(path.floorChangeTime)}s on stairs, lifts and ramps\n`;
+    }
+  }
+  if (path.expectedValue !== undefined) {
+    output += `   • Expected Loot Value: ${Math.round(path.expectedValue)} (${Math.round(path.valuePerMinute || 0)}/min)\n`;
+  }
+  if (path.optimization && path.optimization.distanceSaved > 0.05) {
+    const saved = path.optimization;
+    output += `   • Route Optimization: saved ${saved.distanceSaved.toFixed(1)} units (${Math.round(saved.timeSaved)}s)\n`;
+  }
+  if (path.solver) {
+    const solved = path.solver;
+    const note = solved.optimal ? 'optimal'
+      : solved.timedOut ? 'stopped at time budget'
+      : solved.candidates ? `best of the ${solved.candidates} nearest caches`
+      : `${solved.iterations} moves`;
+    output += `   • Solver: ${solved.algorithm} (${note})\n`;
   }
   output += `   • Waypoints: ${path.waypoints.length}\n\n`;
 
+  if (path.quests && path.quests.length > 0) {
+    output += `📜 QUESTS:\n`;
+    for (const quest of path.quests) {
+      const located = quest.completed.length + quest.remaining.length;
+      output += `   • ${quest.questName}: ${quest.completed.length}/${located} objectives on this route`;
+      output += quest.unlocated.length > 0 ? ` (${quest.unlocated.length} not found on this map)\n` : `\n`;
+      quest.remaining.forEach(objective => {
+        output += `     - Not on this route: ${objective}\n`;
+      });
+    }
+    output += `\n`;
+  }
+
   // Check for player interception risks - always show analysis if available
   const firstWaypoint = path.waypoints[0];
   if (firstWaypoint?.playerInterceptionRisk) {
@@ -2331,6 +3042,7 @@ export function formatLootRunPath(path: LootRunPath): string {
     else if (waypoint.type === 'raider-key') icon = '🔑';
     else if (waypoint.type === 'cache') icon = '📦';
     else if (waypoint.type === 'arc') icon = '⚔️';
+    else if (waypoint.type === 'objective') icon = '🎯';
     
     // Safety indicator
     let safety = '';
@@ -2350,12 +3062,19 @@ export function formatLootRunPath(path: LootRunPath): string {
     
     output += `${icon} STEP ${stepNum}: ${waypoint.instruction || waypoint.name}\n`;
     output += `   Location: ${waypoint.name}\n`;
+    if (waypoint.layer !== undefined) {
+      output += `   Floor: ${getLayerName(waypoint.layer)}\n`;
+    }
     output += `   Coordinates: (${coords.x.toFixed(1)}, ${coords.y.toFixed(1)}${coords.z !== undefined ? `, ${coords.z.toFixed(1)}` : ''})\n`;
     
     if (waypoint.type === 'arc' && waypoint.arcDifficulty) {
       output += `   ARC Difficulty: ${waypoint.arcDifficulty.toUpperCase()} (Quest Objective)\n`;
     }
     
+    waypoint.questNotes?.forEach(note => {
+      output += `   📜 Quest: ${note}\n`;
+    });
+    
     if (waypoint.distanceToExtraction !== undefined) {
       output += `   Distance to extraction: ${waypoint.distanceToExtraction.toFixed(1)} units${safety}\n`;
     }
@@ -0,0 +1,198 @@
+import { RARITY_TIERS, normalizeRarity, normalizeTraders, type RarityTier } from '../arc-raiders/traders';
+import type { PointOfInterest, Trader, TraderItem } from '../arc-raiders/types';
+
+export interface ItemValue {
+  id: string;
+  name: string;
+  rarity?: RarityTier;
+  itemType?: string;
+  value: number; // Best sell-to-trader value
+}
+
+/**
+ * What a kind of container holds, on average. There are no published drop tables, so
+ * these are estimates: tune them with LootValueOptions.profiles.
+ */
+export interface ContainerProfile {
+  id: string;
+  match?: Array<string | RegExp>; // Against the raw subcategory, then the POI name; strings match as substrings
+  itemsPerContainer: number;
+  rarityWeights: Partial<Record<RarityTier, number>>; // Relative drop chance per tier
+  itemTypes?: string[]; // Restrict the item pool to these item_type substrings, e.g. ['ammo']
+}
+
+export interface ContainerValueEstimate {
+  profile: string;
+  expectedValue: number;
+}
+
+export interface LootValueOptions {
+  minRarity?: string; // Items below this tier are left behind and count as worthless
+  profiles?: ContainerProfile[]; // Checked before the defaults; same id replaces a default
+}
+
+export const DEFAULT_RARITY_WEIGHTS: Record<RarityTier, number> = {
+  Common: 0.55,
+  Uncommon: 0.27,
+  Rare: 0.12,
+  Epic: 0.05,
+  Legendary: 0.01,
+};
+
+export const DEFAULT_CONTAINER_PROFILE: ContainerProfile = {
+  id: 'default',
+  itemsPerContainer: 2,
+  rarityWeights: DEFAULT_RARITY_WEIGHTS,
+};
+
+export const DEFAULT_CONTAINER_PROFILES: ContainerProfile[] = [
+  {
+    id: 'security',
+    match: [/security/i, /locked/i, /vault/i, /\bsafe\b/i],
+    itemsPerContainer: 3,
+    rarityWeights: { Common: 0.2, Uncommon: 0.3, Rare: 0.28, Epic: 0.17, Legendary: 0.05 },
+  },
+  {
+    id: 'weapon',
+    match: [/weapon/i, /gun/i],
+    itemsPerContainer: 2,
+    rarityWeights: { Common: 0.3, Uncommon: 0.35, Rare: 0.2, Epic: 0.12, Legendary: 0.03 },
+    itemTypes: ['weapon', 'mod'],
+  },
+  {
+    id: 'ammo',
+    match: [/ammo/i],
+    itemsPerContainer: 3,
+    rarityWeights: { Common: 0.6, Uncommon: 0.3, Rare: 0.1 },
+    itemTypes: ['ammo'],
+  },
+  {
+    id: 'medical',
+    match: [/medic/i, /first[_ ]?aid/i],
+    itemsPerContainer: 2,
+    rarityWeights: { Common: 0.5, Uncommon: 0.3, Rare: 0.15, Epic: 0.05 },
+    itemTypes: ['medic', 'consumable', 'quick use'],
+  },
+];
+
+/**
+ * One value per item: the best price any trader pays for it, falling back to the
+ * trader's asking price for items without a sell value
+ */
+export function buildItemValues(traders: Trader[] | Record<string, TraderItem[]>): ItemValue[] {
+  const list = Array.isArray(traders) ? traders : normalizeTraders(traders);
+  const values = new Map<string, ItemValue>();
+
+  for (const trader of list) {
+    for (const item of trader.inventory || []) {
+      const value = typeof item.value === 'number' ? item.value : item.trader_price;
+      if (typeof value !== 'number') {
+        continue;
+      }
+      const current = values.get(item.id);
+      if (!current || value > current.value) {
+        values.set(item.id, {
+          id: item.id,
+          name: item.name,
+          rarity: normalizeRarity(item.rarity),
+          itemType: item.item_type,
+          value,
+        });
+      }
+    }
+  }
+
+  return Array.from(values.values());
+}
+
+function matchesProfile(poi: PointOfInterest, profile: ContainerProfile): boolean {
+  const fields = [poi.raw?.subcategory, poi.name].filter((field): field is string => !!field);
+  return (profile.match || []).some(pattern =>
+    fields.some(field => (typeof pattern === 'string'
+      ? field.toLowerCase().includes(pattern.toLowerCase())
+      : pattern.test(field)))
+  );
+}
+
+/**
+ * Estimates what a container is worth from item values, rarity and container profiles
+ */
+export class LootValueModel {
+  private readonly profiles: ContainerProfile[];
+  private readonly minTier: number;
+  private readonly estimates = new Map<string, number>();
+
+  constructor(private readonly items: ItemValue[], options: LootValueOptions = {}) {
+    const custom = options.profiles || [];
+    this.profiles = [
+      ...custom,
+      ...DEFAULT_CONTAINER_PROFILES.filter(profile => !custom.some(c => c.id === profile.id)),
+    ];
+    const minRarity = normalizeRarity(options.minRarity);
+    this.minTier = minRarity ? RARITY_TIERS.indexOf(minRarity) : 0;
+  }
+
+  /**
+   * Profile used for a container POI; DEFAULT_CONTAINER_PROFILE when none matches
+   */
+  getProfile(poi: PointOfInterest): ContainerProfile {
+    return this.profiles.find(profile => matchesProfile(poi, profile))
+      || this.profiles.find(profile => profile.id === 'default')
+      || DEFAULT_CONTAINER_PROFILE;
+  }
+
+  /**
+   * Average value of items in a tier, from the profile's item types when any match
+   */
+  getAverageValue(tier: RarityTier, itemTypes?: string[]): number {
+    const inTier = this.items.filter(item => item.rarity === tier);
+    const ofType = itemTypes
+      ? inTier.filter(item => itemTypes.some(type => (item.itemType || '').toLowerCase().includes(type.toLowerCase())))
+      : inTier;
+    const pool = ofType.length > 0 ? ofType : inTier;
+    return pool.length > 0 ? pool.reduce((sum, item) => sum + item.value, 0) / pool.length : 0;
+  }
+
+  /**
+   * Expected loot value of one container of a profile. Tiers below minRarity count
+   * as nothing, since they're not worth the inventory slot.
+   */
+  getProfileValue(profile: ContainerProfile): number {
+    const cached = this.estimates.get(profile.id);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const weights = RARITY_TIERS.map(tier => profile.rarityWeights[tier] || 0);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    let perItem = 0;
+    if (totalWeight > 0) {
+      RARITY_TIERS.forEach((tier, index) => {
+        if (index >= this.minTier) {
+          perItem += (weights[index] / totalWeight) * this.getAverageValue(tier, profile.itemTypes);
+        }
+      });
+    }
+
+    const value = perItem * profile.itemsPerContainer;
+    this.estimates.set(profile.id, value);
+    return value;
+  }
+
+  getExpectedValue(poi: PointOfInterest): number {
+    return this.getProfileValue(this.getProfile(poi));
+  }
+
+  /**
+   * Expected value of every known container profile, most valuable first
+   */
+  getContainerEstimates(): ContainerValueEstimate[] {
+    const profiles = [...this.profiles];
+    if (!profiles.some(profile => profile.id === 'default')) {
+      profiles.push(DEFAULT_CONTAINER_PROFILE);
+    }
+    return profiles
+      .map(profile => ({ profile: profile.id, expectedValue: this.getProfileValue(profile) }))
+      .sort((a, b) => b.expectedValue - a.expectedValue);
+  }
+}
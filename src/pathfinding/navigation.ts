@@ -0,0 +1,410 @@
+import * as fs from 'fs';
+import type { Coordinates } from '../arc-raiders/types';
+import type { MapBounds } from '../arc-raiders/maps';
+import { calculateDistance, pointInPolygon } from './geometry';
+
+/**
+ * Where a map can be walked, authored by tracing the map image or exported from a
+ * tool. Either list polygons (walkable areas and obstacles cut out of them) or give
+ * a pre-rasterized grid; obstacles apply to both.
+ *
+ *   { "mapId": "dam", "cellSize": 25,
+ *     "walkable": [[{ "x": 0, "y": 0 }, { "x": 6000, "y": 0 }, ...]],
+ *     "obstacles": [[...the dam wall...], [...the reservoir...]] }
+ */
+export interface NavigationMeshDefinition {
+  mapId?: string;
+  cellSize?: number; // Map units per grid cell (default: 25)
+  bounds?: MapBounds; // Area the polygon grid covers (default: around the polygons)
+  walkable?: Coordinates[][]; // Areas you can walk; without any, everything that isn't an obstacle is
+  obstacles?: Coordinates[][]; // Walls, cliffs, water
+  grid?: string[]; // Rows from minY up, one character per cell: '#' is blocked, anything else walkable
+  origin?: { x: number; y: number }; // Map position of the grid's first cell corner (default: 0, 0)
+}
+
+export interface NavigationRoute {
+  points: Coordinates[]; // From the start to the end, turning only where something is in the way
+  distance: number;
+}
+
+// Keeps a grid of an 8000 x 8000 map at cellSize 4 within a few MB
+const MAX_CELLS = 4_000_000;
+
+// How far (in cells) a point inside an obstacle, e.g. a cache against a wall, is moved to walkable ground
+const SNAP_RADIUS = 4;
+
+const NEIGHBORS: Array<[number, number]> = [
+  [1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1],
+];
+
+/**
+ * Binary min-heap of cell indices keyed by cost
+ */
+class CellHeap {
+  private readonly cells: number[] = [];
+  private readonly keys: number[] = [];
+
+  get size(): number {
+    return this.cells.length;
+  }
+
+  push(cell: number, key: number): void {
+    let index = this.cells.length;
+    this.cells.push(cell);
+    this.keys.push(key);
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.keys[parent] <= key) break;
+      this.swap(index, parent);
+      index = parent;
+    }
+  }
+
+  pop(): number {
+    const top = this.cells[0];
+    const lastCell = this.cells.pop()!;
+    const lastKey = this.keys.pop()!;
+    if (this.cells.length > 0) {
+      this.cells[0] = lastCell;
+      this.keys[0] = lastKey;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < this.keys.length && this.keys[left] < this.keys[smallest]) smallest = left;
+        if (right < this.keys.length && this.keys[right] < this.keys[smallest]) smallest = right;
+        if (smallest === index) break;
+        this.swap(index, smallest);
+        index = smallest;
+      }
+    }
+    return top;
+  }
+
+  private swap(a: number, b: number): void {
+    [this.cells[a], this.cells[b]] = [this.cells[b], this.cells[a]];
+    [this.keys[a], this.keys[b]] = [this.keys[b], this.keys[a]];
+  }
+}
+
+function polylineLength(points: Coordinates[]): number {
+  let total = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    total += Math.hypot(points[i + 1].x - points[i].x, points[i + 1].y - points[i].y);
+  }
+  return total;
+}
+
+/**
+ * Walkable-area grid of one map with A* routing between points. Points the grid
+ * can't connect (outside it, or walled off) fall back to straight lines, so a mesh
+ * that covers only part of a map still works.
+ */
+export class NavigationGrid {
+  readonly mapId?: string;
+  readonly cellSize: number;
+  readonly columns: number;
+  readonly rows: number;
+  private readonly originX: number;
+  private readonly originY: number;
+  private readonly blocked: Uint8Array;
+  private readonly routes = new Map<string, NavigationRoute | null>();
+
+  constructor(definition: NavigationMeshDefinition) {
+    this.mapId = definition.mapId;
+    this.cellSize = definition.cellSize ?? 25;
+    if (!(this.cellSize > 0)) {
+      throw new Error(`Navigation mesh cellSize must be positive, got ${definition.cellSize}`);
+    }
+
+    const walkable = definition.walkable || [];
+    const obstacles = definition.obstacles || [];
+    const grid = definition.grid;
+    if (!grid && walkable.length === 0 && obstacles.length === 0) {
+      throw new Error('Navigation mesh needs a grid, walkable polygons or obstacles');
+    }
+
+    if (grid) {
+      this.originX = definition.origin?.x ?? 0;
+      this.originY = definition.origin?.y ?? 0;
+      this.columns = Math.max(0, ...grid.map(row => row.length));
+      this.rows = grid.length;
+    } else {
+      const corners = [...walkable, ...obstacles].flat();
+      const bounds = definition.bounds || {
+        minX: Math.min(...corners.map(c => c.x)),
+        maxX: Math.max(...corners.map(c => c.x)),
+        minY: Math.min(...corners.map(c => c.y)),
+        maxY: Math.max(...corners.map(c => c.y)),
+      };
+      this.originX = bounds.minX;
+      this.originY = bounds.minY;
+      this.columns = Math.ceil((bounds.maxX - bounds.minX) / this.cellSize);
+      this.rows = Math.ceil((bounds.maxY - bounds.minY) / this.cellSize);
+    }
+
+    if (this.columns * this.rows > MAX_CELLS) {
+      throw new Error(
+        `Navigation mesh would have ${this.columns * this.rows} cells (max ${MAX_CELLS}); use a larger cellSize`
+      );
+    }
+
+    this.blocked = new Uint8Array(this.columns * this.rows);
+    for (let row = 0; row < this.rows; row++) {
+      for (let column = 0; column < this.columns; column++) {
+        const center = this.cellCenter(row * this.columns + column);
+        const open = grid
+          ? (grid[row][column] ?? '#') !== '#'
+          : walkable.length === 0 || walkable.some(polygon => pointInPolygon(center, polygon));
+        if (!open || obstacles.some(polygon => pointInPolygon(center, polygon))) {
+          this.blocked[row * this.columns + column] = 1;
+        }
+      }
+    }
+  }
+
+  /**
+   * Whether a point is on walkable ground; points outside the grid are not
+   */
+  isWalkable(point: Coordinates): boolean {
+    const cell = this.cellAt(point);
+    return cell !== null && !this.blocked[cell];
+  }
+
+  /**
+   * Shortest walkable route between two points, smoothed so it only turns where
+   * something is in the way. Null when the grid can't connect them.
+   */
+  findPath(from: Coordinates, to: Coordinates): NavigationRoute | null {
+    const key = `${from.x},${from.y}|${to.x},${to.y}`;
+    if (this.routes.has(key)) {
+      return this.routes.get(key)!;
+    }
+
+    let route: NavigationRoute | null = null;
+    const start = this.snap(this.cellAt(from));
+    const goal = this.snap(this.cellAt(to));
+    if (start !== null && goal !== null) {
+      const cells = start === goal || this.lineOfSight(from, to) ? [] : this.search(start, goal);
+      if (cells) {
+        const points = this.smooth([from, ...cells.map(cell => this.cellCenter(cell)), to]);
+        // Climbing is as far as the straight line says; the grid only routes around things
+        const dz = (to.z || 0) - (from.z || 0);
+        route = { points, distance: Math.sqrt(polylineLength(points) ** 2 + dz * dz) };
+      }
+    }
+
+    this.routes.set(key, route);
+    return route;
+  }
+
+  /**
+   * Walking distance between two points, or the straight line when the grid can't connect them
+   */
+  distance(from: Coordinates, to: Coordinates): number {
+    return this.findPath(from, to)?.distance ?? calculateDistance(from, to);
+  }
+
+  /**
+   * Walking distance between every pair of points, one grid search per point. Faster
+   * than distance() for many points; legs follow grid cells instead of being
+   * smoothed, so they come out a few percent longer.
+   */
+  distanceMatrix(points: Coordinates[]): number[][] {
+    const cells = points.map(point => this.snap(this.cellAt(point)));
+    return points.map((from, i) => {
+      const start = cells[i];
+      const field = start !== null
+        ? this.distanceField(start, cells.filter((cell): cell is number => cell !== null))
+        : null;
+      return points.map((to, j) => {
+        const goal = cells[j];
+        if (i === j) return 0;
+        if (!field || goal === null || goal === start || field[goal] === Infinity) {
+          return calculateDistance(from, to);
+        }
+        return calculateDistance(from, this.cellCenter(start!)) + field[goal] + calculateDistance(this.cellCenter(goal), to);
+      });
+    });
+  }
+
+  private cellAt(point: Coordinates): number | null {
+    const column = Math.floor((point.x - this.originX) / this.cellSize);
+    const row = Math.floor((point.y - this.originY) / this.cellSize);
+    if (column < 0 || row < 0 || column >= this.columns || row >= this.rows) {
+      return null;
+    }
+    return row * this.columns + column;
+  }
+
+  private cellCenter(cell: number): Coordinates {
+    return {
+      x: this.originX + ((cell % this.columns) + 0.5) * this.cellSize,
+      y: this.originY + (Math.floor(cell / this.columns) + 0.5) * this.cellSize,
+    };
+  }
+
+  /**
+   * The cell itself when walkable, else the nearest walkable cell within SNAP_RADIUS
+   */
+  private snap(cell: number | null): number | null {
+    if (cell === null || !this.blocked[cell]) {
+      return cell;
+    }
+    const column = cell % this.columns;
+    const row = Math.floor(cell / this.columns);
+    let best: number | null = null;
+    let bestDistance = Infinity;
+    for (let dy = -SNAP_RADIUS; dy <= SNAP_RADIUS; dy++) {
+      for (let dx = -SNAP_RADIUS; dx <= SNAP_RADIUS; dx++) {
+        const c = column + dx;
+        const r = row + dy;
+        if (c < 0 || r < 0 || c >= this.columns || r >= this.rows) continue;
+        const candidate = r * this.columns + c;
+        if (!this.blocked[candidate] && dx * dx + dy * dy < bestDistance) {
+          best = candidate;
+          bestDistance = dx * dx + dy * dy;
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Walkable neighbors of a cell with the cost of stepping there; diagonal steps
+   * can't cut the corner of a blocked cell
+   */
+  private forEachNeighbor(cell: number, visit: (next: number, cost: number) => void): void {
+    const column = cell % this.columns;
+    const row = Math.floor(cell / this.columns);
+    for (const [dx, dy] of NEIGHBORS) {
+      const c = column + dx;
+      const r = row + dy;
+      if (c < 0 || r < 0 || c >= this.columns || r >= this.rows) continue;
+      const next = r * this.columns + c;
+      if (this.blocked[next]) continue;
+      if (dx !== 0 && dy !== 0 &&
+          (this.blocked[row * this.columns + c] || this.blocked[r * this.columns + column])) {
+        continue;
+      }
+      visit(next, dx !== 0 && dy !== 0 ? this.cellSize * Math.SQRT2 : this.cellSize);
+    }
+  }
+
+  /**
+   * A* from one cell to another; the cells in between, or null when unreachable
+   */
+  private search(start: number, goal: number): number[] | null {
+    const goalColumn = goal % this.columns;
+    const goalRow = Math.floor(goal / this.columns);
+    const heuristic = (cell: number) => {
+      const dx = Math.abs(cell % this.columns - goalColumn);
+      const dy = Math.abs(Math.floor(cell / this.columns) - goalRow);
+      return this.cellSize * (Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy));
+    };
+
+    const cost = new Float64Array(this.blocked.length).fill(Infinity);
+    const cameFrom = new Int32Array(this.blocked.length).fill(-1);
+    const closed = new Uint8Array(this.blocked.length);
+    const open = new CellHeap();
+    cost[start] = 0;
+    open.push(start, heuristic(start));
+
+    while (open.size > 0) {
+      const cell = open.pop();
+      if (cell === goal) {
+        const path: number[] = [];
+        for (let step = cameFrom[goal]; step !== -1 && step !== start; step = cameFrom[step]) {
+          path.unshift(step);
+        }
+        return path;
+      }
+      if (closed[cell]) continue;
+      closed[cell] = 1;
+
+      this.forEachNeighbor(cell, (next, stepCost) => {
+        const nextCost = cost[cell] + stepCost;
+        if (nextCost < cost[next]) {
+          cost[next] = nextCost;
+          cameFrom[next] = cell;
+          open.push(next, nextCost + heuristic(next));
+        }
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Dijkstra from one cell until every target is settled
+   */
+  private distanceField(start: number, targets: number[]): Float64Array {
+    const cost = new Float64Array(this.blocked.length).fill(Infinity);
+    const closed = new Uint8Array(this.blocked.length);
+    const pending = new Set(targets);
+    const open = new CellHeap();
+    cost[start] = 0;
+    open.push(start, 0);
+
+    while (open.size > 0 && pending.size > 0) {
+      const cell = open.pop();
+      if (closed[cell]) continue;
+      closed[cell] = 1;
+      pending.delete(cell);
+
+      this.forEachNeighbor(cell, (next, stepCost) => {
+        const nextCost = cost[cell] + stepCost;
+        if (nextCost < cost[next]) {
+          cost[next] = nextCost;
+          open.push(next, nextCost);
+        }
+      });
+    }
+    return cost;
+  }
+
+  /**
+   * Whether the straight line between two points stays on walkable ground. The
+   * cells the points themselves are in always count, since a point may sit against
+   * (or just inside) a wall.
+   */
+  private lineOfSight(a: Coordinates, b: Coordinates): boolean {
+    const ends = [this.cellAt(a), this.cellAt(b)];
+    const steps = Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / (this.cellSize / 3));
+    for (let i = 1; i < steps; i++) {
+      const t = i / steps;
+      const cell = this.cellAt({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+      if (cell === null || (this.blocked[cell] && !ends.includes(cell))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Drop grid points the route can skip by walking straight
+   */
+  private smooth(points: Coordinates[]): Coordinates[] {
+    const smoothed = [points[0]];
+    let anchor = 0;
+    while (anchor < points.length - 1) {
+      let next = anchor + 1;
+      while (next + 1 < points.length && this.lineOfSight(points[anchor], points[next + 1])) {
+        next++;
+      }
+      smoothed.push(points[next]);
+      anchor = next;
+    }
+    return smoothed;
+  }
+}
+
+/**
+ * Load a navigation mesh from a JSON file (see NavigationMeshDefinition)
+ */
+export function loadNavigationMesh(filePath: string): NavigationGrid {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Navigation mesh not found: ${filePath}`);
+  }
+  return new NavigationGrid(JSON.parse(fs.readFileSync(filePath, 'utf-8')) as NavigationMeshDefinition);
+}
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLegCosts, optimizeRoute } from './route-optimizer';
+
+interface Stop {
+  id: string;
+  coordinates: { x: number; y: number };
+  arrivalTime?: number;
+}
+
+function stop(id: string, x: number, y: number): Stop {
+  return { id, coordinates: { x, y } };
+}
+
+const ids = (route: Stop[]) => route.map(point => point.id).join(',');
+
+// Infill S, exfil E; the route walks S -> B -> A -> C, crossing itself
+function crossingRoute(): Stop[] {
+  return [stop('S', 0, 0), stop('B', 100, 100), stop('A', 100, 0), stop('C', 0, 100), stop('E', 0, 200)];
+}
+
+describe('optimizeRoute', () => {
+  it('uncrosses a route with 2-opt', () => {
+    const { route, stats } = optimizeRoute(crossingRoute());
+    assert.equal(ids(route), 'S,A,B,C,E');
+    assert.equal(stats.twoOptMoves, 1);
+    assert.ok(Math.abs(stats.distanceBefore - (200 * Math.SQRT2 + 200)) < 1e-9);
+    assert.equal(stats.distanceAfter, 400);
+    assert.ok(Math.abs(stats.timeSaved - stats.distanceSaved / 5) < 1e-9);
+  });
+
+  it('moves a misplaced point with Or-opt when no reversal helps', () => {
+    const route = [stop('S', 400, 200), stop('a', 300, 100), stop('b', 200, 100), stop('c', 100, 200), stop('d', 300, 400), stop('E', 0, 300)];
+    const { route: optimized, stats } = optimizeRoute(route);
+    assert.equal(ids(optimized), 'S,d,a,b,c,E');
+    assert.deepEqual([stats.twoOptMoves, stats.orOptMoves], [0, 1]);
+    assert.ok(stats.distanceAfter < stats.distanceBefore);
+  });
+
+  it('keeps the infill first and, unless fixEnd is false, the exfil last', () => {
+    const route = [stop('S', 0, 0), stop('far', 1000, 0), stop('a', 100, 0), stop('E', 0, 500)];
+    assert.equal(ids(optimizeRoute(route).route), 'S,a,far,E');
+    assert.equal(ids(optimizeRoute(route, { fixEnd: false }).route), 'S,a,E,far');
+  });
+
+  it('leaves routes without interior choices alone', () => {
+    const route = [stop('S', 0, 0), stop('a', 500, 0), stop('E', 10, 0)];
+    const { route: optimized, stats } = optimizeRoute(route);
+    assert.equal(ids(optimized), 'S,a,E');
+    assert.deepEqual([stats.twoOptMoves, stats.orOptMoves, stats.distanceSaved], [0, 0, 0]);
+  });
+
+  it('walks further rather than through a danger zone', () => {
+    // The uncrossed route's A -> B leg runs past the zone
+    const options = { dangerZones: [{ x: 100, y: 50 }], dangerRadius: 30, dangerPenalty: 1 };
+    const { route, stats } = optimizeRoute(crossingRoute(), options);
+    assert.equal(ids(route), 'S,A,C,B,E');
+    assert.ok(stats.distanceAfter > 400);
+    assert.ok(stats.costAfter < 500);
+  });
+
+  it('carries looting and waiting time over to the new order', () => {
+    // 30s at every stop besides walking at 5 units/s
+    const route = crossingRoute();
+    let time = 0;
+    route.forEach((point, index) => {
+      if (index > 0) {
+        const previous = route[index - 1].coordinates;
+        time += 30 + Math.hypot(point.coordinates.x - previous.x, point.coordinates.y - previous.y) / 5;
+      }
+      point.arrivalTime = time;
+    });
+
+    const { route: optimized } = optimizeRoute(route);
+    assert.deepEqual(optimized.map(point => Math.round(point.arrivalTime!)), [0, 50, 100, 150, 200]);
+  });
+});
+
+describe('buildLegCosts', () => {
+  it('charges dangerPenalty extra for legs near a danger zone', () => {
+    const points = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 0, y: 100 }];
+    const costs = buildLegCosts(points, { dangerZones: [{ x: 50, y: 10 }], dangerRadius: 20 });
+    assert.equal(costs[0][1], 150);
+    assert.equal(costs[1][0], 150);
+    assert.equal(costs[0][2], 100);
+    assert.equal(costs[1][1], 0);
+  });
+});
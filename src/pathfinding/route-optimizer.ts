@@ -0,0 +1,228 @@
+import type { Coordinates } from '../arc-raiders/types';
+import { calculateDistance, segmentPassesNearZones } from './geometry';
+import type { NavigationGrid } from './navigation';
+import type { FloorRouter } from './floors';
+
+/**
+ * Anything with coordinates can be reordered; loot-run waypoints in practice
+ */
+export interface RoutePoint {
+  coordinates: Coordinates;
+  arrivalTime?: number;
+  layer?: number; // Floor, for routing through stairwells and lifts
+}
+
+export interface LegCostOptions {
+  dangerZones?: Coordinates[]; // Legs passing near these cost more
+  dangerRadius?: number; // How near counts as passing through (default: 75)
+  dangerPenalty?: number; // Extra cost of such a leg, as a fraction of its length (default: 0.5)
+  navigation?: NavigationGrid; // Walkable distances instead of straight lines
+  floors?: FloorRouter; // Legs between floors go through stairwells, lifts and ramps
+  layers?: Array<number | undefined>; // Floor of each point, for floors
+}
+
+export interface RouteOptimizerOptions extends LegCostOptions {
+  fixEnd?: boolean; // Keep the last point last, e.g. the extraction (default: true)
+  speed?: number; // Units per second, to report time saved (default: 5)
+  maxPasses?: number; // Improvement passes before giving up (default: 50)
+}
+
+export interface RouteOptimizationStats {
+  distanceBefore: number;
+  distanceAfter: number;
+  distanceSaved: number;
+  timeSaved: number; // Seconds, at the given speed
+  costBefore: number; // Distance plus danger penalties
+  costAfter: number;
+  twoOptMoves: number; // Segment reversals applied
+  orOptMoves: number; // Segments of 1-3 points moved elsewhere (possibly reversed)
+}
+
+export interface RouteOptimizationResult<T extends RoutePoint> {
+  route: T[];
+  stats: RouteOptimizationStats;
+}
+
+const EPSILON = 1e-9;
+
+/**
+ * Cost of walking from every point to every other: the distance, plus dangerPenalty
+ * of it when the leg passes within dangerRadius of a danger zone
+ */
+export function buildLegCosts(points: Coordinates[], options: LegCostOptions = {}): number[][] {
+  const zones = options.dangerZones || [];
+  const radius = options.dangerRadius ?? 75;
+  const penalty = options.dangerPenalty ?? 0.5;
+  let distances: number[][];
+  if (options.floors) {
+    distances = options.floors.costMatrix(points.map((coordinates, i) => ({ coordinates, layer: options.layers?.[i] })));
+  } else if (options.navigation) {
+    distances = options.navigation.distanceMatrix(points);
+  } else {
+    distances = points.map(a => points.map(b => calculateDistance(a, b)));
+  }
+  return points.map((a, i) => points.map((b, j) => {
+    const distance = distances[i][j];
+    return segmentPassesNearZones(a, b, zones, radius) ? distance * (1 + penalty) : distance;
+  }));
+}
+
+function routeCost(order: number[], costs: number[][]): number {
+  let total = 0;
+  for (let i = 0; i < order.length - 1; i++) {
+    total += costs[order[i]][order[i + 1]];
+  }
+  return total;
+}
+
+function routeDistance<T extends RoutePoint>(route: T[], options: LegCostOptions): number {
+  let total = 0;
+  for (let i = 0; i < route.length - 1; i++) {
+    const floorRoute = options.floors?.route(route[i], route[i + 1]);
+    if (floorRoute) {
+      total += floorRoute.distance;
+    } else if (options.navigation) {
+      total += options.navigation.distance(route[i].coordinates, route[i + 1].coordinates);
+    } else {
+      total += calculateDistance(route[i].coordinates, route[i + 1].coordinates);
+    }
+  }
+  return total;
+}
+
+/**
+ * Time spent at each point besides walking (looting, waiting), taken from the original
+ * arrival times so it can be carried over to the new order
+ */
+function dwellTimes<T extends RoutePoint>(route: T[], speed: number): Map<T, number> {
+  const dwell = new Map<T, number>();
+  for (let i = 0; i < route.length - 1; i++) {
+    const here = route[i].arrivalTime;
+    const next = route[i + 1].arrivalTime;
+    if (here !== undefined && next !== undefined) {
+      const walk = calculateDistance(route[i].coordinates, route[i + 1].coordinates) / speed;
+      dwell.set(route[i], Math.max(0, next - here - walk));
+    }
+  }
+  return dwell;
+}
+
+/**
+ * One pass of 2-opt: reverse the first interior segment whose reversal lowers the cost
+ */
+function applyTwoOpt(order: number[], costs: number[][], lo: number, hi: number): boolean {
+  for (let i = lo; i < hi; i++) {
+    for (let j = i + 1; j <= hi; j++) {
+      const before = costs[order[i - 1]][order[i]] + (j + 1 < order.length ? costs[order[j]][order[j + 1]] : 0);
+      const after = costs[order[i - 1]][order[j]] + (j + 1 < order.length ? costs[order[i]][order[j + 1]] : 0);
+      // Legs inside the segment are walked the other way round; costs can be asymmetric
+      let inner = 0;
+      for (let k = i; k < j; k++) {
+        inner += costs[order[k + 1]][order[k]] - costs[order[k]][order[k + 1]];
+      }
+      if (after + inner < before - EPSILON) {
+        const reversed = order.slice(i, j + 1).reverse();
+        order.splice(i, reversed.length, ...reversed);
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * One pass of Or-opt: move a run of 1-3 points, as-is or reversed, to the position
+ * that lowers the cost
+ */
+function applyOrOpt(order: number[], costs: number[][], lo: number, hi: number): boolean {
+  const current = routeCost(order, costs);
+  for (let length = 1; length <= 3; length++) {
+    for (let i = lo; i + length - 1 <= hi; i++) {
+      const segment = order.slice(i, i + length);
+      const rest = [...order.slice(0, i), ...order.slice(i + length)];
+      const restHi = hi - length;
+
+      // Insert after rest[k]; positions stay within the movable part
+      for (let k = lo - 1; k <= restHi; k++) {
+        if (k === i - 1) continue; // Same place
+        for (const candidate of length > 1 ? [segment, [...segment].reverse()] : [segment]) {
+          const next = [...rest.slice(0, k + 1), ...candidate, ...rest.slice(k + 1)];
+          if (routeCost(next, costs) < current - EPSILON) {
+            order.splice(0, order.length, ...next);
+            return true;
+          }
+        }
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Improve a route with 2-opt and Or-opt local search. The first point (infill) never
+ * moves, nor does the last one (exfil) unless fixEnd is false. A leg passing near a
+ * danger zone counts as longer by dangerPenalty, so the optimizer won't trade a little
+ * distance for walking through one.
+ */
+export function optimizeRoute<T extends RoutePoint>(
+  route: T[],
+  options: RouteOptimizerOptions = {}
+): RouteOptimizationResult<T> {
+  const speed = options.speed ?? 5;
+  const fixEnd = options.fixEnd ?? true;
+  const costs = buildLegCosts(route.map(point => point.coordinates), {
+    ...options,
+    layers: route.map(point => point.layer),
+  });
+
+  const order = route.map((_, index) => index);
+  const lo = 1;
+  const hi = fixEnd ? route.length - 2 : route.length - 1;
+  const costBefore = routeCost(order, costs);
+  let twoOptMoves = 0;
+  let orOptMoves = 0;
+
+  if (hi - lo >= 1) {
+    for (let pass = 0; pass < (options.maxPasses ?? 50); pass++) {
+      if (applyTwoOpt(order, costs, lo, hi)) {
+        twoOptMoves++;
+      } else if (applyOrOpt(order, costs, lo, hi)) {
+        orOptMoves++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  const optimized = order.map(index => route[index]);
+
+  // Carry looting and waiting time over to the new order. Times stay in straight-line
+  // walking time like the generators'; generateLootRun converts them for navigation.
+  const dwell = dwellTimes(route, speed);
+  if (route[0]?.arrivalTime !== undefined && (twoOptMoves > 0 || orOptMoves > 0)) {
+    let time = route[0].arrivalTime;
+    optimized.forEach((point, index) => {
+      if (index > 0) {
+        const previous = optimized[index - 1];
+        time += (dwell.get(previous) || 0) + calculateDistance(previous.coordinates, point.coordinates) / speed;
+      }
+      point.arrivalTime = time;
+    });
+  }
+
+  const distanceBefore = routeDistance(route, options);
+  const distanceAfter = routeDistance(optimized, options);
+  return {
+    route: optimized,
+    stats: {
+      distanceBefore,
+      distanceAfter,
+      distanceSaved: distanceBefore - distanceAfter,
+      timeSaved: (distanceBefore - distanceAfter) / speed,
+      costBefore,
+      costAfter: routeCost(order, costs),
+      twoOptMoves,
+      orOptMoves,
+    },
+  };
+}
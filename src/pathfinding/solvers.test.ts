@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_EXACT_CACHES, selectNearestCaches, solveAnnealing, solveExact, type SolverProblem } from './solvers';
+
+type Point = { x: number; y: number };
+
+function createProblem(start: Point, caches: Point[], exit: Point | null, count: number): SolverProblem {
+  const points = [start, ...caches];
+  const distance = (a: Point, b: Point) => Math.hypot(a.x - b.x, a.y - b.y);
+  return {
+    costs: points.map(a => points.map(b => distance(a, b))),
+    exitCosts: points.map(point => (exit ? distance(point, exit) : 0)),
+    count,
+  };
+}
+
+function routeCost(problem: SolverProblem, order: number[]): number {
+  let previous = 0;
+  let total = 0;
+  for (const node of order) {
+    total += problem.costs[previous][node];
+    previous = node;
+  }
+  return total + problem.exitCosts[previous];
+}
+
+// Cheapest route over every ordered choice of `count` caches
+function bruteForce(problem: SolverProblem): number {
+  const n = problem.costs.length - 1;
+  let best = Infinity;
+  const walk = (order: number[]) => {
+    if (order.length === problem.count) {
+      best = Math.min(best, routeCost(problem, order));
+      return;
+    }
+    for (let node = 1; node <= n; node++) {
+      if (!order.includes(node)) walk([...order, node]);
+    }
+  };
+  walk([]);
+  return best;
+}
+
+// A scattered but repeatable set of caches
+function scatter(count: number, offset = 0): Point[] {
+  return Array.from({ length: count }, (_, index) => ({
+    x: offset + ((index * 37) % 11) * 40,
+    y: ((index * 53) % 13) * 30,
+  }));
+}
+
+describe('solveExact', () => {
+  it('finds the cheapest route through exactly count caches', () => {
+    for (const count of [1, 3, 5]) {
+      const problem = createProblem({ x: 0, y: 0 }, scatter(7), { x: 500, y: 200 }, count);
+      const result = solveExact(problem);
+      assert.ok(result);
+      assert.equal(result.order.length, count);
+      assert.equal(new Set(result.order).size, count);
+      assert.ok(result.optimal);
+      assert.ok(Math.abs(result.cost - bruteForce(problem)) < 1e-9);
+      assert.ok(Math.abs(result.cost - routeCost(problem, result.order)) < 1e-9);
+    }
+  });
+
+  it('solves over the nearest caches on maps above MAX_EXACT_CACHES', () => {
+    // A cluster by the start and a far-away one the route should never reach
+    const caches = [...scatter(MAX_EXACT_CACHES), ...scatter(10, 5000)];
+    const problem = createProblem({ x: 0, y: 0 }, caches, null, 6);
+    const result = solveExact(problem);
+
+    assert.ok(result, 'exact gave up on a large map');
+    assert.equal(result.candidates, MAX_EXACT_CACHES);
+    assert.equal(result.optimal, false);
+    assert.equal(result.order.length, 6);
+    assert.ok(result.order.every(node => node <= MAX_EXACT_CACHES), 'route left the nearby cluster');
+    assert.ok(Math.abs(result.cost - routeCost(problem, result.order)) < 1e-9);
+  });
+
+  it('returns null when the route needs more than MAX_EXACT_CACHES caches', () => {
+    const problem = createProblem({ x: 0, y: 0 }, scatter(MAX_EXACT_CACHES + 2), null, MAX_EXACT_CACHES + 1);
+    assert.equal(solveExact(problem), null);
+  });
+});
+
+describe('selectNearestCaches', () => {
+  it('grows outwards from the start along the cheapest legs', () => {
+    const line = [300, 100, 400, 200, 9000].map(x => ({ x, y: 0 }));
+    const problem = createProblem({ x: 0, y: 0 }, line, null, 2);
+    assert.deepEqual(selectNearestCaches(problem, 4), [2, 4, 1, 3]);
+  });
+});
+
+describe('solveAnnealing', () => {
+  it('repeats for the same seed and visits count distinct caches', () => {
+    const problem = createProblem({ x: 0, y: 0 }, scatter(25), { x: 500, y: 200 }, 8);
+    const first = solveAnnealing(problem, { seed: 7, iterations: 5000, timeBudget: 10000 });
+    const second = solveAnnealing(problem, { seed: 7, iterations: 5000, timeBudget: 10000 });
+
+    assert.deepEqual(first.order, second.order);
+    assert.equal(new Set(first.order).size, 8);
+    assert.ok(Math.abs(first.cost - routeCost(problem, first.order)) < 1e-9);
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Which caches to visit and in what order. Node 0 is the start and nodes 1..n are the
+ * caches; a route leaves the start, visits `count` caches and walks to extraction.
+ */
+export interface SolverProblem {
+  costs: number[][]; // Leg cost between every pair of nodes, see buildLegCosts
+  exitCosts: number[]; // Cost from each node to its extraction; all 0 without one
+  count: number; // Caches to visit
+}
+
+export interface SolverOptions {
+  timeBudget?: number; // Milliseconds before giving up and returning the best route so far (default: 500)
+  seed?: number; // Seed for the annealing's random moves (default: 1)
+  iterations?: number; // Annealing moves to try (default: 50000)
+}
+
+export interface SolverResult {
+  order: number[]; // Cache nodes in visiting order, without the start
+  cost: number; // Legs plus the walk to extraction
+  optimal: boolean; // Proven shortest (exact solver that finished)
+  iterations: number; // Subsets expanded (exact) or moves tried (annealing)
+  timedOut: boolean; // Stopped by timeBudget; results may then differ between runs
+  candidates?: number; // Caches the exact solver picked from, when the map had more than MAX_EXACT_CACHES
+}
+
+/**
+ * Caches the exact solver handles; its memory and time grow with 2^n
+ */
+export const MAX_EXACT_CACHES = 15;
+
+/**
+ * Small seeded PRNG (mulberry32) returning numbers in [0, 1), so annealing runs repeat
+ */
+export function createRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function routeCost(order: number[], problem: SolverProblem): number {
+  let total = 0;
+  let previous = 0;
+  for (const node of order) {
+    total += problem.costs[previous][node];
+    previous = node;
+  }
+  return total + problem.exitCosts[previous];
+}
+
+function popcount(mask: number): number {
+  let count = 0;
+  while (mask) {
+    mask &= mask - 1;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * The `limit` caches closest to the route: starting from the start node, repeatedly
+ * adds the cache with the cheapest leg from any node picked so far
+ */
+export function selectNearestCaches(problem: SolverProblem, limit: number): number[] {
+  const n = problem.costs.length - 1;
+  const reach = Array.from({ length: n + 1 }, (_, node) => problem.costs[0][node]);
+  const picked: number[] = [];
+  const used = new Set<number>([0]);
+  while (picked.length < Math.min(limit, n)) {
+    let next = -1;
+    for (let node = 1; node <= n; node++) {
+      if (!used.has(node) && (next === -1 || reach[node] < reach[next])) {
+        next = node;
+      }
+    }
+    used.add(next);
+    picked.push(next);
+    for (let node = 1; node <= n; node++) {
+      reach[node] = Math.min(reach[node], problem.costs[next][node]);
+    }
+  }
+  return picked;
+}
+
+/**
+ * Held-Karp over the subsets of at most `count` caches: the cheapest route through
+ * exactly `count` of them. On maps with more than MAX_EXACT_CACHES caches it solves
+ * over the MAX_EXACT_CACHES nearest ones (see selectNearestCaches) and reports that
+ * in `candidates`; the route is then not proven optimal. Returns null when `count`
+ * is above MAX_EXACT_CACHES or the time budget runs out, so the caller can fall
+ * back to annealing.
+ */
+export function solveExact(problem: SolverProblem, options: SolverOptions = {}): SolverResult | null {
+  const n = problem.costs.length - 1;
+  const count = Math.min(problem.count, n);
+  if (count > MAX_EXACT_CACHES) {
+    return null;
+  }
+  if (n > MAX_EXACT_CACHES) {
+    const nodes = [0, ...selectNearestCaches(problem, MAX_EXACT_CACHES)];
+    const result = solveExact({
+      costs: nodes.map(from => nodes.map(to => problem.costs[from][to])),
+      exitCosts: nodes.map(node => problem.exitCosts[node]),
+      count,
+    }, options);
+    return result && {
+      ...result,
+      order: result.order.map(node => nodes[node]),
+      optimal: false,
+      candidates: MAX_EXACT_CACHES,
+    };
+  }
+  if (count <= 0) {
+    return { order: [], cost: problem.exitCosts[0], optimal: true, iterations: 0, timedOut: false };
+  }
+
+  const started = Date.now();
+  const timeBudget = options.timeBudget ?? 500;
+  const size = 1 << n;
+  // best[mask * n + j]: cheapest walk from the start through the caches in mask, ending at cache j
+  const best = new Float64Array(size * n).fill(Infinity);
+  const parent = new Int8Array(size * n).fill(-1);
+  for (let j = 0; j < n; j++) {
+    best[(1 << j) * n + j] = problem.costs[0][j + 1];
+  }
+
+  let iterations = 0;
+  for (let mask = 1; mask < size; mask++) {
+    if (popcount(mask) >= count) continue;
+    if (++iterations % 1024 === 0 && Date.now() - started > timeBudget) {
+      return null;
+    }
+    for (let j = 0; j < n; j++) {
+      const here = best[mask * n + j];
+      if (here === Infinity) continue;
+      for (let k = 0; k < n; k++) {
+        if (mask & (1 << k)) continue;
+        const next = (mask | (1 << k)) * n + k;
+        const cost = here + problem.costs[j + 1][k + 1];
+        if (cost < best[next]) {
+          best[next] = cost;
+          parent[next] = j;
+        }
+      }
+    }
+  }
+
+  let bestCost = Infinity;
+  let bestMask = 0;
+  let bestLast = -1;
+  for (let mask = 1; mask < size; mask++) {
+    if (popcount(mask) !== count) continue;
+    for (let j = 0; j < n; j++) {
+      const cost = best[mask * n + j] + problem.exitCosts[j + 1];
+      if (cost < bestCost) {
+        bestCost = cost;
+        bestMask = mask;
+        bestLast = j;
+      }
+    }
+  }
+
+  const order: number[] = [];
+  let mask = bestMask;
+  let last = bestLast;
+  while (last !== -1) {
+    order.unshift(last + 1);
+    const previous = parent[mask * n + last];
+    mask &= ~(1 << last);
+    last = previous;
+  }
+
+  return { order, cost: bestCost, optimal: true, iterations, timedOut: false };
+}
+
+/**
+ * Greedy start for the annealing: nearest unvisited cache until `count` are picked
+ */
+function nearestNeighborOrder(problem: SolverProblem, count: number): number[] {
+  const n = problem.costs.length - 1;
+  const used = new Set<number>();
+  const order: number[] = [];
+  let current = 0;
+  while (order.length < count) {
+    let next = -1;
+    for (let node = 1; node <= n; node++) {
+      if (!used.has(node) && (next === -1 || problem.costs[current][node] < problem.costs[current][next])) {
+        next = node;
+      }
+    }
+    used.add(next);
+    order.push(next);
+    current = next;
+  }
+  return order;
+}
+
+/**
+ * Simulated annealing from a nearest-neighbor start. Each move reverses a stretch of
+ * the route, swaps a cache for an unvisited one or moves a cache elsewhere; worse
+ * routes are accepted with a probability that shrinks as the temperature cools.
+ * The same seed gives the same route unless timeBudget cuts the run short.
+ */
+export function solveAnnealing(problem: SolverProblem, options: SolverOptions = {}): SolverResult {
+  const n = problem.costs.length - 1;
+  const count = Math.min(problem.count, n);
+  const random = createRandom(options.seed ?? 1);
+  const maxIterations = options.iterations ?? 50000;
+  const timeBudget = options.timeBudget ?? 500;
+  const started = Date.now();
+
+  let current = nearestNeighborOrder(problem, count);
+  let currentCost = routeCost(current, problem);
+  let bestOrder = [...current];
+  let bestCost = currentCost;
+  const unused = Array.from({ length: n }, (_, index) => index + 1).filter(node => !current.includes(node));
+  if (count < 2 && unused.length === 0) {
+    // Nothing to reorder or swap
+    return { order: bestOrder, cost: bestCost, optimal: true, iterations: 0, timedOut: false };
+  }
+  // Start warm enough to accept a leg-sized detour now and then, end near greedy
+  const startTemperature = Math.max(currentCost / (count + 1), 1e-6) * 0.5;
+  const endTemperature = startTemperature * 1e-3;
+  const cooling = Math.pow(endTemperature / startTemperature, 1 / maxIterations);
+  let temperature = startTemperature;
+  const pick = (length: number) => Math.floor(random() * length);
+
+  let iterations = 0;
+  let timedOut = false;
+  for (; iterations < maxIterations; iterations++) {
+    if (iterations % 256 === 0 && Date.now() - started > timeBudget) {
+      timedOut = true;
+      break;
+    }
+
+    const candidate = [...current];
+    let swapped = -1;
+    let removed = -1;
+    const move = random();
+    if (move < 0.4 && count >= 2) {
+      const i = pick(count);
+      const j = pick(count);
+      const [lo, hi] = i < j ? [i, j] : [j, i];
+      const reversed = candidate.slice(lo, hi + 1).reverse();
+      candidate.splice(lo, reversed.length, ...reversed);
+    } else if (move < 0.7 && unused.length > 0) {
+      const i = pick(count);
+      swapped = pick(unused.length);
+      removed = candidate[i];
+      candidate[i] = unused[swapped];
+    } else if (count >= 2) {
+      const [node] = candidate.splice(pick(count), 1);
+      candidate.splice(pick(count), 0, node);
+    } else {
+      continue;
+    }
+
+    const cost = routeCost(candidate, problem);
+    const delta = cost - currentCost;
+    if (delta < 0 || random() < Math.exp(-delta / temperature)) {
+      if (swapped !== -1) {
+        unused[swapped] = removed;
+      }
+      current = candidate;
+      currentCost = cost;
+      if (cost < bestCost) {
+        bestOrder = [...candidate];
+        bestCost = cost;
+      }
+    }
+    temperature *= cooling;
+  }
+
+  return { order: bestOrder, cost: bestCost, optimal: false, iterations, timedOut };
+}
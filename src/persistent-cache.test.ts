@@ -0,0 +1,185 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { PersistentCache } from './persistent-cache';
+
+// Above any pid_max, so never a running process
+const DEAD_PID = 2 ** 22 + 1;
+
+function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('PersistentCache', () => {
+  let directory: string;
+  let file: string;
+  let keepAlive: ReturnType<typeof setInterval>;
+
+  beforeEach(() => {
+    // Lock retries use unref'd timers so they never hold a CLI open; keep the test's loop alive
+    keepAlive = setInterval(() => {}, 1000);
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'persistent-cache-'));
+    file = path.join(directory, 'cache.json');
+  });
+
+  afterEach(() => {
+    clearInterval(keepAlive);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // Flushes only when asked to, like a long debounce window
+  function open(options: ConstructorParameters<typeof PersistentCache>[2] = {}): PersistentCache {
+    return new PersistentCache(60_000, file, { flushDelay: 60_000, ...options });
+  }
+
+  function keysOnDisk(): string[] {
+    return Object.keys(JSON.parse(fs.readFileSync(file, 'utf-8')).entries).sort();
+  }
+
+  function writeLock(owner: object, ageMs = 0): void {
+    fs.writeFileSync(`${file}.lock`, JSON.stringify(owner));
+    const mtime = new Date(Date.now() - ageMs);
+    fs.utimesSync(`${file}.lock`, mtime, mtime);
+  }
+
+  it('writes atomically and keeps the previous good file as a backup', async () => {
+    const cache = open();
+    cache.set('a', 1);
+    await cache.flush();
+    cache.set('b', 2);
+    await cache.flush();
+
+    assert.deepEqual(keysOnDisk(), ['a', 'b']);
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(`${file}.bak`, 'utf-8')).entries), ['a']);
+    assert.deepEqual(fs.readdirSync(directory).sort(), ['cache.json', 'cache.json.bak']);
+  });
+
+  it('recovers from a corrupted file using the backup', async () => {
+    const writer = open();
+    writer.set('kept', 'from backup');
+    await writer.flush();
+    fs.copyFileSync(file, `${file}.bak`);
+    fs.writeFileSync(file, '{"entries": {"half-writ');
+
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    let cache: PersistentCache;
+    try {
+      cache = open();
+    } finally {
+      console.warn = originalWarn;
+    }
+
+    assert.equal(cache.get('kept'), 'from backup');
+    assert.equal(fs.readFileSync(`${file}.corrupt`, 'utf-8'), '{"entries": {"half-writ');
+    await cache.flush();
+    assert.deepEqual(keysOnDisk(), ['kept']);
+  });
+
+  it('merges concurrent flushes from two caches under the lock', async () => {
+    const first = open();
+    const second = open();
+    for (let i = 0; i < 20; i++) {
+      first.set(`first-${i}`, i);
+      second.set(`second-${i}`, i);
+    }
+
+    await Promise.all([first.flush(), second.flush(), first.flush(), second.flush()]);
+
+    const keys = keysOnDisk();
+    assert.equal(keys.length, 40);
+    assert.ok(!fs.existsSync(`${file}.lock`));
+    assert.equal(open().get('second-7'), 7);
+  });
+
+  it('does not bring back deleted entries when merging with the file', async () => {
+    const writer = open();
+    writer.set('gone', 1);
+    writer.set('stays', 2);
+    await writer.flush();
+
+    const cache = open();
+    cache.delete('gone');
+    await cache.flush();
+
+    assert.deepEqual(keysOnDisk(), ['stays']);
+    assert.equal(cache.get('gone'), null);
+  });
+
+  it('drops entries written before clear() but keeps newer ones from other caches', async () => {
+    const other = open();
+    other.set('old', 1);
+    await other.flush();
+
+    const cache = open();
+    cache.set('mine', 1);
+    cache.clear();
+    await sleep(5);
+    other.set('newer', 2);
+    await other.flush();
+    await cache.flush();
+
+    assert.deepEqual(keysOnDisk(), ['newer']);
+    assert.equal(cache.get('old'), null);
+    assert.equal(cache.get('newer'), 2);
+  });
+
+  it('breaks a lock whose process is gone, however recent', async () => {
+    writeLock({ pid: DEAD_PID, hostname: os.hostname(), createdAt: Date.now() });
+    const cache = open({ lockTimeout: 100 });
+    cache.set('a', 1);
+    await cache.flush();
+
+    assert.deepEqual(keysOnDisk(), ['a']);
+    assert.ok(!fs.existsSync(`${file}.lock`));
+  });
+
+  it('waits for a slow writer that still holds the lock, however old', async () => {
+    writeLock({ pid: process.pid, hostname: os.hostname(), createdAt: 0 }, 60_000);
+    const cache = open({ lockTimeout: 100, staleLockAge: 10 });
+    cache.set('a', 1);
+
+    const originalWarn = console.warn;
+    const warnings: unknown[] = [];
+    console.warn = (...args: unknown[]) => warnings.push(args[0]);
+    try {
+      await cache.flush();
+    } finally {
+      console.warn = originalWarn;
+    }
+
+    assert.ok(!fs.existsSync(file));
+    assert.ok(fs.existsSync(`${file}.lock`));
+    assert.match(String(warnings[0]), /locked by another process/);
+
+    fs.unlinkSync(`${file}.lock`);
+    await cache.flush();
+    assert.deepEqual(keysOnDisk(), ['a']);
+  });
+
+  it('breaks an old lock from another host', async () => {
+    writeLock({ pid: process.pid, hostname: `not-${os.hostname()}` }, 60_000);
+    const cache = open({ lockTimeout: 100 });
+    cache.set('a', 1);
+    await cache.flush();
+
+    assert.deepEqual(keysOnDisk(), ['a']);
+  });
+
+  it('flushes pending writes when the process is interrupted', () => {
+    const script = `
+      const { PersistentCache } = require(${JSON.stringify(path.join(__dirname, 'persistent-cache'))});
+      const cache = new PersistentCache(60000, ${JSON.stringify(file)}, { flushDelay: 60000 });
+      cache.set('saved', true);
+      process.kill(process.pid, 'SIGINT');
+      setTimeout(() => {}, 5000);
+    `;
+    const child = spawnSync(process.execPath, ['--require', 'tsx/cjs', '-e', script], { timeout: 30_000 });
+
+    assert.equal(child.signal, 'SIGINT', child.stderr.toString());
+    assert.deepEqual(keysOnDisk(), ['saved']);
+  });
+});
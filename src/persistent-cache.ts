@@ -1,24 +1,140 @@
 import * as fs from 'fs';
+import * as os from 'os';
 import * as path from 'path';
-
-interface CacheEntry<T> {
-  data: T;
-  timestamp: number;
-  ttl: number;
-}
+import type { CacheValidators } from './types';
+import {
+  LruMap,
+  isExpired,
+  isDisposable,
+  isWithinMaxStale,
+  type CacheEntry,
+  type CacheLookup,
+  type CacheOptions,
+  type CacheSizeStats,
+} from './cache';
 
 interface CacheFile {
   entries: Record<string, CacheEntry<unknown>>;
   version: number;
 }
 
+export interface PersistentCacheOptions extends CacheOptions {
+  flushDelay?: number; // Debounce window (ms) for batching writes to disk (default: 1000, 0 writes right away)
+  lockTimeout?: number; // How long (ms) to wait for another process's lock before skipping a flush (default: 2000)
+  staleLockAge?: number; // A lock from another host older than this (ms) is assumed abandoned and broken (default: 10000)
+}
+
+interface LockOwner {
+  pid?: number;
+  hostname?: string;
+  createdAt?: number;
+}
+
+// Caches with unsaved changes, flushed synchronously when the process exits
+const pendingCaches = new Set<PersistentCache>();
+let exitHookInstalled = false;
+
+function flushPendingCaches(): void {
+  for (const cache of pendingCaches) {
+    cache.flushSync();
+  }
+}
+
+function installExitHook(): void {
+  if (exitHookInstalled || typeof process === 'undefined' || typeof process.once !== 'function') {
+    return;
+  }
+  exitHookInstalled = true;
+  process.once('exit', flushPendingCaches);
+
+  // Ctrl+C and kill end the process without 'exit', so flush there too. Then let the
+  // signal do what it would have done, unless the app handles it itself.
+  for (const signal of ['SIGINT', 'SIGTERM', 'SIGHUP'] as const) {
+    process.once(signal, () => {
+      flushPendingCaches();
+      if (process.listenerCount(signal) === 0) {
+        process.kill(process.pid, signal);
+      }
+    });
+  }
+}
+
+function delay(ms: number): Promise<void> {
+  return new Promise(resolve => {
+    // Don't keep a CLI alive just to wait for a lock; the exit hook writes anything left over
+    setTimeout(resolve, ms).unref?.();
+  });
+}
+
+function parseCacheFile(content: string, filePath: string): CacheFile {
+  const cacheFile: CacheFile = JSON.parse(content);
+  if (!cacheFile || typeof cacheFile.entries !== 'object' || cacheFile.entries === null) {
+    throw new Error(`Malformed cache file: ${filePath}`);
+  }
+  return cacheFile;
+}
+
+function readCacheFile(filePath: string): CacheFile {
+  return parseCacheFile(fs.readFileSync(filePath, 'utf-8'), filePath);
+}
+
+function createLockContent(): string {
+  const owner: LockOwner = { pid: process.pid, hostname: os.hostname(), createdAt: Date.now() };
+  return JSON.stringify(owner);
+}
+
+function isProcessAlive(pid: number): boolean {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it exists, it just isn't ours
+    return (error as NodeJS.ErrnoException).code === 'EPERM';
+  }
+}
+
+/**
+ * Whether a lock was left behind by a crashed process. A lock from this host is
+ * abandoned exactly when its process is gone, however long a slow writer holds it;
+ * one from another host (shared drive), or not written yet, only once it's older
+ * than staleLockAge.
+ */
+function isLockAbandoned(content: string, lockAge: number, staleLockAge: number): boolean {
+  let owner: LockOwner = {};
+  try {
+    owner = JSON.parse(content);
+  } catch {
+    // Created but not written yet, or not one of ours
+  }
+  if (typeof owner.pid === 'number' && owner.hostname === os.hostname()) {
+    return !isProcessAlive(owner.pid);
+  }
+  return lockAge > staleLockAge;
+}
+
 export class PersistentCache {
-  private cache = new Map<string, CacheEntry<unknown>>();
+  private cache: LruMap;
   private defaultTTL: number;
   private cacheFilePath: string;
+  private maxStale: number;
+  private flushDelay: number;
+  private lockTimeout: number;
+  private staleLockAge: number;
+  private flushTimer: ReturnType<typeof setTimeout> | null = null;
+  private flushing: Promise<void> = Promise.resolve(); // Flushes run one after another
+  private changes = 0; // Bumped on every change, to tell whether a flush wrote them all
+  private lockHeld = false;
+  // Local removals since the last flush, so merging with the file doesn't resurrect them
+  private deletedKeys = new Set<string>();
+  private clearedAt: number | null = null;
 
-  constructor(defaultTTL: number = 5 * 60 * 1000, cacheFilePath?: string) {
+  constructor(defaultTTL: number = 5 * 60 * 1000, cacheFilePath?: string, options: PersistentCacheOptions = {}) {
     this.defaultTTL = defaultTTL;
+    this.maxStale = options.maxStale || 0;
+    this.flushDelay = options.flushDelay ?? 1000;
+    this.lockTimeout = options.lockTimeout ?? 2000;
+    this.staleLockAge = options.staleLockAge ?? 10000;
+    this.cache = new LruMap(options);
     // Default cache file location: .cache/arc-raiders-cache.json
     // Use script directory if available, otherwise fall back to process.cwd()
     const baseDir = typeof __dirname !== 'undefined' ? __dirname : process.cwd();
@@ -28,60 +144,361 @@ export class PersistentCache {
     this.loadFromDisk();
   }
 
+  private get backupFilePath(): string {
+    return `${this.cacheFilePath}.bak`;
+  }
+
+  private get lockFilePath(): string {
+    return `${this.cacheFilePath}.lock`;
+  }
+
   private loadFromDisk(): void {
+    // Ensure cache directory exists
+    const cacheDir = path.dirname(this.cacheFilePath);
+    if (!fs.existsSync(cacheDir)) {
+      fs.mkdirSync(cacheDir, { recursive: true });
+      return;
+    }
+
+    const cacheFile = this.readWithRecovery();
+    if (!cacheFile) {
+      return;
+    }
+
+    const now = Date.now();
+    
+    // Load entries and filter out expired ones (unless they can be revalidated or served stale)
+    // Oldest first, so the LRU order roughly follows when entries were written
+    const entries = Object.entries(cacheFile.entries).sort(([, a], [, b]) => a.timestamp - b.timestamp);
+    for (const [key, entry] of entries) {
+      if (!isDisposable(entry, this.maxStale, now)) {
+        this.trackEvictions(this.cache.set(key, entry));
+      } else {
+        this.deletedKeys.add(key);
+      }
+    }
+    
+    // Save back to disk (removes expired and evicted entries)
+    if (this.deletedKeys.size > 0) {
+      this.scheduleSave();
+    }
+  }
+
+  /**
+   * Read the cache file, falling back to the backup of the last good file when
+   * the main file is corrupted. The corrupted file is kept aside for inspection.
+   */
+  private readWithRecovery(): CacheFile | null {
+    if (fs.existsSync(this.cacheFilePath)) {
+      try {
+        return readCacheFile(this.cacheFilePath);
+      } catch (error) {
+        console.warn('Cache file is corrupted, trying backup:', error);
+        try {
+          fs.renameSync(this.cacheFilePath, `${this.cacheFilePath}.corrupt`);
+        } catch {
+          // Another process may have already moved or replaced it
+        }
+      }
+    }
+
+    if (fs.existsSync(this.backupFilePath)) {
+      try {
+        const backup = readCacheFile(this.backupFilePath);
+        // Write the recovered entries back as the main file on the next flush
+        this.scheduleSave();
+        return backup;
+      } catch (error) {
+        console.warn('Cache backup is corrupted as well, starting fresh:', error);
+      }
+    }
+
+    return null;
+  }
+
+  private scheduleSave(): void {
+    this.changes++;
+    pendingCaches.add(this);
+    installExitHook();
+
+    if (this.flushDelay <= 0) {
+      void this.flush();
+      return;
+    }
+    if (this.flushTimer) {
+      return;
+    }
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      void this.flush();
+    }, this.flushDelay);
+    // Don't keep a CLI alive just to flush; the exit hook writes anything left over
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Write pending changes to disk without blocking the event loop. Holds a lock file
+   * while merging with entries other processes wrote, then replaces the file atomically
+   * (temp file + rename), keeping the previous file as a backup when it was intact.
+   * Never rejects: failures are logged and the changes stay pending.
+   */
+  flush(): Promise<void> {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this.flushing = this.flushing.then(() => this.writeToDisk());
+    return this.flushing;
+  }
+
+  /**
+   * flush() for when nothing async runs anymore, e.g. in a process 'exit' handler.
+   * Tries the lock once instead of waiting for it.
+   */
+  flushSync(): void {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    const written = this.snapshot();
+
     try {
-      // Ensure cache directory exists
-      const cacheDir = path.dirname(this.cacheFilePath);
-      if (!fs.existsSync(cacheDir)) {
-        fs.mkdirSync(cacheDir, { recursive: true });
+      fs.mkdirSync(path.dirname(this.cacheFilePath), { recursive: true });
+
+      // An async flush cut short by the exit may still hold the lock
+      if (!this.lockHeld && !this.tryLockSync()) {
+        console.warn('Cache file is locked by another process, changes not saved');
         return;
       }
 
-      if (!fs.existsSync(this.cacheFilePath)) {
+      try {
+        let diskFile: CacheFile | null = null;
+        try {
+          diskFile = readCacheFile(this.cacheFilePath);
+        } catch {
+          // Missing, or corrupted: our copy replaces it and the backup stays as it is
+        }
+        this.mergeFromDisk(diskFile);
+
+        const tempFilePath = `${this.cacheFilePath}.${process.pid}.tmp`;
+        try {
+          fs.writeFileSync(tempFilePath, this.serialize(), 'utf-8');
+          if (diskFile) {
+            fs.copyFileSync(this.cacheFilePath, this.backupFilePath);
+          }
+          fs.renameSync(tempFilePath, this.cacheFilePath);
+        } catch (error) {
+          fs.rmSync(tempFilePath, { force: true });
+          throw error;
+        }
+
+        this.markWritten(written);
+      } finally {
+        this.lockHeld = false;
+        try {
+          fs.unlinkSync(this.lockFilePath);
+        } catch {
+          // Already gone (e.g. broken as stale by another process)
+        }
+      }
+    } catch (error) {
+      console.warn('Could not save cache to disk:', error);
+    }
+  }
+
+  private async writeToDisk(): Promise<void> {
+    const written = this.snapshot();
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.cacheFilePath), { recursive: true });
+
+      if (!(await this.acquireLock())) {
+        console.warn('Cache file is locked by another process, retrying later');
+        this.scheduleRetry();
         return;
       }
 
-      const fileContent = fs.readFileSync(this.cacheFilePath, 'utf-8');
-      const cacheFile: CacheFile = JSON.parse(fileContent);
-      
-      const now = Date.now();
-      
-      // Load entries and filter out expired ones
-      for (const [key, entry] of Object.entries(cacheFile.entries)) {
-        if (now - entry.timestamp <= entry.ttl) {
-          this.cache.set(key, entry);
+      try {
+        let diskFile: CacheFile | null = null;
+        try {
+          diskFile = parseCacheFile(await fs.promises.readFile(this.cacheFilePath, 'utf-8'), this.cacheFilePath);
+        } catch {
+          // Missing, or corrupted: our copy replaces it and the backup stays as it is
+        }
+        this.mergeFromDisk(diskFile);
+
+        const tempFilePath = `${this.cacheFilePath}.${process.pid}.tmp`;
+        try {
+          await fs.promises.writeFile(tempFilePath, this.serialize(), 'utf-8');
+          // Only a file that parsed may replace the last good backup
+          if (diskFile) {
+            await fs.promises.copyFile(this.cacheFilePath, this.backupFilePath);
+          }
+          await fs.promises.rename(tempFilePath, this.cacheFilePath);
+        } catch (error) {
+          await fs.promises.rm(tempFilePath, { force: true });
+          throw error;
         }
+
+        this.markWritten(written);
+      } finally {
+        await this.releaseLock();
       }
-      
-      // Save back to disk (removes expired entries)
-      this.saveToDisk();
     } catch (error) {
-      // If cache file is corrupted or can't be read, start fresh
-      console.warn('Could not load cache from disk, starting fresh:', error);
+      console.warn('Could not save cache to disk:', error);
+    }
+  }
+
+  /**
+   * What a flush starting now covers; changes made while it runs stay pending
+   */
+  private snapshot(): { changes: number; deletedKeys: string[]; clearedAt: number | null } {
+    return { changes: this.changes, deletedKeys: [...this.deletedKeys], clearedAt: this.clearedAt };
+  }
+
+  private markWritten(written: { changes: number; deletedKeys: string[]; clearedAt: number | null }): void {
+    written.deletedKeys.forEach(key => this.deletedKeys.delete(key));
+    if (this.clearedAt === written.clearedAt) {
+      this.clearedAt = null;
+    }
+    if (this.changes === written.changes) {
+      pendingCaches.delete(this);
+    }
+  }
+
+  private serialize(): string {
+    const cacheFile: CacheFile = {
+      version: 1,
+      entries: {},
+    };
+
+    // Convert Map to object for JSON serialization
+    for (const [key, entry] of this.cache.all()) {
+      cacheFile.entries[key] = entry;
+    }
+    return JSON.stringify(cacheFile);
+  }
+
+  private scheduleRetry(): void {
+    pendingCaches.add(this);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        void this.flush();
+      }, Math.max(this.flushDelay, 100));
+      this.flushTimer.unref?.();
     }
   }
 
-  private saveToDisk(): void {
+  /**
+   * Pick up entries other processes wrote since we loaded, unless we removed
+   * them locally or hold a newer copy
+   */
+  private mergeFromDisk(diskFile: CacheFile | null): void {
+    if (!diskFile) {
+      return;
+    }
+
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(diskFile.entries)) {
+      if (this.deletedKeys.has(key) || isDisposable(entry, this.maxStale, now)) {
+        continue;
+      }
+      if (this.clearedAt !== null && entry.timestamp <= this.clearedAt) {
+        continue;
+      }
+      const local = this.cache.peek(key);
+      if (!local || entry.timestamp > local.timestamp) {
+        this.trackEvictions(this.cache.set(key, entry));
+      }
+    }
+  }
+
+  private trackEvictions(evictedKeys: string[]): void {
+    evictedKeys.forEach(key => this.deletedKeys.add(key));
+  }
+
+  /**
+   * Wait for the lock file, retrying on a timer so other work goes on meanwhile
+   */
+  private async acquireLock(): Promise<boolean> {
+    const deadline = Date.now() + this.lockTimeout;
+
+    for (;;) {
+      try {
+        const handle = await fs.promises.open(this.lockFilePath, 'wx');
+        this.lockHeld = true;
+        await handle.writeFile(createLockContent()).finally(() => handle.close());
+        return true;
+      } catch (error) {
+        if (this.lockHeld) {
+          await this.releaseLock();
+        }
+        if ((error as NodeJS.ErrnoException).code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (await this.breakStaleLock()) {
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        return false;
+      }
+      await delay(25);
+    }
+  }
+
+  /**
+   * Remove a lock left behind by a crashed process (see isLockAbandoned)
+   * @returns Whether it's worth trying the lock again right away
+   */
+  private async breakStaleLock(): Promise<boolean> {
     try {
-      // Ensure cache directory exists
-      const cacheDir = path.dirname(this.cacheFilePath);
-      if (!fs.existsSync(cacheDir)) {
-        fs.mkdirSync(cacheDir, { recursive: true });
+      const lockAge = Date.now() - (await fs.promises.stat(this.lockFilePath)).mtimeMs;
+      const content = await fs.promises.readFile(this.lockFilePath, 'utf-8');
+      if (!isLockAbandoned(content, lockAge, this.staleLockAge)) {
+        return false;
       }
+      await fs.promises.unlink(this.lockFilePath);
+    } catch {
+      // Lock vanished between open and stat; just retry
+    }
+    return true;
+  }
 
-      const cacheFile: CacheFile = {
-        version: 1,
-        entries: {},
-      };
+  private tryLockSync(): boolean {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const fd = fs.openSync(this.lockFilePath, 'wx');
+        fs.writeSync(fd, createLockContent());
+        fs.closeSync(fd);
+        return true;
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== 'EEXIST') {
+          throw error;
+        }
+      }
 
-      // Convert Map to object for JSON serialization
-      for (const [key, entry] of this.cache.entries()) {
-        cacheFile.entries[key] = entry;
+      try {
+        const lockAge = Date.now() - fs.statSync(this.lockFilePath).mtimeMs;
+        if (!isLockAbandoned(fs.readFileSync(this.lockFilePath, 'utf-8'), lockAge, this.staleLockAge)) {
+          return false;
+        }
+        fs.unlinkSync(this.lockFilePath);
+      } catch {
+        // Lock vanished between open and stat; try once more
       }
+    }
+    return false;
+  }
 
-      fs.writeFileSync(this.cacheFilePath, JSON.stringify(cacheFile, null, 2), 'utf-8');
-    } catch (error) {
-      console.warn('Could not save cache to disk:', error);
+  private async releaseLock(): Promise<void> {
+    this.lockHeld = false;
+    try {
+      await fs.promises.unlink(this.lockFilePath);
+    } catch {
+      // Already gone (e.g. broken as stale by another process)
     }
   }
 
@@ -91,35 +508,116 @@ export class PersistentCache {
       return null;
     }
 
-    const now = Date.now();
-    if (now - entry.timestamp > entry.ttl) {
-      this.cache.delete(key);
-      this.saveToDisk(); // Remove expired entry from disk
+    if (isExpired(entry)) {
+      if (isDisposable(entry, this.maxStale)) {
+        this.cache.delete(key);
+        this.deletedKeys.add(key);
+        this.scheduleSave(); // Remove expired entry from disk
+      }
       return null;
     }
 
     return entry.data as T;
   }
 
-  set<T>(key: string, data: T, ttl?: number): void {
-    this.cache.set(key, {
+  /**
+   * Like get, but also returns expired entries that are still within maxStale
+   * (flagged as stale) so callers can serve them while refreshing
+   */
+  lookup<T>(key: string): CacheLookup<T> | null {
+    const entry = this.cache.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (!isExpired(entry)) {
+      return { data: entry.data as T, stale: false };
+    }
+
+    if (isWithinMaxStale(entry, this.maxStale)) {
+      return { data: entry.data as T, stale: true };
+    }
+
+    if (isDisposable(entry, this.maxStale)) {
+      this.cache.delete(key);
+      this.deletedKeys.add(key);
+      this.scheduleSave();
+    }
+    return null;
+  }
+
+  /**
+   * Get an entry without checking expiry (used for conditional revalidation)
+   */
+  peek<T>(key: string): CacheEntry<T> | null {
+    return (this.cache.peek(key) as CacheEntry<T> | undefined) || null;
+  }
+
+  set<T>(key: string, data: T, ttl?: number, validators?: CacheValidators[]): void {
+    const evicted = this.cache.set(key, {
       data,
       timestamp: Date.now(),
-      ttl: ttl || this.defaultTTL,
+      ttl: ttl ?? this.defaultTTL,
+      ...(validators && validators.length > 0 && { validators }),
     });
+    this.trackEvictions(evicted);
     
     // Save to disk after setting
-    this.saveToDisk();
+    this.scheduleSave();
+  }
+
+  /**
+   * Restart an entry's TTL, e.g. after the server answered 304 Not Modified
+   */
+  touch(key: string, ttl?: number): boolean {
+    const entry = this.cache.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    entry.timestamp = Date.now();
+    if (ttl !== undefined) {
+      entry.ttl = ttl;
+    }
+    this.scheduleSave();
+    return true;
   }
 
   delete(key: string): void {
     this.cache.delete(key);
-    this.saveToDisk();
+    this.deletedKeys.add(key);
+    this.scheduleSave();
   }
 
   clear(): void {
     this.cache.clear();
-    this.saveToDisk();
+    this.deletedKeys.clear();
+    this.clearedAt = Date.now();
+    this.scheduleSave();
+  }
+
+  /**
+   * Remove every entry whose key starts with the prefix (e.g. '/items')
+   * @returns Number of removed entries
+   */
+  deleteByPrefix(prefix: string): number {
+    const keys = this.cache.keys().filter(key => key.startsWith(prefix));
+    keys.forEach(key => {
+      this.cache.delete(key);
+      this.deletedKeys.add(key);
+    });
+    if (keys.length > 0) {
+      this.scheduleSave();
+    }
+    return keys.length;
+  }
+
+  keys(): string[] {
+    return this.cache.keys();
+  }
+
+  getStats(): CacheSizeStats {
+    return this.cache.stats;
   }
 
   has(key: string): boolean {
@@ -128,11 +626,13 @@ export class PersistentCache {
       return false;
     }
 
-    const now = Date.now();
     // If TTL is 0, cache never expires (cache forever)
-    if (entry.ttl > 0 && now - entry.timestamp > entry.ttl) {
-      this.cache.delete(key);
-      this.saveToDisk();
+    if (isExpired(entry)) {
+      if (isDisposable(entry, this.maxStale)) {
+        this.cache.delete(key);
+        this.deletedKeys.add(key);
+        this.scheduleSave();
+      }
       return false;
     }
 
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, ConcurrencyLimiter } from './rate-limiter';
+import { ApiError } from './types';
+
+function isAbort(error: unknown): boolean {
+  return error instanceof ApiError && error.statusText === 'Aborted';
+}
+
+describe('RateLimiter', () => {
+  it('lets a burst through, then refills at requestsPerSecond', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 2 });
+    const start = Date.now();
+    await limiter.acquire();
+    await limiter.acquire();
+    assert.ok(Date.now() - start < 20, 'the burst had to wait');
+
+    await limiter.acquire();
+    const third = Date.now() - start;
+    await limiter.acquire();
+    const fourth = Date.now() - start;
+    assert.ok(third >= 45 && third < 150, `third request after ${third}ms`);
+    assert.ok(fourth >= 95 && fourth < 250, `fourth request after ${fourth}ms`);
+  });
+
+  it('serves waiters in the order they arrived', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 50, burst: 1 });
+    await limiter.acquire();
+    const order: number[] = [];
+    await Promise.all([1, 2, 3].map(id => limiter.acquire().then(() => order.push(id))));
+    assert.deepEqual(order, [1, 2, 3]);
+  });
+
+  it('drops aborted waiters without spending their token', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 1 });
+    await limiter.acquire();
+    const controller = new AbortController();
+    const order: string[] = [];
+    const aborted = limiter.acquire(controller.signal).then(() => order.push('aborted'), error => {
+      assert.ok(isAbort(error));
+      order.push('rejected');
+    });
+    const next = limiter.acquire().then(() => order.push('next'));
+    controller.abort();
+
+    const start = Date.now();
+    await Promise.all([aborted, next]);
+    assert.deepEqual(order, ['rejected', 'next']);
+    assert.ok(Date.now() - start < 90, 'the aborted waiter still took a token');
+  });
+
+  it('rejects an already aborted signal', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(new RateLimiter({ requestsPerSecond: 1 }).acquire(controller.signal), isAbort);
+  });
+
+  it('requires a positive rate', () => {
+    assert.throws(() => new RateLimiter({ requestsPerSecond: 0 }), /greater than 0/);
+  });
+});
+
+describe('ConcurrencyLimiter', () => {
+  it('hands released slots to waiters in order', async () => {
+    const limiter = new ConcurrencyLimiter(2);
+    const first = await limiter.acquire();
+    const second = await limiter.acquire();
+    const order: number[] = [];
+    const waiting = [3, 4].map(id => limiter.acquire().then(release => {
+      order.push(id);
+      return release;
+    }));
+    assert.equal(limiter.running, 2);
+    assert.equal(limiter.pending, 2);
+
+    first();
+    first(); // Releasing twice frees only one slot
+    const third = await waiting[0];
+    assert.deepEqual(order, [3]);
+    assert.equal(limiter.pending, 1);
+
+    second();
+    const fourth = await waiting[1];
+    assert.deepEqual(order, [3, 4]);
+    third();
+    fourth();
+    assert.equal(limiter.running, 0);
+  });
+
+  it('removes aborted waiters from the queue', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    const release = await limiter.acquire();
+    const controller = new AbortController();
+    const aborted = limiter.acquire(controller.signal);
+    const next = limiter.acquire();
+    controller.abort();
+    await assert.rejects(aborted, isAbort);
+    assert.equal(limiter.pending, 1);
+
+    release();
+    (await next)();
+    assert.equal(limiter.running, 0);
+  });
+});
@@ -0,0 +1,162 @@
+import { ApiError } from './types';
+
+export interface RateLimitConfig {
+  requestsPerSecond: number; // Sustained request rate (token refill rate)
+  burst?: number; // Bucket capacity, i.e. how many requests may go out at once (default: requestsPerSecond)
+}
+
+interface Waiter<T> {
+  resolve: (value: T) => void;
+  reject: (reason: unknown) => void;
+  signal?: AbortSignal;
+  onAbort?: () => void;
+}
+
+function createAbortError(): ApiError {
+  return new ApiError('Request aborted', 0, 'Aborted');
+}
+
+/**
+ * Register a waiter and wire up its AbortSignal so an aborted waiter
+ * is removed from the queue and rejected immediately
+ */
+function enqueue<T>(waiters: Array<Waiter<T>>, signal?: AbortSignal): Promise<T> {
+  return new Promise<T>((resolve, reject) => {
+    const waiter: Waiter<T> = { resolve, reject, signal };
+
+    if (signal) {
+      waiter.onAbort = () => {
+        const index = waiters.indexOf(waiter);
+        if (index !== -1) {
+          waiters.splice(index, 1);
+        }
+        reject(createAbortError());
+      };
+      signal.addEventListener('abort', waiter.onAbort, { once: true });
+    }
+
+    waiters.push(waiter);
+  });
+}
+
+function settle<T>(waiter: Waiter<T>, value: T): void {
+  if (waiter.signal && waiter.onAbort) {
+    waiter.signal.removeEventListener('abort', waiter.onAbort);
+  }
+  waiter.resolve(value);
+}
+
+/**
+ * Token bucket rate limiter. Each request consumes one token; tokens refill
+ * continuously at `requestsPerSecond` up to `burst`. Waiters are served FIFO.
+ */
+export class RateLimiter {
+  private tokens: number;
+  private lastRefill = Date.now();
+  private readonly ratePerMs: number;
+  private readonly capacity: number;
+  private waiters: Array<Waiter<void>> = [];
+  private timer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(config: RateLimitConfig) {
+    if (!(config.requestsPerSecond > 0)) {
+      throw new Error('requestsPerSecond must be greater than 0');
+    }
+    this.ratePerMs = config.requestsPerSecond / 1000;
+    this.capacity = Math.max(1, config.burst ?? config.requestsPerSecond);
+    this.tokens = this.capacity;
+  }
+
+  acquire(signal?: AbortSignal): Promise<void> {
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    this.refill();
+    if (this.waiters.length === 0 && this.tokens >= 1) {
+      this.tokens--;
+      return Promise.resolve();
+    }
+
+    const promise = enqueue(this.waiters, signal);
+    this.schedule();
+    return promise;
+  }
+
+  private refill(): void {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.ratePerMs);
+    this.lastRefill = now;
+  }
+
+  private schedule(): void {
+    if (this.timer || this.waiters.length === 0) {
+      return;
+    }
+
+    const delay = this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.ratePerMs);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.refill();
+      while (this.waiters.length > 0 && this.tokens >= 1) {
+        this.tokens--;
+        settle(this.waiters.shift()!, undefined);
+      }
+      this.schedule();
+    }, delay);
+  }
+}
+
+/**
+ * Limits how many requests are in flight at once. `acquire` resolves with a
+ * release function that must be called when the request finishes.
+ */
+export class ConcurrencyLimiter {
+  private active = 0;
+  private waiters: Array<Waiter<() => void>> = [];
+
+  constructor(private readonly maxConcurrency: number) {
+    if (!(maxConcurrency >= 1)) {
+      throw new Error('maxConcurrency must be at least 1');
+    }
+  }
+
+  acquire(signal?: AbortSignal): Promise<() => void> {
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    if (this.active < this.maxConcurrency) {
+      this.active++;
+      return Promise.resolve(this.createRelease());
+    }
+
+    return enqueue(this.waiters, signal);
+  }
+
+  get pending(): number {
+    return this.waiters.length;
+  }
+
+  get running(): number {
+    return this.active;
+  }
+
+  private createRelease(): () => void {
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+
+      const next = this.waiters.shift();
+      if (next) {
+        // Hand the slot straight to the next waiter
+        settle(next, this.createRelease());
+      } else {
+        this.active--;
+      }
+    };
+  }
+}
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchIndex, groupSearchResults, highlightMatches } from './search-index';
+
+const index = new SearchIndex({
+  items: [
+    { id: 'anvil-bp', name: 'Anvil Blueprint', type: 'other' },
+    { id: 'anvil', name: 'Anvil', type: 'weapon' },
+    { id: 'battery', name: 'Battery', type: 'material', description: 'Powers the Anvil' },
+    { id: 'med-kit', name: 'Medical Kit', type: 'consumable' },
+  ],
+  weapons: [{ id: 'anvil', name: 'Anvil', type: 'weapon' }],
+  quests: [{
+    id: 'q-power',
+    name: 'Power Out',
+    objectives: [{ id: 'o1', description: 'Deliver a battery to the substation', type: 'deliver' }],
+  }],
+  traders: { Celeste: [{ id: 'anvil', name: 'Anvil', trader_price: 1200 }] },
+  maps: [{
+    id: 'dam',
+    name: 'Dam Battlegrounds',
+    pois: [{ id: 'cache-1', name: 'Pipeline Cache', type: 'cache', coordinates: { x: 0, y: 0 } }],
+  }],
+});
+
+describe('SearchIndex', () => {
+  it('indexes weapons under their own kind, not again as items', () => {
+    const kinds = index.search('anvil').filter(r => r.id === 'anvil').map(r => r.kind).sort();
+    assert.deepEqual(kinds, ['trader-item', 'weapon']);
+  });
+
+  it('ranks exact names before prefixes, substrings and other fields', () => {
+    const results = index.search('anvil', { kinds: ['weapon', 'item'] });
+    assert.deepEqual(results.map(r => r.name), ['Anvil', 'Anvil Blueprint', 'Battery']);
+    assert.deepEqual(results.map(r => r.field), ['name', 'name', 'description']);
+    assert.ok(results[0].score > results[1].score && results[1].score > results[2].score);
+  });
+
+  it('tolerates typos and transpositions but not in short words', () => {
+    assert.equal(index.search('batery')[0]?.id, 'battery');
+    assert.equal(index.search('medcial kit')[0]?.id, 'med-kit');
+    assert.equal(index.search('anvli', { kinds: ['weapon'] })[0]?.id, 'anvil');
+    assert.deepEqual(index.search('kat'), []);
+    assert.deepEqual(index.search('batery', { fuzzy: false }), []);
+  });
+
+  it('matches half-typed words', () => {
+    assert.equal(index.search('pipel')[0]?.id, 'cache-1');
+    assert.equal(index.search('pipel')[0]?.context, 'dam');
+  });
+
+  it('searches quest objectives', () => {
+    const [result] = index.search('substation');
+    assert.equal(result.id, 'q-power');
+    assert.equal(result.field, 'objectives');
+  });
+
+  it('highlights the matched parts of the best field', () => {
+    const [prefix] = index.search('anvil blue');
+    assert.equal(prefix.highlighted, '**Anvil Blue**print');
+
+    const [typo] = index.search('medcial kit');
+    assert.equal(typo.highlighted, '**Medical** **Kit**');
+    assert.deepEqual(typo.ranges, [[0, 7], [8, 11]]);
+
+    const [custom] = index.search('battery', { kinds: ['item'], highlight: { open: '<mark>', close: '</mark>' } });
+    assert.equal(custom.highlighted, '<mark>Battery</mark>');
+  });
+
+  it('applies limit and minScore', () => {
+    assert.equal(index.search('anvil', { limit: 2 }).length, 2);
+    assert.ok(index.search('anvil', { minScore: 0.9 }).every(r => r.score >= 0.9));
+    assert.deepEqual(index.search('   '), []);
+  });
+});
+
+describe('highlightMatches', () => {
+  it('merges overlapping ranges', () => {
+    assert.equal(highlightMatches('Medical Kit', [[0, 4], [2, 7]]), '**Medical** Kit');
+  });
+});
+
+describe('groupSearchResults', () => {
+  it('groups entities by kind and narrows trader inventories to the matches', () => {
+    const response = groupSearchResults(index.search('anvil'));
+    assert.deepEqual(response.weapons.map(w => w.id), ['anvil']);
+    assert.deepEqual(response.items.map(i => i.id).sort(), ['anvil-bp', 'battery']);
+    assert.equal(response.traders.length, 1);
+    assert.deepEqual(response.traders[0].inventory?.map(i => i.id), ['anvil']);
+  });
+});
@@ -0,0 +1,434 @@
+import type {
+  ArcRaidersItem,
+  Weapon,
+  Armor,
+  Quest,
+  ArcMission,
+  MapData,
+  Trader,
+  TraderItem,
+  PointOfInterest,
+  Waypoint,
+} from '../arc-raiders/types';
+
+export type SearchEntityKind = 'item' | 'weapon' | 'armor' | 'quest' | 'arc' | 'trader-item' | 'poi';
+
+/**
+ * Collections to index. Everything is optional, so a UI can index just what it has loaded.
+ */
+export interface SearchSource {
+  items?: ArcRaidersItem[];
+  weapons?: Weapon[];
+  armor?: Armor[];
+  quests?: Quest[];
+  arcs?: ArcMission[];
+  traders?: Record<string, TraderItem[]>;
+  maps?: MapData[];
+}
+
+export interface SearchOptions {
+  kinds?: SearchEntityKind[]; // Restrict results to these entity kinds
+  limit?: number; // Max results (default: 20)
+  minScore?: number; // 0..1, results below are dropped (default: 0.3)
+  fuzzy?: boolean; // Allow typos (default: true)
+  highlight?: { open: string; close: string }; // Markers around matches (default: ** **)
+}
+
+export interface SearchResult {
+  kind: SearchEntityKind;
+  id: string;
+  name: string;
+  score: number; // 0..1, higher is better
+  field: string; // Field that matched best, e.g. 'name' or 'objectives'
+  value: string; // That field's text
+  highlighted: string; // value with the matched parts wrapped in the highlight markers
+  ranges: Array<[number, number]>; // Matched [start, end) offsets within value
+  context?: string; // Trader name for trader items, map ID for POIs
+  entity: ArcRaidersItem | Quest | ArcMission | TraderItem | PointOfInterest | Waypoint;
+}
+
+interface SearchDocument {
+  kind: SearchEntityKind;
+  id: string;
+  name: string;
+  context?: string;
+  fields: Array<{ field: string; value: string; weight: number }>;
+  entity: SearchResult['entity'];
+}
+
+interface FieldMatch {
+  score: number;
+  ranges: Array<[number, number]>;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+ * so "wepaon" is one typo away from "weapon"
+ */
+function editDistance(a: string, b: string): number {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d: number[][] = Array.from({ length: rows }, (_, i) => {
+    const row = new Array<number>(cols).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function allowedTypos(token: string): number {
+  if (token.length <= 3) return 0;
+  if (token.length <= 6) return 1;
+  return 2;
+}
+
+function tokenize(text: string): Array<{ token: string; start: number; end: number }> {
+  const tokens: Array<{ token: string; start: number; end: number }> = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({ token: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Score how well a query matches one field: exact > prefix > substring > per-word
+ * (prefix or within the typo budget). Every query word has to match something.
+ */
+function matchField(query: string, value: string, fuzzy: boolean): FieldMatch | null {
+  const text = value.toLowerCase();
+  // Offsets are only reliable when lower-casing kept the length
+  const mappable = text.length === value.length;
+
+  if (text === query) {
+    return { score: 1, ranges: [[0, value.length]] };
+  }
+
+  const index = text.indexOf(query);
+  if (index !== -1) {
+    const atWordStart = index === 0 || !/[\p{L}\p{N}]/u.test(text[index - 1]);
+    const score = index === 0 ? 0.9 : atWordStart ? 0.8 : 0.7;
+    return { score, ranges: mappable ? [[index, index + query.length]] : [] };
+  }
+
+  const queryTokens = tokenize(query).map(t => t.token);
+  const fieldTokens = tokenize(text);
+  if (queryTokens.length === 0 || fieldTokens.length === 0) {
+    return null;
+  }
+
+  let total = 0;
+  const ranges: Array<[number, number]> = [];
+  for (const queryToken of queryTokens) {
+    let best = 0;
+    let bestRange: [number, number] | null = null;
+    for (const { token, start, end } of fieldTokens) {
+      let score = 0;
+      if (token === queryToken) {
+        score = 1;
+      } else if (queryToken.length >= 2 && token.startsWith(queryToken)) {
+        score = 0.85;
+      } else if (fuzzy) {
+        const budget = allowedTypos(queryToken);
+        if (budget > 0) {
+          const whole = editDistance(queryToken, token);
+          // Also compare against the same-length prefix, for half-typed words
+          const partial = token.length > queryToken.length
+            ? editDistance(queryToken, token.slice(0, queryToken.length))
+            : Infinity;
+          if (whole <= budget) {
+            score = 0.75 - 0.1 * whole;
+          } else if (partial <= budget) {
+            score = 0.6 - 0.1 * partial;
+          }
+        }
+      }
+      if (score > best) {
+        best = score;
+        bestRange = [start, end];
+      }
+    }
+    if (best === 0) {
+      return null;
+    }
+    total += best;
+    if (bestRange && mappable) {
+      ranges.push(bestRange);
+    }
+  }
+
+  return { score: 0.65 * (total / queryTokens.length), ranges };
+}
+
+function mergeRanges(ranges: Array<[number, number]>): Array<[number, number]> {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged: Array<[number, number]> = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([range[0], range[1]]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Wrap the given ranges of a string in highlight markers
+ */
+export function highlightMatches(
+  value: string,
+  ranges: Array<[number, number]>,
+  marker: { open: string; close: string } = { open: '**', close: '**' }
+): string {
+  let result = '';
+  let cursor = 0;
+  for (const [start, end] of mergeRanges(ranges)) {
+    result += value.slice(cursor, start) + marker.open + value.slice(start, end) + marker.close;
+    cursor = end;
+  }
+  return result + value.slice(cursor);
+}
+
+function field(name: string, value: string | undefined, weight: number): SearchDocument['fields'] {
+  return value ? [{ field: name, value, weight }] : [];
+}
+
+/**
+ * In-memory search over every entity the API exposes. Build it once from loaded
+ * data and query it as often as needed; nothing here touches the network.
+ */
+export class SearchIndex {
+  private readonly documents: SearchDocument[] = [];
+
+  constructor(source: SearchSource = {}) {
+    this.add(source);
+  }
+
+  get size(): number {
+    return this.documents.length;
+  }
+
+  /**
+   * Add more collections to the index
+   */
+  add(source: SearchSource): void {
+    // getItems() also returns weapons and armor; index those under their own kind
+    const typed = new Set([...(source.weapons || []), ...(source.armor || [])].map(item => item.id));
+
+    for (const item of source.items || []) {
+      if (!typed.has(item.id)) {
+        this.documents.push(this.itemDocument('item', item));
+      }
+    }
+    for (const weapon of source.weapons || []) {
+      this.documents.push(this.itemDocument('weapon', weapon));
+    }
+    for (const armor of source.armor || []) {
+      this.documents.push(this.itemDocument('armor', armor));
+    }
+
+    for (const quest of source.quests || []) {
+      this.documents.push({
+        kind: 'quest',
+        id: quest.id,
+        name: quest.name,
+        entity: quest,
+        fields: [
+          ...field('name', quest.name, 1),
+          ...field('objectives', quest.objectives?.map(o => o.description).join('; '), 0.6),
+          ...field('rewards', quest.rewards?.map(r => r.itemName).filter(Boolean).join(', '), 0.5),
+          ...field('location', quest.location, 0.5),
+          ...field('description', quest.description, 0.4),
+        ],
+      });
+    }
+
+    for (const arc of source.arcs || []) {
+      this.documents.push({
+        kind: 'arc',
+        id: arc.id,
+        name: arc.name,
+        entity: arc,
+        fields: [
+          ...field('name', arc.name, 1),
+          ...field('loot', arc.loot?.map(l => l.itemName).filter(Boolean).join(', '), 0.5),
+          ...field('location', arc.location, 0.5),
+          ...field('description', arc.description, 0.4),
+        ],
+      });
+    }
+
+    for (const [trader, inventory] of Object.entries(source.traders || {})) {
+      for (const item of inventory) {
+        this.documents.push({
+          kind: 'trader-item',
+          id: item.id,
+          name: item.name,
+          context: trader,
+          entity: item,
+          fields: [
+            ...field('name', item.name, 0.95),
+            ...field('trader', trader, 0.5),
+            ...field('description', item.description, 0.4),
+          ],
+        });
+      }
+    }
+
+    for (const map of source.maps || []) {
+      const points: Array<PointOfInterest | Waypoint> = [...(map.pois || []), ...(map.waypoints || [])];
+      for (const point of points) {
+        if (!point.name) continue;
+        this.documents.push({
+          kind: 'poi',
+          id: point.id,
+          name: point.name,
+          context: map.id,
+          entity: point,
+          fields: [
+            ...field('name', point.name, 0.9),
+            ...field('map', map.name, 0.3),
+          ],
+        });
+      }
+    }
+  }
+
+  search(query: string, options: SearchOptions = {}): SearchResult[] {
+    const normalized = query.trim().toLowerCase();
+    if (!normalized) {
+      return [];
+    }
+
+    const limit = options.limit ?? 20;
+    const minScore = options.minScore ?? 0.3;
+    const fuzzy = options.fuzzy !== false;
+    const kinds = options.kinds ? new Set(options.kinds) : null;
+
+    const results: SearchResult[] = [];
+    for (const doc of this.documents) {
+      if (kinds && !kinds.has(doc.kind)) continue;
+
+      let best: { score: number; field: string; value: string; ranges: Array<[number, number]> } | null = null;
+      for (const { field: name, value, weight } of doc.fields) {
+        const match = matchField(normalized, value, fuzzy);
+        if (match && (!best || match.score * weight > best.score)) {
+          best = { score: match.score * weight, field: name, value, ranges: match.ranges };
+        }
+      }
+
+      if (best && best.score >= minScore) {
+        results.push({
+          kind: doc.kind,
+          id: doc.id,
+          name: doc.name,
+          score: Number(best.score.toFixed(3)),
+          field: best.field,
+          value: best.value,
+          highlighted: highlightMatches(best.value, best.ranges, options.highlight),
+          ranges: mergeRanges(best.ranges),
+          ...(doc.context && { context: doc.context }),
+          entity: doc.entity,
+        });
+      }
+    }
+
+    // Best score first; shorter names win ties ("Anvil" before "Anvil Blueprint")
+    results.sort((a, b) =>
+      b.score - a.score || a.name.length - b.name.length || a.name.localeCompare(b.name)
+    );
+    return results.slice(0, limit);
+  }
+
+  private itemDocument(kind: SearchEntityKind, item: ArcRaidersItem): SearchDocument {
+    return {
+      kind,
+      id: item.id,
+      name: item.name,
+      entity: item,
+      fields: [
+        ...field('name', item.name, 1),
+        ...field('type', item.type, 0.3),
+        ...field('description', item.description, 0.4),
+      ],
+    };
+  }
+}
+
+/**
+ * Ranked results plus the matched entities grouped by kind
+ */
+export interface SearchResponse {
+  results: SearchResult[];
+  items: ArcRaidersItem[];
+  weapons: Weapon[];
+  armor: Armor[];
+  quests: Quest[];
+  arcs: ArcMission[];
+  traders: Trader[]; // Traders whose inventory matched, with the inventory narrowed to the matches
+  pois: Array<PointOfInterest | Waypoint>;
+}
+
+export function groupSearchResults(results: SearchResult[]): SearchResponse {
+  const response: SearchResponse = {
+    results,
+    items: [],
+    weapons: [],
+    armor: [],
+    quests: [],
+    arcs: [],
+    traders: [],
+    pois: [],
+  };
+  const traders = new Map<string, Trader>();
+
+  for (const result of results) {
+    switch (result.kind) {
+      case 'item':
+        response.items.push(result.entity as ArcRaidersItem);
+        break;
+      case 'weapon':
+        response.weapons.push(result.entity as Weapon);
+        break;
+      case 'armor':
+        response.armor.push(result.entity as Armor);
+        break;
+      case 'quest':
+        response.quests.push(result.entity as Quest);
+        break;
+      case 'arc':
+        response.arcs.push(result.entity as ArcMission);
+        break;
+      case 'trader-item': {
+        const name = result.context || 'unknown';
+        let trader = traders.get(name);
+        if (!trader) {
+          trader = { id: name, name, inventory: [] };
+          traders.set(name, trader);
+          response.traders.push(trader);
+        }
+        trader.inventory!.push(result.entity as TraderItem);
+        break;
+      }
+      case 'poi':
+        response.pois.push(result.entity as PointOfInterest | Waypoint);
+        break;
+    }
+  }
+
+  return response;
+}
@@ -0,0 +1,180 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { SNAPSHOT_VERSION, loadSnapshot, saveSnapshot, type DataSnapshot } from './snapshot';
+import type { ArcRaidersFilter, MapData } from '../arc-raiders/types';
+
+/**
+ * Offline datasets are snapshots written by `arc-raiders sync`, either as a single
+ * JSON file or as a directory with one file per collection:
+ *
+ *   manifest.json  { version, createdAt, label }
+ *   items.json, weapons.json, armor.json, quests.json, arcs.json, traders.json
+ *   maps/<map-id>.json
+ */
+
+const MANIFEST_FILE = 'manifest.json';
+const COLLECTIONS = ['items', 'weapons', 'armor', 'quests', 'arcs', 'traders'] as const;
+
+export interface DatasetInfo {
+  source: string; // File or directory the dataset was loaded from ('memory' when passed in directly)
+  createdAt: string;
+  label?: string;
+  age: number; // Milliseconds since the dataset was synced
+  ageText: string; // e.g. "3 days"
+}
+
+/**
+ * Parsed JSON file, or null when it doesn't exist
+ */
+function readJSON<T>(filePath: string): T | null {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8')) as T;
+}
+
+/**
+ * A map file, or null when it can't be read or parsed: one broken map shouldn't take
+ * the whole dataset down
+ */
+function readMapFile(filePath: string): MapData | null {
+  try {
+    return readJSON<MapData>(filePath);
+  } catch (error) {
+    console.warn(`Skipping unreadable map file ${filePath}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Load a dataset from a single snapshot file or a synced directory
+ */
+export function loadDataset(datasetPath: string): DataSnapshot {
+  if (!fs.existsSync(datasetPath)) {
+    throw new Error(`Offline dataset not found: ${datasetPath}. Create one with "arc-raiders sync".`);
+  }
+
+  if (!fs.statSync(datasetPath).isDirectory()) {
+    return loadSnapshot(datasetPath);
+  }
+
+  const manifestPath = path.join(datasetPath, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`${datasetPath} has no ${MANIFEST_FILE}; is it an arc-raiders dataset?`);
+  }
+  const manifest = readJSON<Pick<DataSnapshot, 'version' | 'createdAt' | 'label'>>(manifestPath);
+  if (!manifest || typeof manifest.version !== 'number' || manifest.version > SNAPSHOT_VERSION) {
+    throw new Error(
+      `${datasetPath} uses dataset v${manifest?.version}, this build reads up to v${SNAPSHOT_VERSION}`
+    );
+  }
+
+  const mapsDir = path.join(datasetPath, 'maps');
+  const maps: MapData[] = fs.existsSync(mapsDir)
+    ? fs.readdirSync(mapsDir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => readMapFile(path.join(mapsDir, file)))
+        .filter((map): map is MapData => map !== null)
+    : [];
+
+  return {
+    version: manifest.version,
+    createdAt: manifest.createdAt,
+    label: manifest.label,
+    items: readJSON<DataSnapshot['items']>(path.join(datasetPath, 'items.json')) ?? [],
+    weapons: readJSON<DataSnapshot['weapons']>(path.join(datasetPath, 'weapons.json')) ?? [],
+    armor: readJSON<DataSnapshot['armor']>(path.join(datasetPath, 'armor.json')) ?? [],
+    quests: readJSON<DataSnapshot['quests']>(path.join(datasetPath, 'quests.json')) ?? [],
+    arcs: readJSON<DataSnapshot['arcs']>(path.join(datasetPath, 'arcs.json')) ?? [],
+    traders: readJSON<DataSnapshot['traders']>(path.join(datasetPath, 'traders.json')) ?? {},
+    maps,
+  };
+}
+
+/**
+ * Write a dataset. Paths ending in .json get a single snapshot file, anything else a directory.
+ */
+export function writeDataset(snapshot: DataSnapshot, datasetPath: string): void {
+  if (datasetPath.endsWith('.json')) {
+    saveSnapshot(snapshot, datasetPath);
+    return;
+  }
+
+  const mapsDir = path.join(datasetPath, 'maps');
+  fs.mkdirSync(mapsDir, { recursive: true });
+
+  const write = (filePath: string, data: unknown) =>
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf-8');
+
+  for (const collection of COLLECTIONS) {
+    write(path.join(datasetPath, `${collection}.json`), snapshot[collection]);
+  }
+
+  // Replace the map files wholesale so maps removed upstream don't linger
+  for (const file of fs.readdirSync(mapsDir)) {
+    if (file.endsWith('.json')) {
+      fs.unlinkSync(path.join(mapsDir, file));
+    }
+  }
+  for (const map of snapshot.maps) {
+    write(path.join(mapsDir, `${map.id}.json`), map);
+  }
+
+  // Written last: a directory with a manifest is a complete dataset
+  write(path.join(datasetPath, MANIFEST_FILE), {
+    version: snapshot.version,
+    createdAt: snapshot.createdAt,
+    ...(snapshot.label && { label: snapshot.label }),
+  });
+}
+
+function formatAge(ms: number): string {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  const days = Math.floor(hours / 24);
+  return `${days} days`;
+}
+
+export function getDatasetInfo(snapshot: DataSnapshot, source: string): DatasetInfo {
+  const age = Math.max(0, Date.now() - Date.parse(snapshot.createdAt));
+  return {
+    source,
+    createdAt: snapshot.createdAt,
+    label: snapshot.label,
+    age,
+    ageText: formatAge(age),
+  };
+}
+
+function matches(value: string | undefined, wanted: string | string[] | undefined): boolean {
+  if (wanted === undefined) {
+    return true;
+  }
+  const list = Array.isArray(wanted) ? wanted : [wanted];
+  return value !== undefined && list.some(w => w.toLowerCase() === value.toLowerCase());
+}
+
+/**
+ * Apply an ArcRaidersFilter locally, the way the API would server-side
+ */
+export function filterDataset<T extends { name?: string; description?: string; rarity?: string; type?: string; difficulty?: string }>(
+  list: T[],
+  filter?: Omit<ArcRaidersFilter, 'page' | 'pageSize'>
+): T[] {
+  if (!filter) {
+    return list;
+  }
+
+  const search = filter.search?.toLowerCase();
+  return list.filter(entity =>
+    matches(entity.rarity, filter.rarity) &&
+    matches(entity.type, filter.type) &&
+    matches(entity.difficulty, filter.difficulty) &&
+    (!search ||
+      (entity.name || '').toLowerCase().includes(search) ||
+      (entity.description || '').toLowerCase().includes(search))
+  );
+}
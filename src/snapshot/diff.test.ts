@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSnapshots, formatSnapshotDiffMarkdown } from './diff';
+import { SNAPSHOT_VERSION, type DataSnapshot } from './snapshot';
+import type { MapData, MapDataRecord, PointOfInterest } from '../arc-raiders/types';
+
+function record(id: string, category: string, subcategory: string): MapDataRecord {
+  return { id, lat: 0, lng: 0, mapID: 'dam', category, subcategory };
+}
+
+function poi(raw: MapDataRecord, type: PointOfInterest['type'], keepRaw = true): PointOfInterest {
+  return { id: raw.id, name: raw.subcategory, type, coordinates: { x: 0, y: 0 }, ...(keepRaw && { raw }) };
+}
+
+function snapshot(maps: MapData[], classificationRules?: string): DataSnapshot {
+  return {
+    version: SNAPSHOT_VERSION,
+    createdAt: '2025-01-01T00:00:00.000Z',
+    ...(classificationRules && { classificationRules }),
+    items: [],
+    weapons: [],
+    armor: [],
+    quests: [],
+    arcs: [],
+    traders: {},
+    maps,
+  };
+}
+
+const depot = record('depot-1', 'containers', 'depot_crate');
+const crate = record('crate-1', 'containers', 'ammo_crate');
+const newCrate = record('crate-2', 'containers', 'ammo_crate');
+
+describe('diffSnapshots maps', () => {
+  it('reports added and removed containers', () => {
+    const diff = diffSnapshots(
+      snapshot([{ id: 'dam', name: 'Dam', waypoints: [], pois: [poi(crate, 'cache')] }]),
+      snapshot([{ id: 'dam', name: 'Dam', waypoints: [], pois: [poi(newCrate, 'cache')] }])
+    );
+    assert.deepEqual(diff.maps, [{
+      mapId: 'dam',
+      status: 'changed',
+      addedContainers: [{ id: 'crate-2', name: 'ammo_crate' }],
+      removedContainers: [{ id: 'crate-1', name: 'ammo_crate' }],
+      addedWaypoints: [],
+      removedWaypoints: [],
+      addedPOIs: [],
+      removedPOIs: [],
+    }]);
+    assert.deepEqual(diff.warnings, []);
+  });
+
+  it('ignores points that only changed type under different rules', () => {
+    // The older snapshot filed the depot crate as a supply station
+    const diff = diffSnapshots(
+      snapshot([{ id: 'dam', name: 'Dam', waypoints: [], pois: [poi(depot, 'supply-station'), poi(crate, 'cache')] }], 'aaaaaaaa'),
+      snapshot([{ id: 'dam', name: 'Dam', waypoints: [], pois: [poi(depot, 'cache'), poi(crate, 'cache')] }], 'bbbbbbbb')
+    );
+    assert.deepEqual(diff.maps, []);
+    assert.deepEqual(diff.warnings, []);
+    assert.equal(diff.hasChanges, false);
+  });
+
+  it('classifies both sides with the given rules', () => {
+    const diff = diffSnapshots(
+      snapshot([{ id: 'dam', name: 'Dam', waypoints: [], pois: [poi(crate, 'cache')] }]),
+      snapshot([{ id: 'dam', name: 'Dam', waypoints: [], pois: [poi(crate, 'cache'), poi(newCrate, 'cache')] }]),
+      { classificationRules: [{ id: 'everything', type: 'resource', any: /.*/ }] }
+    );
+    assert.deepEqual(diff.maps[0].addedPOIs, [{ id: 'crate-2', name: 'ammo_crate' }]);
+    assert.deepEqual(diff.maps[0].addedContainers, []);
+  });
+
+  it('warns when maps without raw records were classified with different rules', () => {
+    const diff = diffSnapshots(
+      snapshot([{ id: 'dam', name: 'Dam', waypoints: [], pois: [poi(depot, 'supply-station', false)] }], 'aaaaaaaa'),
+      snapshot([{ id: 'dam', name: 'Dam', waypoints: [], pois: [poi(depot, 'cache')] }], 'bbbbbbbb')
+    );
+    assert.equal(diff.warnings.length, 1);
+    assert.match(diff.warnings[0], /aaaaaaaa vs bbbbbbbb/);
+    assert.deepEqual(diff.maps[0].addedContainers, [{ id: 'depot-1', name: 'depot_crate' }]);
+    assert.match(formatSnapshotDiffMarkdown(diff), /> \*\*Warning:\*\* The snapshots' maps were classified with different rules/);
+  });
+});
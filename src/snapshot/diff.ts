@@ -0,0 +1,395 @@
+import type { MapData, PointOfInterest, TraderItem, Waypoint } from '../arc-raiders/types';
+import { DEFAULT_CLASSIFICATION_RULES, classifyMapRecord, type ClassificationRule } from '../arc-raiders/classification';
+import type { DataSnapshot } from './snapshot';
+
+export interface EntitySummary {
+  id: string;
+  name: string;
+}
+
+export interface FieldChange {
+  field: string;
+  before: unknown;
+  after: unknown;
+}
+
+export interface EntityChange extends EntitySummary {
+  changes: FieldChange[];
+}
+
+export interface CollectionDiff {
+  added: EntitySummary[];
+  removed: EntitySummary[];
+  changed: EntityChange[];
+}
+
+export interface RarityChange extends EntitySummary {
+  before?: string;
+  after?: string;
+}
+
+export interface TraderPriceChange extends EntitySummary {
+  field: 'trader_price' | 'value';
+  before?: number | null;
+  after?: number | null;
+}
+
+export interface TraderDiff {
+  trader: string;
+  added: EntitySummary[]; // Items the trader started selling
+  removed: EntitySummary[]; // Items no longer sold
+  priceChanges: TraderPriceChange[];
+}
+
+export interface MapDiff {
+  mapId: string;
+  status: 'added' | 'removed' | 'changed';
+  addedContainers: EntitySummary[];
+  removedContainers: EntitySummary[];
+  addedWaypoints: EntitySummary[]; // Spawns and extractions
+  removedWaypoints: EntitySummary[];
+  addedPOIs: EntitySummary[]; // Every other point of interest
+  removedPOIs: EntitySummary[];
+}
+
+export interface SnapshotDiff {
+  from: { createdAt: string; label?: string };
+  to: { createdAt: string; label?: string };
+  items: CollectionDiff;
+  weapons: CollectionDiff;
+  armor: CollectionDiff;
+  quests: CollectionDiff;
+  arcs: CollectionDiff;
+  rarityChanges: RarityChange[];
+  traders: TraderDiff[];
+  maps: MapDiff[];
+  warnings: string[]; // e.g. maps typed by different classification rules
+  hasChanges: boolean;
+}
+
+export interface SnapshotDiffOptions {
+  // Rules both snapshots' map points are reclassified with (default: DEFAULT_CLASSIFICATION_RULES)
+  classificationRules?: ClassificationRule[];
+}
+
+/**
+ * JSON with sorted keys, so field order doesn't count as a change
+ */
+function stableStringify(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value as Record<string, unknown>)
+      .sort()
+      .filter(key => (value as Record<string, unknown>)[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify((value as Record<string, unknown>)[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'undefined';
+}
+
+function summarize(entity: { id: string; name?: string }): EntitySummary {
+  return { id: entity.id, name: entity.name || entity.id };
+}
+
+function indexById<T extends { id: string }>(list: T[]): Map<string, T> {
+  return new Map(list.map(entity => [entity.id, entity]));
+}
+
+function diffCollection<T extends { id: string; name?: string }>(before: T[], after: T[]): CollectionDiff {
+  const beforeById = indexById(before);
+  const afterById = indexById(after);
+  const diff: CollectionDiff = { added: [], removed: [], changed: [] };
+
+  for (const [id, entity] of afterById) {
+    const previous = beforeById.get(id);
+    if (!previous) {
+      diff.added.push(summarize(entity));
+      continue;
+    }
+
+    const fields = new Set([...Object.keys(previous), ...Object.keys(entity)]);
+    const changes: FieldChange[] = [];
+    for (const field of fields) {
+      const a = (previous as Record<string, unknown>)[field];
+      const b = (entity as Record<string, unknown>)[field];
+      if (stableStringify(a) !== stableStringify(b)) {
+        changes.push({ field, before: a, after: b });
+      }
+    }
+    if (changes.length > 0) {
+      diff.changed.push({ ...summarize(entity), changes });
+    }
+  }
+
+  for (const [id, entity] of beforeById) {
+    if (!afterById.has(id)) {
+      diff.removed.push(summarize(entity));
+    }
+  }
+
+  return diff;
+}
+
+function diffTraders(
+  before: Record<string, TraderItem[]>,
+  after: Record<string, TraderItem[]>
+): TraderDiff[] {
+  const traders = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const diffs: TraderDiff[] = [];
+
+  for (const trader of Array.from(traders).sort()) {
+    const beforeById = indexById(before[trader] || []);
+    const afterById = indexById(after[trader] || []);
+    const diff: TraderDiff = { trader, added: [], removed: [], priceChanges: [] };
+
+    for (const [id, item] of afterById) {
+      const previous = beforeById.get(id);
+      if (!previous) {
+        diff.added.push(summarize(item));
+        continue;
+      }
+      for (const field of ['trader_price', 'value'] as const) {
+        if (previous[field] !== item[field]) {
+          diff.priceChanges.push({ ...summarize(item), field, before: previous[field], after: item[field] });
+        }
+      }
+    }
+    for (const [id, item] of beforeById) {
+      if (!afterById.has(id)) {
+        diff.removed.push(summarize(item));
+      }
+    }
+
+    if (diff.added.length || diff.removed.length || diff.priceChanges.length) {
+      diffs.push(diff);
+    }
+  }
+
+  return diffs;
+}
+
+function diffPoints<T extends { id: string; name?: string }>(before: T[], after: T[]): { added: EntitySummary[]; removed: EntitySummary[] } {
+  const beforeIds = new Set(before.map(point => point.id));
+  const afterIds = new Set(after.map(point => point.id));
+  return {
+    added: after.filter(point => !beforeIds.has(point.id)).map(summarize),
+    removed: before.filter(point => !afterIds.has(point.id)).map(summarize),
+  };
+}
+
+type PointKind = 'container' | 'waypoint' | 'other';
+
+/**
+ * Sort a map's points into containers, spawns/extractions and the rest. Points that
+ * kept their raw record are reclassified with the given rules, so two snapshots
+ * typed by different rule tables compare the same way.
+ */
+function classifyPoints(map: MapData | undefined, rules: ClassificationRule[]): Record<PointKind, Array<Waypoint | PointOfInterest>> {
+  const points: Record<PointKind, Array<Waypoint | PointOfInterest>> = { container: [], waypoint: [], other: [] };
+  for (const point of [...(map?.waypoints || []), ...(map?.pois || [])]) {
+    const type = point.raw ? classifyMapRecord(point.raw, rules).type : point.type;
+    const kind: PointKind = type === 'cache' ? 'container' : type === 'spawn' || type === 'extraction' ? 'waypoint' : 'other';
+    points[kind].push(point);
+  }
+  return points;
+}
+
+function hasRawRecords(maps: MapData[]): boolean {
+  return maps.every(map => [...(map.waypoints || []), ...(map.pois || [])].every(point => point.raw));
+}
+
+function diffMaps(before: MapData[], after: MapData[], rules: ClassificationRule[]): MapDiff[] {
+  const beforeById = indexById(before);
+  const afterById = indexById(after);
+  const mapIds = new Set([...beforeById.keys(), ...afterById.keys()]);
+  const diffs: MapDiff[] = [];
+
+  for (const mapId of Array.from(mapIds).sort()) {
+    const a = beforeById.get(mapId);
+    const b = afterById.get(mapId);
+    const aPoints = classifyPoints(a, rules);
+    const bPoints = classifyPoints(b, rules);
+
+    const containers = diffPoints(aPoints.container, bPoints.container);
+    const waypoints = diffPoints(aPoints.waypoint, bPoints.waypoint);
+    const others = diffPoints(aPoints.other, bPoints.other);
+
+    const changed = containers.added.length || containers.removed.length ||
+      waypoints.added.length || waypoints.removed.length ||
+      others.added.length || others.removed.length;
+    if (a && b && !changed) {
+      continue;
+    }
+
+    diffs.push({
+      mapId,
+      status: !a ? 'added' : !b ? 'removed' : 'changed',
+      addedContainers: containers.added,
+      removedContainers: containers.removed,
+      addedWaypoints: waypoints.added,
+      removedWaypoints: waypoints.removed,
+      addedPOIs: others.added,
+      removedPOIs: others.removed,
+    });
+  }
+
+  return diffs;
+}
+
+function isEmpty(diff: CollectionDiff): boolean {
+  return diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+}
+
+/**
+ * Compare two snapshots (older first) and return a structured changelog
+ */
+export function diffSnapshots(a: DataSnapshot, b: DataSnapshot, options: SnapshotDiffOptions = {}): SnapshotDiff {
+  const warnings: string[] = [];
+  if (a.classificationRules !== b.classificationRules && !(hasRawRecords(a.maps) && hasRawRecords(b.maps))) {
+    warnings.push(
+      `The snapshots' maps were classified with different rules (${a.classificationRules || 'unknown'} vs ` +
+      `${b.classificationRules || 'unknown'}) and not every point kept its raw record; map changes may only reflect the rules`
+    );
+  }
+
+  const items = diffCollection(a.items, b.items);
+
+  const rarityChanges: RarityChange[] = [];
+  for (const change of items.changed) {
+    const rarity = change.changes.find(field => field.field === 'rarity');
+    if (rarity) {
+      rarityChanges.push({
+        id: change.id,
+        name: change.name,
+        before: rarity.before as string | undefined,
+        after: rarity.after as string | undefined,
+      });
+    }
+  }
+
+  const diff: SnapshotDiff = {
+    from: { createdAt: a.createdAt, label: a.label },
+    to: { createdAt: b.createdAt, label: b.label },
+    items,
+    weapons: diffCollection(a.weapons, b.weapons),
+    armor: diffCollection(a.armor, b.armor),
+    quests: diffCollection(a.quests, b.quests),
+    arcs: diffCollection(a.arcs, b.arcs),
+    rarityChanges,
+    traders: diffTraders(a.traders, b.traders),
+    maps: diffMaps(a.maps, b.maps, options.classificationRules || DEFAULT_CLASSIFICATION_RULES),
+    warnings,
+    hasChanges: false,
+  };
+
+  diff.hasChanges = !isEmpty(diff.items) || !isEmpty(diff.weapons) || !isEmpty(diff.armor) ||
+    !isEmpty(diff.quests) || !isEmpty(diff.arcs) || diff.traders.length > 0 || diff.maps.length > 0;
+
+  return diff;
+}
+
+function formatValue(value: unknown): string {
+  if (value === undefined) return '—';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function formatCollection(title: string, diff: CollectionDiff, lines: string[]): void {
+  if (isEmpty(diff)) {
+    return;
+  }
+
+  lines.push(`## ${title}`, '');
+  if (diff.added.length > 0) {
+    lines.push(`**Added (${diff.added.length})**`, '');
+    diff.added.forEach(entity => lines.push(`- ${entity.name} (\`${entity.id}\`)`));
+    lines.push('');
+  }
+  if (diff.removed.length > 0) {
+    lines.push(`**Removed (${diff.removed.length})**`, '');
+    diff.removed.forEach(entity => lines.push(`- ${entity.name} (\`${entity.id}\`)`));
+    lines.push('');
+  }
+  if (diff.changed.length > 0) {
+    lines.push(`**Changed (${diff.changed.length})**`, '');
+    diff.changed.forEach(entity => {
+      const fields = entity.changes
+        .map(change => `${change.field}: ${formatValue(change.before)} → ${formatValue(change.after)}`)
+        .join('; ');
+      lines.push(`- ${entity.name}: ${fields}`);
+    });
+    lines.push('');
+  }
+}
+
+/**
+ * Render a snapshot diff as a Markdown changelog
+ */
+export function formatSnapshotDiffMarkdown(diff: SnapshotDiff): string {
+  const describe = (side: { createdAt: string; label?: string }) =>
+    side.label ? `${side.label} (${side.createdAt})` : side.createdAt;
+
+  const lines: string[] = [
+    '# ARC Raiders data changes',
+    '',
+    `From ${describe(diff.from)} to ${describe(diff.to)}`,
+    '',
+  ];
+
+  diff.warnings.forEach(warning => lines.push(`> **Warning:** ${warning}`, ''));
+
+  if (!diff.hasChanges) {
+    lines.push('No changes.');
+    return lines.join('\n');
+  }
+
+  if (diff.rarityChanges.length > 0) {
+    lines.push('## Rarity changes', '');
+    diff.rarityChanges.forEach(change =>
+      lines.push(`- ${change.name}: ${formatValue(change.before)} → ${formatValue(change.after)}`)
+    );
+    lines.push('');
+  }
+
+  formatCollection('Items', diff.items, lines);
+  formatCollection('Weapons', diff.weapons, lines);
+  formatCollection('Armor', diff.armor, lines);
+  formatCollection('Quests', diff.quests, lines);
+  formatCollection('ARCs', diff.arcs, lines);
+
+  if (diff.traders.length > 0) {
+    lines.push('## Traders', '');
+    diff.traders.forEach(trader => {
+      lines.push(`### ${trader.trader}`, '');
+      trader.added.forEach(item => lines.push(`- Now sells ${item.name}`));
+      trader.removed.forEach(item => lines.push(`- No longer sells ${item.name}`));
+      trader.priceChanges.forEach(change =>
+        lines.push(`- ${change.name} ${change.field === 'trader_price' ? 'price' : 'value'}: ${formatValue(change.before)} → ${formatValue(change.after)}`)
+      );
+      lines.push('');
+    });
+  }
+
+  if (diff.maps.length > 0) {
+    lines.push('## Maps', '');
+    diff.maps.forEach(map => {
+      lines.push(`### ${map.mapId}${map.status !== 'changed' ? ` (${map.status})` : ''}`, '');
+      const counts: Array<[string, EntitySummary[]]> = [
+        ['Containers added', map.addedContainers],
+        ['Containers removed', map.removedContainers],
+        ['Spawns/extractions added', map.addedWaypoints],
+        ['Spawns/extractions removed', map.removedWaypoints],
+        ['Other POIs added', map.addedPOIs],
+        ['Other POIs removed', map.removedPOIs],
+      ];
+      counts
+        .filter(([, points]) => points.length > 0)
+        .forEach(([label, points]) => lines.push(`- ${label}: ${points.length}`));
+      lines.push('');
+    });
+  }
+
+  return lines.join('\n').trimEnd() + '\n';
+}
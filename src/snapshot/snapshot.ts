@@ -0,0 +1,68 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import type {
+  ArcRaidersItem,
+  Weapon,
+  Armor,
+  Quest,
+  ArcMission,
+  MapData,
+  TraderItem,
+} from '../arc-raiders/types';
+
+/**
+ * Bump when the snapshot layout changes in a way older readers can't handle
+ */
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * A point-in-time dump of everything the API exposes, used to compare game patches
+ */
+export interface DataSnapshot {
+  version: number;
+  createdAt: string; // ISO timestamp
+  label?: string; // e.g. a patch number
+  classificationRules?: string; // Fingerprint of the rules the maps were classified with
+  items: ArcRaidersItem[];
+  weapons: Weapon[];
+  armor: Armor[];
+  quests: Quest[];
+  arcs: ArcMission[];
+  traders: Record<string, TraderItem[]>;
+  maps: MapData[];
+}
+
+export function saveSnapshot(snapshot: DataSnapshot, filePath: string): void {
+  const dir = path.dirname(filePath);
+
+  if (dir && !fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  fs.writeFileSync(filePath, JSON.stringify(snapshot, null, 2), 'utf-8');
+}
+
+export function loadSnapshot(filePath: string): DataSnapshot {
+  const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf-8')) as DataSnapshot;
+
+  if (typeof snapshot !== 'object' || snapshot === null || typeof snapshot.version !== 'number') {
+    throw new Error(`${filePath} is not an arc-raiders snapshot`);
+  }
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(
+      `${filePath} was written by a newer version (snapshot v${snapshot.version}, this build reads up to v${SNAPSHOT_VERSION})`
+    );
+  }
+
+  // Older snapshots may lack collections added later
+  return {
+    ...snapshot,
+    items: snapshot.items || [],
+    weapons: snapshot.weapons || [],
+    armor: snapshot.armor || [],
+    quests: snapshot.quests || [],
+    arcs: snapshot.arcs || [],
+    traders: snapshot.traders || {},
+    maps: snapshot.maps || [],
+  };
+}
@@ -0,0 +1,182 @@
+import type { CacheValidators } from './types';
+import {
+  isExpired,
+  isDisposable,
+  isWithinMaxStale,
+  type CacheEntry,
+  type CacheLookup,
+  type CacheOptions,
+  type CacheSizeStats,
+} from './cache';
+
+/**
+ * Async storage backend for cache entries. A store only persists entries;
+ * TTL, stale and revalidation rules are applied by StoreCache on top of it.
+ */
+export interface CacheStore {
+  get(key: string): Promise<CacheEntry<unknown> | undefined>;
+  set(key: string, entry: CacheEntry<unknown>): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+  keys(): Promise<string[]>;
+}
+
+/**
+ * Cache with the same semantics as Cache/PersistentCache, backed by any CacheStore.
+ * Store failures are logged and treated as misses so a broken backend never fails a request.
+ * maxEntries/maxBytes are not enforced here; size limits are up to the store itself.
+ */
+export class StoreCache {
+  private readonly store: CacheStore;
+  private defaultTTL: number;
+  private maxStale: number;
+
+  constructor(store: CacheStore, defaultTTL: number = 5 * 60 * 1000, options: CacheOptions = {}) {
+    this.store = store;
+    this.defaultTTL = defaultTTL;
+    this.maxStale = options.maxStale || 0;
+  }
+
+  async get<T>(key: string): Promise<T | null> {
+    const entry = await this.read(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (isExpired(entry)) {
+      if (isDisposable(entry, this.maxStale)) {
+        await this.remove(key);
+      }
+      return null;
+    }
+
+    return entry.data as T;
+  }
+
+  /**
+   * Like get, but also returns expired entries that are still within maxStale
+   * (flagged as stale) so callers can serve them while refreshing
+   */
+  async lookup<T>(key: string): Promise<CacheLookup<T> | null> {
+    const entry = await this.read(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (!isExpired(entry)) {
+      return { data: entry.data as T, stale: false };
+    }
+
+    if (isWithinMaxStale(entry, this.maxStale)) {
+      return { data: entry.data as T, stale: true };
+    }
+
+    if (isDisposable(entry, this.maxStale)) {
+      await this.remove(key);
+    }
+    return null;
+  }
+
+  /**
+   * Get an entry without checking expiry (used for conditional revalidation)
+   */
+  async peek<T>(key: string): Promise<CacheEntry<T> | null> {
+    return ((await this.read(key)) as CacheEntry<T> | undefined) || null;
+  }
+
+  async set<T>(key: string, data: T, ttl?: number, validators?: CacheValidators[]): Promise<void> {
+    await this.write(key, {
+      data,
+      timestamp: Date.now(),
+      ttl: ttl ?? this.defaultTTL,
+      ...(validators && validators.length > 0 && { validators }),
+    });
+  }
+
+  /**
+   * Restart an entry's TTL, e.g. after the server answered 304 Not Modified
+   */
+  async touch(key: string, ttl?: number): Promise<boolean> {
+    const entry = await this.read(key);
+    if (!entry) {
+      return false;
+    }
+
+    entry.timestamp = Date.now();
+    if (ttl !== undefined) {
+      entry.ttl = ttl;
+    }
+    await this.write(key, entry);
+    return true;
+  }
+
+  async delete(key: string): Promise<void> {
+    await this.remove(key);
+  }
+
+  async clear(): Promise<void> {
+    try {
+      await this.store.clear();
+    } catch (error) {
+      console.warn('Could not clear cache store:', error);
+    }
+  }
+
+  /**
+   * Remove every entry whose key starts with the prefix (e.g. '/items')
+   * @returns Number of removed entries
+   */
+  async deleteByPrefix(prefix: string): Promise<number> {
+    const keys = (await this.keys()).filter(key => key.startsWith(prefix));
+    for (const key of keys) {
+      await this.remove(key);
+    }
+    return keys.length;
+  }
+
+  async keys(): Promise<string[]> {
+    try {
+      return await this.store.keys();
+    } catch (error) {
+      console.warn('Could not read cache store keys:', error);
+      return [];
+    }
+  }
+
+  async getStats(): Promise<CacheSizeStats> {
+    return { entries: (await this.keys()).length, evictions: 0 };
+  }
+
+  async has(key: string): Promise<boolean> {
+    return (await this.get(key)) !== null;
+  }
+
+  async size(): Promise<number> {
+    return (await this.keys()).length;
+  }
+
+  private async read(key: string): Promise<CacheEntry<unknown> | undefined> {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      console.warn(`Could not read "${key}" from cache store:`, error);
+      return undefined;
+    }
+  }
+
+  private async write(key: string, entry: CacheEntry<unknown>): Promise<void> {
+    try {
+      await this.store.set(key, entry);
+    } catch (error) {
+      console.warn(`Could not write "${key}" to cache store:`, error);
+    }
+  }
+
+  private async remove(key: string): Promise<void> {
+    try {
+      await this.store.delete(key);
+    } catch (error) {
+      console.warn(`Could not delete "${key}" from cache store:`, error);
+    }
+  }
+}
@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { ApiError } from './types';
+import { FixtureTransport, type Transport, type TransportRequest, type TransportResponse } from './transport';
+
+class FakeTransport implements Transport {
+  calls = 0;
+
+  constructor(private readonly respond: (request: TransportRequest) => TransportResponse) {}
+
+  async send(request: TransportRequest): Promise<TransportResponse> {
+    this.calls++;
+    return this.respond(request);
+  }
+}
+
+function request(headers: Record<string, string> = {}): TransportRequest {
+  return {
+    url: 'https://api.example.com/items?b=2&a=1',
+    method: 'GET',
+    headers,
+    signal: new AbortController().signal,
+  };
+}
+
+function ok(data: unknown, headers: Record<string, string> = {}): TransportResponse {
+  return { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json', ...headers }, data };
+}
+
+describe('FixtureTransport', () => {
+  let directory: string;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function fixtureFiles(): string[] {
+    return fs.existsSync(directory) ? fs.readdirSync(directory) : [];
+  }
+
+  it('records a successful response once and replays it afterwards', async () => {
+    const upstream = new FakeTransport(() => ok({ items: [1, 2] }));
+    const transport = new FixtureTransport({ directory, upstream });
+
+    const first = await transport.send(request());
+    const second = await transport.send(request());
+
+    assert.equal(upstream.calls, 1);
+    assert.deepEqual(second.data, first.data);
+    assert.equal(fixtureFiles().length, 1);
+  });
+
+  it('does not record errors, rate limits or challenge pages', async () => {
+    for (const status of [403, 429, 500, 503]) {
+      const upstream = new FakeTransport(() => ({ status, statusText: 'Nope', headers: {}, data: 'Just a moment...' }));
+      const transport = new FixtureTransport({ directory, upstream });
+
+      assert.equal((await transport.send(request())).status, status);
+      await transport.send(request());
+
+      assert.equal(upstream.calls, 2, `${status} was replayed`);
+      assert.deepEqual(fixtureFiles(), []);
+    }
+  });
+
+  it('keys fixtures on conditional headers and only records 304 for conditional requests', async () => {
+    const upstream = new FakeTransport(req => req.headers['If-None-Match']
+      ? { status: 304, statusText: 'Not Modified', headers: { etag: '"v1"' }, data: '' }
+      : ok({ items: [] }, { etag: '"v1"' }));
+    const transport = new FixtureTransport({ directory, upstream });
+
+    assert.equal((await transport.send(request({ 'If-None-Match': '"v1"' }))).status, 304);
+    assert.equal((await transport.send(request())).status, 200);
+    assert.equal((await transport.send(request({ 'if-none-match': '"v1"' }))).status, 304);
+    assert.equal(upstream.calls, 2);
+    assert.equal(fixtureFiles().length, 2);
+
+    const bare = new FakeTransport(() => ({ status: 304, statusText: 'Not Modified', headers: {}, data: '' }));
+    fs.rmSync(directory, { recursive: true, force: true });
+    await new FixtureTransport({ directory, upstream: bare }).send(request());
+    assert.deepEqual(fixtureFiles(), []);
+  });
+
+  it('strips cookies and auth challenges from recorded headers', async () => {
+    const upstream = new FakeTransport(() => ok({}, {
+      'set-cookie': '__cf_bm=secret; HttpOnly',
+      'www-authenticate': 'Bearer',
+      etag: '"v1"',
+    }));
+    await new FixtureTransport({ directory, upstream }).send(request({ authorization: 'Bearer token' }));
+
+    const [file] = fixtureFiles();
+    const contents = fs.readFileSync(path.join(directory, file), 'utf-8');
+    const fixture = JSON.parse(contents);
+    assert.deepEqual(fixture.response.headers, { 'content-type': 'application/json', etag: '"v1"' });
+    assert.ok(!contents.includes('secret'));
+    assert.ok(!contents.includes('token'));
+  });
+
+  it('throws a Fixture Missing error in replay mode instead of hitting the network', async () => {
+    const upstream = new FakeTransport(() => ok({}));
+    const transport = new FixtureTransport({ directory, upstream, mode: 'replay' });
+
+    await assert.rejects(transport.send(request()), (error: unknown) =>
+      error instanceof ApiError && error.status === 0 && error.statusText === 'Fixture Missing');
+    assert.equal(upstream.calls, 0);
+  });
+});
@@ -0,0 +1,211 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { createHash } from 'crypto';
+import type { HttpMethod } from './types';
+import { ApiError } from './types';
+
+export interface TransportRequest {
+  url: string;
+  method: HttpMethod;
+  headers: Record<string, string>;
+  body?: string; // Already serialized request body
+  signal: AbortSignal; // Fires on timeout or when the caller aborts
+}
+
+export interface TransportResponse {
+  status: number;
+  statusText: string;
+  headers: Record<string, string>; // Lower-cased header names
+  data: unknown; // Parsed body (JSON, text or Blob)
+  raw?: Response; // Underlying fetch Response, when there is one
+}
+
+/**
+ * Sends a single HTTP request. ApiClient handles retries, throttling,
+ * timeouts and interceptors around it, so a transport only has to move bytes.
+ */
+export interface Transport {
+  send(request: TransportRequest): Promise<TransportResponse>;
+}
+
+/**
+ * Default transport backed by the global fetch
+ */
+export class FetchTransport implements Transport {
+  async send(request: TransportRequest): Promise<TransportResponse> {
+    const response = await fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      signal: request.signal,
+    });
+
+    const headers: Record<string, string> = {};
+    response.headers.forEach((value, key) => {
+      headers[key] = value;
+    });
+
+    let data: unknown;
+    const contentType = response.headers.get('content-type');
+
+    if (contentType?.includes('application/json')) {
+      data = await response.json();
+    } else if (contentType?.includes('text/')) {
+      data = await response.text();
+    } else {
+      data = await response.blob();
+    }
+
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      data,
+      raw: response,
+    };
+  }
+}
+
+export type FixtureMode = 'record' | 'replay' | 'auto';
+
+export interface FixtureTransportOptions {
+  directory: string; // Where fixture files are read from and written to
+  mode?: FixtureMode; // record: always hit the network, replay: never, auto: record only missing fixtures (default)
+  upstream?: Transport; // Transport used while recording (default: FetchTransport)
+}
+
+interface FixtureFile {
+  version: number;
+  recordedAt: string;
+  request: {
+    method: HttpMethod;
+    url: string;
+  };
+  response: {
+    status: number;
+    statusText: string;
+    headers: Record<string, string>;
+    data: unknown;
+  };
+}
+
+// Conditional request headers that change what the server answers, so they are part of the fixture key
+const VALIDATOR_HEADERS = ['if-none-match', 'if-modified-since'];
+
+// Response headers that carry credentials or session state and must never end up in a fixture
+const SENSITIVE_RESPONSE_HEADERS = ['set-cookie', 'set-cookie2', 'authorization', 'proxy-authenticate', 'www-authenticate'];
+
+/**
+ * Records real responses to disk once and replays them deterministically.
+ * Fixtures are keyed by method, URL (with sorted query params), body and the
+ * conditional headers; auth headers never influence which file is used.
+ * Only successful responses (2xx, or 304 to a conditional request) are
+ * recorded, with cookies and auth challenges stripped from the headers.
+ */
+export class FixtureTransport implements Transport {
+  private readonly directory: string;
+  private readonly mode: FixtureMode;
+  private readonly upstream: Transport;
+
+  constructor(options: FixtureTransportOptions) {
+    this.directory = options.directory;
+    this.mode = options.mode || 'auto';
+    this.upstream = options.upstream || new FetchTransport();
+  }
+
+  async send(request: TransportRequest): Promise<TransportResponse> {
+    const fixturePath = this.getFixturePath(request);
+
+    if (this.mode !== 'record' && fs.existsSync(fixturePath)) {
+      const fixture: FixtureFile = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+      return { ...fixture.response };
+    }
+
+    if (this.mode === 'replay') {
+      throw new ApiError(
+        `No fixture recorded for ${request.method} ${request.url} (expected ${fixturePath})`,
+        0,
+        'Fixture Missing'
+      );
+    }
+
+    const response = await this.upstream.send(request);
+    if (typeof Blob !== 'undefined' && response.data instanceof Blob) {
+      // Binary bodies (Blob) can't be replayed from JSON, so pass them through unrecorded
+      return response;
+    }
+    if (!this.isRecordable(request, response)) {
+      // Errors, rate limits and challenge pages would be replayed forever, so they are never recorded
+      return response;
+    }
+
+    const fixture: FixtureFile = {
+      version: 1,
+      recordedAt: new Date().toISOString(),
+      request: {
+        method: request.method,
+        url: request.url,
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: stripSensitiveHeaders(response.headers),
+        data: response.data,
+      },
+    };
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2), 'utf-8');
+
+    return response;
+  }
+
+  private isRecordable(request: TransportRequest, response: TransportResponse): boolean {
+    if (response.status >= 200 && response.status < 300) {
+      return true;
+    }
+    return response.status === 304 && getValidators(request.headers).length > 0;
+  }
+
+  private getFixturePath(request: TransportRequest): string {
+    const url = new URL(request.url);
+    url.searchParams.sort();
+
+    // Unconditional requests keep the key they always had, so existing fixtures stay valid
+    const validators = getValidators(request.headers);
+    const key = `${request.method} ${url.toString()}\n${request.body || ''}`
+      + validators.map(([name, value]) => `\n${name}: ${value}`).join('');
+
+    const hash = createHash('sha1')
+      .update(key)
+      .digest('hex')
+      .slice(0, 12);
+    const slug = url.pathname.replace(/^\/+/, '').replace(/[^a-zA-Z0-9]+/g, '-').slice(0, 60) || 'root';
+
+    return path.join(this.directory, `${request.method.toLowerCase()}-${slug}-${hash}.json`);
+  }
+}
+
+function getValidators(headers: Record<string, string>): Array<[string, string]> {
+  const lowerCased = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  return VALIDATOR_HEADERS
+    .filter(name => lowerCased[name] !== undefined)
+    .map(name => [name, lowerCased[name]]);
+}
+
+function stripSensitiveHeaders(headers: Record<string, string>): Record<string, string> {
+  return Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !SENSITIVE_RESPONSE_HEADERS.includes(name.toLowerCase()))
+  );
+}
+
+/**
+ * Refuses every request. Used in offline mode so nothing can reach the network by accident.
+ */
+export class OfflineTransport implements Transport {
+  async send(request: TransportRequest): Promise<TransportResponse> {
+    throw new ApiError(`Offline mode: refused ${request.method} ${request.url}`, 0, 'Offline');
+  }
+}
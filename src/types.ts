@@ -6,6 +6,24 @@ export interface RequestConfig {
   params?: Record<string, string | number | boolean>;
   body?: unknown;
   timeout?: number;
+  retry?: Partial<RetryPolicy> | false; // Per-request override of the client retry policy
+  signal?: AbortSignal; // Cancels the request while queued, waiting to retry, or in flight
+  validators?: CacheValidators; // Makes the request conditional; a 304 then resolves instead of throwing
+}
+
+export interface CacheValidators {
+  etag?: string;
+  lastModified?: string;
+}
+
+export interface RetryPolicy {
+  maxAttempts: number; // Total attempts including the first one
+  baseDelay: number; // Delay before the first retry in ms, doubled on every attempt
+  maxDelay: number; // Upper bound for a single backoff delay in ms
+  jitter: number; // Fraction (0-1) of each delay that is randomized
+  retryOn: number[]; // HTTP statuses that are retried; network errors and timeouts are too, but never aborts, offline or fixture misses, or Cloudflare challenges
+  retryMethods: HttpMethod[]; // Only idempotent methods are retried by default
+  respectRetryAfter: boolean; // Wait for the server's Retry-After header when present
 }
 
 export interface ApiResponse<T> {
@@ -16,12 +34,16 @@ export interface ApiResponse<T> {
 }
 
 export class ApiError extends Error {
+  public headers: Record<string, string> = {}; // Response headers, when a response was received
+
   constructor(
     message: string,
     public status: number,
     public statusText: string,
     public data?: unknown,
-    public response?: Response
+    public response?: Response,
+    public attempt: number = 1,
+    public willRetry: boolean = false
   ) {
     super(message);
     this.name = 'ApiError';